@@ -1,6 +1,7 @@
 // 核心解密引擎 - 使用 Web Crypto API 实现
 
 import { EncodingUtils } from './encoding-utils.js';
+import { KeyMaterial } from '../pastekit/utils/cipher/keymaterial.js';
 
 class CryptoEngine {
   /**
@@ -62,15 +63,15 @@ class CryptoEngine {
    * @private
    */
   static async decryptAES(data, config) {
-    const { key, iv, mode = 'CBC', padding = 'PKCS7' } = config;
+    const { key, keyEncoding, iv, ivEncoding, mode = 'CBC', padding = 'PKCS7' } = config;
 
     if (!key) {
       throw new Error('AES 解密需要密钥');
     }
 
     try {
-      // 导入密钥
-      const keyBytes = new TextEncoder().encode(key);
+      // 按 keyEncoding / ivEncoding 解析为精确的字节，长度不符时直接报错，不再补零或截断
+      const keyBytes = KeyMaterial.keyBytes({ value: key, encoding: keyEncoding }, 'AES');
       const cryptoKey = await crypto.subtle.importKey(
         'raw',
         keyBytes,
@@ -85,13 +86,7 @@ class CryptoEngine {
         if (!iv) {
           throw new Error('CBC 模式需要初始化向量');
         }
-        ivBytes = new TextEncoder().encode(iv).slice(0, 16);
-        // 确保 IV 长度为 16 字节
-        if (ivBytes.byteLength < 16) {
-          const paddedIv = new Uint8Array(16);
-          paddedIv.set(ivBytes);
-          ivBytes = paddedIv.buffer;
-        }
+        ivBytes = KeyMaterial.ivBytes({ value: iv, encoding: ivEncoding }, 'AES');
       } else {
         // ECB 模式使用零 IV
         ivBytes = new Uint8Array(16).buffer;
@@ -271,7 +266,11 @@ class CryptoEngine {
     switch (config.algorithm.toUpperCase()) {
       case 'AES':
       case 'SM4':
-        return !!config.key;
+        return KeyMaterial.validate(
+          { value: config.key, encoding: config.keyEncoding },
+          KeyMaterial.getKeyLengths(config.algorithm),
+          `${config.algorithm} 密钥`
+        ).isValid;
       case 'RSA':
       case 'SM2':
         return !!config.privateKey;
@@ -10,7 +10,7 @@ const testConfig = {
   keyConfigName: 'test-key',
   enabled: true,
   algorithm: 'AES',
-  key: 'test-secret-key-12345',
+  key: 'test-secret-key!',
   iv: 'test-iv-12345678',
   mode: 'CBC',
   padding: 'PKCS7'
@@ -4,10 +4,14 @@
 // 动态导入 CipherUtils
 // 静态导入 CipherUtils 以避免动态导入问题
 import { CipherUtils } from '../utils/cipher/index.js';
+import { TrialDecryptionService, TRIAL_DECRYPT_PORT, TRIAL_ATTEMPT_PORT } from './trialdecryptionservice.js';
 
 // 存储 DevTools 连接
 const devtoolsConnections = new Map();
 
+// Popup 试探解密服务
+const trialDecryptionService = new TrialDecryptionService();
+
 // 初始化
 async function initialize() {
     console.log('[CryptoDevTools Background] 初始化开始');
@@ -47,6 +51,10 @@ function setupMessageListeners() {
         if (port.name === 'devtools-panel') {
             console.log('[CryptoDevTools Background] 处理 DevTools 面板连接');
             handleDevToolsConnection(port);
+        } else if (port.name === TRIAL_DECRYPT_PORT) {
+            trialDecryptionService.handleConnection(port);
+        } else if (port.name === TRIAL_ATTEMPT_PORT) {
+            trialDecryptionService.handleWorkerPoolConnection(port);
         } else {
             console.log('[CryptoDevTools Background] 未知端口类型:', port.name);
         }
@@ -0,0 +1,156 @@
+// 试探解密执行器（Background 侧）
+// Service Worker 中无法创建 Worker，把每次尝试转发给 Offscreen 文档中的 Worker 池执行，
+// 超出预算的尝试由 Worker 池终止；Offscreen 文档不可用时退回到 Service Worker 内执行
+
+import { InlineAttemptExecutor } from '../utils/cipher/trialdecryptor.js';
+import { defaultPoolSize } from '../utils/cipher/trialworkerpool.js';
+export { TRIAL_ATTEMPT_PORT } from '../utils/cipher/trialworkerpool.js';
+
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
+
+// 等待 Offscreen 文档建立连接的最长时间（毫秒）
+const CONNECT_TIMEOUT_MS = 5000;
+
+/**
+ * 通过 Offscreen 文档执行解密尝试
+ * 与 TrialDecryptor 约定的执行器接口：{ concurrency, execute(task, signal), clearCache() }
+ */
+export class OffscreenAttemptExecutor {
+    constructor() {
+        this.concurrency = defaultPoolSize();
+        this.port = null;
+        this.portWaiters = [];
+        this.creating = null;
+        this.nextAttemptId = 0;
+        this.pending = new Map();
+        this.fallback = new InlineAttemptExecutor();
+    }
+
+    /**
+     * 当前浏览器是否支持 Offscreen 文档
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof chrome !== 'undefined' && !!chrome.offscreen?.createDocument;
+    }
+
+    /**
+     * 处理 Offscreen 文档的连接
+     * @param {chrome.runtime.Port} port
+     */
+    handleConnection(port) {
+        this.port = port;
+        port.onMessage.addListener((message) => {
+            if (message.type !== 'TRIAL_ATTEMPT_RESULT') {
+                return;
+            }
+            const resolve = this.pending.get(message.attemptId);
+            this.pending.delete(message.attemptId);
+            resolve?.({ candidate: message.candidate, error: message.error, abandoned: message.abandoned });
+        });
+        port.onDisconnect.addListener(() => {
+            if (this.port === port) {
+                this.port = null;
+            }
+            // 文档被关闭或崩溃，执行中的尝试结果未知
+            this.pending.forEach(resolve => resolve({ candidate: null, abandoned: true }));
+            this.pending.clear();
+        });
+        this.portWaiters.splice(0).forEach(resolve => resolve(port));
+    }
+
+    /**
+     * 获取与 Offscreen 文档的连接，必要时创建文档
+     * @private
+     * @returns {Promise<chrome.runtime.Port>}
+     */
+    async getPort() {
+        if (this.port) {
+            return this.port;
+        }
+        let timer;
+        const connected = new Promise((resolve, reject) => {
+            this.portWaiters.push(resolve);
+            timer = setTimeout(() => reject(new Error('Offscreen 文档连接超时')), CONNECT_TIMEOUT_MS);
+        });
+        if (!this.creating) {
+            this.creating = this.createDocument().finally(() => {
+                this.creating = null;
+            });
+        }
+        try {
+            await this.creating;
+            return await connected;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * 创建 Offscreen 文档；已存在但没有连接的文档（Background 重启前创建的）先关闭再重建
+     * @private
+     */
+    async createDocument() {
+        if (await chrome.offscreen.hasDocument?.()) {
+            await chrome.offscreen.closeDocument();
+        }
+        await chrome.offscreen.createDocument({
+            url: OFFSCREEN_DOCUMENT_PATH,
+            reasons: ['WORKERS'],
+            justification: '在 Worker 中执行试探解密，超时的尝试可以被终止'
+        });
+    }
+
+    /**
+     * 执行一次尝试
+     * @param {Object} task - { content, config, keyConfigs, budgetMs }
+     * @param {AbortSignal} signal - 中止时放弃尝试
+     * @returns {Promise<Object>} { candidate, error, abandoned }
+     */
+    async execute(task, signal) {
+        let port;
+        try {
+            port = await this.getPort();
+        } catch (error) {
+            console.error('[TrialDecryption] 创建 Offscreen 文档失败，改为在 Background 中执行:', error);
+            return this.fallback.execute(task);
+        }
+        if (signal?.aborted) {
+            return { candidate: null, abandoned: true };
+        }
+
+        const attemptId = ++this.nextAttemptId;
+        const { budgetMs, ...payload } = task;
+        const onAbort = () => {
+            try {
+                port.postMessage({ type: 'TRIAL_ATTEMPT_CANCEL', attemptId });
+            } catch (error) {
+                // 端口已断开
+            }
+        };
+        signal?.addEventListener('abort', onAbort);
+        try {
+            return await new Promise(resolve => {
+                this.pending.set(attemptId, resolve);
+                port.postMessage({ type: 'TRIAL_ATTEMPT', attemptId, task: payload, budgetMs });
+            });
+        } catch (error) {
+            this.pending.delete(attemptId);
+            return { candidate: null, abandoned: true };
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * 清空 Worker 与 Background 中缓存的密钥
+     */
+    clearCache() {
+        this.fallback.clearCache();
+        try {
+            this.port?.postMessage({ type: 'TRIAL_CLEAR_CACHE' });
+        } catch (error) {
+            // 端口已断开，文档重建后缓存本来就是空的
+        }
+    }
+}
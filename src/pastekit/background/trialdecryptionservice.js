@@ -0,0 +1,136 @@
+// 试探解密服务
+// 在 Service Worker 中用所有秘钥配置尝试解密粘贴内容，结果逐条推送给 Popup
+
+import { TrialDecryptor } from '../utils/cipher/index.js';
+import { StorageUtils } from '../utils/storageutils.js';
+import { OffscreenAttemptExecutor } from './offscreenattemptexecutor.js';
+export { TRIAL_DECRYPT_PORT } from '../utils/trialdecryptclient.js';
+export { TRIAL_ATTEMPT_PORT } from './offscreenattemptexecutor.js';
+
+/**
+ * 试探解密服务
+ * - 秘钥配置缓存在内存中，存储变化时失效，同时清空解析后的密钥与派生结果缓存
+ * - 尝试在 Offscreen 文档的 Worker 池中并行执行，超出单次预算的尝试会被终止
+ * - 同一端口上新的请求会取消尚未完成的旧请求
+ */
+export class TrialDecryptionService {
+    constructor(options = {}) {
+        this.executor = OffscreenAttemptExecutor.isSupported() ? new OffscreenAttemptExecutor() : null;
+        this.decryptor = new TrialDecryptor({ ...options, executor: this.executor || undefined });
+        this.configsPromise = null;
+        this.activeRequests = new Map();
+        this.unlisten = StorageUtils.listen((changes) => {
+            if (changes.keyConfigs) {
+                this.configsPromise = null;
+                this.decryptor.clearCache();
+            }
+        });
+    }
+
+    /**
+     * 处理 Offscreen 文档（Worker 池）的连接
+     * @param {chrome.runtime.Port} port
+     */
+    handleWorkerPoolConnection(port) {
+        this.executor?.handleConnection(port);
+    }
+
+    /**
+     * 获取秘钥配置（带缓存）
+     * @returns {Promise<Array>}
+     */
+    getConfigs() {
+        if (!this.configsPromise) {
+            this.configsPromise = StorageUtils.getItem('keyConfigs')
+                .then(result => result.keyConfigs || [])
+                .catch(error => {
+                    console.error('[TrialDecryption] 加载秘钥配置失败:', error);
+                    this.configsPromise = null;
+                    return [];
+                });
+        }
+        return this.configsPromise;
+    }
+
+    /**
+     * 处理 Popup 连接
+     * @param {chrome.runtime.Port} port
+     */
+    handleConnection(port) {
+        port.onMessage.addListener((message) => {
+            switch (message.type) {
+                case 'TRIAL_DECRYPT':
+                    this.start(port, message);
+                    break;
+                case 'TRIAL_DECRYPT_CANCEL':
+                    this.cancel(port);
+                    break;
+            }
+        });
+
+        port.onDisconnect.addListener(() => {
+            this.cancel(port);
+        });
+    }
+
+    /**
+     * 取消端口上正在进行的请求
+     * @param {chrome.runtime.Port} port
+     */
+    cancel(port) {
+        const active = this.activeRequests.get(port);
+        if (active) {
+            active.cancelled = true;
+            active.controller.abort();
+            this.activeRequests.delete(port);
+        }
+    }
+
+    /**
+     * 开始一次试探解密
+     * @param {chrome.runtime.Port} port
+     * @param {Object} message - { requestId, content }
+     */
+    async start(port, message) {
+        const { requestId, content } = message;
+
+        this.cancel(port);
+        const active = { requestId, cancelled: false, controller: new AbortController() };
+        this.activeRequests.set(port, active);
+
+        const post = (payload) => {
+            if (active.cancelled) return;
+            try {
+                port.postMessage({ ...payload, requestId });
+            } catch (error) {
+                // 端口已断开
+                active.cancelled = true;
+            }
+        };
+
+        try {
+            const configs = await this.getConfigs();
+            const summary = await this.decryptor.run(content, configs, {
+                signal: active.controller.signal,
+                onCandidate: (candidate, candidates) => {
+                    post({ type: 'TRIAL_DECRYPT_CANDIDATE', candidate, candidates });
+                }
+            });
+
+            post({
+                type: 'TRIAL_DECRYPT_DONE',
+                candidates: summary.candidates,
+                attempted: summary.attempted,
+                timedOut: summary.timedOut,
+                slow: summary.slow
+            });
+        } catch (error) {
+            console.error('[TrialDecryption] 试探解密失败:', error);
+            post({ type: 'TRIAL_DECRYPT_DONE', candidates: [], error: error.message });
+        } finally {
+            if (this.activeRequests.get(port) === active) {
+                this.activeRequests.delete(port);
+            }
+        }
+    }
+}
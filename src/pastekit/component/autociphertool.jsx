@@ -1,14 +1,25 @@
-import React, { useState, useEffect } from 'react';
-import { CipherUtils } from '../utils/cipherutils';
+import React, { useState, useEffect, useRef } from 'react';
 import { StorageUtils } from '../utils/storageutils';
+import { TrialDecryptClient } from '../utils/trialdecryptclient';
 import { useTranslation } from '../utils/i18n';
 
-const AutoCipherTool = ({ content = '' }) => {
+/**
+ * 自动解密工具
+ * 解密尝试由 Background 完成；popup 已经拿到候选结果时通过 results 传入，否则自行发起
+ * @param {string} content - 密文
+ * @param {Array} results - 可选，按得分排序的候选 [{ configName, algorithm, plaintext, score }]
+ * @param {boolean} isDecrypting - 可选，results 是否仍在陆续返回
+ * @param {Function} onDecryptResult - 可选，自行解密结束后回调 (decrypted, uncertain)，供粘贴历史判断是否记录
+ */
+const AutoCipherTool = ({ content = '', results, isDecrypting = false, onDecryptResult }) => {
   const [t] = useTranslation();
   const [decryptionResults, setDecryptionResults] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [configs, setConfigs] = useState([]);
   const [error, setError] = useState('');
+  const clientRef = useRef(null);
+
+  const hasExternalResults = Array.isArray(results);
 
   // 加载所有加密配置
   useEffect(() => {
@@ -17,6 +28,9 @@ const AutoCipherTool = ({ content = '' }) => {
         const result = await StorageUtils.getItem('keyConfigs');
         const allConfigs = result.keyConfigs || [];
         setConfigs(allConfigs);
+        if (allConfigs.length === 0) {
+          setError(t('autociphertool.error.no_configs'));
+        }
       } catch (err) {
         console.error('加载配置失败:', err);
         setError(t('autociphertool.error.no_configs'));
@@ -25,130 +39,52 @@ const AutoCipherTool = ({ content = '' }) => {
     loadConfigs();
   }, []);
 
-  // 当内容变化时自动开始解密
+  // 外部传入的候选结果
   useEffect(() => {
-    if (content.trim() && configs.length > 0) {
-      // 延迟一小段时间确保配置已加载
-      const timer = setTimeout(() => {
-        autoDecrypt();
-      }, 100);
-      return () => clearTimeout(timer);
-    }
-  }, [content, configs]);
-
-  // 验证配置是否有效
-  const isValidConfig = (config) => {
-    if (!config || !config.name) return false;
-    if (config.algorithm?.startsWith('RSA')) {
-      // RSA配置需要检查私钥对象及其值
-      return config.privateKey && config.privateKey.value;
-    } else {
-      return config.key && config.key.value;
+    if (!hasExternalResults) return;
+    setDecryptionResults(results);
+    setIsLoading(isDecrypting);
+    if (configs.length > 0) {
+      setError(!isDecrypting && results.length === 0 ? t('autociphertool.error.no_successful_decrypt') : '');
     }
-  };
+  }, [hasExternalResults, results, isDecrypting, configs]);
 
-  // 自动解密函数
-  const autoDecrypt = async () => {
-    if (!content.trim()) {
-      setError(t('autociphertool.error.no_content'));
+  // 没有外部结果时，内容变化后自行发起解密
+  useEffect(() => {
+    if (hasExternalResults || !content.trim() || configs.length === 0) {
       return;
     }
 
-    if (configs.length === 0) {
-      setError(t('autociphertool.error.no_configs'));
-      return;
+    if (!clientRef.current) {
+      clientRef.current = new TrialDecryptClient();
     }
+    const client = clientRef.current;
+    let cancelled = false;
 
     setIsLoading(true);
     setError('');
     setDecryptionResults([]);
 
-    const results = [];
-
-    // 遍历所有配置进行解密尝试
-    for (const config of configs) {
-      try {
-        // 验证配置是否有效
-        if (!isValidConfig(config)) {
-          console.info("配置无效:"+config.name)
-          results.push({
-            configName: config.name,
-            success: false,
-            error: t('autociphertool.error.invalid_config'),
-            plaintext: null
-          });
-          continue;
-        }
-
-        // 尝试解密
-        const decrypted = CipherUtils.decrypt(content, config);
-        console.info("config:"+JSON.stringify(config)+" result"+decrypted)
-        if (decrypted && decrypted !== content) {
-          // 只有CFB模式才进行可打印字符判断
-          const isCFBMode = config.algorithm?.toUpperCase().includes('CFB') || 
-                          config.mode?.toUpperCase() === 'CFB';
-          
-          if (isCFBMode) {
-            // CFB模式需要可打印字符判断
-            const { analyzePrintableCharacters } = await import('../utils/textutils');
-            const analysis = analyzePrintableCharacters(decrypted);
-            
-            // CFB模式下，可打印字符比例超过50%才认为是有效的明文
-            if (analysis.isReadable) {
-              results.push({
-                configName: config.name,
-                success: true,
-                error: null,
-                plaintext: decrypted,
-                algorithm: config.algorithm
-              });
-            } else {
-              results.push({
-                configName: config.name,
-                success: false,
-                error: `CFB模式解密成功但结果不可读 (可打印字符比例: ${(analysis.printableRatio * 100).toFixed(1)}%)`,
-                plaintext: null
-              });
-            }
-          } else {
-            // 非CFB模式直接认为解密成功
-            results.push({
-              configName: config.name,
-              success: true,
-              error: null,
-              plaintext: decrypted,
-              algorithm: config.algorithm
-            });
-          }
-        } else {
-          // 解密失败或结果相同
-          results.push({
-            configName: config.name,
-            success: false,
-            error: t('autociphertool.error.decrypt_failed'),
-            plaintext: null
-          });
-        }
-      } catch (err) {
-        console.error(`配置 ${config.name} 解密出错:`, err);
-        results.push({
-          configName: config.name,
-          success: false,
-          error: err.message || t('autociphertool.error.process_error'),
-          plaintext: null
-        });
+    client.decrypt(content, (candidate, ranked) => {
+      if (!cancelled) setDecryptionResults(ranked);
+    }).then(summary => {
+      if (cancelled || summary.cancelled) return;
+      setDecryptionResults(summary.candidates);
+      setIsLoading(false);
+      onDecryptResult?.(summary.candidates.length > 0, TrialDecryptClient.isUncertain(summary));
+      if (summary.candidates.length === 0) {
+        setError(t('autociphertool.error.no_successful_decrypt'));
       }
-    }
+    });
 
-    setDecryptionResults(results);
-    setIsLoading(false);
+    return () => {
+      cancelled = true;
+      client.cancel();
+    };
+  }, [hasExternalResults, content, configs]);
 
-    // 检查是否有成功的解密
-    const successfulResults = results.filter(r => r.success);
-    if (successfulResults.length === 0) {
-      setError(t('autociphertool.error.no_successful_decrypt'));
-    }
-  };
+  // 卸载时断开连接
+  useEffect(() => () => clientRef.current?.disconnect(), []);
 
   // 清空结果
   const clearResults = () => {
@@ -156,8 +92,7 @@ const AutoCipherTool = ({ content = '' }) => {
     setError('');
   };
 
-  // 过滤出成功解密的结果
-  const successfulResults = decryptionResults.filter(r => r.success);
+  const successfulResults = decryptionResults;
 
   return (
     <div className="w-full border rounded p-4 space-y-4 h-full">
@@ -165,6 +100,10 @@ const AutoCipherTool = ({ content = '' }) => {
       
       <div className="space-y-4">
 
+        {isLoading && (
+          <div className="text-sm text-gray-500">{t('autociphertool.decrypting')}</div>
+        )}
+
         {error && (
           <div className="p-3 bg-red-100 text-red-800 rounded text-sm">
             <strong>{t('error')}:</strong> {error}
@@ -192,7 +131,7 @@ const AutoCipherTool = ({ content = '' }) => {
                     )}
                   </div>
                   <span className="text-xs bg-green-200 text-green-800 px-2 py-1 rounded font-medium">
-                    {t('autociphertool.success.label')}
+                    {t('autociphertool.success.label')} {Math.round(result.score * 100)}%
                   </span>
                 </div>
 
@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { useTranslation } from '../utils/i18n';
+
+/**
+ * 断点编辑器：展示暂停中的请求 / 响应，编辑明文后放行
+ * @param {Array} items - 暂停项 { breakpointId, url, method, phase, statusCode, plainBody, decryption, error }
+ * @param {Function} onRelease - (item, plainBody) => boolean，按编辑后的明文重新加密、签名后放行，失败时返回 false
+ * @param {Function} onContinue - (item) => void，不做修改直接放行
+ */
+export default function BreakpointEditor({ items = [], onRelease, onContinue }) {
+    const [t] = useTranslation();
+    const [edits, setEdits] = useState({});
+
+    if (items.length === 0) {
+        return null;
+    }
+
+    const getText = (item) => edits[item.breakpointId] ?? item.plainBody;
+
+    const clearEdit = (item) => {
+        setEdits(prev => {
+            const { [item.breakpointId]: _, ...rest } = prev;
+            return rest;
+        });
+    };
+
+    const release = (item) => {
+        // 重新加密或签名失败时保留编辑内容，错误显示在 item.error
+        if (onRelease(item, getText(item)) !== false) {
+            clearEdit(item);
+        }
+    };
+
+    const resume = (item) => {
+        onContinue(item);
+        clearEdit(item);
+    };
+
+    return (
+        <div className="space-y-3">
+            {items.map(item => (
+                <div key={item.breakpointId} className="p-3 border border-orange-300 bg-orange-50 rounded space-y-2 text-xs">
+                    <div className="flex items-center gap-2">
+                        <Badge variant="outline" className="text-xs flex-shrink-0">
+                            ⏸️ {t(`breakpoint.phase_${item.phase}`)}
+                        </Badge>
+                        <span className="font-mono flex-shrink-0">{item.phase === 'response' ? item.statusCode : item.method}</span>
+                        <span className="break-all flex-1">{item.url}</span>
+                        <span className="text-gray-500 flex-shrink-0">
+                            {item.decryption ? t('breakpoint.decrypted_with', { name: item.decryption.config.name }) : t('breakpoint.plaintext')}
+                        </span>
+                    </div>
+                    <textarea
+                        className="w-full border rounded px-2 py-1 font-mono h-32 bg-white"
+                        value={getText(item)}
+                        onChange={(e) => setEdits(prev => ({ ...prev, [item.breakpointId]: e.target.value }))}
+                    />
+                    {item.error && (
+                        <div className="text-red-600">{item.error}</div>
+                    )}
+                    <div className="flex justify-end gap-2">
+                        <Button
+                            variant="outline"
+                            size="sm"
+                            className="text-xs px-3 py-1 h-auto"
+                            onClick={() => resume(item)}
+                        >
+                            ▶️ {t('breakpoint.continue')}
+                        </Button>
+                        <Button
+                            size="sm"
+                            className="text-xs px-3 py-1 h-auto"
+                            onClick={() => release(item)}
+                        >
+                            ✅ {t('breakpoint.release')}
+                        </Button>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
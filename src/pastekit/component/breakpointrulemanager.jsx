@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { SIGN_METHODS, ASYMMETRIC_SIGN_METHODS } from '../utils/signatureutils';
+import { ENCODING_OPTIONS } from '../utils/keyconfigconstants';
+import { StorageUtils } from '../utils/storageutils';
+import { useTranslation } from '../utils/i18n';
+import { BREAKPOINT_PHASES, BREAKPOINT_ACTIONS, BREAKPOINT_RULES_STORAGE_KEY } from '../proxy/utils/breakpoints.js';
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+const EMPTY_RULE = {
+    enabled: true,
+    domain: '',
+    path: '',
+    method: '',
+    phase: 'request',
+    action: 'breakpoint',
+    rewrites: [],
+    signature: { enabled: false, header: '', method: 'hmac-sha256', key: '', keyEncoding: 'UTF8', configName: '' }
+};
+
+/**
+ * 把 "查找 => 替换" 每行一条的文本解析为重写列表
+ */
+function parseRewrites(text) {
+    return text.split('\n')
+        .map(line => {
+            const index = line.indexOf('=>');
+            return index < 0 ? null : { find: line.slice(0, index).trim(), replace: line.slice(index + 2).trim() };
+        })
+        .filter(rewrite => rewrite && rewrite.find);
+}
+
+function formatRewrites(rewrites = []) {
+    return rewrites.map(({ find, replace }) => `${find} => ${replace}`).join('\n');
+}
+
+/**
+ * 断点 / 重写规则管理
+ * 规则保存在 chrome.storage，RequestListViewer 监听变化后同步给 Hub
+ */
+export default function BreakpointRuleManager({ keyConfigs = [] }) {
+    const [t] = useTranslation();
+    const [rules, setRules] = useState([]);
+    const [form, setForm] = useState(null);
+    const [rewritesText, setRewritesText] = useState('');
+
+    useEffect(() => {
+        StorageUtils.getItem(BREAKPOINT_RULES_STORAGE_KEY)
+            .then(result => setRules(Array.isArray(result[BREAKPOINT_RULES_STORAGE_KEY]) ? result[BREAKPOINT_RULES_STORAGE_KEY] : []))
+            .catch(error => console.error('加载断点规则失败:', error));
+    }, []);
+
+    const saveRules = async (nextRules) => {
+        setRules(nextRules);
+        try {
+            await StorageUtils.setItem(BREAKPOINT_RULES_STORAGE_KEY, nextRules);
+        } catch (error) {
+            console.error('保存断点规则失败:', error);
+        }
+    };
+
+    const editRule = (rule) => {
+        setForm({ ...EMPTY_RULE, ...rule, signature: { ...EMPTY_RULE.signature, ...rule?.signature } });
+        setRewritesText(formatRewrites(rule?.rewrites));
+    };
+
+    const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+    const updateSignature = (field, value) => setForm(prev => ({ ...prev, signature: { ...prev.signature, [field]: value } }));
+
+    const submitForm = () => {
+        if (!form.domain.trim()) {
+            return;
+        }
+        const rule = {
+            ...form,
+            id: form.id || `rule_${Date.now()}`,
+            domain: form.domain.trim(),
+            path: form.path.trim(),
+            rewrites: form.action === 'rewrite' ? parseRewrites(rewritesText) : []
+        };
+        const exists = rules.some(item => item.id === rule.id);
+        saveRules(exists ? rules.map(item => (item.id === rule.id ? rule : item)) : [...rules, rule]);
+        setForm(null);
+    };
+
+    const toggleRule = (id) => saveRules(rules.map(rule => (rule.id === id ? { ...rule, enabled: !rule.enabled } : rule)));
+
+    const deleteRule = (id) => saveRules(rules.filter(rule => rule.id !== id));
+
+    const signature = form?.signature;
+    const isAsymmetric = signature && ASYMMETRIC_SIGN_METHODS.has(signature.method);
+    const isHmac = signature?.method.startsWith('hmac-');
+
+    return (
+        <div className="space-y-3 text-xs">
+            <div className="flex items-center justify-between">
+                <span className="text-sm font-medium">{t('breakpoint.rules_title')}</span>
+                <Button variant="outline" size="sm" className="text-xs px-3 py-1 h-auto" onClick={() => editRule(null)}>
+                    ➕ {t('breakpoint.add_rule')}
+                </Button>
+            </div>
+
+            {rules.length === 0 && !form && (
+                <div className="text-gray-500">{t('breakpoint.no_rules')}</div>
+            )}
+
+            {rules.map(rule => (
+                <div key={rule.id} className="flex items-center gap-2 p-2 border rounded">
+                    <input type="checkbox" checked={rule.enabled} onChange={() => toggleRule(rule.id)}/>
+                    <Badge variant="outline" className="text-xs">{t(`breakpoint.action_${rule.action}`)}</Badge>
+                    <span className="font-mono break-all flex-1">
+                        {rule.method || '*'} {rule.domain}{rule.path || '/*'}
+                    </span>
+                    <span className="text-gray-500">{t(`breakpoint.phase_${rule.phase}`)}</span>
+                    <button className="text-blue-600 hover:underline" onClick={() => editRule(rule)}>{t('breakpoint.edit')}</button>
+                    <button className="text-red-600 hover:underline" onClick={() => deleteRule(rule.id)}>{t('breakpoint.delete')}</button>
+                </div>
+            ))}
+
+            {form && (
+                <div className="space-y-2 p-3 border rounded bg-gray-50">
+                    <div className="flex flex-wrap items-center gap-2">
+                        <input
+                            className="border rounded px-2 py-1 flex-1 min-w-[160px]"
+                            placeholder={t('breakpoint.domain_placeholder')}
+                            value={form.domain}
+                            onChange={(e) => updateForm('domain', e.target.value)}
+                        />
+                        <input
+                            className="border rounded px-2 py-1 flex-1 min-w-[120px]"
+                            placeholder={t('breakpoint.path_placeholder')}
+                            value={form.path}
+                            onChange={(e) => updateForm('path', e.target.value)}
+                        />
+                        <select className="border rounded px-2 py-1" value={form.method} onChange={(e) => updateForm('method', e.target.value)}>
+                            <option value="">{t('breakpoint.any_method')}</option>
+                            {HTTP_METHODS.map(method => <option key={method} value={method}>{method}</option>)}
+                        </select>
+                        <select className="border rounded px-2 py-1" value={form.phase} onChange={(e) => updateForm('phase', e.target.value)}>
+                            {BREAKPOINT_PHASES.map(phase => <option key={phase} value={phase}>{t(`breakpoint.phase_${phase}`)}</option>)}
+                        </select>
+                        <select className="border rounded px-2 py-1" value={form.action} onChange={(e) => updateForm('action', e.target.value)}>
+                            {BREAKPOINT_ACTIONS.map(action => <option key={action} value={action}>{t(`breakpoint.action_${action}`)}</option>)}
+                        </select>
+                    </div>
+
+                    {form.action === 'rewrite' && (
+                        <textarea
+                            className="w-full border rounded px-2 py-1 font-mono h-20"
+                            placeholder={t('breakpoint.rewrites_placeholder')}
+                            value={rewritesText}
+                            onChange={(e) => setRewritesText(e.target.value)}
+                        />
+                    )}
+
+                    <label className="flex items-center gap-1">
+                        <input type="checkbox" checked={signature.enabled} onChange={(e) => updateSignature('enabled', e.target.checked)}/>
+                        {t('breakpoint.resign')}
+                    </label>
+                    {signature.enabled && (
+                        <div className="flex flex-wrap items-center gap-2">
+                            <input
+                                className="border rounded px-2 py-1 w-32"
+                                placeholder={t('breakpoint.sign_header')}
+                                value={signature.header}
+                                onChange={(e) => updateSignature('header', e.target.value)}
+                            />
+                            <select className="border rounded px-2 py-1" value={signature.method} onChange={(e) => updateSignature('method', e.target.value)}>
+                                {SIGN_METHODS.map(method => <option key={method} value={method}>{method.toUpperCase()}</option>)}
+                            </select>
+                            {isHmac && (
+                                <>
+                                    <input
+                                        className="border rounded px-2 py-1 flex-1 min-w-[120px]"
+                                        placeholder={t('breakpoint.sign_key')}
+                                        value={signature.key}
+                                        onChange={(e) => updateSignature('key', e.target.value)}
+                                    />
+                                    <select
+                                        className="border rounded px-2 py-1"
+                                        value={signature.keyEncoding}
+                                        onChange={(e) => updateSignature('keyEncoding', e.target.value)}
+                                    >
+                                        {ENCODING_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                                    </select>
+                                </>
+                            )}
+                            {isAsymmetric && (
+                                <select
+                                    className="border rounded px-2 py-1"
+                                    value={signature.configName}
+                                    onChange={(e) => updateSignature('configName', e.target.value)}
+                                >
+                                    <option value="">{t('breakpoint.select_config')}</option>
+                                    {keyConfigs.filter(config => config.privateKey?.value).map(config => (
+                                        <option key={config.name} value={config.name}>{config.name}</option>
+                                    ))}
+                                </select>
+                            )}
+                        </div>
+                    )}
+
+                    <div className="flex justify-end gap-2">
+                        <Button variant="outline" size="sm" className="text-xs px-3 py-1 h-auto" onClick={() => setForm(null)}>
+                            {t('breakpoint.cancel')}
+                        </Button>
+                        <Button size="sm" className="text-xs px-3 py-1 h-auto" disabled={!form.domain.trim()} onClick={submitForm}>
+                            {t('breakpoint.save')}
+                        </Button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
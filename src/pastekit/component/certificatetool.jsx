@@ -0,0 +1,182 @@
+import React, { useState, useMemo } from 'react';
+import { CertUtils } from '../utils/certutils';
+import { StorageUtils } from '../utils/storageutils';
+import { ConfigManager, saveConfigs } from '../utils/keyconfigutils';
+import { useTranslation } from '../utils/i18n';
+
+const STATUS_STYLES = {
+    valid: 'bg-green-100 text-green-800',
+    expiring: 'bg-yellow-100 text-yellow-800',
+    expired: 'bg-red-100 text-red-800',
+    not_yet_valid: 'bg-yellow-100 text-yellow-800'
+};
+
+const formatDate = (date) => {
+    const pad = (n) => n.toString().padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+const Field = ({ label, children }) => (
+    <div className="flex gap-2 text-xs">
+        <span className="w-24 flex-shrink-0 text-gray-500">{label}</span>
+        <span className="flex-1 font-mono break-all">{children}</span>
+    </div>
+);
+
+/**
+ * X.509 证书 / 证书链 / CSR 查看工具
+ * 展示主题、签发者、SAN、有效期、公钥、扩展与指纹，并可把 RSA / SM2 / EC / Ed25519 公钥保存为密钥配置
+ */
+export default function CertificateTool({ content = '' }) {
+    const [t] = useTranslation();
+    const [notice, setNotice] = useState(null); // { type, text }
+
+    const parsed = useMemo(() => {
+        try {
+            return { items: CertUtils.parse(content), error: null };
+        } catch (err) {
+            return { items: [], error: err.message };
+        }
+    }, [content]);
+
+    const createKeyConfig = async (item) => {
+        try {
+            const key = CertUtils.toImportedKey(item);
+            const result = await StorageUtils.getItem('keyConfigs');
+            const configs = result.keyConfigs || [];
+            const [config] = ConfigManager.createImportedConfigs([key], configs);
+            if (await saveConfigs('keyConfigs', [...configs, config])) {
+                setNotice({ type: 'success', text: t('certificatetool.config_created', { name: config.name }) });
+            }
+        } catch (err) {
+            setNotice({ type: 'error', text: err.message });
+        }
+    };
+
+    if (parsed.error) {
+        return (
+            <div className="w-full border rounded p-4 space-y-4">
+                <h3 className="text-lg font-bold">{t('certificatetool.title')}</h3>
+                <div className="p-3 bg-red-100 text-red-800 rounded text-sm">
+                    <strong>{t('certificatetool.parse_error')}:</strong> {parsed.error}
+                </div>
+            </div>
+        );
+    }
+
+    const certificateCount = parsed.items.filter(item => item.kind === 'certificate').length;
+
+    const describeSignature = (item, index) => {
+        if (item.kind === 'csr') {
+            return item.signatureValid === null ? t('certificatetool.signature_unchecked') : t(`certificatetool.csr_signature_${item.signatureValid}`);
+        }
+        if (item.issuerIndex < 0) {
+            return t('certificatetool.issuer_not_in_chain');
+        }
+        const issuer = item.issuerIndex === index ? t('certificatetool.self_signed') : `#${item.issuerIndex + 1}`;
+        if (item.signatureValid === null) {
+            return `${issuer} · ${t('certificatetool.signature_unchecked')}`;
+        }
+        return `${issuer} · ${t(`certificatetool.signature_${item.signatureValid}`)}`;
+    };
+
+    return (
+        <div className="w-full border rounded p-4 space-y-4">
+            <div className="flex items-center justify-between">
+                <h3 className="text-lg font-bold">{t('certificatetool.title')}</h3>
+                {certificateCount > 1 && (
+                    <span className="text-xs text-gray-500">{t('certificatetool.chain', { count: certificateCount })}</span>
+                )}
+            </div>
+
+            {notice && (
+                <div className={`text-sm p-2 rounded ${notice.type === 'success' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                    {notice.text}
+                </div>
+            )}
+
+            {parsed.items.map((item, index) => (
+                <div key={index} className="border rounded p-3 space-y-3">
+                    <div className="flex items-center justify-between gap-2">
+                        <div className="text-sm font-medium break-all">
+                            {parsed.items.length > 1 && <span className="text-gray-400 mr-1">#{index + 1}</span>}
+                            {CertUtils.getCommonName(item)}
+                            <span className="ml-2 text-xs bg-gray-200 px-2 py-0.5 rounded">{t(`certificatetool.kinds.${item.kind}`)}</span>
+                        </div>
+                        {item.kind === 'certificate' && (
+                            <span className={`text-xs px-2 py-1 rounded font-medium flex-shrink-0 ${STATUS_STYLES[item.status]}`}>
+                                {t(`certificatetool.status.${item.status}`, { days: item.daysRemaining })}
+                            </span>
+                        )}
+                    </div>
+
+                    <div className="space-y-1">
+                        <Field label={t('certificatetool.subject')}>{item.subject.text}</Field>
+                        {item.kind === 'certificate' && (
+                            <>
+                                <Field label={t('certificatetool.issuer')}>{item.issuer.text}</Field>
+                                <Field label={t('certificatetool.serial')}>{item.serialNumber}</Field>
+                                <Field label={t('certificatetool.not_before')}>{formatDate(item.notBefore)}</Field>
+                                <Field label={t('certificatetool.not_after')}>{formatDate(item.notAfter)}</Field>
+                            </>
+                        )}
+                        <Field label={t('certificatetool.public_key')}>
+                            {item.publicKey.type}
+                            {item.publicKey.bits ? ` ${item.publicKey.bits} bit` : ''}
+                            {item.publicKey.curve ? ` (${item.publicKey.curve})` : ''}
+                            {item.publicKey.exponent ? `, e=${item.publicKey.exponent}` : ''}
+                        </Field>
+                        <Field label={t('certificatetool.signature_algorithm')}>{item.signatureAlgorithm.name}</Field>
+                        <Field label={t('certificatetool.signature')}>{describeSignature(item, index)}</Field>
+                    </div>
+
+                    {item.subjectAltNames.length > 0 && (
+                        <div>
+                            <div className="text-xs font-medium text-gray-700 mb-1">{t('certificatetool.san')}</div>
+                            <div className="flex flex-wrap gap-1">
+                                {item.subjectAltNames.map(name => (
+                                    <span key={name} className="text-xs font-mono bg-blue-50 border border-blue-200 rounded px-1.5 py-0.5">{name}</span>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {item.extensions.length > 0 && (
+                        <div>
+                            <div className="text-xs font-medium text-gray-700 mb-1">{t('certificatetool.extensions')}</div>
+                            <div className="border rounded divide-y">
+                                {item.extensions.map(extension => (
+                                    <div key={extension.oid} className="p-1.5 text-xs">
+                                        <div className="font-medium">
+                                            {extension.name}
+                                            {extension.critical && <span className="ml-1 text-red-600">({t('certificatetool.critical')})</span>}
+                                        </div>
+                                        <div className="font-mono text-gray-600 break-all">
+                                            {extension.values.length > 0 ? extension.values.join('; ') : extension.hex}
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="space-y-1">
+                        <Field label="SHA-1">{item.fingerprints.sha1}</Field>
+                        <Field label="SHA-256">{item.fingerprints.sha256}</Field>
+                    </div>
+
+                    {CertUtils.canCreateKeyConfig(item) ? (
+                        <button
+                            onClick={() => createKeyConfig(item)}
+                            className="px-3 py-1 text-sm rounded bg-blue-500 text-white hover:bg-blue-600"
+                        >
+                            {t('certificatetool.create_config')}
+                        </button>
+                    ) : (
+                        <div className="text-xs text-gray-500">{t('certificatetool.config_unsupported', { type: item.publicKey.type })}</div>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -6,7 +6,7 @@ import { Label } from '@/components/ui/label';
 import { Textarea } from '@/components/ui/textarea';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { toast } from 'sonner';
-import { CipherUtils } from '../utils/cipherutils';
+import { CipherUtils, TrialDecryptor } from '../utils/cipherutils';
 import { useTranslation } from '../utils/i18n';
 
 /**
@@ -25,6 +25,8 @@ export default function CipherTestComponent({
   const [decryptResult, setDecryptResult] = useState('');
   const [testConfig, setTestConfig] = useState(selectedConfig?.name || (configs[0]?.name || ''));
   const [isTesting, setIsTesting] = useState(false);
+  // 配置了秘钥派生时，最近一次加解密派生出的盐、密钥与 IV
+  const [derived, setDerived] = useState(null);
 
   // 获取当前选中的配置
   const getCurrentConfig = useCallback(() => {
@@ -49,7 +51,7 @@ export default function CipherTestComponent({
     try {
       // 检查模式支持
       const mode = config.mode || config.algorithm?.split('/')[1] || 'CBC';
-      const supportedModes = ['CBC', 'ECB', 'CFB', 'OFB', 'CTR'];
+      const supportedModes = ['CBC', 'ECB', 'CFB', 'OFB', 'CTR', 'GCM', 'CCM'];
       
       if (!supportedModes.includes(mode.toUpperCase())) {
         throw new Error(t('ciphertest.messages.unsupported_mode', { 
@@ -61,8 +63,10 @@ export default function CipherTestComponent({
       
       // 适配配置格式
       const adaptedConfig = adaptConfigForCipher(config);
-      const result = CipherUtils.encrypt(testText, adaptedConfig);
+      const context = { keyConfigs: configs };
+      const result = CipherUtils.encrypt(testText, adaptedConfig, context);
       setEncryptResult(result);
+      setDerived(context.derived || null);
       toast.success(t('ciphertest.messages.encrypt_success'));
       
       // 如果已经有解密结果，重新验证一致性
@@ -96,7 +100,7 @@ export default function CipherTestComponent({
     try {
       // 检查模式支持
       const mode = config.mode || config.algorithm?.split('/')[1] || 'CBC';
-      const supportedModes = ['CBC', 'ECB', 'CFB', 'OFB', 'CTR'];
+      const supportedModes = ['CBC', 'ECB', 'CFB', 'OFB', 'CTR', 'GCM', 'CCM'];
       
       if (!supportedModes.includes(mode.toUpperCase())) {
         throw new Error(t('ciphertest.messages.unsupported_mode', { 
@@ -109,8 +113,10 @@ export default function CipherTestComponent({
       // 适配配置格式
       const adaptedConfig = adaptConfigForCipher(config);
       // 使用 testText 作为密文进行解密
-      const result = CipherUtils.decrypt(testText, adaptedConfig);
+      const context = { keyConfigs: configs };
+      const result = CipherUtils.decrypt(testText, adaptedConfig, context);
       setDecryptResult(result);
+      setDerived(context.derived || null);
       
       // 解密成功提示
       toast.success(t('ciphertest.messages.decrypt_success'));
@@ -140,7 +146,7 @@ export default function CipherTestComponent({
     try {
       // 检查模式支持
       const mode = config.mode || config.algorithm?.split('/')[1] || 'CBC';
-      const supportedModes = ['CBC', 'ECB', 'CFB', 'OFB', 'CTR'];
+      const supportedModes = ['CBC', 'ECB', 'CFB', 'OFB', 'CTR', 'GCM', 'CCM'];
       
       if (!supportedModes.includes(mode.toUpperCase())) {
         throw new Error(t('ciphertest.messages.unsupported_mode', { 
@@ -153,13 +159,16 @@ export default function CipherTestComponent({
       // 适配配置格式
       const adaptedConfig = adaptConfigForCipher(config);
       
-      // 加密
-      const encrypted = CipherUtils.encrypt(testText, adaptedConfig);
+      // 加密（tag 单独输出的 GCM/CCM 配置会把 tag 写入 context，信封配置放在请求头中的部分写入 outputHeaders，解密时原样带回）
+      const context = { keyConfigs: configs };
+      const encrypted = CipherUtils.encrypt(testText, adaptedConfig, context);
+      context.headers = context.outputHeaders;
       setEncryptResult(encrypted);
       
       // 解密
-      const decrypted = CipherUtils.decrypt(encrypted, adaptedConfig);
+      const decrypted = CipherUtils.decrypt(encrypted, adaptedConfig, context);
       setDecryptResult(decrypted);
+      setDerived(context.derived || null);
       
       // 验证结果 - 使用更宽松的比较方式
       const isMatch = normalizeString(decrypted) === normalizeString(testText);
@@ -256,8 +265,10 @@ export default function CipherTestComponent({
     
     for (const testCase of edgeCases) {
       try {
-        const encrypted = CipherUtils.encrypt(testCase, adaptedConfig);
-        const decrypted = CipherUtils.decrypt(encrypted, adaptedConfig);
+        const context = { keyConfigs: configs };
+        const encrypted = CipherUtils.encrypt(testCase, adaptedConfig, context);
+        context.headers = context.outputHeaders;
+        const decrypted = CipherUtils.decrypt(encrypted, adaptedConfig, context);
         const isMatch = normalizeString(decrypted) === normalizeString(testCase);
         
         results.push({
@@ -296,6 +307,7 @@ export default function CipherTestComponent({
   const handleClear = () => {
     setEncryptResult('');
     setDecryptResult('');
+    setDerived(null);
   };
 
   // 配置发生变化时更新测试配置
@@ -360,16 +372,17 @@ export default function CipherTestComponent({
                   <div>{t('ciphertest.algorithm')}: {currentConfig.algorithm || t('keyconfigmanager.messages.loading')}</div>
                   <div>{t('ciphertest.plaintext_encoding')}: {currentConfig.plainEncoding?.join(',') || 'UTF8'}</div>
                   <div>{t('ciphertest.ciphertext_encoding')}: {currentConfig.cipherEncoding?.join(',') || 'BASE64'}</div>
-                  {currentConfig.algorithmType !== 'RSA' && (
+                  {/* RSA/SM2 与 ChaCha 系列没有模式 */}
+                  {(currentConfig.mode || currentConfig.algorithm?.includes('/')) && (
                     <div>
                       {t('ciphertest.mode')}: {currentConfig.mode || currentConfig.algorithm?.split('/')[1] || 'CBC'}
                       {currentConfig.padding && ` / ${currentConfig.padding}`}
                     </div>
                   )}
-                  {/* GCM 模式特殊提示 */}
-                  {((currentConfig.mode || currentConfig.algorithm?.split('/')[1] || '').toUpperCase() === 'GCM') && (
+                  {/* 带认证的模式（GCM/CCM/ChaCha20-Poly1305）特殊提示 */}
+                  {TrialDecryptor.isAuthenticated(currentConfig) && (
                     <div className="mt-2 p-2 bg-yellow-100 text-yellow-800 rounded text-xs">
-                      {t('ciphertest.gcm_warning')}
+                      {t('ciphertest.aead_warning')}
                     </div>
                   )}
                   {/* 调试信息 */}
@@ -387,7 +400,10 @@ export default function CipherTestComponent({
   privateKey: typeof currentConfig.privateKey === 'string' ? 
     `${currentConfig.privateKey.substring(0, 50)}...` : currentConfig.privateKey,
   key: currentConfig.key,
-  iv: currentConfig.iv
+  iv: currentConfig.iv,
+  aead: currentConfig.aead,
+  rsa: currentConfig.rsa,
+  kdf: currentConfig.kdf
 }, null, 2)}
                     </pre>
                   </details>
@@ -514,6 +530,16 @@ export default function CipherTestComponent({
             </div>
           </div>
 
+          {/* 派生的秘钥材料 */}
+          {derived && (
+            <div className="text-sm p-3 rounded bg-muted space-y-1 flex-shrink-0">
+              <div className="font-medium">{t('ciphertest.derived_title', { algorithm: derived.algorithm })}</div>
+              <div className="font-mono text-xs break-all">{t('ciphertest.derived_salt')}: {derived.salt || '-'}</div>
+              <div className="font-mono text-xs break-all">{t('ciphertest.derived_key')}: {derived.key}</div>
+              {derived.iv && <div className="font-mono text-xs break-all">{t('ciphertest.derived_iv')}: {derived.iv}</div>}
+            </div>
+          )}
+
           {/* 测试统计信息 */}
           {encryptResult && (
             <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm flex-shrink-0">
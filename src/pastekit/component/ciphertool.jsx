@@ -4,13 +4,22 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
 import { Button } from '@/components/ui/button';
 
 // 支持的算法/模式/填充
-const ALGORITHMS = ['AES', 'SM2', 'SM4', 'RSA'];
-// 扩展 AES/SM4 常见模式（注意：CryptoJS 不支持 GCM 模式）
+const ALGORITHMS = ['AES', 'SM2', 'SM4', 'RSA', 'EC', 'Ed25519', 'ChaCha20-Poly1305', 'XChaCha20-Poly1305', 'Envelope'];
+// 只显示算法选择的类型：非对称算法（EC / Ed25519 只用于签名）与信封
+const ALGORITHM_ONLY = new Set(['RSA', 'SM2', 'EC', 'Ed25519', 'Envelope']);
+// 只能作为报文体的对称算法（信封配置中选择报文算法时使用）
+export const SYMMETRIC_ALGORITHMS = ['AES', 'SM4', 'ChaCha20-Poly1305', 'XChaCha20-Poly1305'];
+// 扩展 AES/SM4 常见模式（GCM/CCM 由 utils/cipher/aeadmodes.js 实现，SM4 复用其中的 GCM，不支持 CCM）
 const MODE_MAP = {
-  AES: ['CBC', 'ECB', 'CFB', 'OFB', 'CTR'],
+  AES: ['CBC', 'ECB', 'CFB', 'OFB', 'CTR', 'GCM', 'CCM'],
   SM2: [],
-  SM4: ['CBC', 'ECB', 'CFB', 'OFB', 'CTR'],
-  RSA: []
+  SM4: ['CBC', 'ECB', 'CFB', 'OFB', 'CTR', 'GCM'],
+  RSA: [],
+  EC: [],
+  Ed25519: [],
+  'ChaCha20-Poly1305': [],
+  'XChaCha20-Poly1305': [],
+  Envelope: []
 };
 // 仅对需要填充的模式显示填充选项（例如 CBC/ECB 需要填充，GCM/CTR/CFB/OFB 不需要）
 const NEED_PADDING_MODES = new Set(['CBC', 'ECB']);
@@ -26,13 +35,13 @@ function parseCombined(combined) {
   };
 }
 
-export default function CipherTool({ initialValue = {}, onSave, onCancel, onChange }) {
+export default function CipherTool({ initialValue = {}, onSave, onCancel, onChange, algorithms = ALGORITHMS }) {
   const parsed = typeof initialValue.algorithm === 'string' && initialValue.algorithm.includes('/')
     ? parseCombined(initialValue.algorithm)
     : { algorithm: initialValue.algorithm || '', model: initialValue.model || '', padding: initialValue.padding || '' };
 
-  const [algorithm, setAlgorithm] = useState(parsed.algorithm || ALGORITHMS[0]);
-  const [model, setModel] = useState(parsed.model || (MODE_MAP[parsed.algorithm || ALGORITHMS[0]]?.[0] || ''));
+  const [algorithm, setAlgorithm] = useState(parsed.algorithm || algorithms[0]);
+  const [model, setModel] = useState(parsed.model || (MODE_MAP[parsed.algorithm || algorithms[0]]?.[0] || ''));
   const [padding, setPadding] = useState(parsed.padding || PADDINGS[0]);
 
   // 用 ref 记录是否正在从外部 initialValue 同步（避免无限循环）
@@ -80,9 +89,8 @@ export default function CipherTool({ initialValue = {}, onSave, onCancel, onChan
     if (modes.length > 0 && !modes.includes(model)) setModel(modes[0]);
     if (modes.length === 0) setModel('');
     
-    // 对于非对称算法(SM2/RSA)，清除padding
-    const isAsymmetric = algorithm === 'RSA' || algorithm === 'SM2';
-    if (isAsymmetric) {
+    // 对于非对称算法(SM2/RSA/EC/Ed25519)和信封，清除padding
+    if (ALGORITHM_ONLY.has(algorithm)) {
       setPadding('');
     }
   }, [algorithm]);
@@ -99,12 +107,13 @@ export default function CipherTool({ initialValue = {}, onSave, onCancel, onChan
   }, [model]);
 
   const modelRequiresPadding = NEED_PADDING_MODES.has(model);
-  const isAsymmetric = algorithm === 'RSA' || algorithm === 'SM2';
+  // 信封的报文算法在信封设置中单独选择，这里和非对称算法一样只显示算法
+  const isAsymmetric = ALGORITHM_ONLY.has(algorithm);
   const gridColsClass = !isAsymmetric && modelRequiresPadding ? 'grid-cols-3' : 'grid-cols-2';
 
   return (
     <div className="space-y-3 w-full">
-      {/* 非对称算法(RSA/SM2): 仅显示算法选择 */}
+      {/* 非对称算法(RSA/SM2/EC/Ed25519)与信封: 仅显示算法选择 */}
       {isAsymmetric ? (
         <div className="grid grid-cols-1 gap-4">
           <div>
@@ -114,7 +123,7 @@ export default function CipherTool({ initialValue = {}, onSave, onCancel, onChan
                 <SelectValue />
               </SelectTrigger>
               <SelectContent>
-                {ALGORITHMS.map(a => (
+                {algorithms.map(a => (
                   <SelectItem key={a} value={a}>{a}</SelectItem>
                 ))}
               </SelectContent>
@@ -132,7 +141,7 @@ export default function CipherTool({ initialValue = {}, onSave, onCancel, onChan
                   <SelectValue />
                 </SelectTrigger>
                 <SelectContent>
-                  {ALGORITHMS.map(a => (
+                  {algorithms.map(a => (
                     <SelectItem key={a} value={a}>{a}</SelectItem>
                   ))}
                 </SelectContent>
@@ -6,14 +6,16 @@ import { Textarea } from '@/components/ui/textarea';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Separator } from '@/components/ui/separator';
 import { toast } from 'sonner';
-import CipherTool from './ciphertool';
+import CipherTool, { SYMMETRIC_ALGORITHMS } from './ciphertool';
+import KeyExportPanel from './keyexportpanel';
 import { useTranslation } from '../utils/i18n';
 import { 
   normalizeConfig, 
   validateRequiredFields,
   ConfigManager,
   generateRSAKeys,
-  generateSM2Keys
+  generateSM2Keys,
+  generateSigningKeys
 } from '../utils/keyconfigutils';
 import { 
   ENCODING_OPTIONS,
@@ -28,6 +30,20 @@ import {
   addCipherEncoding,
   removeCipherEncoding
 } from '../utils/encodinghandlers';
+import { AEAD_MODES, AEAD_TAG_LENGTH_OPTIONS, CHACHA_ALGORITHMS, SIGNING_ONLY_ALGORITHMS } from '../utils/keyconfigconstants';
+import { EC_CURVES } from '../utils/cipher/ecdsa';
+import { CHACHA_NONCE_LENGTHS } from '../utils/cipher/chachacipher';
+import { RSACipher, RSA_PADDINGS, RSA_ENCRYPT_KEYS, RSA_HASHES, DEFAULT_RSA_OPTIONS } from '../utils/cipher/rsacipher';
+import { SM2_CIPHER_ORDERS, SM2_CIPHER_FORMATS, DEFAULT_SM2_OPTIONS } from '../utils/cipher/sm2cipher';
+import {
+  EnvelopeCipher,
+  ENVELOPE_KEY_SOURCES,
+  ENVELOPE_IV_SOURCES,
+  ENVELOPE_DATA_SOURCES,
+  SESSION_KEY_ENCODINGS
+} from '../utils/cipher/envelopecipher';
+import { KeyDerivation, KDF_ALGORITHMS, KDF_DIGESTS, KDF_SALT_SOURCES } from '../utils/cipher/keyderivation';
+import { KeyMaterial, BLOCK_IV_LENGTH } from '../utils/cipher/keymaterial';
 
 /**
  * 配置编辑器主组件
@@ -37,7 +53,8 @@ export default function ConfigEditor({
   onSave, 
   onDelete, 
   showGenerateButton = true,
-  onCancel 
+  onCancel,
+  configs = []
 }) {
   const [t] = useTranslation();
   const normalizedConfig = normalizeConfig(config);
@@ -57,9 +74,16 @@ export default function ConfigEditor({
     onDelete(config.name);
   };
 
-  const handleGenerateKeys = async () => {
+  const handleGenerateKeys = async (curve) => {
     try {
-      if (config.algorithmType === 'SM2') {
+      if (SIGNING_ONLY_ALGORITHMS.has((editedConfig.algorithmType || '').toUpperCase())) {
+        await generateSigningKeys(editedConfig.algorithmType, (keyPairData) => {
+          setEditedConfig(prev => ({
+            ...prev,
+            ...keyPairData
+          }));
+        }, curve);
+      } else if (config.algorithmType === 'SM2') {
         // 生成SM2密钥对
         await generateSM2Keys((keyPairData) => {
           console.log('SM2密钥生成完成，keyPairData:', keyPairData);
@@ -101,6 +125,7 @@ export default function ConfigEditor({
         onUpdateConfig={setEditedConfig}
         showGenerateButton={showGenerateButton}
         onGenerateKeys={handleGenerateKeys}
+        configs={configs}
         t={t}
       />
 
@@ -180,14 +205,42 @@ function BasicConfigEditor({ config, onUpdateConfig, t }) {
 /**
  * 密钥配置编辑器
  */
-function KeyConfigEditor({ config, onUpdateConfig, showGenerateButton, onGenerateKeys, t }) {
+function KeyConfigEditor({ config, onUpdateConfig, showGenerateButton, onGenerateKeys, configs, t }) {
+  if (EnvelopeCipher.supports(config)) {
+    const [algorithmType, mode = ''] = EnvelopeCipher.getOptions(config).bodyAlgorithm.split('/');
+    // AEAD 设置作用于报文体的算法
+    const bodyConfig = { ...config, algorithmType, mode };
+    return (
+      <div className="space-y-4">
+        <div className="pb-2 border-b">
+          <h3 className="text-lg font-semibold">{t('keyconfigmanager.key_config')}</h3>
+        </div>
+
+        <EnvelopeOptionsEditor
+          config={config}
+          onUpdateConfig={onUpdateConfig}
+          configs={configs}
+          t={t}
+        />
+
+        {(AEAD_MODES.has(mode.toUpperCase()) || CHACHA_ALGORITHMS.has(algorithmType.toUpperCase())) && (
+          <AeadOptionsEditor
+            config={bodyConfig}
+            onUpdateConfig={onUpdateConfig}
+            t={t}
+          />
+        )}
+      </div>
+    );
+  }
+
   return (
     <div className="space-y-4">
       <div className="pb-2 border-b">
         <h3 className="text-lg font-semibold">{t('keyconfigmanager.key_config')}</h3>
       </div>
       
-      {config.algorithmType === 'RSA' || config.algorithmType === 'SM2' ? (
+      {config.algorithmType === 'RSA' || config.algorithmType === 'SM2' || SIGNING_ONLY_ALGORITHMS.has((config.algorithmType || '').toUpperCase()) ? (
         <AsymmetricModeEditor 
           config={config}
           onUpdateConfig={onUpdateConfig}
@@ -196,7 +249,38 @@ function KeyConfigEditor({ config, onUpdateConfig, showGenerateButton, onGenerat
           t={t}
         />
       ) : (
-        <SymmetricModeEditor 
+        <>
+          <SymmetricModeEditor 
+            config={config}
+            onUpdateConfig={onUpdateConfig}
+            t={t}
+          />
+          <KdfOptionsEditor
+            config={config}
+            onUpdateConfig={onUpdateConfig}
+            t={t}
+          />
+        </>
+      )}
+
+      {config.algorithmType === 'RSA' && (
+        <RsaOptionsEditor
+          config={config}
+          onUpdateConfig={onUpdateConfig}
+          t={t}
+        />
+      )}
+
+      {config.algorithmType === 'SM2' && (
+        <Sm2OptionsEditor
+          config={config}
+          onUpdateConfig={onUpdateConfig}
+          t={t}
+        />
+      )}
+
+      {(AEAD_MODES.has((config.mode || '').toUpperCase()) || CHACHA_ALGORITHMS.has((config.algorithmType || '').toUpperCase())) && (
+        <AeadOptionsEditor
           config={config}
           onUpdateConfig={onUpdateConfig}
           t={t}
@@ -206,10 +290,737 @@ function KeyConfigEditor({ config, onUpdateConfig, showGenerateButton, onGenerat
   );
 }
 
+/**
+ * GCM/CCM/ChaCha20-Poly1305 的 nonce、tag 与 AAD 设置
+ * ChaCha 系列的 nonce 与 tag 长度由算法决定，只展示不可编辑
+ */
+function AeadOptionsEditor({ config, onUpdateConfig, t }) {
+  const algorithm = (config.algorithmType || '').toUpperCase();
+  const isChaCha = CHACHA_ALGORITHMS.has(algorithm);
+  const mode = isChaCha ? algorithm : config.mode.toUpperCase();
+  const aead = isChaCha
+    ? { ...config.aead, nonceLength: CHACHA_NONCE_LENGTHS[algorithm], tagLength: 16 }
+    : config.aead;
+
+  const updateAead = (changes) => {
+    onUpdateConfig(prev => ({
+      ...prev,
+      aead: {
+        ...prev.aead,
+        ...changes
+      }
+    }));
+  };
+
+  // 密文拼接顺序示意，例如 nonce ‖ ciphertext ‖ tag
+  const layout = [
+    aead.noncePosition === 'prepend' && `nonce(${aead.nonceLength})`,
+    aead.tagPosition === 'prepend' && `tag(${aead.tagLength})`,
+    'ciphertext',
+    aead.tagPosition === 'append' && `tag(${aead.tagLength})`
+  ].filter(Boolean).join(' ‖ ');
+
+  return (
+    <div className="space-y-3 p-3 border rounded-lg">
+      <h4 className="font-medium">{t('keyconfigmanager.aead.title', { mode: isChaCha ? config.algorithmType : mode })}</h4>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <Label>{t('keyconfigmanager.aead.nonce_position')}</Label>
+          <Select value={aead.noncePosition} onValueChange={(value) => updateAead({ noncePosition: value })}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="prepend">{t('keyconfigmanager.aead.nonce_positions.prepend')}</SelectItem>
+              <SelectItem value="iv">{t('keyconfigmanager.aead.nonce_positions.iv')}</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+
+        {aead.noncePosition === 'prepend' && !isChaCha && (
+          <div>
+            <Label>{t('keyconfigmanager.aead.nonce_length')}</Label>
+            <Input
+              type="number"
+              min={mode === 'CCM' ? 7 : 8}
+              max={mode === 'CCM' ? 13 : 16}
+              value={aead.nonceLength}
+              onChange={(e) => updateAead({ nonceLength: Number(e.target.value) })}
+            />
+          </div>
+        )}
+      </div>
+
+      {isChaCha && (
+        <div className="text-xs text-muted-foreground">
+          {t('keyconfigmanager.aead.fixed_lengths', { nonce: aead.nonceLength, tag: aead.tagLength })}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-4">
+        {!isChaCha && (
+          <div>
+            <Label>{t('keyconfigmanager.aead.tag_length')}</Label>
+            <Select value={String(aead.tagLength)} onValueChange={(value) => updateAead({ tagLength: Number(value) })}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {AEAD_TAG_LENGTH_OPTIONS[mode].map(length => (
+                  <SelectItem key={length} value={String(length)}>
+                    {t('keyconfigmanager.aead.bytes', { count: length })}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+
+        <div>
+          <Label>{t('keyconfigmanager.aead.tag_position')}</Label>
+          <Select value={aead.tagPosition} onValueChange={(value) => updateAead({ tagPosition: value })}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {['append', 'prepend', 'header'].map(position => (
+                <SelectItem key={position} value={position}>
+                  {t(`keyconfigmanager.aead.tag_positions.${position}`)}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {aead.tagPosition === 'header' && (
+        <div>
+          <Label>{t('keyconfigmanager.aead.tag_header')}</Label>
+          <Input
+            value={aead.tagHeader}
+            onChange={(e) => updateAead({ tagHeader: e.target.value })}
+            placeholder="X-Auth-Tag"
+          />
+        </div>
+      )}
+
+      <div>
+        <Label>{t('keyconfigmanager.aead.aad_source')}</Label>
+        <Select value={aead.aadSource} onValueChange={(value) => updateAead({ aadSource: value })}>
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {['none', 'static', 'header'].map(source => (
+              <SelectItem key={source} value={source}>
+                {t(`keyconfigmanager.aead.aad_sources.${source}`)}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {aead.aadSource === 'static' && (
+        <div className="flex gap-2">
+          <Input
+            value={aead.aad?.value || ''}
+            onChange={(e) => updateAead({ aad: { ...aead.aad, value: e.target.value } })}
+            placeholder={t('keyconfigmanager.aead.aad_value')}
+            className="flex-1"
+          />
+          <Select
+            value={aead.aad?.encoding?.[0] || 'UTF8'}
+            onValueChange={(value) => updateAead({ aad: { ...aead.aad, encoding: [value] } })}
+          >
+            <SelectTrigger className="w-32">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {ENCODING_OPTIONS.map(option => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      )}
+
+      {aead.aadSource === 'header' && (
+        <Input
+          value={aead.aadHeader}
+          onChange={(e) => updateAead({ aadHeader: e.target.value })}
+          placeholder={t('keyconfigmanager.aead.aad_header')}
+        />
+      )}
+
+      <div className="text-xs text-muted-foreground font-mono">
+        {t('keyconfigmanager.aead.layout', { layout })}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * SM2 的密文顺序、C1 的 04 前缀与 ASN.1 格式设置
+ */
+function Sm2OptionsEditor({ config, onUpdateConfig, t }) {
+  const sm2 = { ...DEFAULT_SM2_OPTIONS, ...config.sm2 };
+  const isAsn1 = sm2.format === 'asn1';
+
+  const updateSm2 = (changes) => {
+    onUpdateConfig(prev => ({
+      ...prev,
+      sm2: {
+        ...DEFAULT_SM2_OPTIONS,
+        ...prev.sm2,
+        ...changes
+      }
+    }));
+  };
+
+  // ASN.1 中 C1 为两个整数，没有 04 前缀
+  const updateFormat = (value) => {
+    updateSm2(value === 'asn1' ? { format: value, pointPrefix: false } : { format: value });
+  };
+
+  return (
+    <div className="space-y-3 p-3 border rounded-lg">
+      <h4 className="font-medium">{t('keyconfigmanager.sm2.title')}</h4>
+
+      <div className="grid grid-cols-3 gap-4">
+        <div>
+          <Label>{t('keyconfigmanager.sm2.order')}</Label>
+          <Select value={sm2.order} onValueChange={(value) => updateSm2({ order: value })}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {SM2_CIPHER_ORDERS.map(order => (
+                <SelectItem key={order} value={order}>{order}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        <div>
+          <Label>{t('keyconfigmanager.sm2.format')}</Label>
+          <Select value={sm2.format} onValueChange={updateFormat}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {SM2_CIPHER_FORMATS.map(format => (
+                <SelectItem key={format} value={format}>
+                  {t(`keyconfigmanager.sm2.formats.${format}`)}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        <div>
+          <Label>{t('keyconfigmanager.sm2.point_prefix')}</Label>
+          <Select
+            value={sm2.pointPrefix ? 'with' : 'without'}
+            onValueChange={(value) => updateSm2({ pointPrefix: value === 'with' })}
+            disabled={isAsn1}
+          >
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {['without', 'with'].map(option => (
+                <SelectItem key={option} value={option}>
+                  {t(`keyconfigmanager.sm2.point_prefix_options.${option}`)}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      <div className="text-xs text-muted-foreground space-y-1">
+        <div>{t(isAsn1 ? 'keyconfigmanager.sm2.asn1_hint' : 'keyconfigmanager.sm2.raw_hint')}</div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * RSA 的填充、OAEP 摘要与加密方向设置
+ */
+function RsaOptionsEditor({ config, onUpdateConfig, t }) {
+  const rsa = { ...DEFAULT_RSA_OPTIONS, ...config.rsa };
+  const isOaep = rsa.padding === 'OAEP';
+
+  const updateRsa = (changes) => {
+    onUpdateConfig(prev => ({
+      ...prev,
+      rsa: {
+        ...DEFAULT_RSA_OPTIONS,
+        ...prev.rsa,
+        ...changes
+      }
+    }));
+  };
+
+  // OAEP 只能配合公钥加密
+  const updateEncryptWith = (value) => {
+    updateRsa(value === 'private' ? { encryptWith: value, padding: 'PKCS1' } : { encryptWith: value });
+  };
+
+  const renderHashSelect = (value, onChange) => (
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger>
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {RSA_HASHES.map(hash => (
+          <SelectItem key={hash} value={hash}>{hash}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+
+  return (
+    <div className="space-y-3 p-3 border rounded-lg">
+      <h4 className="font-medium">{t('keyconfigmanager.rsa.title')}</h4>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <Label>{t('keyconfigmanager.rsa.encrypt_with')}</Label>
+          <Select value={rsa.encryptWith} onValueChange={updateEncryptWith}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {RSA_ENCRYPT_KEYS.map(key => (
+                <SelectItem key={key} value={key}>
+                  {t(`keyconfigmanager.rsa.encrypt_with_options.${key}`)}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        <div>
+          <Label>{t('keyconfigmanager.padding')}</Label>
+          <Select value={rsa.padding} onValueChange={(value) => updateRsa({ padding: value })}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {RSA_PADDINGS.map(padding => (
+                <SelectItem key={padding} value={padding} disabled={padding === 'OAEP' && rsa.encryptWith === 'private'}>
+                  {t(`keyconfigmanager.rsa.paddings.${padding}`)}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {isOaep && (
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <Label>{t('keyconfigmanager.rsa.oaep_hash')}</Label>
+            {renderHashSelect(rsa.oaepHash, (value) => updateRsa({ oaepHash: value }))}
+          </div>
+          <div>
+            <Label>{t('keyconfigmanager.rsa.mgf1_hash')}</Label>
+            {renderHashSelect(rsa.mgf1Hash, (value) => updateRsa({ mgf1Hash: value }))}
+          </div>
+        </div>
+      )}
+
+      <div className="text-xs text-muted-foreground space-y-1">
+        <div className="font-mono">{t('keyconfigmanager.rsa.java', { transformation: RSACipher.toJavaTransformation(rsa) })}</div>
+        {isOaep && rsa.mgf1Hash !== 'SHA-1' && <div>{t('keyconfigmanager.rsa.java_mgf1_note')}</div>}
+        <div>{t('keyconfigmanager.rsa.chunking')}</div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * 信封（混合加密）设置：包装会话密钥的配置、报文算法，以及会话密钥 / IV / 报文密文各自的位置
+ */
+function EnvelopeOptionsEditor({ config, onUpdateConfig, configs, t }) {
+  const envelope = EnvelopeCipher.getOptions(config);
+  const keyConfigs = configs.filter(c => c.name !== config.name && ['RSA', 'SM2'].includes((c.algorithmType || '').toUpperCase()));
+  const sources = [envelope.key.source, envelope.iv.source, envelope.data.source];
+
+  const updateEnvelope = (changes) => {
+    onUpdateConfig(prev => ({
+      ...prev,
+      envelope: {
+        ...EnvelopeCipher.getOptions(prev),
+        ...changes
+      }
+    }));
+  };
+
+  const updateLocation = (part, changes) => {
+    onUpdateConfig(prev => {
+      const current = EnvelopeCipher.getOptions(prev);
+      return {
+        ...prev,
+        envelope: {
+          ...current,
+          [part]: { ...current[part], ...changes }
+        }
+      };
+    });
+  };
+
+  const renderSelect = (value, options, onChange, label) => (
+    <Select value={String(value)} onValueChange={onChange}>
+      <SelectTrigger>
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {options.map(option => (
+          <SelectItem key={option} value={String(option)}>{label(option)}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+
+  // 单个部分的位置：来源 + JSON 路径 / 请求头 / 字节偏移与长度
+  const renderLocation = (part, sourceOptions) => {
+    const location = envelope[part];
+    return (
+      <div className="grid grid-cols-3 gap-2 items-end">
+        <div>
+          <Label>{t(`keyconfigmanager.envelope.parts.${part}`)}</Label>
+          {renderSelect(location.source, sourceOptions, (value) => updateLocation(part, { source: value }), (source) => t(`keyconfigmanager.envelope.sources.${source}`))}
+        </div>
+        {location.source === 'json' && (
+          <Input
+            className="col-span-2 font-mono"
+            value={location.path}
+            onChange={(e) => updateLocation(part, { path: e.target.value })}
+            placeholder={t('keyconfigmanager.envelope.path')}
+          />
+        )}
+        {location.source === 'header' && (
+          <Input
+            className="col-span-2"
+            value={location.header}
+            onChange={(e) => updateLocation(part, { header: e.target.value })}
+            placeholder={t('keyconfigmanager.envelope.header')}
+          />
+        )}
+        {location.source === 'bytes' && (
+          <>
+            <Input
+              type="number"
+              min={0}
+              value={location.offset}
+              onChange={(e) => updateLocation(part, { offset: Number(e.target.value) })}
+              placeholder={t('keyconfigmanager.envelope.offset')}
+            />
+            <Input
+              type="number"
+              min={0}
+              value={location.length ?? ''}
+              onChange={(e) => updateLocation(part, { length: e.target.value === '' ? undefined : Number(e.target.value) })}
+              placeholder={t('keyconfigmanager.envelope.length')}
+            />
+          </>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-3 p-3 border rounded-lg">
+      <h4 className="font-medium">{t('keyconfigmanager.envelope.title')}</h4>
+
+      <div>
+        <Label>{t('keyconfigmanager.envelope.key_config')} *</Label>
+        {keyConfigs.length > 0 ? (
+          <Select value={envelope.keyConfig} onValueChange={(value) => updateEnvelope({ keyConfig: value })}>
+            <SelectTrigger>
+              <SelectValue placeholder={t('keyconfigmanager.envelope.key_config_placeholder')} />
+            </SelectTrigger>
+            <SelectContent>
+              {keyConfigs.map(c => (
+                <SelectItem key={c.name} value={c.name}>{c.name} ({c.algorithmType})</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        ) : (
+          <div className="p-2 rounded border text-sm text-muted-foreground">{t('keyconfigmanager.envelope.no_key_configs')}</div>
+        )}
+      </div>
+
+      <div>
+        <Label>{t('keyconfigmanager.envelope.body_algorithm')}</Label>
+        <CipherTool
+          algorithms={SYMMETRIC_ALGORITHMS}
+          initialValue={{ algorithm: envelope.bodyAlgorithm }}
+          onChange={(merged) => updateEnvelope({ bodyAlgorithm: merged.combined })}
+          onCancel={() => {}}
+        />
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <Label>{t('keyconfigmanager.envelope.session_key_length')}</Label>
+          {renderSelect(envelope.sessionKeyLength, [16, 24, 32], (value) => updateEnvelope({ sessionKeyLength: Number(value) }), (length) => t('keyconfigmanager.aead.bytes', { count: length }))}
+        </div>
+        <div>
+          <Label>{t('keyconfigmanager.envelope.session_key_encoding')}</Label>
+          {renderSelect(envelope.sessionKeyEncoding, SESSION_KEY_ENCODINGS, (value) => updateEnvelope({ sessionKeyEncoding: value }), (encoding) => ENCODING_OPTIONS.find(option => option.value === encoding)?.label || encoding)}
+        </div>
+      </div>
+
+      {renderLocation('key', ENVELOPE_KEY_SOURCES)}
+      {renderLocation('iv', ENVELOPE_IV_SOURCES)}
+      {['json', 'header'].includes(envelope.iv.source) && (
+        <div>
+          <Label>{t('keyconfigmanager.envelope.iv_encoding')}</Label>
+          {renderSelect(envelope.iv.encoding, SESSION_KEY_ENCODINGS, (value) => updateLocation('iv', { encoding: value }), (encoding) => ENCODING_OPTIONS.find(option => option.value === encoding)?.label || encoding)}
+        </div>
+      )}
+      {envelope.iv.source === 'config' && (
+        <div className="flex gap-2">
+          <Input
+            value={config.iv?.value || ''}
+            onChange={(e) => updateIvValue(onUpdateConfig, e.target.value)}
+            placeholder={t('keyconfigmanager.iv')}
+            className="flex-1"
+          />
+          <Select value={config.iv?.encoding?.[0] || 'UTF8'} onValueChange={(value) => updateIvEncoding(onUpdateConfig, value)}>
+            <SelectTrigger className="w-32">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {ENCODING_OPTIONS.map(option => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      )}
+      {renderLocation('data', ENVELOPE_DATA_SOURCES)}
+
+      {sources.includes('bytes') && (
+        <div>
+          <Label>{t('keyconfigmanager.envelope.bytes_encoding')}</Label>
+          {renderSelect(envelope.bytesEncoding, ['BASE64', 'HEX'], (value) => updateEnvelope({ bytesEncoding: value }), (encoding) => ENCODING_OPTIONS.find(option => option.value === encoding)?.label || encoding)}
+        </div>
+      )}
+
+      <div className="text-xs text-muted-foreground space-y-1">
+        <div>{t('keyconfigmanager.envelope.hint')}</div>
+        <div>{t('keyconfigmanager.envelope.replay')}</div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * 秘钥派生设置：启用后上方的密钥作为口令，运行时派生出密钥（和 IV）
+ */
+function KdfOptionsEditor({ config, onUpdateConfig, t }) {
+  const kdf = KeyDerivation.getOptions(config);
+  const enabled = kdf.algorithm !== 'none';
+
+  const updateKdf = (changes) => {
+    onUpdateConfig(prev => ({
+      ...prev,
+      kdf: {
+        ...KeyDerivation.getOptions(prev),
+        ...changes
+      }
+    }));
+  };
+
+  const updateSalt = (changes) => {
+    onUpdateConfig(prev => {
+      const current = KeyDerivation.getOptions(prev);
+      return { ...prev, kdf: { ...current, salt: { ...current.salt, ...changes } } };
+    });
+  };
+
+  // 选择 OpenSSL 的 EVP_BytesToKey 时按 openssl enc 的默认值填充
+  const updateAlgorithm = (value) => {
+    if (value === 'EVP_BytesToKey') {
+      updateKdf({ algorithm: value, iterations: 1, ivLength: 16, salt: { ...kdf.salt, source: 'openssl' } });
+    } else {
+      updateKdf({ algorithm: value });
+    }
+  };
+
+  const renderNumber = (label, value, onChange, min = 1) => (
+    <div>
+      <Label>{label}</Label>
+      <Input type="number" min={min} value={value} onChange={(e) => onChange(Number(e.target.value))} />
+    </div>
+  );
+
+  return (
+    <div className="space-y-3 p-3 border rounded-lg">
+      <h4 className="font-medium">{t('keyconfigmanager.kdf.title')}</h4>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <Label>{t('keyconfigmanager.kdf.algorithm')}</Label>
+          <Select value={kdf.algorithm} onValueChange={updateAlgorithm}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {KDF_ALGORITHMS.map(algorithm => (
+                <SelectItem key={algorithm} value={algorithm}>
+                  {algorithm === 'none' ? t('keyconfigmanager.kdf.none') : algorithm}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        {enabled && kdf.algorithm !== 'scrypt' && (
+          <div>
+            <Label>{t('keyconfigmanager.kdf.digest')}</Label>
+            <Select value={kdf.digest} onValueChange={(value) => updateKdf({ digest: value })}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {KDF_DIGESTS.map(digest => (
+                  <SelectItem key={digest} value={digest}>{digest}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+      </div>
+
+      {enabled && (
+        <>
+          <div className="grid grid-cols-3 gap-4">
+            {['PBKDF2', 'EVP_BytesToKey'].includes(kdf.algorithm) &&
+              renderNumber(t('keyconfigmanager.kdf.iterations'), kdf.iterations, (value) => updateKdf({ iterations: value }))}
+            {kdf.algorithm === 'scrypt' && (
+              <>
+                {renderNumber('N', kdf.cost, (value) => updateKdf({ cost: value }), 2)}
+                {renderNumber('r', kdf.blockSize, (value) => updateKdf({ blockSize: value }))}
+                {renderNumber('p', kdf.parallelization, (value) => updateKdf({ parallelization: value }))}
+              </>
+            )}
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            {renderNumber(t('keyconfigmanager.kdf.key_length'), kdf.keyLength, (value) => updateKdf({ keyLength: value }))}
+            {renderNumber(t('keyconfigmanager.kdf.iv_length'), kdf.ivLength, (value) => updateKdf({ ivLength: value }), 0)}
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <Label>{t('keyconfigmanager.kdf.salt_source')}</Label>
+              <Select value={kdf.salt.source} onValueChange={(value) => updateSalt({ source: value })}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {KDF_SALT_SOURCES.map(source => (
+                    <SelectItem key={source} value={source}>
+                      {t(`keyconfigmanager.kdf.salt_sources.${source}`)}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            {kdf.salt.source === 'prefix' &&
+              renderNumber(t('keyconfigmanager.kdf.salt_length'), kdf.salt.length, (value) => updateSalt({ length: value }))}
+            {kdf.salt.source === 'header' && (
+              <div>
+                <Label>{t('keyconfigmanager.kdf.salt_header')}</Label>
+                <Input
+                  value={kdf.salt.header}
+                  onChange={(e) => updateSalt({ header: e.target.value })}
+                  placeholder="X-Device-Id"
+                />
+              </div>
+            )}
+          </div>
+
+          {['static', 'header'].includes(kdf.salt.source) && (
+            <div className="flex gap-2">
+              {kdf.salt.source === 'static' && (
+                <Input
+                  value={kdf.salt.value}
+                  onChange={(e) => updateSalt({ value: e.target.value })}
+                  placeholder={t('keyconfigmanager.kdf.salt_value')}
+                  className="flex-1"
+                />
+              )}
+              <Select value={kdf.salt.encoding?.[0] || 'UTF8'} onValueChange={(value) => updateSalt({ encoding: [value] })}>
+                <SelectTrigger className="w-32">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {ENCODING_OPTIONS.map(option => (
+                    <SelectItem key={option.value} value={option.value}>
+                      {option.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          {kdf.algorithm === 'HKDF' && (
+            <div className="flex gap-2">
+              <Input
+                value={kdf.info.value}
+                onChange={(e) => updateKdf({ info: { ...kdf.info, value: e.target.value } })}
+                placeholder={t('keyconfigmanager.kdf.info')}
+                className="flex-1"
+              />
+              <Select value={kdf.info.encoding?.[0] || 'UTF8'} onValueChange={(value) => updateKdf({ info: { ...kdf.info, encoding: [value] } })}>
+                <SelectTrigger className="w-32">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {ENCODING_OPTIONS.map(option => (
+                    <SelectItem key={option.value} value={option.value}>
+                      {option.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          <div className="text-xs text-muted-foreground space-y-1">
+            <div>{t('keyconfigmanager.kdf.hint')}</div>
+            {kdf.salt.source === 'openssl' && <div className="font-mono">{t('keyconfigmanager.kdf.openssl')}</div>}
+            {Number(kdf.ivLength) > 0 && <div>{t('keyconfigmanager.kdf.iv_hint')}</div>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
 /**
  * 非对称算法模式编辑器（支持RSA和SM2）
  */
 function AsymmetricModeEditor({ config, onUpdateConfig, onGenerateKeys, showGenerateButton, t }) {
+  // EC / Ed25519 只用于签名：私钥用于签名、公钥用于验签，二者填一即可
+  const isSigningOnly = SIGNING_ONLY_ALGORITHMS.has((config.algorithmType || '').toUpperCase());
+  const requiredMark = isSigningOnly ? '' : ' *';
+  const [curve, setCurve] = useState('P-256');
+
   const updatePublicKeyValue = (value) => {
     onUpdateConfig(prev => ({
       ...prev,
@@ -252,8 +1063,12 @@ function AsymmetricModeEditor({ config, onUpdateConfig, onGenerateKeys, showGene
 
   return (
     <>
+      {isSigningOnly && (
+        <div className="text-sm text-muted-foreground">{t('keyconfigmanager.signing_only_hint')}</div>
+      )}
+
       <div>
-        <Label>{t('keyconfigmanager.public_key')} *</Label>
+        <Label>{t('keyconfigmanager.public_key')}{requiredMark}</Label>
         <div className="flex gap-2">
           <Textarea
             value={config.publicKey?.value || ''}
@@ -281,7 +1096,7 @@ function AsymmetricModeEditor({ config, onUpdateConfig, onGenerateKeys, showGene
       </div>
 
       <div>
-        <Label>{t('keyconfigmanager.private_key')} *</Label>
+        <Label>{t('keyconfigmanager.private_key')}{requiredMark}</Label>
         <div className="flex gap-2">
           <Textarea
             value={config.privateKey?.value || ''}
@@ -309,11 +1124,31 @@ function AsymmetricModeEditor({ config, onUpdateConfig, onGenerateKeys, showGene
       </div>
       
       {showGenerateButton && (
-        <Button variant="success" onClick={onGenerateKeys} className="w-full">
-          🔑 {config.algorithmType === 'SM2' 
-            ? t('keyconfigmanager.generate_sm2_keys') 
-            : t('keyconfigmanager.generate_keys')}
-        </Button>
+        <div className="flex gap-2">
+          {config.algorithmType === 'EC' && (
+            <Select value={curve} onValueChange={setCurve}>
+              <SelectTrigger className="w-32">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.keys(EC_CURVES).map(name => (
+                  <SelectItem key={name} value={name}>{name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+          <Button variant="success" onClick={() => onGenerateKeys(curve)} className="flex-1">
+            🔑 {isSigningOnly
+              ? t('keyconfigmanager.generate_signing_keys', { type: config.algorithmType })
+              : config.algorithmType === 'SM2' 
+                ? t('keyconfigmanager.generate_sm2_keys') 
+                : t('keyconfigmanager.generate_keys')}
+          </Button>
+        </div>
+      )}
+
+      {(config.publicKey || config.privateKey) && (
+        <KeyExportPanel config={config} />
       )}
     </>
   );
@@ -339,15 +1174,26 @@ function SymmetricModeEditor({ config, onUpdateConfig, t }) {
     updateIvEncoding(onUpdateConfig, encoding);
   };
 
+  // 启用秘钥派生时这里填写的是口令
+  const kdfEnabled = KeyDerivation.isEnabled(config);
+  const keyLabel = kdfEnabled ? t('keyconfigmanager.kdf.password') : t('keyconfigmanager.key');
+
+  // 口令不限长度；IV 由派生得到或作为 GCM/CCM/ChaCha 的 nonce 时不按分组长度校验
+  const algorithm = (config.algorithmType || '').toUpperCase();
+  const mode = (config.mode || '').toUpperCase();
+  const keyLengths = kdfEnabled ? [] : KeyMaterial.getKeyLengths(algorithm);
+  const ivDerived = kdfEnabled && Number(KeyDerivation.getOptions(config).ivLength) > 0;
+  const ivIsBlock = !ivDerived && mode !== 'ECB' && !AEAD_MODES.has(mode) && !CHACHA_ALGORITHMS.has(algorithm);
+
   return (
     <>
       <div>
-        <Label>{t('keyconfigmanager.key')} *</Label>
+        <Label>{keyLabel} *</Label>
         <div className="flex gap-2">
           <Input
             value={config.key?.value || ''}
             onChange={(e) => updateKeyValueLocal(e.target.value)}
-            placeholder={t('keyconfigmanager.key')}
+            placeholder={keyLabel}
             className="flex-1"
           />
           <Select 
@@ -366,6 +1212,7 @@ function SymmetricModeEditor({ config, onUpdateConfig, t }) {
             </SelectContent>
           </Select>
         </div>
+        <KeyMaterialHint material={config.key} lengths={keyLengths} t={t} />
       </div>
 
       <div>
@@ -374,7 +1221,7 @@ function SymmetricModeEditor({ config, onUpdateConfig, t }) {
           <Input
             value={config.iv?.value || ''}
             onChange={(e) => updateIvValueLocal(e.target.value)}
-            placeholder={`${t('keyconfigmanager.iv')} (${t('optional')})`}
+            placeholder={ivIsBlock ? t('keyconfigmanager.iv') : `${t('keyconfigmanager.iv')} (${t('optional')})`}
             className="flex-1"
           />
           <Select 
@@ -393,11 +1240,30 @@ function SymmetricModeEditor({ config, onUpdateConfig, t }) {
             </SelectContent>
           </Select>
         </div>
+        <KeyMaterialHint material={config.iv} lengths={ivIsBlock ? [BLOCK_IV_LENGTH] : []} t={t} />
       </div>
     </>
   );
 }
 
+/**
+ * 密钥 / IV 输入框下的字节数提示，编码无法解析或长度不符时给出错误
+ */
+function KeyMaterialHint({ material, lengths, t }) {
+  if (!material?.value) {
+    return null;
+  }
+
+  const { length, error } = KeyMaterial.inspect(material, lengths);
+  if (error) {
+    const message = error === 'encoding'
+      ? t('keyconfigmanager.key_material.invalid_encoding', { encoding: KeyMaterial.normalize(material).encoding })
+      : t('keyconfigmanager.key_material.invalid_length', { length, expected: lengths.join('/') });
+    return <div className="text-xs text-red-700 mt-1">{message}</div>;
+  }
+  return <div className="text-xs text-muted-foreground mt-1">{t('keyconfigmanager.key_material.length', { length })}</div>;
+}
+
 /**
  * 编码设置编辑器
  */
@@ -1,6 +1,8 @@
 import React from 'react';
 import { Button } from '@/components/ui/button';
-import { NEED_PADDING_MODES } from '../utils/keyconfigconstants';
+import { NEED_PADDING_MODES, SIGNING_ONLY_ALGORITHMS } from '../utils/keyconfigconstants';
+import { RSACipher, DEFAULT_RSA_OPTIONS } from '../utils/cipher/rsacipher';
+import { EnvelopeCipher } from '../utils/cipher/envelopecipher';
 import { useTranslation } from '../utils/i18n';
 
 /**
@@ -157,9 +159,13 @@ function getConfigDisplayInfo(config) {
   const mode = config.mode || config.algorithm?.split('/')[1] || '';
   
   let modeDisplay = '';
-  if (algorithmType === 'RSA' || config.algorithm?.startsWith('RSA') || 
-      algorithmType === 'SM2' || config.algorithm?.startsWith('SM2')) {
+  if (algorithmType === 'RSA' || config.algorithm?.startsWith('RSA')) {
+    modeDisplay = RSACipher.toJavaTransformation({ ...DEFAULT_RSA_OPTIONS, ...config.rsa }).replace('RSA/ECB/', '');
+  } else if (algorithmType === 'SM2' || config.algorithm?.startsWith('SM2') || SIGNING_ONLY_ALGORITHMS.has(algorithmType.toUpperCase())) {
     modeDisplay = 'N/A';
+  } else if (EnvelopeCipher.supports(config)) {
+    const envelope = EnvelopeCipher.getOptions(config);
+    modeDisplay = `${envelope.keyConfig || '?'} + ${envelope.bodyAlgorithm}`;
   } else {
     if (NEED_PADDING_MODES.has(mode)) {
       const padding = config.padding || config.algorithm?.split('/')[2] || 'PKCS5Padding';
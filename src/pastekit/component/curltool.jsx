@@ -0,0 +1,387 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+    parseHttpRequest,
+    getBodyType,
+    generateSnippet,
+    SNIPPET_FORMATS,
+    HttpBodyCrypto
+} from '../utils/httprequest';
+import { SignatureUtils, SIGN_METHODS, ASYMMETRIC_SIGN_METHODS } from '../utils/signatureutils';
+import { ENCODING_OPTIONS } from '../utils/keyconfigconstants';
+import { StorageUtils } from '../utils/storageutils';
+import { useTranslation } from '../utils/i18n';
+
+const METHOD_STYLES = {
+    GET: 'bg-green-100 text-green-800',
+    POST: 'bg-blue-100 text-blue-800',
+    PUT: 'bg-yellow-100 text-yellow-800',
+    PATCH: 'bg-yellow-100 text-yellow-800',
+    DELETE: 'bg-red-100 text-red-800'
+};
+
+/**
+ * 设置请求头，已存在时（不区分大小写）替换其值
+ * @param {Array} headers
+ * @param {string} name
+ * @param {string} value
+ * @returns {Array}
+ */
+function upsertHeader(headers, name, value) {
+    const exists = headers.some(h => h.name.toLowerCase() === name.toLowerCase());
+    return exists
+        ? headers.map(h => (h.name.toLowerCase() === name.toLowerCase() ? { ...h, value } : h))
+        : [...headers, { name, value }];
+}
+
+/**
+ * cURL / 原始 HTTP 请求解析与转换工具
+ * 展示方法、URL、请求头、Cookie 和请求体，自动用秘钥配置解密请求体；
+ * 编辑明文后可重新加密、重新签名，再生成 cURL / fetch / axios / Python / HTTPie 代码
+ * @param {string} content - cURL 命令或原始 HTTP 请求
+ * @param {Function} onDecryptResult - 可选，请求体解密结束后回调 (decrypted)，供粘贴历史判断是否记录
+ */
+export default function CurlTool({ content = '', onDecryptResult }) {
+    const [t] = useTranslation();
+    const [configs, setConfigs] = useState([]);
+    const [configsLoaded, setConfigsLoaded] = useState(false);
+    const [editedBody, setEditedBody] = useState(null);
+    const [reencrypt, setReencrypt] = useState(true);
+    const [encryptConfigName, setEncryptConfigName] = useState('');
+    const [signEnabled, setSignEnabled] = useState(false);
+    const [signHeader, setSignHeader] = useState('');
+    const [signMethod, setSignMethod] = useState('hmac-sha256');
+    const [signKey, setSignKey] = useState('');
+    const [signKeyEncoding, setSignKeyEncoding] = useState('UTF8');
+    const [signConfigName, setSignConfigName] = useState('');
+    const [format, setFormat] = useState('curl');
+    const [copied, setCopied] = useState(false);
+
+    useEffect(() => {
+        const loadConfigs = async () => {
+            try {
+                const result = await StorageUtils.getItem('keyConfigs');
+                setConfigs(result.keyConfigs || []);
+            } catch (err) {
+                console.error('加载配置失败:', err);
+            }
+            setConfigsLoaded(true);
+        };
+        loadConfigs();
+    }, []);
+
+    const parsed = useMemo(() => {
+        try {
+            return { request: parseHttpRequest(content), error: null };
+        } catch (err) {
+            return { request: null, error: err.message };
+        }
+    }, [content]);
+    const { request } = parsed;
+
+    const decryption = useMemo(
+        () => (request?.body ? HttpBodyCrypto.decryptBody(request.body, configs, { headers: request.headers }) : null),
+        [request, configs]
+    );
+
+    // 配置加载完成后报告请求体是否被解密
+    useEffect(() => {
+        if (request && configsLoaded) {
+            onDecryptResult?.(!!decryption);
+        }
+    }, [request, configsLoaded, decryption]);
+
+    const initialPlainBody = decryption?.plainBody ?? request?.body ?? '';
+    const plainBody = editedBody ?? initialPlainBody;
+
+    // 请求或解密结果变化时重置编辑状态
+    useEffect(() => {
+        setEditedBody(null);
+        setEncryptConfigName(decryption?.config.name || '');
+        const detectedSignHeader = request?.headers.find(h => /sign/i.test(h.name));
+        setSignHeader(detectedSignHeader?.name || '');
+        setSignEnabled(false);
+    }, [request, decryption]);
+
+    // 按编辑结果重新生成请求：明文 → 重新加密 → 重新签名
+    const rebuilt = useMemo(() => {
+        if (!request) {
+            return { request: null, error: null };
+        }
+        try {
+            let body = request.body;
+            let headers = request.headers;
+            if (body !== null) {
+                const encryptConfig = configs.find(config => config.name === encryptConfigName) || decryption?.config;
+                if (!decryption || !reencrypt) {
+                    body = plainBody;
+                } else if (plainBody !== initialPlainBody || encryptConfig !== decryption.config) {
+                    // 未改动时保留原始密文，避免无谓地改变请求
+                    const context = { headers, keyConfigs: configs };
+                    body = HttpBodyCrypto.encryptBody(plainBody, decryption, encryptConfig, context);
+                    // AEAD 的 tag 单独放在请求头时，一并更新
+                    if (context.tag && encryptConfig.aead?.tagHeader) {
+                        headers = upsertHeader(headers, encryptConfig.aead.tagHeader, context.tag);
+                    }
+                    // 信封的会话密钥、IV 放在请求头时同样更新
+                    Object.entries(context.outputHeaders || {}).forEach(([name, value]) => {
+                        headers = upsertHeader(headers, name, value);
+                    });
+                }
+            }
+
+            if (signEnabled && signHeader.trim()) {
+                const signConfig = configs.find(config => config.name === signConfigName) || null;
+                const signature = SignatureUtils.sign(body || '', signMethod, signConfig, { value: signKey, encoding: [signKeyEncoding] });
+                headers = upsertHeader(headers, signHeader.trim(), signature);
+            }
+
+            return { request: { ...request, body, headers }, error: null };
+        } catch (err) {
+            return { request, error: err.message };
+        }
+    }, [request, decryption, configs, plainBody, initialPlainBody, reencrypt, encryptConfigName, signEnabled, signHeader, signMethod, signKey, signKeyEncoding, signConfigName]);
+
+    const snippet = useMemo(() => {
+        try {
+            return rebuilt.request ? generateSnippet(rebuilt.request, format) : '';
+        } catch (err) {
+            return err.message;
+        }
+    }, [rebuilt, format]);
+
+    const copySnippet = async () => {
+        try {
+            await navigator.clipboard.writeText(snippet);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 1500);
+        } catch (err) {
+            console.error('复制失败:', err);
+        }
+    };
+
+    if (parsed.error) {
+        return (
+            <div className="w-full border rounded p-4">
+                <div className="p-2 bg-red-100 text-red-800 rounded text-sm">
+                    {t('curltool.parse_error', { error: parsed.error })}
+                </div>
+            </div>
+        );
+    }
+
+    const bodyType = getBodyType(request);
+    const isHmac = signMethod.startsWith('hmac-');
+    const isAsymmetric = ASYMMETRIC_SIGN_METHODS.has(signMethod);
+
+    return (
+        <div className="w-full border rounded p-4 space-y-4">
+            <div className="flex items-start gap-2">
+                <span className={`px-2 py-0.5 rounded text-xs font-bold ${METHOD_STYLES[request.method] || 'bg-gray-100 text-gray-800'}`}>
+                    {request.method}
+                </span>
+                <span className="text-sm font-mono break-all">{request.url}</span>
+            </div>
+
+            {request.headers.length > 0 && (
+                <div>
+                    <div className="text-sm font-medium mb-1">{t('curltool.headers')} ({request.headers.length})</div>
+                    <table className="w-full text-xs">
+                        <tbody>
+                            {request.headers.map((header, index) => (
+                                <tr key={index} className="border-b last:border-b-0">
+                                    <td className="py-1 pr-2 text-gray-500 whitespace-nowrap align-top">{header.name}</td>
+                                    <td className="py-1 font-mono break-all">{header.value}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {request.cookies.length > 0 && (
+                <div>
+                    <div className="text-sm font-medium mb-1">{t('curltool.cookies')} ({request.cookies.length})</div>
+                    <table className="w-full text-xs">
+                        <tbody>
+                            {request.cookies.map((cookie, index) => (
+                                <tr key={index} className="border-b last:border-b-0">
+                                    <td className="py-1 pr-2 text-gray-500 whitespace-nowrap align-top">{cookie.name}</td>
+                                    <td className="py-1 font-mono break-all">{cookie.value}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {request.auth && (
+                <div className="text-xs">
+                    <span className="text-gray-500">{t('curltool.basic_auth')}:</span>{' '}
+                    <span className="font-mono">{request.auth.username}:{request.auth.password}</span>
+                </div>
+            )}
+
+            {bodyType === 'multipart' && (
+                <div>
+                    <div className="text-sm font-medium mb-1">{t('curltool.multipart')} ({request.multipart.length})</div>
+                    <table className="w-full text-xs">
+                        <tbody>
+                            {request.multipart.map((part, index) => (
+                                <tr key={index} className="border-b last:border-b-0">
+                                    <td className="py-1 pr-2 text-gray-500 whitespace-nowrap align-top">{part.name}</td>
+                                    <td className="py-1 font-mono break-all">
+                                        {part.isFile ? `📎 ${part.value}` : part.value}
+                                        {part.contentType && <span className="ml-1 text-gray-400">({part.contentType})</span>}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {request.bodyFile && (
+                <div className="text-xs">
+                    <span className="text-gray-500">{t('curltool.body_file')}:</span>{' '}
+                    <span className="font-mono break-all">📎 {request.bodyFile.path}</span>
+                </div>
+            )}
+
+            {request.body !== null && (
+                <div className="space-y-2">
+                    <div className="flex items-center justify-between">
+                        <span className="text-sm font-medium">
+                            {t('curltool.body')} <span className="text-xs text-gray-500">({bodyType})</span>
+                        </span>
+                        {decryption && (
+                            <span className="text-xs bg-green-100 text-green-800 px-2 py-0.5 rounded">
+                                {t(decryption.mode === 'whole' ? 'curltool.decrypted_whole' : 'curltool.decrypted_fields', {
+                                    name: decryption.config.name,
+                                    count: decryption.fields.length
+                                })}
+                            </span>
+                        )}
+                    </div>
+                    {decryption && (
+                        <pre className="text-xs font-mono bg-gray-50 border rounded p-2 whitespace-pre-wrap break-all max-h-24 overflow-y-auto text-gray-500">
+                            {request.body}
+                        </pre>
+                    )}
+                    <textarea
+                        className="w-full border rounded px-2 py-1 text-xs font-mono h-32"
+                        value={plainBody}
+                        onChange={(e) => setEditedBody(e.target.value)}
+                    />
+                    {decryption && (
+                        <div className="flex flex-wrap items-center gap-2 text-xs">
+                            <label className="flex items-center gap-1">
+                                <input type="checkbox" checked={reencrypt} onChange={(e) => setReencrypt(e.target.checked)}/>
+                                {t('curltool.reencrypt')}
+                            </label>
+                            <select
+                                className="border rounded px-2 py-1"
+                                value={encryptConfigName}
+                                disabled={!reencrypt}
+                                onChange={(e) => setEncryptConfigName(e.target.value)}
+                            >
+                                {configs.map(config => (
+                                    <option key={config.name} value={config.name}>{config.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            <div className="space-y-2 text-xs">
+                <label className="flex items-center gap-1 text-sm font-medium">
+                    <input type="checkbox" checked={signEnabled} onChange={(e) => setSignEnabled(e.target.checked)}/>
+                    {t('curltool.resign')}
+                </label>
+                {signEnabled && (
+                    <div className="flex flex-wrap items-center gap-2">
+                        <input
+                            className="border rounded px-2 py-1 w-32"
+                            placeholder={t('curltool.sign_header')}
+                            value={signHeader}
+                            onChange={(e) => setSignHeader(e.target.value)}
+                        />
+                        <select
+                            className="border rounded px-2 py-1"
+                            value={signMethod}
+                            onChange={(e) => setSignMethod(e.target.value)}
+                        >
+                            {SIGN_METHODS.map(method => (
+                                <option key={method} value={method}>{method.toUpperCase()}</option>
+                            ))}
+                        </select>
+                        {isHmac && (
+                            <>
+                                <input
+                                    className="border rounded px-2 py-1 flex-1 min-w-[120px]"
+                                    placeholder={t('curltool.sign_key')}
+                                    value={signKey}
+                                    onChange={(e) => setSignKey(e.target.value)}
+                                />
+                                <select
+                                    className="border rounded px-2 py-1"
+                                    value={signKeyEncoding}
+                                    onChange={(e) => setSignKeyEncoding(e.target.value)}
+                                    aria-label={t('curltool.sign_key_encoding')}
+                                >
+                                    {ENCODING_OPTIONS.map(option => (
+                                        <option key={option.value} value={option.value}>{option.label}</option>
+                                    ))}
+                                </select>
+                            </>
+                        )}
+                        {isAsymmetric && (
+                            <select
+                                className="border rounded px-2 py-1"
+                                value={signConfigName}
+                                onChange={(e) => setSignConfigName(e.target.value)}
+                            >
+                                <option value="">{t('curltool.select_config')}</option>
+                                {configs.filter(config => config.privateKey?.value).map(config => (
+                                    <option key={config.name} value={config.name}>{config.name}</option>
+                                ))}
+                            </select>
+                        )}
+                        <span className="text-gray-500">{t('curltool.sign_hint')}</span>
+                    </div>
+                )}
+            </div>
+
+            {rebuilt.error && (
+                <div className="p-2 bg-red-100 text-red-800 rounded text-sm">
+                    {t('curltool.rebuild_error', { error: rebuilt.error })}
+                </div>
+            )}
+
+            <div>
+                <div className="flex items-center gap-1 border-b">
+                    {SNIPPET_FORMATS.map(item => (
+                        <button
+                            key={item}
+                            onClick={() => setFormat(item)}
+                            className={`px-3 py-1 text-xs border-b-2 -mb-px ${
+                                format === item ? 'border-blue-500 text-blue-700' : 'border-transparent text-gray-600 hover:text-gray-800'
+                            }`}
+                        >
+                            {t(`curltool.formats.${item}`)}
+                        </button>
+                    ))}
+                    <button
+                        onClick={copySnippet}
+                        className="ml-auto px-2 py-0.5 text-xs rounded border hover:bg-gray-50"
+                    >
+                        {copied ? t('curltool.copied') : t('curltool.copy')}
+                    </button>
+                </div>
+                <pre className="mt-2 text-xs font-mono bg-gray-50 border rounded p-2 whitespace-pre-wrap break-all max-h-64 overflow-y-auto">
+                    {snippet}
+                </pre>
+            </div>
+        </div>
+    );
+}
@@ -294,9 +294,11 @@ export default function DevToolsDecryptorConfig({ configs = [], className = '' }
     
     const algorithmMap = {
       'AES': 'AES-CBC (PKCS5)',
-      'RSA': 'RSA-OAEP',
+      'RSA': 'RSA-PKCS1',
       'SM2': 'SM2',
-      'SM4': 'SM4-CBC (PKCS5)'
+      'SM4': 'SM4-CBC (PKCS5)',
+      'ChaCha20-Poly1305': 'ChaCha20-Poly1305',
+      'XChaCha20-Poly1305': 'XChaCha20-Poly1305'
     };
     
     // 处理完整的算法字符串
@@ -308,11 +310,17 @@ export default function DevToolsDecryptorConfig({ configs = [], className = '' }
       
       // 特殊处理各种算法组合
       if (mainAlgorithm === 'RSA') {
-        return 'RSA-OAEP';
+        return config.rsa?.padding === 'OAEP' ? `RSA-OAEP (${config.rsa.oaepHash})` : 'RSA-PKCS1';
       } else if (mainAlgorithm === 'SM2') {
         return 'SM2';
+      } else if (mainAlgorithm.toUpperCase() === 'ENVELOPE') {
+        return `Envelope (${config.envelope?.bodyAlgorithm || 'AES/CBC/PKCS5Padding'})`;
       } else if (mainAlgorithm === 'AES' || mainAlgorithm === 'SM4') {
         const modeDisplay = mode ? mode.toUpperCase() : 'CBC';
+        // 流模式与 GCM/CCM 没有填充
+        if (!padding && mode) {
+          return `${mainAlgorithm}-${modeDisplay}`;
+        }
         const paddingDisplay = padding ? padding.replace('Padding', '') : 'PKCS5';
         return `${mainAlgorithm}-${modeDisplay} (${paddingDisplay})`;
       }
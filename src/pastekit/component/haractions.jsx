@@ -0,0 +1,83 @@
+import React, { useState, useRef } from 'react';
+import { Button } from '@/components/ui/button';
+import { useTranslation } from '../utils/i18n';
+import { HarUtils } from '../utils/harutils.js';
+
+/**
+ * HAR 导入 / 导出按钮
+ * 导出当前会话的全部记录（含解密后的明文）；导入的记录按当前域名配置解密后保存到当前会话
+ * @param {Object} traffic - usePersistedTraffic 的返回值
+ * @param {Function} getDecryptionOptions - () => Promise<{decryptionConfigs, keyConfigs}>，导入时调用
+ * @param {string} fileNamePrefix - 导出文件名前缀
+ */
+export default function HarActions({ traffic, getDecryptionOptions, fileNamePrefix = 'pastekit' }) {
+    const [t] = useTranslation();
+    const [importing, setImporting] = useState(false);
+    const [status, setStatus] = useState(null); // { type: 'success' | 'error', text }
+    const fileInputRef = useRef(null);
+
+    const exportHar = async () => {
+        try {
+            const exchanges = await traffic.getAllExchanges();
+            HarUtils.download(HarUtils.toHar(exchanges), `${fileNamePrefix}-${Date.now()}.har`);
+            setStatus(null);
+        } catch (error) {
+            console.error('导出 HAR 失败:', error);
+            setStatus({ type: 'error', text: t('har.export_failed', { error: error.message }) });
+        }
+    };
+
+    const importHar = async (file) => {
+        if (!file) {
+            return;
+        }
+        setImporting(true);
+        try {
+            const exchanges = await HarUtils.importHar(await file.text(), await getDecryptionOptions());
+            await traffic.importExchanges(exchanges);
+            setStatus({ type: 'success', text: t('har.imported', { count: exchanges.length }) });
+        } catch (error) {
+            console.error('导入 HAR 失败:', error);
+            setStatus({ type: 'error', text: t('har.import_failed', { error: error.message }) });
+        } finally {
+            setImporting(false);
+            // 允许再次选择同一个文件
+            fileInputRef.current.value = '';
+        }
+    };
+
+    return (
+        <>
+            {status && (
+                <span className={`text-xs ${status.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>
+                    {status.text}
+                </span>
+            )}
+            <input
+                ref={fileInputRef}
+                type="file"
+                accept=".har,application/json"
+                className="hidden"
+                onChange={(e) => importHar(e.target.files?.[0])}
+            />
+            <Button
+                variant="outline"
+                size="sm"
+                onClick={() => fileInputRef.current.click()}
+                disabled={importing}
+                className="text-xs px-3 py-1.5 h-auto"
+            >
+                📥 {importing ? t('har.importing') : t('har.import')}
+            </Button>
+            <Button
+                variant="outline"
+                size="sm"
+                onClick={exportHar}
+                disabled={traffic.total === 0}
+                className="text-xs px-3 py-1.5 h-auto"
+            >
+                📤 {t('har.export')}
+            </Button>
+        </>
+    );
+}
@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { ImageUtils } from '../utils/imageutils';
+import { useTranslation } from '../utils/i18n';
+
+/**
+ * 字节数格式化
+ * @param {number} size
+ * @returns {string}
+ */
+function formatSize(size) {
+    if (size < 1024) return `${size} B`;
+    if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KB`;
+    return `${(size / 1024 / 1024).toFixed(2)} MB`;
+}
+
+/**
+ * 图片信息工具：预览、尺寸/类型/大小、EXIF、哈希，以及 data URI / Base64 转换
+ * @param {string} content - 图片 data URI
+ * @param {Blob} image - 剪贴板中的图片，优先于 content
+ */
+export default function ImageTool({ content = '', image = null }) {
+    const [t] = useTranslation();
+    const [info, setInfo] = useState(null);
+    const [error, setError] = useState('');
+    const [copied, setCopied] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        setInfo(null);
+        setError('');
+        ImageUtils.inspect(image || content)
+            .then(result => !cancelled && setInfo(result))
+            .catch(err => !cancelled && setError(err.message));
+        return () => {
+            cancelled = true;
+        };
+    }, [content, image]);
+
+    const copy = async (key, value) => {
+        try {
+            await navigator.clipboard.writeText(value);
+            setCopied(key);
+            setTimeout(() => setCopied(current => (current === key ? '' : current)), 1500);
+        } catch (err) {
+            console.error('复制失败:', err);
+        }
+    };
+
+    if (error) {
+        return (
+            <div className="w-full border rounded p-4">
+                <div className="p-2 bg-red-100 text-red-800 rounded text-sm">
+                    {t('imagetool.load_error', { error })}
+                </div>
+            </div>
+        );
+    }
+
+    if (!info) {
+        return <div className="w-full border rounded p-4 text-sm text-gray-500">{t('imagetool.loading')}</div>;
+    }
+
+    const exifEntries = Object.entries(info.exif);
+    const rows = [
+        [t('imagetool.mime_type'), info.mimeType],
+        [t('imagetool.dimensions'), info.width ? `${info.width} × ${info.height}` : t('imagetool.unknown')],
+        [t('imagetool.byte_size'), `${formatSize(info.size)} (${info.size.toLocaleString()} B)`],
+        ['MD5', info.hashes.md5],
+        ['SHA-256', info.hashes.sha256]
+    ];
+
+    const renderCopyButton = (key, value) => (
+        <button
+            onClick={() => copy(key, value)}
+            className="px-2 py-0.5 text-xs rounded border hover:bg-gray-50 whitespace-nowrap"
+        >
+            {copied === key ? t('imagetool.copied') : t(`imagetool.copy_${key}`)}
+        </button>
+    );
+
+    return (
+        <div className="w-full border rounded p-4 space-y-4">
+            <h3 className="text-lg font-bold">{t('imagetool.title')}</h3>
+
+            <div className="flex justify-center bg-gray-50 border rounded p-2">
+                <img src={info.dataUrl} alt="" className="max-h-48 max-w-full object-contain"/>
+            </div>
+
+            <table className="w-full text-xs">
+                <tbody>
+                    {rows.map(([label, value]) => (
+                        <tr key={label} className="border-b last:border-b-0">
+                            <td className="py-1 pr-2 text-gray-500 whitespace-nowrap align-top">{label}</td>
+                            <td className="py-1 font-mono break-all">{value}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            <div className="flex flex-wrap gap-2">
+                {renderCopyButton('data_uri', info.dataUrl)}
+                {renderCopyButton('base64', info.base64)}
+                {renderCopyButton('md5', info.hashes.md5)}
+                {renderCopyButton('sha256', info.hashes.sha256)}
+            </div>
+
+            <div>
+                <div className="text-sm font-medium mb-1">{t('imagetool.exif')}</div>
+                {exifEntries.length === 0 ? (
+                    <div className="text-xs text-gray-500">{t('imagetool.no_exif')}</div>
+                ) : (
+                    <table className="w-full text-xs">
+                        <tbody>
+                            {exifEntries.map(([tag, value]) => (
+                                <tr key={tag} className="border-b last:border-b-0">
+                                    <td className="py-1 pr-2 text-gray-500 whitespace-nowrap">{tag}</td>
+                                    <td className="py-1 font-mono break-all">
+                                        {Array.isArray(value) ? value.join(', ') : String(value)}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+}
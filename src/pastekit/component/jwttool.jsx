@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { JwtUtils } from '../utils/jwtutils';
+import { StorageUtils } from '../utils/storageutils';
+import { useTranslation } from '../utils/i18n';
+
+const STATUS_STYLES = {
+    valid: 'bg-green-100 text-green-800',
+    expired: 'bg-red-100 text-red-800',
+    not_yet_valid: 'bg-yellow-100 text-yellow-800',
+    unknown: 'bg-gray-100 text-gray-600'
+};
+
+const formatDate = (date) => {
+    const pad = (n) => n.toString().padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+const formatPart = (value) => typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+
+/**
+ * JWT 解析与验签工具
+ * 拆分 header/payload/signature，展示时间声明并支持 HMAC/RSA/ECDSA/SM2 验签
+ */
+export default function JwtTool({ content = '' }) {
+    const [t] = useTranslation();
+    const [configs, setConfigs] = useState([]);
+    const [secret, setSecret] = useState('');
+    const [secretEncoding, setSecretEncoding] = useState('UTF8');
+    const [selectedConfig, setSelectedConfig] = useState('');
+    const [customPublicKey, setCustomPublicKey] = useState('');
+    const [verifyResult, setVerifyResult] = useState(null);
+    const [verifyError, setVerifyError] = useState('');
+
+    const token = content.trim();
+
+    const decoded = useMemo(() => {
+        try {
+            return { ...JwtUtils.decode(token), error: null };
+        } catch (err) {
+            return { error: err.message };
+        }
+    }, [token]);
+
+    const algInfo = decoded.header ? JwtUtils.getAlgorithmInfo(decoded.header.alg) : null;
+    const timeClaims = decoded.payload ? JwtUtils.getTimeClaims(decoded.payload) : { claims: [], status: 'unknown' };
+
+    // 只保留有公钥的配置用于非对称验签
+    const publicKeyConfigs = configs.filter(config => config.publicKey?.value);
+
+    useEffect(() => {
+        const loadConfigs = async () => {
+            try {
+                const result = await StorageUtils.getItem('keyConfigs');
+                setConfigs(result.keyConfigs || []);
+            } catch (err) {
+                console.error('加载配置失败:', err);
+            }
+        };
+        loadConfigs();
+    }, []);
+
+    // Token 变化时清空验签结果
+    useEffect(() => {
+        setVerifyResult(null);
+        setVerifyError('');
+    }, [token]);
+
+    const handleVerify = async () => {
+        setVerifyResult(null);
+        setVerifyError('');
+        try {
+            let config = null;
+            if (algInfo?.family !== 'hmac') {
+                config = selectedConfig
+                    ? configs.find(c => c.name === selectedConfig)
+                    : { publicKey: { value: customPublicKey, encoding: ['UTF8'] } };
+            }
+            const result = await JwtUtils.verify(token, { secret, secretEncoding, config });
+            setVerifyResult(!!result);
+        } catch (err) {
+            setVerifyError(err.message);
+        }
+    };
+
+    if (decoded.error) {
+        return (
+            <div className="w-full border rounded p-4 space-y-4">
+                <h3 className="text-lg font-bold">{t('jwttool.title')}</h3>
+                <div className="p-3 bg-red-100 text-red-800 rounded text-sm">
+                    <strong>{t('jwttool.decode_error')}:</strong> {decoded.error}
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="w-full border rounded p-4 space-y-4">
+            <div className="flex items-center justify-between">
+                <h3 className="text-lg font-bold">{t('jwttool.title')}</h3>
+                <span className={`text-xs px-2 py-1 rounded font-medium ${STATUS_STYLES[timeClaims.status]}`}>
+                    {t(`jwttool.status.${timeClaims.status}`)}
+                </span>
+            </div>
+
+            {/* Header */}
+            <div>
+                <div className="text-sm font-medium text-red-700 mb-1">{t('jwttool.header')}</div>
+                <pre className="text-xs font-mono bg-red-50 border border-red-200 rounded p-2 whitespace-pre-wrap break-all">
+                    {formatPart(decoded.header)}
+                </pre>
+            </div>
+
+            {/* Payload */}
+            <div>
+                <div className="text-sm font-medium text-purple-700 mb-1">{t('jwttool.payload')}</div>
+                <pre className="text-xs font-mono bg-purple-50 border border-purple-200 rounded p-2 whitespace-pre-wrap break-all">
+                    {formatPart(decoded.payload)}
+                </pre>
+            </div>
+
+            {/* Time claims */}
+            {timeClaims.claims.length > 0 && (
+                <div className="border rounded p-2 space-y-1">
+                    {timeClaims.claims.map(claim => (
+                        <div key={claim.name} className="flex items-center justify-between text-xs">
+                            <span className="font-mono text-gray-600">{claim.name} ({t(`jwttool.claims.${claim.name}`)})</span>
+                            <span className="font-mono">{formatDate(claim.date)}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {/* Signature */}
+            <div>
+                <div className="text-sm font-medium text-blue-700 mb-1">{t('jwttool.signature')}</div>
+                <div className="text-xs font-mono bg-blue-50 border border-blue-200 rounded p-2 break-all">
+                    {decoded.signature || t('jwttool.no_signature')}
+                </div>
+            </div>
+
+            {/* Verification */}
+            <div className="border rounded p-3 bg-gray-50 space-y-2">
+                <div className="text-sm font-medium text-gray-700">
+                    {t('jwttool.verify_title')} <span className="text-xs bg-gray-200 px-2 py-0.5 rounded">{decoded.header.alg}</span>
+                </div>
+
+                {!algInfo && (
+                    <div className="text-xs text-orange-600">{t('jwttool.unsupported_alg', { alg: decoded.header.alg })}</div>
+                )}
+
+                {algInfo?.family === 'hmac' && (
+                    <div className="flex gap-2">
+                        <input
+                            className="flex-1 border rounded px-2 py-1 text-xs font-mono"
+                            placeholder={t('jwttool.secret_placeholder')}
+                            value={secret}
+                            onChange={(e) => setSecret(e.target.value)}
+                        />
+                        <select
+                            className="border rounded px-2 py-1 text-xs"
+                            value={secretEncoding}
+                            onChange={(e) => setSecretEncoding(e.target.value)}
+                        >
+                            <option value="UTF8">UTF-8</option>
+                            <option value="BASE64">Base64</option>
+                            <option value="BASE64_URLSAFE">Base64URL</option>
+                            <option value="HEX">Hex</option>
+                        </select>
+                    </div>
+                )}
+
+                {algInfo && algInfo.family !== 'hmac' && (
+                    <div className="space-y-2">
+                        <select
+                            className="w-full border rounded px-2 py-1 text-xs"
+                            value={selectedConfig}
+                            onChange={(e) => setSelectedConfig(e.target.value)}
+                        >
+                            <option value="">{t('jwttool.custom_public_key')}</option>
+                            {publicKeyConfigs.map(config => (
+                                <option key={config.name} value={config.name}>
+                                    {config.name} ({config.algorithmType || config.algorithm})
+                                </option>
+                            ))}
+                        </select>
+                        {!selectedConfig && (
+                            <textarea
+                                className="w-full border rounded px-2 py-1 text-xs font-mono h-20"
+                                placeholder={t('jwttool.public_key_placeholder')}
+                                value={customPublicKey}
+                                onChange={(e) => setCustomPublicKey(e.target.value)}
+                            />
+                        )}
+                    </div>
+                )}
+
+                {algInfo && (
+                    <button
+                        onClick={handleVerify}
+                        className="px-3 py-1 text-sm rounded bg-blue-500 text-white hover:bg-blue-600"
+                    >
+                        {t('jwttool.verify')}
+                    </button>
+                )}
+
+                {verifyResult !== null && (
+                    <div className={`text-sm p-2 rounded ${verifyResult ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                        {verifyResult ? t('jwttool.verify_passed') : t('jwttool.verify_failed')}
+                    </div>
+                )}
+                {verifyError && (
+                    <div className="text-sm p-2 rounded bg-red-100 text-red-800">{verifyError}</div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -6,8 +6,9 @@ import { Label } from '@/components/ui/label';
 import ConfigList from './configlist';
 import ConfigPagination from './configpagination';
 import ConfigEditor from './configeditor';
+import KeyImportWizard from './keyimportwizard';
 // 引入常量和工具
-import { NEED_PADDING_MODES, ITEMS_PER_PAGE } from '../utils/keyconfigconstants';
+import { NEED_PADDING_MODES, ITEMS_PER_PAGE, SIGNING_ONLY_ALGORITHMS } from '../utils/keyconfigconstants';
 import {ConfigManager, loadConfigs, saveConfigs} from '../utils/keyconfigutils';
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog';
 import { toast } from 'sonner';
@@ -27,6 +28,7 @@ export default function KeyConfigManager({
   const [configs, setConfigs] = useState(initialConfigs);
   const [selectedConfig, setSelectedConfig] = useState('');
   const [isDialogOpen, setIsDialogOpen] = useState(false);
+  const [isImportOpen, setIsImportOpen] = useState(false);
   const [editingConfig, setEditingConfig] = useState(null);
   const [newConfigName, setNewConfigName] = useState('');
   const [currentPage, setCurrentPage] = useState(1);
@@ -149,6 +151,18 @@ export default function KeyConfigManager({
     }
   };
 
+  // Save configurations created by the key import wizard
+  const importConfigs = async (importedConfigs) => {
+    const updatedConfigs = [...configs, ...importedConfigs];
+    const success = await saveConfigsToStorage(updatedConfigs);
+
+    if (success) {
+      setConfigs(updatedConfigs);
+      setIsImportOpen(false);
+      toast.success(t('keyconfigmanager.import.created', { count: importedConfigs.length }));
+    }
+  };
+
   // Edit configuration
   const editConfig = (configName) => {
     const config = configs.find(c => c.name === configName);
@@ -263,6 +277,26 @@ export default function KeyConfigManager({
             <span>🔐 {t('keyconfigmanager.title')}</span>
             <div className="flex gap-2">
 
+              <Dialog open={isImportOpen} onOpenChange={setIsImportOpen}>
+                <DialogTrigger asChild>
+                  <Button variant="secondary" size="sm">
+                    {t('keyconfigmanager.import.button')}
+                  </Button>
+                </DialogTrigger>
+                <DialogContent className="max-w-3xl max-h-[85vh] flex flex-col overflow-hidden">
+                  <DialogHeader className="flex-shrink-0">
+                    <DialogTitle>{t('keyconfigmanager.import.title')}</DialogTitle>
+                  </DialogHeader>
+                  {isImportOpen && (
+                    <KeyImportWizard
+                      configs={configs}
+                      onImport={importConfigs}
+                      onCancel={() => setIsImportOpen(false)}
+                    />
+                  )}
+                </DialogContent>
+              </Dialog>
+
               <Dialog open={isDialogOpen} onOpenChange={setIsDialogOpen}>
                 <DialogTrigger asChild>
                   <Button 
@@ -290,6 +324,7 @@ export default function KeyConfigManager({
                       onDelete={deleteConfig}
                       showGenerateButton={showGenerateButton}
                       onCancel={() => setIsDialogOpen(false)}
+                      configs={configs}
                     />
                   ) : (
                     <div className="space-y-4 flex-1 overflow-y-auto pr-2">
@@ -373,7 +408,7 @@ export default function KeyConfigManager({
                       const padding = cur?.padding || cur?.algorithm?.split('/')[2] || '';
                       return (
                         <>
-                          {algorithmType === 'RSA' || algorithmType === 'SM2' ? (
+                          {algorithmType === 'RSA' || algorithmType === 'SM2' || SIGNING_ONLY_ALGORITHMS.has(algorithmType.toUpperCase()) ? (
                             <span>N/A</span>
                           ) : (
                             <>
@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { toast } from 'sonner';
+import { KeyFormats, KEY_EXPORT_PARTS } from '../utils/cipher/keyformats';
+import { useTranslation } from '../utils/i18n';
+
+// 二进制格式只能下载
+const BINARY_FORMATS = new Set(['DER', 'PKCS12']);
+
+/**
+ * RSA / SM2 / EC / Ed25519 配置的密钥导出：PEM / DER / JWK / PKCS#12 / OpenSSH，可复制或下载
+ */
+export default function KeyExportPanel({ config }) {
+  const [t] = useTranslation();
+  const [format, setFormat] = useState('PEM');
+  const [part, setPart] = useState('public');
+  const [password, setPassword] = useState('');
+
+  const formats = KeyFormats.getExportFormats(config.algorithmType);
+  const activeFormat = formats.includes(format) ? format : 'PEM';
+  // PKCS#12 总是包含私钥
+  const activePart = activeFormat === 'PKCS12' ? 'private' : part;
+  const needsPassword = activeFormat === 'PKCS12';
+  const allowsPassword = needsPassword || (activePart === 'private' && (activeFormat === 'PEM' || activeFormat === 'DER'));
+
+  const exportKey = () => {
+    try {
+      return KeyFormats.exportKey(config, activeFormat, {
+        part: activePart,
+        password: allowsPassword ? password : ''
+      });
+    } catch (error) {
+      toast.error(error.message);
+      return null;
+    }
+  };
+
+  const copyKey = async () => {
+    const result = exportKey();
+    if (result) {
+      await navigator.clipboard.writeText(result.data);
+      toast.success(t('keyconfigmanager.export.copied'));
+    }
+  };
+
+  const downloadKey = () => {
+    const result = exportKey();
+    if (!result) {
+      return;
+    }
+    const url = URL.createObjectURL(new Blob([result.data], { type: result.mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = result.filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-3 p-3 border rounded-lg">
+      <h4 className="font-medium">{t('keyconfigmanager.export.title')}</h4>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <Label>{t('keyconfigmanager.export.format')}</Label>
+          <Select value={activeFormat} onValueChange={setFormat}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {formats.map(option => (
+                <SelectItem key={option} value={option}>
+                  {t(`keyconfigmanager.import.formats.${option}`)}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        <div>
+          <Label>{t('keyconfigmanager.export.part')}</Label>
+          <Select value={activePart} onValueChange={setPart} disabled={activeFormat === 'PKCS12'}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {KEY_EXPORT_PARTS.map(option => (
+                <SelectItem key={option} value={option}>
+                  {t(`keyconfigmanager.export.parts.${option}`)}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {allowsPassword && (
+        <div>
+          <Label>{t('keyconfigmanager.export.password')}{needsPassword ? ' *' : ''}</Label>
+          <Input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder={t(needsPassword ? 'keyconfigmanager.export.password_required' : 'keyconfigmanager.export.password_optional')}
+          />
+        </div>
+      )}
+
+      <div className="flex items-center gap-2">
+        <Button variant="secondary" size="sm" onClick={copyKey} disabled={BINARY_FORMATS.has(activeFormat)}>
+          {t('keyconfigmanager.export.copy')}
+        </Button>
+        <Button variant="secondary" size="sm" onClick={downloadKey}>
+          {t('keyconfigmanager.export.download')}
+        </Button>
+        {config.algorithmType !== 'RSA' && (
+          <span className="text-xs text-muted-foreground">{t('keyconfigmanager.export.rsa_only')}</span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { KeyFormats } from '../utils/cipher/keyformats';
+import { ConfigManager } from '../utils/keyconfigutils';
+import { useTranslation } from '../utils/i18n';
+
+/**
+ * 密钥导入向导：粘贴或拖入 PEM / DER / JWK / PKCS#12 / OpenSSH 密钥，
+ * 识别出的每个密钥（同一公钥的私钥与证书合并）创建一个 RSA / SM2 / EC / Ed25519 配置
+ */
+export default function KeyImportWizard({ configs = [], onImport, onCancel }) {
+  const [t] = useTranslation();
+  const [text, setText] = useState('');
+  const [file, setFile] = useState(null); // { name, bytes }
+  const [password, setPassword] = useState('');
+  const [isDragging, setIsDragging] = useState(false);
+  const [result, setResult] = useState(null); // { format, keys }
+  const [selection, setSelection] = useState([]); // [{ selected, name }]
+  const [error, setError] = useState('');
+
+  const readFile = async (selectedFile) => {
+    if (!selectedFile) {
+      return;
+    }
+    setFile({ name: selectedFile.name, bytes: new Uint8Array(await selectedFile.arrayBuffer()) });
+    setText('');
+    setError('');
+  };
+
+  const detectKeys = () => {
+    try {
+      const parsed = KeyFormats.importKeys(file ? file.bytes : text, { password });
+      const fileName = file ? file.name.replace(/\.[^.]+$/, '') : '';
+      setResult(parsed);
+      setSelection(parsed.keys.map(key => ({ selected: true, name: key.label || fileName })));
+      setError('');
+    } catch (parseError) {
+      setResult(null);
+      setError(parseError.message);
+    }
+  };
+
+  const updateSelection = (index, changes) => {
+    setSelection(prev => prev.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  const selectedCount = selection.filter(item => item.selected).length;
+
+  const createConfigs = () => {
+    const chosen = result.keys
+      .map((key, i) => ({ ...key, name: selection[i].name }))
+      .filter((_, i) => selection[i].selected);
+    onImport?.(ConfigManager.createImportedConfigs(chosen, configs));
+  };
+
+  if (result) {
+    return (
+      <div className="space-y-4 flex-1 overflow-y-auto pr-2">
+        <div className="text-sm text-muted-foreground">
+          {t('keyconfigmanager.import.detected', {
+            format: t(`keyconfigmanager.import.formats.${result.format}`),
+            count: result.keys.length
+          })}
+        </div>
+
+        <div className="space-y-2">
+          {result.keys.map((key, index) => (
+            <div key={index} className="flex items-center gap-3 p-2 border rounded">
+              <input
+                type="checkbox"
+                checked={selection[index].selected}
+                onChange={(e) => updateSelection(index, { selected: e.target.checked })}
+              />
+              <div className="w-40 flex-shrink-0 text-sm">
+                <div className="font-medium">
+                  {key.algorithmType} {key.algorithmType === 'RSA' ? key.bits : key.curve || ''}
+                </div>
+                <div className={`text-xs ${key.hasPrivateKey ? 'text-muted-foreground' : 'text-amber-700'}`}>
+                  {t(key.hasPrivateKey ? 'keyconfigmanager.import.key_pair' : 'keyconfigmanager.import.public_only')}
+                </div>
+              </div>
+              <Input
+                value={selection[index].name}
+                onChange={(e) => updateSelection(index, { name: e.target.value })}
+                placeholder={`${key.algorithmType}-${key.bits}`}
+                disabled={!selection[index].selected}
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <Button variant="secondary" onClick={() => setResult(null)}>
+            {t('keyconfigmanager.import.back')}
+          </Button>
+          <Button onClick={createConfigs} disabled={selectedCount === 0}>
+            {t('keyconfigmanager.import.create', { count: selectedCount })}
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4 flex-1 overflow-y-auto pr-2">
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setIsDragging(false);
+          readFile(e.dataTransfer.files?.[0]);
+        }}
+        className={`space-y-2 border-2 border-dashed rounded p-3 ${isDragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300'}`}
+      >
+        {file ? (
+          <div className="flex items-center justify-between text-sm">
+            <span className="font-mono">{t('keyconfigmanager.import.file_selected', { name: file.name })}</span>
+            <Button variant="secondary" size="sm" onClick={() => setFile(null)}>
+              {t('keyconfigmanager.import.clear_file')}
+            </Button>
+          </div>
+        ) : (
+          <Textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder={t('keyconfigmanager.import.paste_placeholder')}
+            className="font-mono text-sm"
+            rows={8}
+          />
+        )}
+        <div className="flex items-center justify-between gap-2 text-xs text-gray-500">
+          <span>{t('keyconfigmanager.import.drop_hint')}</span>
+          <input
+            type="file"
+            className="text-xs"
+            onChange={(e) => readFile(e.target.files?.[0])}
+          />
+        </div>
+      </div>
+
+      <div>
+        <Label>{t('keyconfigmanager.import.password')}</Label>
+        <Input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder={t('keyconfigmanager.import.password_hint')}
+        />
+      </div>
+
+      {error && (
+        <div className="p-2 bg-red-100 text-red-800 rounded text-sm">{error}</div>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <Button variant="secondary" onClick={onCancel}>
+          {t('cancel')}
+        </Button>
+        <Button onClick={detectKeys} disabled={!file && !text.trim()}>
+          {t('keyconfigmanager.import.detect')}
+        </Button>
+      </div>
+    </div>
+  );
+}
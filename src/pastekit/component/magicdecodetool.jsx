@@ -0,0 +1,78 @@
+import React, { useState, useEffect } from 'react';
+import { MagicDecoder } from '../utils/magicdecoder';
+import { useTranslation } from '../utils/i18n';
+
+/**
+ * 多层编码自动拆解工具
+ * 展示最可信的解码链及每一层的中间结果，其余候选链可切换查看
+ */
+export default function MagicDecodeTool({ content = '' }) {
+    const [t] = useTranslation();
+    const [chains, setChains] = useState([]);
+    const [selected, setSelected] = useState(0);
+    const [isLoading, setIsLoading] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        setIsLoading(true);
+        setSelected(0);
+        MagicDecoder.decode(content).then(results => {
+            if (cancelled) return;
+            setChains(results);
+            setIsLoading(false);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [content]);
+
+    const chain = chains[selected];
+
+    return (
+        <div className="w-full border rounded p-4 space-y-4">
+            <h3 className="text-lg font-bold">{t('magicdecode.title')}</h3>
+
+            {isLoading && <div className="text-sm text-gray-500">{t('magicdecode.searching')}</div>}
+
+            {!isLoading && chains.length === 0 && (
+                <div className="text-sm text-gray-500">{t('magicdecode.no_result')}</div>
+            )}
+
+            {chains.length > 1 && (
+                <div className="flex flex-wrap gap-1">
+                    {chains.map((item, index) => (
+                        <button
+                            key={index}
+                            onClick={() => setSelected(index)}
+                            className={`text-xs px-2 py-0.5 rounded border font-mono ${
+                                selected === index ? 'bg-blue-100 border-blue-300 text-blue-700' : 'hover:bg-gray-50'
+                            }`}
+                        >
+                            {item.layers.map(layer => t(`magicdecode.layers.${layer.id}`)).join(' → ')}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {chain && (
+                <div className="space-y-2">
+                    <div className="text-xs text-gray-500">
+                        {t('magicdecode.readability')}: {Math.round(chain.readability * 100)}%
+                    </div>
+                    {chain.layers.map((layer, index) => (
+                        <div key={index} className="border rounded">
+                            <div className="px-2 py-1 text-xs bg-gray-50 border-b font-medium">
+                                {index + 1}. {t(`magicdecode.layers.${layer.id}`)}
+                            </div>
+                            <pre className={`p-2 text-xs font-mono whitespace-pre-wrap break-all max-h-40 overflow-y-auto ${
+                                index === chain.layers.length - 1 ? 'bg-green-50' : ''
+                            }`}>
+                                {layer.output ?? t('magicdecode.binary', { size: layer.size })}
+                            </pre>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react';
+import { Switch } from '@/components/ui/switch';
+import { Pin, PinOff, Trash2, ExternalLink, Tag } from 'lucide-react';
+import { PasteHistoryManager, PASTE_HISTORY_STORAGE_KEY, DEFAULT_HISTORY_SETTINGS } from '../utils/pastehistoryutils';
+import { StorageUtils } from '../utils/storageutils';
+import { useTranslation } from '../utils/i18n';
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleString();
+
+// 列表中只展示内容的开头部分
+const preview = (content, length) => content.length > length ? `${content.slice(0, length)}…` : content;
+
+/**
+ * 粘贴历史列表
+ * popup 中以紧凑模式展示，options 页面额外展示保留策略设置
+ * @param {Function} onOpen - (entry) => void，重新打开某条记录
+ * @param {boolean} compact - 紧凑模式
+ * @param {boolean} showSettings - 是否展示设置区域
+ */
+export default function PasteHistory({ onOpen, compact = false, showSettings = false }) {
+    const [t] = useTranslation();
+    const [entries, setEntries] = useState([]);
+    const [settings, setSettings] = useState(DEFAULT_HISTORY_SETTINGS);
+    const [query, setQuery] = useState('');
+    const [editingId, setEditingId] = useState(null);
+    const [labelDraft, setLabelDraft] = useState('');
+
+    const loadEntries = async () => {
+        setEntries(await PasteHistoryManager.loadHistory());
+    };
+
+    useEffect(() => {
+        loadEntries();
+        PasteHistoryManager.loadSettings().then(setSettings);
+
+        // 其他页面修改历史时同步刷新
+        return StorageUtils.listen((changes) => {
+            if (changes[PASTE_HISTORY_STORAGE_KEY]) {
+                loadEntries();
+            }
+        });
+    }, []);
+
+    const updateSettings = async (updates) => {
+        const next = { ...settings, ...updates };
+        setSettings(next);
+        await PasteHistoryManager.saveSettings(next);
+        await loadEntries();
+    };
+
+    const handleTogglePin = async (entry) => {
+        await PasteHistoryManager.togglePin(entry.id);
+        await loadEntries();
+    };
+
+    const handleDelete = async (entry) => {
+        await PasteHistoryManager.deleteEntry(entry.id);
+        await loadEntries();
+    };
+
+    const handleClear = async () => {
+        if (!window.confirm(t('pastehistory.clear_confirm'))) return;
+        await PasteHistoryManager.clearHistory(true);
+        await loadEntries();
+    };
+
+    const startEditLabel = (entry) => {
+        setEditingId(entry.id);
+        setLabelDraft(entry.label || '');
+    };
+
+    const saveLabel = async () => {
+        await PasteHistoryManager.updateEntry(editingId, { label: labelDraft.trim() });
+        setEditingId(null);
+        await loadEntries();
+    };
+
+    const filtered = PasteHistoryManager.search(entries, query);
+
+    return (
+        <div className={`w-full ${compact ? 'p-3' : 'border rounded p-4'} space-y-3`}>
+            {!compact && <h3 className="text-lg font-bold">{t('pastehistory.title')}</h3>}
+
+            {showSettings && (
+                <div className="border rounded p-3 bg-gray-50 space-y-3 text-sm">
+                    <div className="flex items-center justify-between">
+                        <span>{t('pastehistory.settings.enabled')}</span>
+                        <Switch
+                            checked={settings.enabled}
+                            onCheckedChange={(checked) => updateSettings({ enabled: checked })}
+                        />
+                    </div>
+                    <div className="flex items-center justify-between">
+                        <div>
+                            <div>{t('pastehistory.settings.exclude_decrypted')}</div>
+                            <div className="text-xs text-gray-500">{t('pastehistory.settings.exclude_decrypted_hint')}</div>
+                        </div>
+                        <Switch
+                            checked={settings.excludeDecrypted}
+                            onCheckedChange={(checked) => updateSettings({ excludeDecrypted: checked })}
+                        />
+                    </div>
+                    <div className="flex items-center justify-between">
+                        <span>{t('pastehistory.settings.retention_limit')}</span>
+                        <input
+                            type="number"
+                            min="1"
+                            max="1000"
+                            className="w-24 border rounded px-2 py-1 text-sm"
+                            value={settings.retentionLimit}
+                            onChange={(e) => updateSettings({ retentionLimit: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                        />
+                    </div>
+                </div>
+            )}
+
+            <div className="flex gap-2">
+                <input
+                    className="flex-1 border rounded px-2 py-1 text-sm"
+                    placeholder={t('pastehistory.search_placeholder')}
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                />
+                {entries.length > 0 && (
+                    <button
+                        onClick={handleClear}
+                        className="px-2 py-1 text-xs rounded border text-red-600 hover:bg-red-50"
+                    >
+                        {t('pastehistory.clear')}
+                    </button>
+                )}
+            </div>
+
+            {filtered.length === 0 ? (
+                <div className="text-sm text-gray-500 text-center py-4">
+                    {entries.length === 0 ? t('pastehistory.empty') : t('pastehistory.no_match')}
+                </div>
+            ) : (
+                <div className="space-y-2">
+                    {filtered.map(entry => (
+                        <div
+                            key={entry.id}
+                            className={`border rounded p-2 text-xs ${entry.pinned ? 'bg-yellow-50 border-yellow-200' : 'bg-white'}`}
+                        >
+                            <div className="flex items-center justify-between gap-2 mb-1">
+                                <div className="flex items-center gap-2 min-w-0">
+                                    <span className="bg-gray-200 px-2 py-0.5 rounded shrink-0">
+                                        {t(`popup.formats.${entry.type}`)}
+                                    </span>
+                                    {entry.label && (
+                                        <span className="font-medium text-blue-700 truncate">{entry.label}</span>
+                                    )}
+                                </div>
+                                <div className="flex items-center gap-1 shrink-0">
+                                    <span className="text-gray-400 mr-1">{formatDate(entry.timestamp)}</span>
+                                    <button title={t('pastehistory.label')} onClick={() => startEditLabel(entry)} className="p-1 hover:bg-gray-100 rounded">
+                                        <Tag className="w-3 h-3"/>
+                                    </button>
+                                    <button
+                                        title={entry.pinned ? t('pastehistory.unpin') : t('pastehistory.pin')}
+                                        onClick={() => handleTogglePin(entry)}
+                                        className="p-1 hover:bg-gray-100 rounded"
+                                    >
+                                        {entry.pinned ? <PinOff className="w-3 h-3"/> : <Pin className="w-3 h-3"/>}
+                                    </button>
+                                    <button title={t('pastehistory.delete')} onClick={() => handleDelete(entry)} className="p-1 hover:bg-red-50 text-red-600 rounded">
+                                        <Trash2 className="w-3 h-3"/>
+                                    </button>
+                                    {onOpen && (
+                                        <button title={t('pastehistory.open')} onClick={() => onOpen(entry)} className="p-1 hover:bg-blue-50 text-blue-600 rounded">
+                                            <ExternalLink className="w-3 h-3"/>
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+
+                            {editingId === entry.id && (
+                                <div className="flex gap-1 mb-1">
+                                    <input
+                                        autoFocus
+                                        className="flex-1 border rounded px-2 py-0.5"
+                                        placeholder={t('pastehistory.label_placeholder')}
+                                        value={labelDraft}
+                                        onChange={(e) => setLabelDraft(e.target.value)}
+                                        onKeyDown={(e) => e.key === 'Enter' && saveLabel()}
+                                    />
+                                    <button onClick={saveLabel} className="px-2 py-0.5 rounded bg-blue-500 text-white">
+                                        {t('pastehistory.save')}
+                                    </button>
+                                </div>
+                            )}
+
+                            <div
+                                className={`font-mono break-all text-gray-700 ${onOpen ? 'cursor-pointer hover:text-blue-700' : ''}`}
+                                onClick={() => onOpen?.(entry)}
+                            >
+                                {preview(entry.content, compact ? 120 : 300)}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
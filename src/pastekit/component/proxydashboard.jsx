@@ -1,5 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useTranslation } from '../utils/i18n';
+import TrafficSessionBar, { usePersistedTraffic } from './trafficsessionbar.jsx';
+import { TrafficStore, parseTrafficQuery, matchesTrafficFilter } from '../utils/trafficstore.js';
+import { HarUtils } from '../utils/harutils.js';
 
 /**
  * 代理请求看板组件
@@ -7,9 +10,11 @@ import { useTranslation } from '../utils/i18n';
  */
 export default function ProxyDashboard() {
     const [t] = useTranslation();
-    const [requests, setRequests] = useState([]);
     const [isConnected, setIsConnected] = useState(false);
     const [filterText, setFilterText] = useState('');
+    // 请求保存在 IndexedDB 的当前会话中，新的在前，分页加载
+    const traffic = usePersistedTraffic('proxydashboard', { query: filterText, order: 'desc' });
+    const requests = traffic.items;
     
     // 监听来自 background 的消息
     useEffect(() => {
@@ -20,8 +25,12 @@ export default function ProxyDashboard() {
             console.log('[Proxy Dashboard] 收到消息:', message.type);
             
             if (message.type === 'DECRYPTION_RESULT') {
-                // 添加新的解密请求到列表
-                setRequests(prev => [message.request, ...prev].slice(0, 100)); // 最多保留 100 条
+                // 保存新的解密请求到当前会话
+                traffic.saveExchange({
+                    ...message.request,
+                    requestId: message.requestId || `proxy_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+                    timestamp: message.request.timestamp || Date.now()
+                });
                 setIsConnected(true);
             }
         });
@@ -37,27 +46,20 @@ export default function ProxyDashboard() {
     }, []);
     
     // 过滤请求
-    const filteredRequests = requests.filter(req => {
-        if (!filterText) return true;
-        const searchLower = filterText.toLowerCase();
-        return req.url.toLowerCase().includes(searchLower);
-    });
+    const filter = parseTrafficQuery(filterText);
+    const filteredRequests = requests.filter(req => matchesTrafficFilter(req, filter));
     
     // 清空列表
     const clearRequests = () => {
-        setRequests([]);
+        traffic.clearSession();
     };
     
-    // 导出请求数据
-    const exportRequests = () => {
-        const dataStr = JSON.stringify(requests, null, 2);
-        const blob = new Blob([dataStr], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `proxy-requests-${Date.now()}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
+    // 导出请求数据（持久化时导出当前会话的全部记录）
+    const exportRequests = async () => {
+        const data = traffic.persistent && traffic.session
+            ? await TrafficStore.getAllExchanges(traffic.session.id)
+            : requests;
+        HarUtils.downloadJson(data, `proxy-requests-${Date.now()}.json`);
     };
     
     return (
@@ -80,14 +82,14 @@ export default function ProxyDashboard() {
                         {isConnected ? '已连接' : '未连接'}
                     </span>
                     <span className="text-sm text-muted-foreground ml-2">
-                        共 {requests.length} 条请求
+                        共 {traffic.total} 条请求
                     </span>
                 </div>
                 
                 <div className="flex items-center gap-2">
                     <input
                         type="text"
-                        placeholder="搜索 URL..."
+                        placeholder="搜索 URL，支持 host: / status: / path:"
                         value={filterText}
                         onChange={(e) => setFilterText(e.target.value)}
                         className="px-3 py-1.5 border rounded-md text-sm w-64"
@@ -106,6 +108,7 @@ export default function ProxyDashboard() {
                     </button>
                 </div>
             </div>
+            <TrafficSessionBar traffic={traffic} className="mb-4"/>
             
             {/* 请求列表 */}
             <div className="space-y-3">
@@ -115,10 +118,19 @@ export default function ProxyDashboard() {
                         <p className="text-sm mt-2">在手机 APP 中进行操作，请求将显示在这里</p>
                     </div>
                 ) : (
-                    filteredRequests.map((request, index) => (
-                        <RequestItem key={`${request.timestamp}-${index}`} request={request} />
+                    filteredRequests.map((request) => (
+                        <RequestItem key={request.requestId} request={request} />
                     ))
                 )}
+                {traffic.hasMore && (
+                    <button
+                        onClick={traffic.loadMore}
+                        disabled={traffic.loading}
+                        className="w-full px-3 py-1.5 bg-secondary hover:bg-secondary/80 rounded-md text-sm"
+                    >
+                        ⬇️ {t('trafficsession.load_more')}
+                    </button>
+                )}
             </div>
         </div>
     );
@@ -0,0 +1,213 @@
+import React, { useState } from 'react';
+import QRCodeComponent from './qrcode';
+import { QRCodeUtils } from '../utils/qrcodeutils';
+import { detectContent } from '../utils/detector';
+import { useTranslation } from '../utils/i18n';
+
+const MODES = ['text', 'wifi', 'vcard', 'decode'];
+const VCARD_FIELDS = ['name', 'org', 'title', 'phone', 'email', 'url', 'address', 'note'];
+
+/**
+ * 二维码工具：文本 / Wi-Fi / vCard 生成，以及从图片本地解码
+ * @param {Function} onDecoded - 可选，(text) => void；不提供时在工具内展示检测结果
+ */
+export default function QRCodeTool({ onDecoded }) {
+    const [t] = useTranslation();
+    const [mode, setMode] = useState('text');
+    const [text, setText] = useState('');
+    const [wifi, setWifi] = useState({ ssid: '', password: '', security: 'WPA', hidden: false });
+    const [contact, setContact] = useState({});
+    const [decoded, setDecoded] = useState(null);
+    const [decodeError, setDecodeError] = useState('');
+    const [isDragging, setIsDragging] = useState(false);
+
+    let payload = '';
+    let payloadError = '';
+    try {
+        if (mode === 'text') payload = text;
+        if (mode === 'wifi' && wifi.ssid) payload = QRCodeUtils.buildWifiPayload(wifi);
+        if (mode === 'vcard' && contact.name) payload = QRCodeUtils.buildVCardPayload(contact);
+    } catch (err) {
+        payloadError = err.message;
+    }
+
+    const handleImage = async (image) => {
+        setDecoded(null);
+        setDecodeError('');
+        if (!image) {
+            setDecodeError(t('qrcode.decode.not_image'));
+            return;
+        }
+        try {
+            const result = await QRCodeUtils.decodeImage(image);
+            if (!result) {
+                setDecodeError(t('qrcode.decode.not_found'));
+                return;
+            }
+            if (onDecoded) {
+                onDecoded(result.text);
+                return;
+            }
+            const candidates = await detectContent(result.text);
+            setDecoded({ text: result.text, candidates });
+        } catch (err) {
+            setDecodeError(t('qrcode.decode.failed', { error: err.message }));
+        }
+    };
+
+    const renderDecode = () => (
+        <div className="space-y-3">
+            <div
+                tabIndex={0}
+                onPaste={(e) => {
+                    const image = QRCodeUtils.getImageFromDataTransfer(e.clipboardData);
+                    if (image) {
+                        e.preventDefault();
+                        handleImage(image);
+                    }
+                }}
+                onDragOver={(e) => {
+                    e.preventDefault();
+                    setIsDragging(true);
+                }}
+                onDragLeave={() => setIsDragging(false)}
+                onDrop={(e) => {
+                    e.preventDefault();
+                    setIsDragging(false);
+                    handleImage(QRCodeUtils.getImageFromDataTransfer(e.dataTransfer));
+                }}
+                className={`border-2 border-dashed rounded p-6 text-center text-sm outline-none focus:border-blue-400 ${
+                    isDragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300 text-gray-500'
+                }`}
+            >
+                <div className="mb-2">{t('qrcode.decode.drop_hint')}</div>
+                <input
+                    type="file"
+                    accept="image/*"
+                    className="text-xs"
+                    onChange={(e) => handleImage(e.target.files?.[0])}
+                />
+                <div className="mt-2 text-xs text-gray-400">{t('qrcode.decode.local_only')}</div>
+            </div>
+
+            {decodeError && (
+                <div className="p-2 bg-red-100 text-red-800 rounded text-sm">{decodeError}</div>
+            )}
+
+            {decoded && (
+                <div className="space-y-2">
+                    <div className="text-sm font-medium text-green-700">{t('qrcode.decode.result')}</div>
+                    <pre className="text-xs font-mono bg-green-50 border border-green-200 rounded p-2 whitespace-pre-wrap break-all">
+                        {decoded.text}
+                    </pre>
+                    <div className="flex flex-wrap items-center gap-1 text-xs">
+                        <span className="text-gray-500">{t('qrcode.decode.detected')}:</span>
+                        {decoded.candidates.map(candidate => (
+                            <span key={candidate.detectorId} className="bg-gray-200 px-2 py-0.5 rounded">
+                                {t(`popup.formats.${candidate.type}`)} {Math.round(candidate.score * 100)}%
+                            </span>
+                        ))}
+                        <a
+                            href={`popup.html?content=${encodeURIComponent(decoded.text)}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="ml-2 text-blue-600 hover:underline"
+                        >
+                            {t('qrcode.decode.open_in_popup')}
+                        </a>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+
+    return (
+        <div className="w-full border rounded p-4 space-y-4">
+            <div className="flex gap-1 border-b">
+                {MODES.map(item => (
+                    <button
+                        key={item}
+                        onClick={() => setMode(item)}
+                        className={`px-3 py-1 text-sm border-b-2 -mb-px ${
+                            mode === item ? 'border-blue-500 text-blue-700' : 'border-transparent text-gray-600 hover:text-gray-800'
+                        }`}
+                    >
+                        {t(`qrcode.modes.${item}`)}
+                    </button>
+                ))}
+            </div>
+
+            {mode === 'text' && (
+                <textarea
+                    className="w-full border rounded px-3 py-2 text-sm h-24"
+                    placeholder={t('qrcode.enter_content')}
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                />
+            )}
+
+            {mode === 'wifi' && (
+                <div className="grid grid-cols-2 gap-2 text-sm">
+                    <input
+                        className="border rounded px-2 py-1"
+                        placeholder={t('qrcode.wifi.ssid')}
+                        value={wifi.ssid}
+                        onChange={(e) => setWifi({ ...wifi, ssid: e.target.value })}
+                    />
+                    <input
+                        className="border rounded px-2 py-1"
+                        placeholder={t('qrcode.wifi.password')}
+                        value={wifi.password}
+                        disabled={wifi.security === 'nopass'}
+                        onChange={(e) => setWifi({ ...wifi, password: e.target.value })}
+                    />
+                    <select
+                        className="border rounded px-2 py-1"
+                        value={wifi.security}
+                        onChange={(e) => setWifi({ ...wifi, security: e.target.value })}
+                    >
+                        <option value="WPA">WPA/WPA2/WPA3</option>
+                        <option value="WEP">WEP</option>
+                        <option value="nopass">{t('qrcode.wifi.no_password')}</option>
+                    </select>
+                    <label className="flex items-center gap-2">
+                        <input
+                            type="checkbox"
+                            checked={wifi.hidden}
+                            onChange={(e) => setWifi({ ...wifi, hidden: e.target.checked })}
+                        />
+                        {t('qrcode.wifi.hidden')}
+                    </label>
+                </div>
+            )}
+
+            {mode === 'vcard' && (
+                <div className="grid grid-cols-2 gap-2 text-sm">
+                    {VCARD_FIELDS.map(field => (
+                        <input
+                            key={field}
+                            className="border rounded px-2 py-1"
+                            placeholder={t(`qrcode.vcard.${field}`)}
+                            value={contact[field] || ''}
+                            onChange={(e) => setContact({ ...contact, [field]: e.target.value })}
+                        />
+                    ))}
+                </div>
+            )}
+
+            {mode === 'decode' ? renderDecode() : (
+                <>
+                    {payloadError && (
+                        <div className="p-2 bg-red-100 text-red-800 rounded text-sm">{payloadError}</div>
+                    )}
+                    {mode !== 'text' && payload && (
+                        <pre className="text-xs font-mono bg-gray-50 border rounded p-2 whitespace-pre-wrap break-all">
+                            {payload}
+                        </pre>
+                    )}
+                    <QRCodeComponent content={payload} type="svg" />
+                </>
+            )}
+        </div>
+    );
+}
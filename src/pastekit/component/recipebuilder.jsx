@@ -0,0 +1,229 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { toast } from 'sonner';
+import { ArrowUp, ArrowDown, Trash2, Plus } from 'lucide-react';
+import {
+    OPERATIONS,
+    OPERATION_CATEGORIES,
+    getOperation,
+    getDefaultParams,
+    RecipeEngine,
+    RecipeStorageManager
+} from '../utils/recipe';
+import { useTranslation } from '../utils/i18n';
+import RecipeTrace from './recipetrace';
+
+const createStep = (op) => ({ op, params: getDefaultParams(getOperation(op)) });
+
+/**
+ * 配方编辑器：组合编码、解密、JSON、哈希步骤并按名称保存
+ * @param {Array} configs - 秘钥配置列表
+ */
+export default function RecipeBuilder({ configs = [] }) {
+    const [t] = useTranslation();
+    const [recipes, setRecipes] = useState([]);
+    const [name, setName] = useState('');
+    const [steps, setSteps] = useState([createStep('base64_decode')]);
+    const [input, setInput] = useState('');
+    const [result, setResult] = useState(null);
+
+    const loadRecipes = async () => setRecipes(await RecipeStorageManager.loadRecipes());
+
+    useEffect(() => {
+        loadRecipes();
+    }, []);
+
+    const updateStep = (index, updates) => {
+        setSteps(steps.map((step, i) => (i === index ? { ...step, ...updates } : step)));
+    };
+
+    const updateParam = (index, paramName, value) => {
+        updateStep(index, { params: { ...steps[index].params, [paramName]: value } });
+    };
+
+    const moveStep = (index, offset) => {
+        const target = index + offset;
+        if (target < 0 || target >= steps.length) return;
+        const next = [...steps];
+        [next[index], next[target]] = [next[target], next[index]];
+        setSteps(next);
+    };
+
+    const removeStep = (index) => setSteps(steps.filter((_, i) => i !== index));
+
+    const handleRun = async () => {
+        setResult(await RecipeEngine.run(input, steps, { keyConfigs: configs }));
+    };
+
+    const handleSave = async () => {
+        const errors = RecipeEngine.validate({ name, steps });
+        if (errors.length > 0) {
+            toast.error(errors.join('；'));
+            return;
+        }
+        const saved = await RecipeStorageManager.saveRecipe({ name, steps });
+        if (saved) {
+            toast.success(t('recipe.saved', { name: saved.name }));
+            await loadRecipes();
+        } else {
+            toast.error(t('recipe.save_failed'));
+        }
+    };
+
+    const handleLoad = (recipe) => {
+        setName(recipe.name);
+        setSteps(recipe.steps.map(step => ({ op: step.op, params: { ...getDefaultParams(getOperation(step.op)), ...step.params } })));
+        setResult(null);
+    };
+
+    const handleDelete = async (recipe) => {
+        if (!window.confirm(t('recipe.delete_confirm', { name: recipe.name }))) return;
+        await RecipeStorageManager.deleteRecipe(recipe.id);
+        await loadRecipes();
+    };
+
+    const handleNew = () => {
+        setName('');
+        setSteps([createStep('base64_decode')]);
+        setResult(null);
+    };
+
+    const renderParam = (step, index, param) => {
+        const value = step.params?.[param.name] ?? '';
+        const label = t(`recipe.params.${param.name}`);
+
+        if (param.type === 'config') {
+            return (
+                <select
+                    key={param.name}
+                    className="border rounded px-2 py-1 text-xs"
+                    value={value}
+                    onChange={(e) => updateParam(index, param.name, e.target.value)}
+                >
+                    <option value="">{label}</option>
+                    {configs.map(config => (
+                        <option key={config.name} value={config.name}>
+                            {config.name} ({config.algorithm})
+                        </option>
+                    ))}
+                </select>
+            );
+        }
+
+        if (param.type === 'select') {
+            return (
+                <select
+                    key={param.name}
+                    className="border rounded px-2 py-1 text-xs"
+                    value={value}
+                    onChange={(e) => updateParam(index, param.name, e.target.value)}
+                >
+                    {param.options.map(option => (
+                        <option key={option} value={option}>{option.toUpperCase()}</option>
+                    ))}
+                </select>
+            );
+        }
+
+        return (
+            <input
+                key={param.name}
+                className="flex-1 min-w-0 border rounded px-2 py-1 text-xs font-mono"
+                placeholder={label}
+                value={value}
+                onChange={(e) => updateParam(index, param.name, e.target.value)}
+            />
+        );
+    };
+
+    return (
+        <div className="flex gap-6 w-full">
+            {/* Saved recipes */}
+            <div className="w-56 shrink-0 space-y-2">
+                <div className="flex items-center justify-between">
+                    <h3 className="font-medium">{t('recipe.saved_recipes')}</h3>
+                    <button onClick={handleNew} className="text-xs text-blue-600 hover:underline">{t('recipe.new')}</button>
+                </div>
+                {recipes.length === 0 && <div className="text-sm text-gray-500">{t('recipe.no_recipes')}</div>}
+                {recipes.map(recipe => (
+                    <div
+                        key={recipe.id}
+                        className={`flex items-center justify-between border rounded px-2 py-1 text-sm ${
+                            recipe.name === name ? 'bg-blue-50 border-blue-300' : 'bg-white'
+                        }`}
+                    >
+                        <button className="truncate text-left flex-1" onClick={() => handleLoad(recipe)}>
+                            {recipe.name}
+                        </button>
+                        <button onClick={() => handleDelete(recipe)} className="p-1 text-red-600 hover:bg-red-50 rounded">
+                            <Trash2 className="w-3 h-3"/>
+                        </button>
+                    </div>
+                ))}
+            </div>
+
+            {/* Editor */}
+            <div className="flex-1 space-y-4">
+                <input
+                    className="w-full border rounded px-3 py-2 text-sm"
+                    placeholder={t('recipe.name_placeholder')}
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                />
+
+                <div className="space-y-2">
+                    {steps.map((step, index) => (
+                        <div key={index} className="flex items-center gap-2 border rounded p-2 bg-white">
+                            <span className="text-xs text-gray-400 w-5">{index + 1}</span>
+                            <select
+                                className="border rounded px-2 py-1 text-xs"
+                                value={step.op}
+                                onChange={(e) => updateStep(index, createStep(e.target.value))}
+                            >
+                                {OPERATION_CATEGORIES.map(category => (
+                                    <optgroup key={category} label={t(`recipe.categories.${category}`)}>
+                                        {OPERATIONS.filter(op => op.category === category).map(op => (
+                                            <option key={op.id} value={op.id}>{t(`recipe.operations.${op.id}`)}</option>
+                                        ))}
+                                    </optgroup>
+                                ))}
+                            </select>
+                            <div className="flex flex-1 gap-2">
+                                {(getOperation(step.op)?.params || []).map(param => renderParam(step, index, param))}
+                            </div>
+                            <button onClick={() => moveStep(index, -1)} className="p-1 hover:bg-gray-100 rounded" title={t('recipe.move_up')}>
+                                <ArrowUp className="w-3 h-3"/>
+                            </button>
+                            <button onClick={() => moveStep(index, 1)} className="p-1 hover:bg-gray-100 rounded" title={t('recipe.move_down')}>
+                                <ArrowDown className="w-3 h-3"/>
+                            </button>
+                            <button onClick={() => removeStep(index)} className="p-1 text-red-600 hover:bg-red-50 rounded" title={t('recipe.remove_step')}>
+                                <Trash2 className="w-3 h-3"/>
+                            </button>
+                        </div>
+                    ))}
+                    <button
+                        onClick={() => setSteps([...steps, createStep('json_pretty')])}
+                        className="flex items-center gap-1 text-sm text-blue-600 hover:underline"
+                    >
+                        <Plus className="w-4 h-4"/> {t('recipe.add_step')}
+                    </button>
+                </div>
+
+                <textarea
+                    className="w-full border rounded px-3 py-2 text-xs font-mono h-24"
+                    placeholder={t('recipe.input_placeholder')}
+                    value={input}
+                    onChange={(e) => setInput(e.target.value)}
+                />
+
+                <div className="flex gap-2">
+                    <Button variant="outline" onClick={handleRun}>{t('recipe.run')}</Button>
+                    <Button onClick={handleSave}>{t('recipe.save')}</Button>
+                </div>
+
+                <RecipeTrace result={result}/>
+            </div>
+        </div>
+    );
+}
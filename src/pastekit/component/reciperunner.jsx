@@ -0,0 +1,65 @@
+import React, { useState, useEffect } from 'react';
+import { Play } from 'lucide-react';
+import { RecipeEngine, RecipeStorageManager, RECIPES_STORAGE_KEY } from '../utils/recipe';
+import { StorageUtils } from '../utils/storageutils';
+import { useTranslation } from '../utils/i18n';
+import RecipeTrace from './recipetrace';
+
+/**
+ * Popup 中的一键配方执行
+ * 没有保存任何配方时不渲染
+ * @param {string} content - 粘贴内容
+ */
+export default function RecipeRunner({ content = '' }) {
+    const [t] = useTranslation();
+    const [recipes, setRecipes] = useState([]);
+    const [activeRecipeId, setActiveRecipeId] = useState(null);
+    const [result, setResult] = useState(null);
+
+    useEffect(() => {
+        const loadRecipes = async () => setRecipes(await RecipeStorageManager.loadRecipes());
+        loadRecipes();
+        return StorageUtils.listen((changes) => {
+            if (changes[RECIPES_STORAGE_KEY]) loadRecipes();
+        });
+    }, []);
+
+    // 内容变化后清除上一次的执行结果
+    useEffect(() => {
+        setActiveRecipeId(null);
+        setResult(null);
+    }, [content]);
+
+    const runRecipe = async (recipe) => {
+        const configsResult = await StorageUtils.getItem('keyConfigs');
+        const runResult = await RecipeEngine.run(content, recipe.steps, { keyConfigs: configsResult.keyConfigs || [] });
+        setActiveRecipeId(recipe.id);
+        setResult(runResult);
+    };
+
+    if (recipes.length === 0 || !content.trim()) {
+        return null;
+    }
+
+    return (
+        <div className="border-t p-3 space-y-2">
+            <div className="flex flex-wrap items-center gap-1">
+                <span className="text-xs text-gray-500 mr-1">{t('recipe.runner_title')}:</span>
+                {recipes.map(recipe => (
+                    <button
+                        key={recipe.id}
+                        onClick={() => runRecipe(recipe)}
+                        title={recipe.steps.map(step => t(`recipe.operations.${step.op}`)).join(' → ')}
+                        className={`flex items-center gap-1 text-xs px-2 py-0.5 rounded border ${
+                            activeRecipeId === recipe.id ? 'bg-blue-100 border-blue-300 text-blue-700' : 'hover:bg-gray-50'
+                        }`}
+                    >
+                        <Play className="w-3 h-3"/>
+                        {recipe.name}
+                    </button>
+                ))}
+            </div>
+            <RecipeTrace result={result}/>
+        </div>
+    );
+}
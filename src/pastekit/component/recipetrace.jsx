@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+import { useTranslation } from '../utils/i18n';
+
+/**
+ * 配方执行过程展示，每一步的输出都可以展开查看
+ * @param {Object} result - RecipeEngine.run 的返回值
+ */
+export default function RecipeTrace({ result }) {
+    const [t] = useTranslation();
+    const [expanded, setExpanded] = useState(null);
+
+    if (!result) {
+        return null;
+    }
+
+    return (
+        <div className="space-y-2">
+            <div className="space-y-1">
+                {result.steps.map((step, index) => {
+                    const isExpanded = expanded === index;
+                    return (
+                        <div key={index} className={`border rounded text-xs ${step.error ? 'border-red-300 bg-red-50' : 'bg-white'}`}>
+                            <button
+                                className="w-full flex items-center justify-between px-2 py-1"
+                                onClick={() => setExpanded(isExpanded ? null : index)}
+                            >
+                                <span className="flex items-center gap-1">
+                                    {isExpanded ? <ChevronDown className="w-3 h-3"/> : <ChevronRight className="w-3 h-3"/>}
+                                    {index + 1}. {t(`recipe.operations.${step.op}`)}
+                                </span>
+                                <span className={step.error ? 'text-red-600' : 'text-gray-400'}>
+                                    {step.error ? t('recipe.step_failed') : `${step.durationMs}ms`}
+                                </span>
+                            </button>
+                            {(isExpanded || step.error) && (
+                                <pre className="px-2 pb-2 font-mono whitespace-pre-wrap break-all max-h-48 overflow-y-auto">
+                                    {step.error || step.output}
+                                </pre>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            {result.success && (
+                <div>
+                    <div className="text-sm font-medium text-green-700 mb-1">{t('recipe.output')}</div>
+                    <pre className="text-xs font-mono bg-green-50 border border-green-200 rounded p-2 whitespace-pre-wrap break-all">
+                        {result.output}
+                    </pre>
+                </div>
+            )}
+        </div>
+    );
+}
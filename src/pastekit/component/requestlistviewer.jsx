@@ -8,6 +8,13 @@ import { useTranslation } from '../utils/i18n';
 import { ProxyWebSocketClient } from '../proxy/ws-client.js';
 import { performDecryption } from '../proxy/utils/decryptor.js';
 import { StorageUtils } from '../utils/storageutils.js';
+import { applyRewrites, BREAKPOINT_RULES_STORAGE_KEY } from '../proxy/utils/breakpoints.js';
+import { openBreakpointBody, sealBreakpointBody } from '../proxy/utils/rewriter.js';
+import BreakpointEditor from './breakpointeditor.jsx';
+import BreakpointRuleManager from './breakpointrulemanager.jsx';
+import TrafficSessionBar, { usePersistedTraffic } from './trafficsessionbar.jsx';
+import HarActions from './haractions.jsx';
+import { parseTrafficQuery, matchesTrafficFilter } from '../utils/trafficstore.js';
 
 /**
  * 请求列表展示组件 - 用于 Options 页面
@@ -15,11 +22,15 @@ import { StorageUtils } from '../utils/storageutils.js';
  */
 export default function RequestListViewer() {
     const [t] = useTranslation();
-    const [requests, setRequests] = useState([]);
     const [selectedRequestId, setSelectedRequestId] = useState(null);
     const [searchTerm, setSearchTerm] = useState('');
+    // 捕获的请求保存在 IndexedDB 的当前会话中，分页加载
+    const traffic = usePersistedTraffic('requestlist', { query: searchTerm });
+    const requests = traffic.items;
     const [isConnected, setIsConnected] = useState(false);
     const [connectionStatus, setConnectionStatus] = useState('disconnected');
+    const [pausedBreakpoints, setPausedBreakpoints] = useState([]);
+    const [showBreakpointRules, setShowBreakpointRules] = useState(false);
     
     // WebSocket 客户端
     const wsClientRef = useRef(null);
@@ -28,6 +39,7 @@ export default function RequestListViewer() {
     // 配置存储
     const decryptionConfigsRef = useRef([]);
     const keyConfigsRef = useRef([]);
+    const breakpointRulesRef = useRef([]);
     
     const portRef = useRef(null);
     const isConnectedRef = useRef(false);
@@ -99,9 +111,15 @@ export default function RequestListViewer() {
             
             keyConfigsRef.current = Array.isArray(rawKeyConfigs) ? rawKeyConfigs : [];
             
+            // 从 chrome.storage 加载断点 / 重写规则
+            const breakpointResult = await StorageUtils.getItem([BREAKPOINT_RULES_STORAGE_KEY]);
+            const rawBreakpointRules = breakpointResult[BREAKPOINT_RULES_STORAGE_KEY];
+            breakpointRulesRef.current = Array.isArray(rawBreakpointRules) ? rawBreakpointRules : [];
+            
             console.log('[RequestList Viewer] 配置加载完成:', {
                 decryptionConfigs: decryptionConfigsRef.current.length,
-                keyConfigs: keyConfigsRef.current.length
+                keyConfigs: keyConfigsRef.current.length,
+                breakpointRules: breakpointRulesRef.current.length
             });
         } catch (error) {
             console.error('[RequestList Viewer] 加载配置失败:', error);
@@ -159,20 +177,31 @@ export default function RequestListViewer() {
             wsClientRef.current = new ProxyWebSocketClient(wsUrl);
             
 
-            // 注册消息处理器（用于处理代理请求等）
+            // 注册消息处理器：代理插件的各种消息形状已由 Hub 统一为 proxy-request / proxy-response
             wsClientRef.current.on('proxy-request', async (message) => {
                 console.log('[RequestList Viewer] 收到代理请求:', message.url);
+                if (message.breakpoint) {
+                    handleBreakpoint(message);
+                }
                 await handleProxyRequest(message);
             });
             
-            wsClientRef.current.on('REQUEST', async (message) => {
-                console.log('[RequestList Viewer] 收到 REQUEST:', message.url);
+            wsClientRef.current.on('proxy-response', async (message) => {
+                console.log('[RequestList Viewer] 收到代理响应:', message.url);
+                if (message.breakpoint) {
+                    handleBreakpoint(message);
+                }
                 await handleProxyRequest(message);
             });
-            
-            wsClientRef.current.on('RESPONSE', async (message) => {
-                console.log('[RequestList Viewer] 收到 RESPONSE:', message.url);
-                await handleProxyRequest(message);
+
+            // 断点已放行（其他页面放行、超时或代理断开）时移出编辑器
+            wsClientRef.current.on('breakpoint-released', (message) => {
+                removePausedBreakpoint(message.breakpointId);
+            });
+
+            // 每次（重）连接后同步域名过滤与解密配置
+            wsClientRef.current.on('connected', () => {
+                sendDomainConfig();
             });
 
             // 更新连接状态的函数
@@ -201,10 +230,8 @@ export default function RequestListViewer() {
                 updateConnectionStatus();
             });
             
-            // 延迟发送域名配置
             setTimeout(() => {
                 updateConnectionStatus();
-                sendDomainConfig();
             }, 1000);
             
         } catch (error) {
@@ -215,7 +242,7 @@ export default function RequestListViewer() {
         }
     };
 
-    // 发送域名配置到代理服务器
+    // 发送域名配置到代理服务器，同时同步解密配置供内置 MITM 代理（pastekit proxy）解密
     const sendDomainConfig = () => {
         console.log('[RequestList Viewer] 📤 准备发送域名配置');
         
@@ -256,12 +283,104 @@ export default function RequestListViewer() {
             } else {
                 console.warn('[RequestList Viewer] ⚠️ 域名配置发送失败');
             }
+            
+            wsClientRef.current.send('decryption-configs', {
+                decryptionConfigs: decryptionConfigsRef.current,
+                keyConfigs: keyConfigsRef.current
+            });
+            
+            wsClientRef.current.send('breakpoint-rules', {
+                rules: breakpointRulesRef.current
+            });
         } catch (error) {
             console.error('[RequestList Viewer] ❌ 发送域名配置失败:', error);
         }
     };
 
-    // 处理来自代理的请求
+    // 处理命中断点规则的流量：解密后放入断点编辑器，重写规则直接替换明文后放行
+    const handleBreakpoint = (event) => {
+        const isResponse = event.phase === 'response';
+        const matchedConfig = findMatchingConfig(event.url);
+        const keyConfig = matchedConfig && matchedConfig.decryptionEnabled !== false
+            ? findKeyConfigByName(isResponse ? matchedConfig.responseKeyConfigName : matchedConfig.requestKeyConfigName)
+            : null;
+        
+        let opened;
+        let error = null;
+        try {
+            opened = openBreakpointBody({
+                body: event.body,
+                headers: event.headers || {},
+                keyConfig,
+                keyConfigs: keyConfigsRef.current
+            });
+        } catch (decryptErr) {
+            console.error('[RequestList Viewer] 断点消息体解密失败:', decryptErr);
+            opened = { plainBody: event.body ?? '', decryption: null };
+            error = decryptErr.message;
+        }
+        
+        const rule = breakpointRulesRef.current.find(item => item.id === event.breakpoint.ruleId) || null;
+        const item = {
+            breakpointId: event.breakpoint.id,
+            url: event.url,
+            method: event.method,
+            phase: event.phase,
+            statusCode: event.statusCode,
+            body: event.body,
+            headers: event.headers || {},
+            rule,
+            ...opened,
+            error
+        };
+        
+        if (event.breakpoint.action === 'rewrite' && !error) {
+            releaseBreakpoint(item, applyRewrites(item.plainBody, rule?.rewrites));
+            return;
+        }
+        setPausedBreakpoints(prev => [...prev, item]);
+    };
+
+    const removePausedBreakpoint = (breakpointId) => {
+        setPausedBreakpoints(prev => prev.filter(item => item.breakpointId !== breakpointId));
+    };
+
+    // 按编辑后的明文重新加密、签名后放行；失败时保留在编辑器中并显示错误
+    const releaseBreakpoint = (item, plainBody) => {
+        try {
+            const sealed = sealBreakpointBody({
+                plainBody,
+                body: item.body,
+                headers: item.headers,
+                decryption: item.decryption,
+                keyConfigs: keyConfigsRef.current,
+                signature: item.rule?.signature
+            });
+            const unchanged = sealed.body === (item.body ?? '') && Object.keys(sealed.headers).length === 0;
+            const sent = wsClientRef.current?.send('release', unchanged
+                ? { breakpointId: item.breakpointId }
+                : { breakpointId: item.breakpointId, body: sealed.body, headers: sealed.headers });
+            if (!sent) {
+                throw new Error(t('breakpoint.release_failed'));
+            }
+            removePausedBreakpoint(item.breakpointId);
+            return true;
+        } catch (releaseErr) {
+            console.error('[RequestList Viewer] 断点放行失败:', releaseErr);
+            setPausedBreakpoints(prev => prev.some(paused => paused.breakpointId === item.breakpointId)
+                ? prev.map(paused => (paused.breakpointId === item.breakpointId ? { ...paused, error: releaseErr.message } : paused))
+                : [...prev, { ...item, error: releaseErr.message }]);
+            return false;
+        }
+    };
+
+    // 不做修改直接放行
+    const continueBreakpoint = (item) => {
+        wsClientRef.current?.send('release', { breakpointId: item.breakpointId });
+        removePausedBreakpoint(item.breakpointId);
+    };
+
+    // 处理来自代理的请求：同一 requestId 的请求与响应合并为一条记录
     const handleProxyRequest = async (requestData) => {
         if (!requestData || !requestData.url) {
             console.log('[RequestList Viewer] 无效消息:', JSON.stringify(requestData));
@@ -277,32 +396,36 @@ export default function RequestListViewer() {
             return;
         }
         
-        let plainRequestBody = null;
-        let plainResponseBody = null;
-        let decryptError = null;
-        let requestKeyConfig = null;
-        let responseKeyConfig = null;
+        const isResponse = requestData.phase === 'response';
+        const body = requestData.body;
+        const requestKeyConfig = findKeyConfigByName(matchedConfig.requestKeyConfigName);
+        const responseKeyConfig = findKeyConfigByName(matchedConfig.responseKeyConfigName);
+        
+        // 内置 MITM 代理已解密的消息直接使用其结果
+        let plainBody = requestData.plainBody || null;
+        let decryptError = requestData.decryptError || null;
+        const decryptedByProxy = plainBody !== null || decryptError !== null;
         
         // 只有在启用解密功能时才尝试解密
-        if (matchedConfig.decryptionEnabled !== false) {
-            // 查找密钥配置
-            requestKeyConfig = findKeyConfigByName(matchedConfig.requestKeyConfigName);
-            responseKeyConfig = findKeyConfigByName(matchedConfig.responseKeyConfigName);
+        if (matchedConfig.decryptionEnabled !== false && !decryptedByProxy && body) {
+            const keyConfig = isResponse ? responseKeyConfig : requestKeyConfig;
             
-            if (!requestKeyConfig || !responseKeyConfig) {
+            if (!keyConfig) {
                 console.warn('[RequestList Viewer] 未找到匹配的密钥配置');
                 decryptError = '未找到匹配的密钥配置';
             } else {
                 try {
                     // 执行解密
                     const result = await performDecryption({
-                        requestBody: requestData.requestBody || requestData.body,
-                        responseBody: requestData.responseBody || requestData.body,
-                        requestKeyConfig,
-                        responseKeyConfig
+                        requestBody: isResponse ? null : body,
+                        responseBody: isResponse ? body : null,
+                        requestKeyConfig: keyConfig,
+                        responseKeyConfig: keyConfig,
+                        requestHeaders: isResponse ? null : requestData.headers,
+                        responseHeaders: isResponse ? requestData.headers : null,
+                        keyConfigs: keyConfigsRef.current
                     });
-                    plainRequestBody = result.plainRequestBody;
-                    plainResponseBody = result.plainResponseBody;
+                    plainBody = isResponse ? result.plainResponseBody : result.plainRequestBody;
                     decryptError = result.error;
                     console.log('[RequestList Viewer] ✅ 解密成功');
                 } catch (decryptErr) {
@@ -312,45 +435,42 @@ export default function RequestListViewer() {
             }
         }
         
-        // 构建完整的请求对象
-        const fullRequest = {
-            requestId: requestData.eventId || requestData.timestamp?.toString() || Date.now().toString(),
-            url: requestData.url,
+        const requestId = requestData.requestId || requestData.eventId || requestData.timestamp?.toString() || Date.now().toString();
+        const phaseFields = isResponse ? {
+            statusCode: requestData.statusCode,
+            responseHeaders: requestData.headers || {},
+            responseBody: body,
+            plainResponseBody: plainBody
+        } : {
             method: requestData.method,
             requestHeaders: requestData.headers || {},
-            responseHeaders: requestData.headers || {},
-            requestBody: requestData.body || requestData.requestBody,
-            responseBody: requestData.body || requestData.responseBody,
-            plainRequestBody: plainRequestBody,
-            plainResponseBody: plainResponseBody,
-            statusCode: requestData.statusCode,
+            requestBody: body,
+            plainRequestBody: plainBody
+        };
+        
+        // 保存到当前会话（已有同一 requestId 的记录时合并，未定义的字段保留原值）
+        await traffic.saveExchange({
+            requestId,
+            url: requestData.url,
             timestamp: requestData.timestamp || Date.now(),
+            ...phaseFields,
+            source: requestData.source,
+            decryptError: decryptError || undefined,
             requestConfig: requestKeyConfig,
             responseConfig: responseKeyConfig,
             domainConfig: matchedConfig,
             decryptionSkipped: matchedConfig.decryptionEnabled === false
-        };
-        
-        // 添加到请求列表
-        setRequests(prevRequests => {
-            const existingIndex = prevRequests.findIndex(req => req.requestId === fullRequest.requestId);
-            if (existingIndex >= 0) {
-                const updated = [...prevRequests];
-                updated[existingIndex] = fullRequest;
-                return updated.sort((a, b) => a.timestamp - b.timestamp);
-            } else {
-                return [...prevRequests, fullRequest].sort((a, b) => a.timestamp - b.timestamp);
-            }
         });
         
-        console.log('[RequestList Viewer] 已添加请求到列表:', fullRequest.requestId);
+        console.log('[RequestList Viewer] 已添加请求到列表:', requestId);
     };
 
     // 监听配置变化
     useEffect(() => {
         const handleStorageChange = (changes, areaName) => {
-            // 配置变化后重新发送域名配置
-            setTimeout(() => {
+            // 配置变化后重新加载并发送域名配置
+            setTimeout(async () => {
+                await loadConfigurations();
                 sendDomainConfig();
             }, 1000);
         };
@@ -362,17 +482,12 @@ export default function RequestListViewer() {
         };
     }, []);
 
-    // 过滤请求列表
+    // 过滤请求列表（会话中的记录已按搜索条件查询，这里过滤搜索条件变化前已加载的记录）
     const filteredRequests = useMemo(() => {
         if (!searchTerm) return requests;
         
-        const term = searchTerm.toLowerCase().trim();
-        return requests.filter(request => 
-            request.url?.toLowerCase().includes(term) ||
-            request.requestId?.toLowerCase().includes(term) ||
-            request.method?.toLowerCase().includes(term) ||
-            request.statusCode?.toString().includes(term)
-        );
+        const filter = parseTrafficQuery(searchTerm);
+        return requests.filter(request => matchesTrafficFilter(request, filter));
     }, [requests, searchTerm]);
 
     const selectRequest = (requestId) => {
@@ -380,11 +495,17 @@ export default function RequestListViewer() {
     };
 
     const clearRequests = () => {
-        setRequests([]);
+        traffic.clearSession();
         setSelectedRequestId(null);
         // setSearchTerm('');  // 不清空搜索框
     };
 
+    // 导入 HAR 时使用当前已加载的域名配置与密钥配置
+    const getDecryptionOptions = async () => ({
+        decryptionConfigs: decryptionConfigsRef.current,
+        keyConfigs: keyConfigsRef.current
+    });
+
     const getSelectedRequest = () => {
         return requests.find(r => r.requestId === selectedRequestId);
     };
@@ -414,7 +535,7 @@ export default function RequestListViewer() {
                             </div>
                             
                             <Badge variant="secondary" className="text-xs px-2 py-1 h-auto">
-                                {t('requestlist.requests_count', { count: requests.length })}
+                                {t('requestlist.requests_count', { count: traffic.total })}
                             </Badge>
                         </div>
                     </div>
@@ -445,19 +566,56 @@ export default function RequestListViewer() {
                     
                     {/* 右侧：操作按钮 */}
                     <div className="flex items-center gap-2 flex-shrink-0">
+                        <Button
+                            variant={showBreakpointRules ? 'default' : 'outline'}
+                            size="sm"
+                            onClick={() => setShowBreakpointRules(!showBreakpointRules)}
+                            className="text-xs px-3 py-1.5 h-auto"
+                        >
+                            ⏸️ {t('breakpoint.rules_button')}
+                            {pausedBreakpoints.length > 0 && (
+                                <Badge variant="secondary" className="ml-1 text-xs px-1.5 py-0 h-auto">
+                                    {pausedBreakpoints.length}
+                                </Badge>
+                            )}
+                        </Button>
+                        <HarActions
+                            traffic={traffic}
+                            getDecryptionOptions={getDecryptionOptions}
+                            fileNamePrefix="pastekit-requests"
+                        />
                         <Button
                             variant="outline"
                             size="sm"
                             onClick={clearRequests}
-                            disabled={requests.length === 0}
+                            disabled={traffic.total === 0}
                             className="text-xs px-3 py-1.5 h-auto"
                         >
                             🗑️ {t('requestlist.clear_list')}
                         </Button>
                     </div>
                 </div>
+                <TrafficSessionBar traffic={traffic} className="px-3 pb-2"/>
             </div>
                   
+            {/* 断点规则与暂停中的流量 */}
+            {(showBreakpointRules || pausedBreakpoints.length > 0) && (
+                <div className="p-4 pb-0 space-y-3 max-h-[50vh] overflow-y-auto">
+                    {showBreakpointRules && (
+                        <Card>
+                            <CardContent className="p-4">
+                                <BreakpointRuleManager keyConfigs={keyConfigsRef.current}/>
+                            </CardContent>
+                        </Card>
+                    )}
+                    <BreakpointEditor
+                        items={pausedBreakpoints}
+                        onRelease={releaseBreakpoint}
+                        onContinue={continueBreakpoint}
+                    />
+                </div>
+            )}
+                  
             {/* 主要内容区域 */}
             <div className="flex-1 flex gap-4 p-4 overflow-hidden min-w-0 max-w-full">
                 {/* 请求列表面板 */}
@@ -477,6 +635,17 @@ export default function RequestListViewer() {
                             ) : (
                                 <ScrollArea className="h-full pr-2" style={{ maxWidth: '100%' }}>
                                     <div className="space-y-2">
+                                        {traffic.hasMore && (
+                                            <Button
+                                                variant="outline"
+                                                size="sm"
+                                                onClick={traffic.loadMore}
+                                                disabled={traffic.loading}
+                                                className="w-full text-xs py-1 h-auto"
+                                            >
+                                                ⬆️ {t('trafficsession.load_earlier')}
+                                            </Button>
+                                        )}
                                         {filteredRequests.map((request) => (
                                             <div
                                                 key={request.requestId}
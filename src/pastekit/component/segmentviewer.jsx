@@ -0,0 +1,101 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { tokenizeSegments } from '../utils/detector';
+import { useTranslation } from '../utils/i18n';
+
+// Highlight colors per segment type
+const SEGMENT_STYLES = {
+    json: 'bg-amber-100 text-amber-900 border-amber-300',
+    jwt: 'bg-purple-100 text-purple-900 border-purple-300',
+    url: 'bg-blue-100 text-blue-900 border-blue-300',
+    datetime: 'bg-green-100 text-green-900 border-green-300',
+    timestamp: 'bg-green-100 text-green-900 border-green-300',
+    cidr: 'bg-cyan-100 text-cyan-900 border-cyan-300',
+    ip: 'bg-cyan-100 text-cyan-900 border-cyan-300',
+    base64: 'bg-pink-100 text-pink-900 border-pink-300'
+};
+
+/**
+ * Mixed content viewer: highlights every recognised segment inline and
+ * opens the matching tool for the clicked segment only.
+ * @param {string} content - Raw pasted content
+ * @param {Function} renderTool - (tool, text) => ReactNode, provided by the popup
+ */
+export default function SegmentViewer({ content, renderTool }) {
+    const [t] = useTranslation();
+    const [selectedIndex, setSelectedIndex] = useState(null);
+
+    const segments = useMemo(() => tokenizeSegments(content || ''), [content]);
+
+    // Reset selection when content changes
+    useEffect(() => {
+        setSelectedIndex(null);
+    }, [content]);
+
+    if (!content || segments.length === 0) {
+        return null;
+    }
+
+    // Split content into plain text and highlighted segments
+    const parts = [];
+    let cursor = 0;
+    segments.forEach((segment, index) => {
+        if (segment.start > cursor) {
+            parts.push(<span key={`text-${cursor}`}>{content.slice(cursor, segment.start)}</span>);
+        }
+        const isSelected = selectedIndex === index;
+        parts.push(
+            <button
+                key={`segment-${index}`}
+                title={t(`popup.formats.${segment.type}`)}
+                onClick={() => setSelectedIndex(isSelected ? null : index)}
+                className={`inline px-0.5 rounded border break-all text-left ${SEGMENT_STYLES[segment.type] || ''} ${
+                    isSelected ? 'ring-2 ring-blue-500' : 'hover:brightness-95'
+                }`}
+            >
+                {segment.text}
+            </button>
+        );
+        cursor = segment.end;
+    });
+    if (cursor < content.length) {
+        parts.push(<span key={`text-${cursor}`}>{content.slice(cursor)}</span>);
+    }
+
+    const selected = selectedIndex !== null ? segments[selectedIndex] : null;
+
+    return (
+        <div className="w-full border rounded p-4 space-y-3">
+            <h3 className="text-lg font-bold">{t('segmentviewer.title')}</h3>
+
+            <div className="text-xs font-mono bg-gray-50 border rounded p-2 whitespace-pre-wrap break-all leading-6">
+                {parts}
+            </div>
+
+            {/* Segment type summary */}
+            <div className="flex flex-wrap gap-1">
+                {segments.map((segment, index) => (
+                    <button
+                        key={index}
+                        onClick={() => setSelectedIndex(index)}
+                        className={`text-xs px-2 py-0.5 rounded border ${SEGMENT_STYLES[segment.type] || ''} ${
+                            selectedIndex === index ? 'ring-2 ring-blue-500' : ''
+                        }`}
+                    >
+                        {t(`popup.formats.${segment.type}`)}
+                    </button>
+                ))}
+            </div>
+
+            {selected ? (
+                <div className="border-t pt-3">
+                    <div className="text-xs text-gray-500 mb-2">
+                        {t('segmentviewer.selected')}: <span className="font-mono break-all">{selected.text}</span>
+                    </div>
+                    {renderTool(selected.tool, selected.text)}
+                </div>
+            ) : (
+                <div className="text-sm text-gray-500">{t('segmentviewer.hint')}</div>
+            )}
+        </div>
+    );
+}
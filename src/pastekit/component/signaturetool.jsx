@@ -6,9 +6,26 @@ import {Input} from '@/components/ui/input';
 import {Label} from '@/components/ui/label';
 import {Select, SelectContent, SelectItem, SelectTrigger, SelectValue} from '@/components/ui/select';
 import {useTranslation} from '../utils/i18n';
-import {SignatureUtils} from '../utils/signatureutils';
+import {SignatureUtils, SIGNATURE_ENCODINGS} from '../utils/signatureutils';
+import {ENCODING_OPTIONS} from '../utils/keyconfigconstants';
 import {toast} from 'sonner';
 
+// 各签名算法需要的密钥配置类型
+const CONFIG_TYPE_BY_ALGORITHM = {
+    'rsa': 'RSA',
+    'rsa-pss': 'RSA',
+    'sm2': 'SM2',
+    'ecdsa': 'EC',
+    'ecdsa-raw': 'EC',
+    'ed25519': 'Ed25519'
+};
+
+// ECDSA / RSA-PSS 不支持 MD5，但支持 SHA-384
+const FORGE_DIGEST_ALGORITHMS = ['sha1', 'sha256', 'sha384', 'sha512'];
+
+// 签名编码下拉选项的翻译键
+const ENCODING_LABEL_KEYS = {HEX: 'hex', BASE64: 'base64', BASE64URL: 'base64url'};
+
 /**
  * 签名工具组件
  * 支持多种签名算法和验签功能
@@ -25,8 +42,12 @@ export default function SignatureTool({configs = [], className = ''}) {
 
     // 密钥相关
     const [hmacKey, setHmacKey] = useState('');
+    const [hmacKeyEncoding, setHmacKeyEncoding] = useState('UTF8');
     const [selectedConfig, setSelectedConfig] = useState('');
 
+    // 签名结果的编码（切换算法时重置为该算法的默认编码）
+    const [signatureEncoding, setSignatureEncoding] = useState('HEX');
+
     // 结果相关
     const [signatureResult, setSignatureResult] = useState('');
     const [verificationResult, setVerificationResult] = useState('');
@@ -42,25 +63,38 @@ export default function SignatureTool({configs = [], className = ''}) {
     const textareaRef = useRef(null);
 
     // 摘要算法选项
-    const digestAlgorithms = [
+    const allDigestAlgorithms = [
         {value: 'md5', label: t('signature.methods.md5')},
         {value: 'sha1', label: t('signature.methods.sha1')},
         {value: 'sha256', label: t('signature.methods.sha256')},
+        {value: 'sha384', label: t('signature.methods.sha384')},
         {value: 'sha512', label: t('signature.methods.sha512')}
     ];
+    const digestAlgorithms = allDigestAlgorithms.filter(alg => {
+        if (signatureAlgorithm === 'hmac') {
+            return true;
+        }
+        if (signatureAlgorithm === 'ecdsa' || signatureAlgorithm === 'ecdsa-raw' || signatureAlgorithm === 'rsa-pss') {
+            return FORGE_DIGEST_ALGORITHMS.includes(alg.value);
+        }
+        return alg.value !== 'sha384';
+    });
 
     // 签名算法选项
     const signatureAlgorithms = [
         {value: 'none', label: t('signature.algorithms.none')},
         {value: 'hmac', label: t('signature.algorithms.hmac')},
         {value: 'rsa', label: t('signature.algorithms.rsa')},
+        {value: 'rsa-pss', label: t('signature.algorithms.rsa_pss')},
+        {value: 'ecdsa', label: t('signature.algorithms.ecdsa')},
+        {value: 'ecdsa-raw', label: t('signature.algorithms.ecdsa_raw')},
+        {value: 'ed25519', label: t('signature.algorithms.ed25519')},
         {value: 'sm2', label: t('signature.algorithms.sm2')}
     ];
 
-    // 过滤出支持的RSA和SM2配置
-    const asymmetricConfigs = configs.filter(config =>
-        config.algorithmType === 'RSA' || config.algorithmType === 'SM2'
-    );
+    // 当前算法需要的配置类型，及过滤出的可用配置
+    const requiredConfigType = CONFIG_TYPE_BY_ALGORITHM[signatureAlgorithm] || null;
+    const asymmetricConfigs = configs.filter(config => config.algorithmType === requiredConfigType);
 
     // 当签名算法改变时，重置相关状态
     useEffect(() => {
@@ -68,12 +102,13 @@ export default function SignatureTool({configs = [], className = ''}) {
         setVerificationResult('');
         setVerificationStatus(null);
 
-        // 如果选择了需要密钥的算法，自动选择第一个可用配置
-        if ((signatureAlgorithm === 'rsa' || signatureAlgorithm === 'sm2') &&
-            asymmetricConfigs.length > 0 && !selectedConfig) {
+        // 如果选择了需要密钥的算法，自动选择第一个可用配置（已选配置类型不符时同样重新选择）
+        if (requiredConfigType && asymmetricConfigs.length > 0 &&
+            !asymmetricConfigs.some(config => config.name === selectedConfig)) {
             setSelectedConfig(asymmetricConfigs[0].name);
         }
 
+
         // 如果选择了HMAC算法，清空配置选择
         if (signatureAlgorithm === 'hmac') {
             setSelectedConfig('');
@@ -86,6 +121,16 @@ export default function SignatureTool({configs = [], className = ''}) {
         }
     }, [signatureAlgorithm, asymmetricConfigs]);
 
+    // 切换算法时：摘要算法不适用则回退到 SHA-256，签名编码重置为该算法的默认编码
+    useEffect(() => {
+        if (!digestAlgorithms.some(alg => alg.value === digestAlgorithm)) {
+            setDigestAlgorithm('sha256');
+        }
+        setSignatureEncoding(SignatureUtils.getDefaultEncoding(
+            signatureAlgorithm === 'none' ? digestAlgorithm : signatureAlgorithm === 'hmac' ? `hmac-${digestAlgorithm}` : signatureAlgorithm
+        ));
+    }, [signatureAlgorithm]);
+
     // 监控签名结果变化
     useEffect(() => {
         console.log('=== signatureResult状态变化 ===');
@@ -138,7 +183,7 @@ export default function SignatureTool({configs = [], className = ''}) {
         }
 
         // 对于需要配置的算法，检查配置
-        if ((signatureAlgorithm === 'rsa' || signatureAlgorithm === 'sm2') && !selectedConfig) {
+        if (requiredConfigType && !selectedConfig) {
             toast.error(t('signature.messages.select_config'));
             return;
         }
@@ -160,11 +205,13 @@ export default function SignatureTool({configs = [], className = ''}) {
                 signatureMethod,
                 hashAlgorithm,
                 selectedConfig,
-                hmacKey
+                hmacKey,
+                hmacKeyEncoding,
+                signatureEncoding
             });
 
             let config = null;
-            if (signatureAlgorithm === 'rsa' || signatureAlgorithm === 'sm2') {
+            if (requiredConfigType) {
                 config = configs.find(c => c.name === selectedConfig);
                 console.log('找到的配置:', config);
                 if (!config) {
@@ -176,8 +223,9 @@ export default function SignatureTool({configs = [], className = ''}) {
                 dataToSign,
                 signatureMethod,
                 config,
-                hmacKey,
-                hashAlgorithm
+                {value: hmacKey, encoding: [hmacKeyEncoding]},
+                hashAlgorithm,
+                {encoding: signatureEncoding}
             );
 
             console.log('签名结果:', result);
@@ -257,7 +305,7 @@ export default function SignatureTool({configs = [], className = ''}) {
 
         try {
             let config = null;
-            if (signatureAlgorithm === 'rsa' || signatureAlgorithm === 'sm2') {
+            if (requiredConfigType) {
                 config = configs.find(c => c.name === selectedConfig);
                 if (!config) {
                     throw new Error('找不到指定的配置');
@@ -269,8 +317,9 @@ export default function SignatureTool({configs = [], className = ''}) {
                 signatureToVerify,
                 signatureMethod,
                 config,
-                hmacKey,
-                hashAlgorithm
+                {value: hmacKey, encoding: [hmacKeyEncoding]},
+                hashAlgorithm,
+                {encoding: signatureEncoding}
             );
 
             setVerificationResult(result.toString());
@@ -347,6 +396,9 @@ export default function SignatureTool({configs = [], className = ''}) {
                                     ))}
                                 </SelectContent>
                             </Select>
+                            {signatureAlgorithm === 'ed25519' && (
+                                <p className="text-sm text-muted-foreground">{t('signature.digest_not_used')}</p>
+                            )}
                         </div>
 
                         {/* 签名算法 */}
@@ -371,8 +423,25 @@ export default function SignatureTool({configs = [], className = ''}) {
                         </div>
                     </div>
 
+                    {/* 签名编码 */}
+                    <div className="space-y-2">
+                        <Label>{t('signature.output_encoding')}</Label>
+                        <Select value={signatureEncoding} onValueChange={setSignatureEncoding}>
+                            <SelectTrigger className="w-40">
+                                <SelectValue/>
+                            </SelectTrigger>
+                            <SelectContent>
+                                {SIGNATURE_ENCODINGS.map(encoding => (
+                                    <SelectItem key={encoding} value={encoding}>
+                                        {t(`signature.encodings.${ENCODING_LABEL_KEYS[encoding]}`)}
+                                    </SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+                    </div>
+
                     {/* 密钥输入区域 */}
-                    {(signatureAlgorithm === 'hmac' || signatureAlgorithm === 'rsa' || signatureAlgorithm === 'sm2') && (
+                    {(signatureAlgorithm === 'hmac' || requiredConfigType) && (
                         <div className="border rounded-lg p-4 bg-muted/30 space-y-4">
                             <h4 className="font-medium text-foreground">{t('signature.key_input')}</h4>
 
@@ -380,17 +449,32 @@ export default function SignatureTool({configs = [], className = ''}) {
                             {signatureAlgorithm === 'hmac' && (
                                 <div className="space-y-2">
                                     <Label htmlFor="hmacKey">{t('signature.hmac_key')}</Label>
-                                    <Input
-                                        id="hmacKey"
-                                        value={hmacKey}
-                                        onChange={(e) => setHmacKey(e.target.value)}
-                                        placeholder={t('signature.enter_hmac_key')}
-                                    />
+                                    <div className="flex gap-2">
+                                        <Input
+                                            id="hmacKey"
+                                            value={hmacKey}
+                                            onChange={(e) => setHmacKey(e.target.value)}
+                                            placeholder={t('signature.enter_hmac_key')}
+                                            className="flex-1"
+                                        />
+                                        <Select value={hmacKeyEncoding} onValueChange={setHmacKeyEncoding}>
+                                            <SelectTrigger className="w-32" aria-label={t('signature.hmac_key_encoding')}>
+                                                <SelectValue/>
+                                            </SelectTrigger>
+                                            <SelectContent>
+                                                {ENCODING_OPTIONS.map(option => (
+                                                    <SelectItem key={option.value} value={option.value}>
+                                                        {option.label}
+                                                    </SelectItem>
+                                                ))}
+                                            </SelectContent>
+                                        </Select>
+                                    </div>
                                 </div>
                             )}
 
-                            {/* 配置选择（RSA/SM2） */}
-                            {(signatureAlgorithm === 'rsa' || signatureAlgorithm === 'sm2') && (
+                            {/* 配置选择（RSA / EC / Ed25519 / SM2） */}
+                            {requiredConfigType && (
                                 <div className="space-y-2">
                                     <Label
                                         htmlFor="signatureConfig">{t('signature.signature_config')}</Label>
@@ -416,7 +500,7 @@ export default function SignatureTool({configs = [], className = ''}) {
                                     </Select>
                                     {asymmetricConfigs.length === 0 && (
                                         <p className="text-sm text-muted-foreground">
-                                            {t('signature.config_required_tip')}
+                                            {t('signature.config_required_tip', {type: requiredConfigType})}
                                         </p>
                                     )}
                                 </div>
@@ -431,7 +515,7 @@ export default function SignatureTool({configs = [], className = ''}) {
                             disabled={isSigning || !dataToSign.trim() ||
                                 (signatureAlgorithm !== 'none' &&
                                     ((signatureAlgorithm === 'hmac' && !hmacKey.trim()) ||
-                                        ((signatureAlgorithm === 'rsa' || signatureAlgorithm === 'sm2') && !selectedConfig)))}
+                                        (requiredConfigType && !selectedConfig)))}
                         >
                             {isSigning ? t('signature.signing') : t('signature.sign')}
                         </Button>
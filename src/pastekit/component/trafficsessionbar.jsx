@@ -0,0 +1,401 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { useTranslation } from '../utils/i18n';
+import {
+    TrafficStore,
+    DEFAULT_TRAFFIC_SETTINGS,
+    parseTrafficQuery,
+    matchesTrafficFilter
+} from '../utils/trafficstore.js';
+
+/**
+ * 合并同一 requestId 的记录，未定义的字段不覆盖已有值
+ */
+function mergeExchange(existing, exchange) {
+    const defined = Object.fromEntries(Object.entries(exchange).filter(([, value]) => value !== undefined));
+    return { ...existing, ...defined, timestamp: existing?.timestamp ?? exchange.timestamp ?? Date.now() };
+}
+
+/**
+ * 抓包记录的持久化与分页加载
+ * 记录保存在 TrafficStore（IndexedDB）的当前会话中；不支持 IndexedDB 时退化为只保存在内存中
+ * @param {string} scope - 界面标识：'requestlist' | 'devtools' | 'proxydashboard'
+ * @param {Object} options
+ * @param {string} options.query - 搜索框内容，支持 host: / status: / path: 前缀
+ * @param {string} options.order - 'asc'（旧的在前）或 'desc'（新的在前）
+ */
+export function usePersistedTraffic(scope, { query = '', order = 'asc' } = {}) {
+    const [session, setSession] = useState(null);
+    const [sessions, setSessions] = useState([]);
+    const [items, setItems] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [hasMore, setHasMore] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [persistent, setPersistent] = useState(TrafficStore.isSupported());
+    const [settings, setSettings] = useState(DEFAULT_TRAFFIC_SETTINGS);
+
+    const sessionRef = useRef(null);
+    const cursorRef = useRef(null);
+    const filterRef = useRef({});
+    const persistentRef = useRef(TrafficStore.isSupported());
+    const readyRef = useRef(null);
+
+    const disablePersistence = (error) => {
+        console.error('[Traffic Store] 持久化不可用，记录只保存在内存中:', error);
+        persistentRef.current = false;
+        setPersistent(false);
+    };
+
+    const refreshSessions = async () => {
+        if (persistentRef.current) {
+            setSessions(await TrafficStore.listSessions(scope));
+        }
+    };
+
+    const activateSession = (next) => {
+        sessionRef.current = next;
+        setSession(next);
+    };
+
+    // 加载当前会话
+    useEffect(() => {
+        readyRef.current = (async () => {
+            if (!persistentRef.current) {
+                return;
+            }
+            try {
+                setSettings(await TrafficStore.loadSettings());
+                activateSession(await TrafficStore.getCurrentSession(scope));
+                await refreshSessions();
+            } catch (error) {
+                disablePersistence(error);
+            }
+        })();
+    }, [scope]);
+
+    // 切换会话或搜索条件后重新加载第一页
+    useEffect(() => {
+        filterRef.current = parseTrafficQuery(query);
+        if (!session) {
+            return undefined;
+        }
+        const timer = setTimeout(() => loadPage(true), 300);
+        return () => clearTimeout(timer);
+    }, [session?.id, query]);
+
+    const loadPage = async (reset) => {
+        const sessionId = sessionRef.current?.id;
+        if (!sessionId || !persistentRef.current) {
+            return;
+        }
+        setLoading(true);
+        try {
+            const page = await TrafficStore.queryExchanges(sessionId, {
+                filter: filterRef.current,
+                cursor: reset ? null : cursorRef.current
+            });
+            if (sessionRef.current?.id !== sessionId) {
+                return;
+            }
+            cursorRef.current = page.cursor;
+            setHasMore(page.hasMore);
+            setItems(prev => {
+                if (reset) {
+                    return page.items;
+                }
+                const loaded = new Set(prev.map(item => item.requestId));
+                return [...prev, ...page.items.filter(item => !loaded.has(item.requestId))];
+            });
+            if (reset) {
+                setTotal(await TrafficStore.countExchanges(sessionId));
+            }
+        } catch (error) {
+            console.error('[Traffic Store] 加载记录失败:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const upsertItem = (record) => {
+        setItems(prev => {
+            const index = prev.findIndex(item => item.requestId === record.requestId);
+            if (index >= 0) {
+                const updated = [...prev];
+                updated[index] = record;
+                return updated;
+            }
+            return matchesTrafficFilter(record, filterRef.current) ? [record, ...prev] : prev;
+        });
+    };
+
+    /**
+     * 保存一条记录（同一 requestId 合并），并更新列表
+     * @param {Object} exchange - 必须包含 requestId 与 url
+     */
+    const saveExchange = async (exchange) => {
+        await readyRef.current;
+        if (persistentRef.current && sessionRef.current) {
+            try {
+                const { record, created } = await TrafficStore.saveExchange(sessionRef.current.id, exchange);
+                upsertItem(record);
+                if (created) {
+                    setTotal(count => count + 1);
+                }
+                return;
+            } catch (error) {
+                disablePersistence(error);
+            }
+        }
+
+        setItems(prev => {
+            const index = prev.findIndex(item => item.requestId === exchange.requestId);
+            if (index >= 0) {
+                const updated = [...prev];
+                updated[index] = mergeExchange(prev[index], exchange);
+                return updated;
+            }
+            return [mergeExchange(null, exchange), ...prev];
+        });
+    };
+
+    /**
+     * 批量保存记录（例如导入的 HAR），保存完成后重新加载第一页
+     * @param {Array} exchanges
+     */
+    const importExchanges = async (exchanges) => {
+        await readyRef.current;
+        if (persistentRef.current && sessionRef.current) {
+            try {
+                for (const exchange of exchanges) {
+                    await TrafficStore.saveExchange(sessionRef.current.id, exchange);
+                }
+                await refreshSessions();
+                await loadPage(true);
+                return;
+            } catch (error) {
+                disablePersistence(error);
+            }
+        }
+
+        setItems(prev => {
+            const merged = new Map(prev.map(item => [item.requestId, item]));
+            exchanges.forEach(exchange => merged.set(exchange.requestId, mergeExchange(merged.get(exchange.requestId), exchange)));
+            return [...merged.values()];
+        });
+    };
+
+    // 当前会话的全部记录（用于导出），不受分页和搜索条件限制
+    const getAllExchanges = async () => {
+        if (persistentRef.current && sessionRef.current) {
+            return TrafficStore.getAllExchanges(sessionRef.current.id);
+        }
+        return items;
+    };
+
+    const runSessionAction = async (action) => {
+        try {
+            await action();
+            await refreshSessions();
+        } catch (error) {
+            console.error('[Traffic Store] 会话操作失败:', error);
+        }
+    };
+
+    const selectSession = (sessionId) => runSessionAction(async () => {
+        const next = sessions.find(item => item.id === sessionId);
+        if (next) {
+            await TrafficStore.setCurrentSession(scope, sessionId);
+            activateSession(next);
+        }
+    });
+
+    const createSession = (name) => runSessionAction(async () => {
+        activateSession(await TrafficStore.createSession(scope, name));
+    });
+
+    const renameSession = (name) => runSessionAction(async () => {
+        await TrafficStore.renameSession(sessionRef.current.id, name);
+        activateSession({ ...sessionRef.current, name });
+    });
+
+    const deleteSession = () => runSessionAction(async () => {
+        await TrafficStore.deleteSession(sessionRef.current.id);
+        activateSession(await TrafficStore.getCurrentSession(scope));
+    });
+
+    // 清空当前会话的记录；不支持持久化时只清空内存
+    const clearSession = async () => {
+        if (persistentRef.current && sessionRef.current) {
+            await runSessionAction(() => TrafficStore.clearSession(sessionRef.current.id));
+        }
+        cursorRef.current = null;
+        setItems([]);
+        setTotal(0);
+        setHasMore(false);
+    };
+
+    const updateSettings = async (updates) => {
+        const next = { ...settings, ...updates };
+        setSettings(next);
+        try {
+            await TrafficStore.saveSettings(next);
+            await refreshSessions();
+            await loadPage(true);
+        } catch (error) {
+            console.error('[Traffic Store] 保存保留策略失败:', error);
+        }
+    };
+
+    const sortedItems = useMemo(
+        () => [...items].sort((a, b) => (order === 'asc' ? a.timestamp - b.timestamp : b.timestamp - a.timestamp)),
+        [items, order]
+    );
+
+    return {
+        persistent,
+        session,
+        sessions,
+        items: sortedItems,
+        total: persistent ? total : items.length,
+        hasMore,
+        loading,
+        settings,
+        loadMore: () => loadPage(false),
+        saveExchange,
+        importExchanges,
+        getAllExchanges,
+        selectSession,
+        createSession,
+        renameSession,
+        deleteSession,
+        clearSession,
+        updateSettings
+    };
+}
+
+/**
+ * 捕获会话选择栏：切换 / 新建 / 重命名 / 删除会话，设置保留策略
+ * @param {Object} traffic - usePersistedTraffic 的返回值
+ */
+export default function TrafficSessionBar({ traffic, className = '' }) {
+    const [t] = useTranslation();
+    const [editing, setEditing] = useState(null); // 'create' | 'rename'
+    const [name, setName] = useState('');
+    const [showSettings, setShowSettings] = useState(false);
+    const { persistent, session, sessions, total, settings } = traffic;
+
+    if (!persistent) {
+        return (
+            <div className={`text-xs text-orange-600 ${className}`}>
+                ⚠️ {t('trafficsession.memory_only')}
+            </div>
+        );
+    }
+
+    const startEditing = (mode) => {
+        setEditing(mode);
+        setName(mode === 'rename' ? session?.name || '' : '');
+    };
+
+    const submitName = () => {
+        if (editing === 'create') {
+            traffic.createSession(name);
+        } else if (name.trim()) {
+            traffic.renameSession(name.trim());
+        }
+        setEditing(null);
+    };
+
+    const deleteSession = () => {
+        if (window.confirm(t('trafficsession.delete_confirm', { name: session?.name }))) {
+            traffic.deleteSession();
+        }
+    };
+
+    // 输入完成（失去焦点）后才保存，避免输入过程中按中间值清理记录
+    const updateNumber = (field, value, min) => {
+        const next = Math.max(min, parseInt(value, 10) || min);
+        if (next !== settings[field]) {
+            traffic.updateSettings({ [field]: next });
+        }
+    };
+
+    return (
+        <div className={`space-y-2 text-xs ${className}`}>
+            <div className="flex flex-wrap items-center gap-2">
+                <span className="text-gray-600">🗂️ {t('trafficsession.session')}</span>
+                {editing ? (
+                    <>
+                        <input
+                            autoFocus
+                            className="border rounded px-2 py-1 w-48"
+                            placeholder={t('trafficsession.name_placeholder')}
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter') submitName();
+                                if (e.key === 'Escape') setEditing(null);
+                            }}
+                        />
+                        <button className="text-blue-600 hover:underline" onClick={submitName}>{t('trafficsession.confirm')}</button>
+                        <button className="text-gray-500 hover:underline" onClick={() => setEditing(null)}>{t('trafficsession.cancel')}</button>
+                    </>
+                ) : (
+                    <>
+                        <select
+                            className="border rounded px-2 py-1 max-w-[240px]"
+                            value={session?.id || ''}
+                            onChange={(e) => traffic.selectSession(e.target.value)}
+                        >
+                            {sessions.map(item => (
+                                <option key={item.id} value={item.id}>
+                                    {item.name} ({item.id === session?.id ? total : item.count})
+                                </option>
+                            ))}
+                        </select>
+                        <button className="text-blue-600 hover:underline" onClick={() => startEditing('create')}>➕ {t('trafficsession.new')}</button>
+                        <button className="text-blue-600 hover:underline" onClick={() => startEditing('rename')} disabled={!session}>✏️ {t('trafficsession.rename')}</button>
+                        <button className="text-red-600 hover:underline" onClick={deleteSession} disabled={!session}>🗑️ {t('trafficsession.delete')}</button>
+                        <button className="text-gray-600 hover:underline" onClick={() => setShowSettings(!showSettings)}>⚙️ {t('trafficsession.retention')}</button>
+                    </>
+                )}
+            </div>
+            {showSettings && (
+                <div className="flex flex-wrap items-center gap-3 p-2 border rounded bg-gray-50">
+                    <label className="flex items-center gap-1">
+                        {t('trafficsession.max_exchanges')}
+                        <input
+                            type="number"
+                            min="100"
+                            className="border rounded px-2 py-1 w-24"
+                            key={settings.maxExchangesPerSession}
+                            defaultValue={settings.maxExchangesPerSession}
+                            onBlur={(e) => updateNumber('maxExchangesPerSession', e.target.value, 100)}
+                        />
+                    </label>
+                    <label className="flex items-center gap-1">
+                        {t('trafficsession.max_sessions')}
+                        <input
+                            type="number"
+                            min="1"
+                            className="border rounded px-2 py-1 w-16"
+                            key={settings.maxSessions}
+                            defaultValue={settings.maxSessions}
+                            onBlur={(e) => updateNumber('maxSessions', e.target.value, 1)}
+                        />
+                    </label>
+                    <label className="flex items-center gap-1">
+                        {t('trafficsession.max_age_days')}
+                        <input
+                            type="number"
+                            min="0"
+                            className="border rounded px-2 py-1 w-16"
+                            key={settings.maxAgeDays}
+                            defaultValue={settings.maxAgeDays}
+                            onBlur={(e) => updateNumber('maxAgeDays', e.target.value, 0)}
+                        />
+                    </label>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,44 @@
+// Offscreen 文档入口
+// Service Worker 中无法创建 Worker，试探解密的 Worker 池放在这里，通过端口接收 Background 分派的尝试
+
+import { TrialWorkerPool, TRIAL_ATTEMPT_PORT } from '../utils/cipher/trialworkerpool.js';
+
+const pool = new TrialWorkerPool({
+    createWorker: () => new Worker(new URL('../utils/cipher/trialattempt.worker.js', import.meta.url), { type: 'module' })
+});
+
+// Background 分派的尝试 id -> 池中的尝试 id
+const attempts = new Map();
+
+const port = chrome.runtime.connect({ name: TRIAL_ATTEMPT_PORT });
+
+port.onMessage.addListener(async (message) => {
+    switch (message.type) {
+        case 'TRIAL_ATTEMPT': {
+            const { id, promise } = pool.execute(message.task, message.budgetMs);
+            attempts.set(message.attemptId, id);
+            const result = await promise;
+            attempts.delete(message.attemptId);
+            try {
+                port.postMessage({ type: 'TRIAL_ATTEMPT_RESULT', attemptId: message.attemptId, ...result });
+            } catch (error) {
+                // 端口已断开
+            }
+            break;
+        }
+        case 'TRIAL_ATTEMPT_CANCEL':
+            if (attempts.has(message.attemptId)) {
+                pool.cancel(attempts.get(message.attemptId));
+            }
+            break;
+        case 'TRIAL_CLEAR_CACHE':
+            pool.clearCache();
+            break;
+    }
+});
+
+// Background 重启后端口断开，由 Background 重新创建文档
+port.onDisconnect.addListener(() => {
+    pool.destroy();
+    window.close();
+});
@@ -23,6 +23,9 @@ import AboutComponent from '../component/about.jsx';
 import DevToolsDecryptorConfig from '../component/devtoolsdecryptorconfig.jsx';
 import LanguageSwitcher from '../component/languageswitcher.jsx';
 import RequestListViewer from '../component/requestlistviewer.jsx';
+import PasteHistory from '../component/pastehistory.jsx';
+import RecipeBuilder from '../component/recipebuilder.jsx';
+import QRCodeTool from '../component/qrcodetool.jsx';
 import { useTranslation, preloadTranslations, useLanguage } from '../utils/i18n';
 
 // Menu items configuration (will be translated dynamically)
@@ -31,9 +34,12 @@ const getMenuItems = (t) => [
   { id: 'encryption-test', label: t('options.sidebar.encryption_test'), icon: 'test-tube' },
   { id: 'signature-tool', label: t('options.sidebar.signature_tool'), icon: 'pen-tool' },
   { id: 'encoding-tool', label: t('options.sidebar.encoding_tool') || '编解码工具', icon: 'text' },
+  { id: 'recipe-builder', label: t('options.sidebar.recipe_builder'), icon: 'recipe' },
+  { id: 'qr-code', label: t('options.sidebar.qr_code'), icon: 'qr' },
   { id: 'mock-manager', label: t('options.sidebar.mock_manager'), icon: 'theater-masks' },
   { id: 'request-list', label: t('options.sidebar.request_list') || '请求列表', icon: 'list' },
   { id: 'devtools-decryptor', label: t('options.sidebar.devtools_decryptor') || 'DevTools 解密器', icon: 'shield' },
+  { id: 'paste-history', label: t('options.sidebar.paste_history'), icon: 'history' },
   { id: 'ai-prompts', label: t('options.sidebar.ai_prompts'), icon: 'message-circle' },
   { id: 'about', label: t('options.sidebar.about'), icon: 'info' }
 ];
@@ -271,9 +277,12 @@ export default function OptionsPage() {
                             {item.icon === 'test-tube' && '🧪'}
                             {item.icon === 'pen-tool' && '✍️'}
                             {item.icon === 'text' && '🔤'}
+                            {item.icon === 'recipe' && '⛓️'}
+                            {item.icon === 'qr' && '🔳'}
                             {item.icon === 'theater-masks' && '🎭'}
                             {item.icon === 'list' && '📋'}
                             {item.icon === 'shield' && '🛡️'}
+                            {item.icon === 'history' && '🕘'}
                             {item.icon === 'message-circle' && '💬'}
                             {item.icon === 'info' && 'ℹ️'}
                           </span>
@@ -328,6 +337,20 @@ export default function OptionsPage() {
               </div>
             )}
             
+            {activeSection === 'recipe-builder' && (
+              <div className="space-y-6 w-full">
+                <h1 className="text-2xl font-bold">{t('options.sidebar.recipe_builder')}</h1>
+                <RecipeBuilder configs={savedConfigs} />
+              </div>
+            )}
+            
+            {activeSection === 'qr-code' && (
+              <div className="space-y-6 w-full">
+                <h1 className="text-2xl font-bold">{t('options.sidebar.qr_code')}</h1>
+                <QRCodeTool />
+              </div>
+            )}
+            
             {activeSection === 'mock-manager' && (
               <div className="space-y-6 w-full">
                 {isReady ? (
@@ -355,6 +378,16 @@ export default function OptionsPage() {
               </div>
             )}
             
+            {activeSection === 'paste-history' && (
+              <div className="space-y-6 w-full">
+                <h1 className="text-2xl font-bold">{t('options.sidebar.paste_history')}</h1>
+                <PasteHistory
+                  showSettings={true}
+                  onOpen={(entry) => window.open(`popup.html?history=${encodeURIComponent(entry.id)}`, '_blank')}
+                />
+              </div>
+            )}
+
             {activeSection === 'ai-prompts' && (
               <div className="space-y-6 w-full">
                 <h1 className="text-2xl font-bold">{t('options.sidebar.ai_prompts')}</h1>
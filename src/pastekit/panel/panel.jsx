@@ -3,6 +3,10 @@ import {createRoot} from 'react-dom/client';
 import {Card, CardContent, CardHeader, CardTitle} from '@/components/ui/card';
 import {Button} from '@/components/ui/button';
 import {useTranslation} from '../utils/i18n';
+import TrafficSessionBar, {usePersistedTraffic} from '../component/trafficsessionbar.jsx';
+import HarActions from '../component/haractions.jsx';
+import {HarUtils} from '../utils/harutils.js';
+import {parseTrafficQuery, matchesTrafficFilter} from '../utils/trafficstore.js';
 
 /**
  * DevTools 解密面板组件
@@ -13,10 +17,13 @@ export default function DevToolsPanel() {
     const [requestHeadersCollapsed, setRequestHeadersCollapsed] = useState(true);
     const [responseHeadersCollapsed, setResponseHeadersCollapsed] = useState(true);
     const [isConnected, setIsConnected] = useState(false);
-    const [requests, setRequests] = useState([]);
     const [selectedRequestId, setSelectedRequestId] = useState(null);
     const [searchTerm, setSearchTerm] = useState('');
     const [connectionStatus, setConnectionStatus] = useState('disconnected');
+    // 捕获的请求保存在 IndexedDB 的当前会话中，分页加载
+    const traffic = usePersistedTraffic('devtools', {query: searchTerm});
+    const requests = traffic.items;
+    const requestsRef = useRef([]);
     const portRef = useRef(null);
     const isConnectedRef = useRef(false);
     const connectionStatusRef = useRef('disconnected');
@@ -30,6 +37,11 @@ export default function DevToolsPanel() {
         console.log('[CryptoDevTools Panel] connectionStatus 状态变化:', connectionStatus);
     }, [connectionStatus]);
 
+    // 消息监听器在连接时注册，通过 ref 读取最新的请求列表
+    useEffect(() => {
+        requestsRef.current = requests;
+    }, [requests]);
+
     // 初始化连接
     useEffect(() => {
         console.log('[CryptoDevTools Panel] useEffect 初始化开始');
@@ -345,52 +357,45 @@ export default function DevToolsPanel() {
     };
 
     const addRequest = (request) => {
-        setRequests(prevRequests => {
-            // 检查是否已存在（通过 requestId）
-            const existingIndex = prevRequests.findIndex(req => req.requestId === request.requestId);
-            if (existingIndex >= 0) {
-                // 更新现有请求
-                const updatedRequests = [...prevRequests];
-                updatedRequests[existingIndex] = request;
-                return updatedRequests.sort((a, b) => a.timestamp - b.timestamp);
-            } else {
-                // 生成请求指纹用于去重（URL+Method+Body+Header+1 秒内）
-                const getRequestFingerprint = (req) => {
-                    const bodyStr = req.requestBody ? JSON.stringify(req.requestBody) : '';
-                    const headerStr = req.requestHeaders ? JSON.stringify(req.requestHeaders) : '';
-                    const timestamp = req.timestamp || Date.now();
-                    return `${req.method}|${req.url}|${bodyStr}|${headerStr}|${timestamp}`;
-                };
-                
-                const currentFingerprint = getRequestFingerprint(request);
-                
-                // 添加新请求前，检查是否是重复的请求
-                const isDuplicate = prevRequests.some(req => {
-                    const fingerprint = getRequestFingerprint(req);
-                    const isSameRequest = fingerprint === currentFingerprint;
-                    const isWithinTimeWindow = Math.abs(req.timestamp - request.timestamp) < 1000; // 1 秒内
-                    return isSameRequest && isWithinTimeWindow;
-                });
-                
-                if (isDuplicate) {
-                    console.warn('[CryptoDevTools Panel] 检测到重复请求，跳过:', {
-                        url: request.url,
-                        method: request.method,
-                        fingerprint: currentFingerprint.substring(0, 100) + '...'
-                    });
-                    return prevRequests; // 不添加
-                }
-                
-                console.log('[CryptoDevTools Panel] 添加新请求:', {
+        const prevRequests = requestsRef.current;
+        // 已存在（通过 requestId）时直接更新
+        if (!prevRequests.some(req => req.requestId === request.requestId)) {
+            // 生成请求指纹用于去重（URL+Method+Body+Header+1 秒内）
+            const getRequestFingerprint = (req) => {
+                const bodyStr = req.requestBody ? JSON.stringify(req.requestBody) : '';
+                const headerStr = req.requestHeaders ? JSON.stringify(req.requestHeaders) : '';
+                const timestamp = req.timestamp || Date.now();
+                return `${req.method}|${req.url}|${bodyStr}|${headerStr}|${timestamp}`;
+            };
+            
+            const currentFingerprint = getRequestFingerprint(request);
+            
+            // 添加新请求前，检查是否是重复的请求
+            const isDuplicate = prevRequests.some(req => {
+                const fingerprint = getRequestFingerprint(req);
+                const isSameRequest = fingerprint === currentFingerprint;
+                const isWithinTimeWindow = Math.abs(req.timestamp - request.timestamp) < 1000; // 1 秒内
+                return isSameRequest && isWithinTimeWindow;
+            });
+            
+            if (isDuplicate) {
+                console.warn('[CryptoDevTools Panel] 检测到重复请求，跳过:', {
                     url: request.url,
                     method: request.method,
-                    timestamp: new Date(request.timestamp).toLocaleTimeString()
+                    fingerprint: currentFingerprint.substring(0, 100) + '...'
                 });
-                
-                // 添加新请求
-                return [...prevRequests, request].sort((a, b) => a.timestamp - b.timestamp);
+                return; // 不添加
             }
-        });
+            
+            console.log('[CryptoDevTools Panel] 添加新请求:', {
+                url: request.url,
+                method: request.method,
+                timestamp: new Date(request.timestamp).toLocaleTimeString()
+            });
+        }
+        
+        // 保存到当前会话
+        traffic.saveExchange(request);
     };
 
     const selectRequest = (requestId) => {
@@ -529,22 +534,17 @@ export default function DevToolsPanel() {
 
     const clearRequests = () => {
         console.log('[CryptoDevTools Panel] 清理所有请求');
-        setRequests([]);
+        traffic.clearSession();
         setSelectedRequestId(null);
         // setSearchTerm('');
     };
 
-    // 过滤请求列表
+    // 过滤请求列表（会话中的记录已按搜索条件查询，这里过滤搜索条件变化前已加载的记录）
     const filteredRequests = useMemo(() => {
         if (!searchTerm) return requests;
         
-        const term = searchTerm.toLowerCase().trim();
-        return requests.filter(request => 
-            request.url?.toLowerCase().includes(term) ||
-            request.requestId?.toLowerCase().includes(term) ||
-            request.method?.toLowerCase().includes(term) ||
-            request.statusCode?.toString().includes(term)
-        );
+        const filter = parseTrafficQuery(searchTerm);
+        return requests.filter(request => matchesTrafficFilter(request, filter));
     }, [requests, searchTerm]);
 
     // 渲染组件
@@ -573,7 +573,7 @@ export default function DevToolsPanel() {
                             </div>
                             
                             <span className="text-xs text-gray-600 whitespace-nowrap">
-                {t('panel.requests_count', {count: requests.length})}
+                {t('panel.requests_count', {count: traffic.total})}
               </span>
                         </div>
                     </div>
@@ -613,17 +613,23 @@ export default function DevToolsPanel() {
                         >
                             🔄 {t('panel.refresh_configs')}
                         </Button>
+                        <HarActions
+                            traffic={traffic}
+                            getDecryptionOptions={HarUtils.loadDecryptionOptions}
+                            fileNamePrefix="pastekit-devtools"
+                        />
                         <Button
                             variant="outline"
                             size="sm"
                             onClick={clearRequests}
-                            disabled={requests.length === 0}
+                            disabled={traffic.total === 0}
                             className="text-xs px-3 py-1.5 h-auto"
                         >
                             🗑️ {t('panel.clear_requests')}
                         </Button>
                     </div>
                 </div>
+                <TrafficSessionBar traffic={traffic} className="px-3 pb-2"/>
             </div>
                   
             {/* 主要内容区域 */}
@@ -646,6 +652,17 @@ export default function DevToolsPanel() {
                                 <div className="h-full overflow-y-auto" style={{paddingRight: '8px'}}>
                                     <div className="pr-2">
                                         <div className="space-y-2">
+                                            {traffic.hasMore && (
+                                                <Button
+                                                    variant="outline"
+                                                    size="sm"
+                                                    onClick={traffic.loadMore}
+                                                    disabled={traffic.loading}
+                                                    className="w-full text-xs py-1 h-auto"
+                                                >
+                                                    ⬆️ {t('trafficsession.load_earlier')}
+                                                </Button>
+                                            )}
                                             {filteredRequests.map((request) => (
                                                 <div
                                                     key={request.requestId}
@@ -2,7 +2,7 @@ import ReactDOM from "react-dom/client";
 import React, {useState, useEffect, useRef} from "react";
 import {Textarea} from "@/components/ui/textarea";
 import {Tooltip, TooltipContent, TooltipProvider, TooltipTrigger} from "@/components/ui/tooltip";
-import {Github, Settings, Video, Book, MessageSquare, Coffee} from "lucide-react";
+import {Github, Settings, Video, Book, MessageSquare, Coffee, ChevronDown, ChevronRight, History} from "lucide-react";
 import {useChromePopupHeight} from "@/hooks/use-chrome-popup-height";
 import TimeTool from "@/pastekit/component/timetool"
 import CroneTool from "@/pastekit/component/cronetool"
@@ -13,233 +13,65 @@ import IpTool from "@/pastekit/component/iptool"
 import DnsTool from "@/pastekit/component/dnstool"
 import WorldClock from "@/pastekit/component/worldclock"
 import AutoCipherTool from "@/pastekit/component/autociphertool"
+import SegmentViewer from "@/pastekit/component/segmentviewer"
+import JwtTool from "@/pastekit/component/jwttool"
+import CertificateTool from "@/pastekit/component/certificatetool"
+import MagicDecodeTool from "@/pastekit/component/magicdecodetool"
+import ImageTool from "@/pastekit/component/imagetool"
+import CurlTool from "@/pastekit/component/curltool"
+import PasteHistory from "@/pastekit/component/pastehistory"
+import RecipeRunner from "@/pastekit/component/reciperunner"
 import AIPromptSelector from "@/pastekit/component/aipromptselector";
 import LanguageSwitcher from "@/pastekit/component/languageswitcher";
 import {useTranslation, preloadTranslations} from "@/pastekit/utils/i18n";
-
-// RSA密文特征检测
-async function isLikelyRSACipher(content) {
-    const trimmedContent = content.trim();
-
-    // 基本格式检查 - 必须是有效的Base64
-    const base64Pattern = /^[A-Za-z0-9+/]*={0,2}$/;
-    if (!base64Pattern.test(trimmedContent)) {
-        return false;
-    }
-
-    // 长度检查 - RSA加密结果通常较长
-    if (trimmedContent.length < 50) {
-        return false;
-    }
-
-    // 长度特征检查 - RSA常见长度
-    const typicalRSALengths = [344, 172, 256, 128];
-    const isTypicalLength = typicalRSALengths.includes(trimmedContent.length);
-
-    // 检查是否存在RSA配置
-    try {
-        const {StorageUtils} = await import('../utils/storageutils');
-        const result = await StorageUtils.getItem('keyConfigs');
-        const configs = result.keyConfigs || [];
-        const hasRSAConfig = configs.some(config =>
-            config.algorithm?.toUpperCase().includes('RSA') ||
-            config.algorithmType?.toUpperCase() === 'RSA'
-        );
-
-        // 如果有RSA配置且长度符合特征，则很可能是RSA密文
-        if (hasRSAConfig && (isTypicalLength || trimmedContent.length > 100)) {
-            console.log('检测到RSA密文特征:', {
-                length: trimmedContent.length,
-                hasRSAConfig: hasRSAConfig,
-                isTypicalLength: isTypicalLength
-            });
-            return true;
-        }
-    } catch (err) {
-        console.log('RSA配置检查失败:', err.message);
-    }
-
-    return false;
-}
-
-// Format detection function
-const detectContentType = async (content) => {
-    const trimmedContent = content?.trim() || '';
-
-    // Detect IPv4 address format
-    const ipv4Pattern = /^((25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-    if (ipv4Pattern.test(trimmedContent)) {
-        return 'ip';
-    }
-
-    // Detect IPv6 address format (more strict detection)
-    // Must contain at least one colon and cannot be pure numbers
-    if (trimmedContent.includes(':') && !/^[\d\.]+$/.test(trimmedContent)) {
-        const ipv6FullRegex = /^([0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$/;
-        const ipv6CompressedRegex = /^(([0-9a-fA-F]{1,4}:){1,7}:|:(([0-9a-fA-F]{1,4}:){1,7}|:)|([0-9a-fA-F]{1,4}:){1,6}:[0-9a-fA-F]{1,4}|([0-9a-fA-F]{1,4}:){1,5}(:[0-9a-fA-F]{1,4}){1,2}|([0-9a-fA-F]{1,4}:){1,4}(:[0-9a-fA-F]{1,4}){1,3}|([0-9a-fA-F]{1,4}:){1,3}(:[0-9a-fA-F]{1,4}){1,4}|([0-9a-fA-F]{1,4}:){1,2}(:[0-9a-fA-F]{1,4}){1,5}|[0-9a-fA-F]{1,4}:((:[0-9a-fA-F]{1,4}){1,6})|:((:[0-9a-fA-F]{1,4}){1,7}|:))$/;
-        if (ipv6FullRegex.test(trimmedContent) || ipv6CompressedRegex.test(trimmedContent)) {
-            return 'ipv6';
-        }
-    }
-
-    // Detect IPv4 CIDR format (e.g. 192.168.1.0/24) - Must contain slash
-    if (trimmedContent.includes('/')) {
-        const cidrPattern = /^((25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\/([1-9]|[12][0-9]|3[0-2])$/;
-        if (cidrPattern.test(trimmedContent)) {
-            return 'cidr';
-        }
-    }
-
-    // Detect IPv6 CIDR format (e.g. 2001:db8::/32) - Must contain colon and slash
-    if (trimmedContent.includes(':') && trimmedContent.includes('/')) {
-        const ipv6CidrPattern = /^([0-9a-fA-F]{1,4}(:[0-9a-fA-F]{1,4}){0,7}|:|::)(\/(1[0-2][0-8]|[1-9][0-9]|[0-9]))$/;
-        if (ipv6CidrPattern.test(trimmedContent)) {
-            return 'ipv6cidr';
-        }
-    }
-
-    // Detect Cron expression format
-    // Support standard 5 fields: 0 0 * * *
-    // Support 6 fields (with seconds): 0 0 0 * * *
-    // Support Quartz format (with year): 0 0 0 * * ? 2024
-    const cronPatterns = [
-        /^([\d\*\/,\-\?]+\s+){4}[\d\*\/,\-\?]+$/,  // 5字段标准格式
-        /^([\d\*\/,\-\?]+\s+){5}[\d\*\/,\-\?]+$/,  // 6字段格式(含秒)
-        /^([\d\*\/,\-\?]+\s+){6}[\d\*\/,\-\?]+$/   // 7字段格式(含秒和年份)
-    ];
-
-    if (cronPatterns.some(pattern => pattern.test(trimmedContent))) {
-        return 'cron';
-    }
-
-    // Detect timestamp format (10 or 13 digit numbers)
-    const timestampPattern = /^\d{10}$|^\d{13}$/;
-    if (timestampPattern.test(trimmedContent)) {
-        return 'timestamp';
-    }
-
-    // Detect date time format (YYYY-MM-DD HH:mm:ss or similar format)
-    const dateTimePattern = /^\d{4}-\d{2}-\d{2}(\s+\d{2}:\d{2}:\d{2})?$/;
-    if (dateTimePattern.test(trimmedContent)) {
-        return 'datetime';
-    }
-    try {
-        // RSA密文特殊检测
-        if (await isLikelyRSACipher(trimmedContent)) {
-            return 'encrypted';
-        }
-
-        // 智能加密内容检测：优先检测加密内容
-        if (trimmedContent.length > 10) {
-
-            // 导入必要的工具函数
-            const {StorageUtils} = await import('../utils/storageutils');
-            const {CipherUtils} = await import('../utils/cipherutils');
-
-            // 获取所有加密配置
-            const result = await StorageUtils.getItem('keyConfigs');
-            const configs = result.keyConfigs || [];
-
-            if (configs.length > 0) {
-                // 尝试用每个配置解密
-                for (const config of configs) {
-                    try {
-                        const decrypted = CipherUtils.decrypt(trimmedContent, config);
-                        // 检查解密结果
-                        if (decrypted && decrypted !== trimmedContent) {
-                            // 只有CFB模式才进行可打印字符判断
-                            const isCFBMode = config.algorithm?.toUpperCase().includes('CFB') ||
-                                config.mode?.toUpperCase() === 'CFB' || config.algorithm?.toUpperCase().includes('CTR') ||
-                                config.mode?.toUpperCase() === 'CTR';
-
-                            if (isCFBMode) {
-                                // 导入文本工具函数
-                                const {analyzePrintableCharacters} = await import('../utils/textutils');
-                                const analysis = analyzePrintableCharacters(decrypted);
-
-                                console.log('CFB模式解密结果分析:', {
-                                    configName: config.name,
-                                    originalLength: trimmedContent.length,
-                                    decryptedLength: decrypted.length,
-                                    decryptedContent: decrypted,
-                                    ...analysis
-                                });
-
-                                // CFB模式下，可打印字符比例超过50%才认为是有效的明文
-                                if (analysis.isReadable) {
-                                    return 'encrypted';
-                                }
-                            } else {
-                                // 非CFB模式直接认为解密成功
-                                console.log('非CFB模式解密成功:', {
-                                    configName: config.name,
-                                    algorithm: config.algorithm,
-                                    mode: config.mode
-                                });
-                                return 'encrypted';
-                            }
-                        }
-                    } catch (err) {
-                        // 解密失败，继续尝试下一个配置
-                        continue;
-                    }
-                }
-            }
-        }
-    } catch (err) {
-        console.log('加密内容检测失败:', err);
-    }
-
-    // Detect JSON format
-    try {
-        // Check if content looks like JSON (starts with { or [)
-        if ((trimmedContent.startsWith('{') && trimmedContent.endsWith('}')) || 
-            (trimmedContent.startsWith('[') && trimmedContent.endsWith(']'))) {
-            // Try to parse as JSON
-            JSON.parse(trimmedContent);
-            return 'json';
-        }
-    } catch (e) {
-        // Not valid JSON, continue with other detections
-    }
-
-    // Detect URL encoding characteristics (%xx format) and verify if decoded content contains http
-    if (trimmedContent.toLowerCase().startsWith('http')) {
-        return 'url';
-    }
-    const urlEncodedPattern = /%[0-9A-Fa-f]{2}/;
-    if (urlEncodedPattern.test(trimmedContent)) {
-        try {
-            const decoded = decodeURIComponent(trimmedContent);
-            if (decoded.toLowerCase().startsWith('http')) {
-                return 'url';
-            }
-        } catch (e) {
-            // Decoding failed
-        }
-    }
-
-    // Detect domain format
-    const domainPattern = /^[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?)*\.[a-zA-Z]{2,}$/;
-    if (domainPattern.test(trimmedContent)) {
-        return 'domain';
-    }
-
-    // Detect Base64 format (moved to later in detection order)
-    const base64Pattern = /^[A-Za-z0-9+/]*={0,2}$/;
-    if (base64Pattern.test(trimmedContent) && trimmedContent.length % 4 === 0 && trimmedContent.length > 10) {
-        return 'encode';
-    }
-
-    // Default return encode (other formats)
-    return 'encode';
+import {StorageUtils} from "@/pastekit/utils/storageutils";
+import {detectContent, detectorRegistry, tokenizeSegments} from "@/pastekit/utils/detector";
+import {TrialDecryptClient} from "@/pastekit/utils/trialdecryptclient";
+import {PasteHistoryManager} from "@/pastekit/utils/pastehistoryutils";
+import {QRCodeUtils} from "@/pastekit/utils/qrcodeutils";
+
+// 内容停止变化多久后记入历史（毫秒）
+const HISTORY_RECORD_DELAY = 1500;
+
+// 内置工具组件，按检测器的 tool 键名注册；自定义检测器可自带 component 或调用 detectorRegistry.registerTool()
+const BUILTIN_TOOL_COMPONENTS = {
+    // When IP is entered, display both local IP and detailed query results
+    ip: ({content}) => <IpTool content={content} showMyIp={true}/>,
+    dns: DnsTool,
+    cron: ({content}) => <CroneTool cronExpr={content}/>,
+    time: TimeTool,
+    json: JsonTool,
+    url: UrlTool,
+    cipher: AutoCipherTool,
+    jwt: JwtTool,
+    certificate: CertificateTool,
+    magic: MagicDecodeTool,
+    image: ImageTool,
+    curl: CurlTool,
+    segments: SegmentViewer,
+    encode: AutoEncodeTool
 };
+// 先于本模块注册的组件（团队模块）优先，不被内置组件覆盖
+Object.entries(BUILTIN_TOOL_COMPONENTS)
+    .filter(([tool]) => !detectorRegistry.getToolComponent(tool))
+    .forEach(([tool, component]) => detectorRegistry.registerTool(tool, component));
 
 export default function PopUp() {
     const [t, currentLanguage, isReady] = useTranslation();
     const [content, setContent] = useState('');
     const maxHeight = useChromePopupHeight();
-    const [contentType, setContentType] = useState('encode');
+    const [candidates, setCandidates] = useState([]);
+    const [expandedTool, setExpandedTool] = useState(null);
+    // uncertain：解密检查未完成（超时、出错）；partsDecrypted：混合内容中的片段被解密
+    const [decryptState, setDecryptState] = useState({results: [], pending: false, uncertain: false, partsDecrypted: false, hasConfigs: false});
+    // 工具自行解密部分内容（如 cURL 请求体）后的报告，只对报告时的内容有效：{ content, reports: { tool: { decrypted, uncertain } } }
+    const [toolDecryptReports, setToolDecryptReports] = useState({content: '', reports: {}});
+    const trialDecryptRef = useRef(null);
+    const expandedByUserRef = useRef(false);
+    const restoredToolRef = useRef(null);
+    const [showHistory, setShowHistory] = useState(false);
+    const [pasteNotice, setPasteNotice] = useState('');
+    const [pastedImage, setPastedImage] = useState(null);
     const [generatedPrompt, setGeneratedPrompt] = useState('');
     const [isOnAIWebsite, setIsOnAIWebsite] = useState(false);
     const textareaRef = useRef(null);
@@ -310,21 +142,183 @@ export default function PopUp() {
         });
     }, []);
 
-    // 内容类型检测（异步）
+    // 内容类型检测（异步），结果为按得分排序的候选工具列表
+    // 解密尝试交给 Background，每返回一个解密结果就重新排序一次
     useEffect(() => {
+        let cancelled = false;
+        if (!trialDecryptRef.current) {
+            trialDecryptRef.current = new TrialDecryptClient();
+        }
+        const client = trialDecryptRef.current;
+
         const detectType = async () => {
+            // 从历史记录打开时恢复当时使用的工具
+            expandedByUserRef.current = !!restoredToolRef.current;
+            if (restoredToolRef.current) {
+                setExpandedTool(restoredToolRef.current);
+                restoredToolRef.current = null;
+            }
+
             if (!content || content.trim() === '') {
-                setContentType('encode');
+                setCandidates([]);
+                setExpandedTool(null);
+                setDecryptState({results: [], pending: false, uncertain: false, partsDecrypted: false, hasConfigs: false});
+                return;
+            }
+
+            let keyConfigs = [];
+            try {
+                const result = await StorageUtils.getItem('keyConfigs');
+                keyConfigs = result.keyConfigs || [];
+            } catch (err) {
+                console.log('加载秘钥配置失败:', err);
+            }
+
+            // 流式结果触发的检测可能乱序完成，只采用最后一次调用的结果
+            let latestUpdate = 0;
+            const updateCandidates = async (decryptCandidates) => {
+                const sequence = ++latestUpdate;
+                const detected = await detectContent(content, {keyConfigs, decryptCandidates});
+                if (cancelled || sequence !== latestUpdate) {
+                    return;
+                }
+                setCandidates(detected);
+                if (!expandedByUserRef.current) {
+                    setExpandedTool(detected[0]?.tool || null);
+                }
+            };
+
+            const hasConfigs = keyConfigs.length > 0;
+            setDecryptState({results: [], pending: hasConfigs, uncertain: false, partsDecrypted: false, hasConfigs});
+            await updateCandidates([]);
+            if (cancelled || !hasConfigs) {
                 return;
             }
 
-            const type = await detectContentType(content);
-            setContentType(type);
+            const summary = await client.decrypt(content, (candidate, ranked) => {
+                if (cancelled) {
+                    return;
+                }
+                setDecryptState(state => ({...state, results: ranked}));
+                updateCandidates(ranked);
+            });
+            if (cancelled) {
+                return;
+            }
+            const results = summary.candidates;
+            setDecryptState(state => ({...state, results}));
+            await updateCandidates(results);
+
+            // 混合内容中的 Base64 片段可能单独加密，逐个试探解密，供粘贴历史判断是否记录
+            let uncertain = TrialDecryptClient.isUncertain(summary);
+            let partsDecrypted = false;
+            const segments = tokenizeSegments(content).filter(segment => segment.type === 'base64' && segment.text !== content.trim());
+            for (const segment of segments) {
+                const part = await client.decrypt(segment.text);
+                if (cancelled) {
+                    return;
+                }
+                partsDecrypted = partsDecrypted || part.candidates.length > 0;
+                uncertain = uncertain || TrialDecryptClient.isUncertain(part);
+            }
+            setDecryptState(state => ({...state, pending: false, uncertain, partsDecrypted}));
         };
 
         detectType();
+
+        return () => {
+            cancelled = true;
+            client.cancel();
+        };
     }, [content]);
 
+    // 关闭 Popup 时断开与 Background 的连接
+    useEffect(() => () => trialDecryptRef.current?.disconnect(), []);
+
+    // 检测（包括后台解密）完成且内容稳定后记入粘贴历史
+    // 带请求体的 cURL 由 CurlTool 解密请求体，工具没有报告结果时视为解密结果未知
+    useEffect(() => {
+        if (!content || content.trim() === '' || candidates.length === 0 || decryptState.pending) {
+            return;
+        }
+        const reportsByTool = toolDecryptReports.content === content ? toolDecryptReports.reports : {};
+        const reports = Object.values(reportsByTool);
+        const awaitingCurl = decryptState.hasConfigs && !reportsByTool.curl
+            && candidates.some(candidate => candidate.tool === 'curl' && candidate.metadata?.hasBody);
+        const timer = setTimeout(() => {
+            PasteHistoryManager.addEntry(
+                {content, type: candidates[0].type, tool: candidates[0].tool},
+                {
+                    decrypted: decryptState.results.length > 0 || decryptState.partsDecrypted || reports.some(report => report.decrypted),
+                    uncertain: decryptState.uncertain || awaitingCurl || reports.some(report => report.uncertain)
+                }
+            );
+        }, HISTORY_RECORD_DELAY);
+        return () => clearTimeout(timer);
+    }, [content, candidates, decryptState, toolDecryptReports]);
+
+    // 工具解密了部分内容后回调，按工具记录；子组件的 effect 先于 Popup 执行，所以按内容区分而不是在检测时清空
+    const reportToolDecryption = (reportedContent, tool, decrypted, uncertain = false) => {
+        setToolDecryptReports(state => {
+            const reports = state.content === reportedContent ? state.reports : {};
+            const previous = reports[tool];
+            if (previous && previous.decrypted === decrypted && previous.uncertain === uncertain) {
+                return state;
+            }
+            return {content: reportedContent, reports: {...reports, [tool]: {decrypted, uncertain}}};
+        });
+    };
+
+    // 在对应工具中重新打开历史记录
+    const openHistoryEntry = (entry) => {
+        setShowHistory(false);
+        if (entry.content === content) {
+            expandedByUserRef.current = true;
+            setExpandedTool(entry.tool);
+            return;
+        }
+        restoredToolRef.current = entry.tool;
+        setContent(entry.content);
+    };
+
+    // options 页面通过 popup.html?history=<id> 打开历史记录，或通过 ?content= 直接带入内容
+    useEffect(() => {
+        const params = new URLSearchParams(window.location.search);
+        const entryId = params.get('history');
+        if (entryId) {
+            PasteHistoryManager.getEntry(entryId).then(entry => entry && openHistoryEntry(entry));
+        } else if (params.has('content')) {
+            setContent(params.get('content'));
+        }
+    }, []);
+
+    // 粘贴图片时展示图片信息，同时本地识别二维码，识别出的文本重新走内容检测
+    const handlePaste = async (e) => {
+        const image = QRCodeUtils.getImageFromDataTransfer(e.clipboardData);
+        if (!image) {
+            setPasteNotice('');
+            setPastedImage(null);
+            return;
+        }
+        e.preventDefault();
+        setPastedImage(image);
+        setPasteNotice(t('popup.qr_decoding'));
+        try {
+            const result = await QRCodeUtils.decodeImage(image);
+            if (result) {
+                setPasteNotice(t('popup.qr_decoded'));
+                setContent(result.text);
+            } else {
+                setPasteNotice('');
+            }
+        } catch (error) {
+            console.error('[Popup] Failed to decode pasted image:', error);
+            setPasteNotice(t('popup.qr_decode_failed', {error: error.message}));
+        }
+    };
+
+    const contentType = candidates[0]?.type || 'encode';
+
     // Chrome扩展环境下强制控制滚动行为
     React.useEffect(() => {
         const handleWheel = (e) => {
@@ -368,7 +362,24 @@ export default function PopUp() {
         };
     }, []);
 
-    // Render corresponding components based on content type
+    // Render the tool component registered for a detector's tool key
+    const renderTool = (tool, text = content) => {
+        const ToolComponent = detectorRegistry.getToolComponent(tool) || AutoEncodeTool;
+        // Trial decryption results belong to the whole content, segments decrypt on their own
+        const decryptProps = tool === 'cipher' && text === content
+            ? {results: decryptState.results, isDecrypting: decryptState.pending}
+            : {};
+        return (
+            <ToolComponent
+                content={text}
+                renderTool={renderTool}
+                onDecryptResult={(decrypted, uncertain) => reportToolDecryption(content, tool, decrypted, uncertain)}
+                {...decryptProps}
+            />
+        );
+    };
+
+    // Render ranked candidate tools, only the expanded one is mounted
     const renderToolComponent = () => {
         // 当翻译未准备好时显示加载状态
         if (!isReady) {
@@ -388,30 +399,37 @@ export default function PopUp() {
             return <IpTool content={content} showMyIp={true}/>;
         }
 
-        switch (contentType) {
-            case 'ip':
-            case 'ipv6':
-            case 'cidr':
-            case 'ipv6cidr':
-                // When IP is entered, display both local IP and detailed query results
-                return <IpTool content={content} showMyIp={true}/>;
-            case 'domain':
-                return <DnsTool content={content}/>;
-            case 'cron':
-                return <CroneTool cronExpr={content}/>;
-            case 'timestamp':
-            case 'datetime':
-                return <TimeTool content={content}/>;
-            case 'json':
-                return <JsonTool content={content}/>;
-            case 'url':
-                return <UrlTool content={content}/>;
-            case 'encrypted':
-                return <AutoCipherTool content={content}/>;
-            case 'encode':
-            default:
-                return <AutoEncodeTool content={content}/>;
+        if (candidates.length <= 1) {
+            return renderTool(candidates[0]?.tool || 'encode');
         }
+
+        return (
+            <div>
+                {candidates.map((candidate) => {
+                    const isExpanded = candidate.tool === expandedTool;
+                    return (
+                        <div key={candidate.detectorId} className="border-b">
+                            <button
+                                className={`w-full flex items-center justify-between px-3 py-1.5 text-xs ${
+                                    isExpanded ? 'bg-blue-50 text-blue-700' : 'bg-white text-gray-600 hover:bg-gray-50'
+                                }`}
+                                onClick={() => {
+                                    expandedByUserRef.current = true;
+                                    setExpandedTool(isExpanded ? null : candidate.tool);
+                                }}
+                            >
+                                <span className="flex items-center gap-1">
+                                    {isExpanded ? <ChevronDown className="w-3 h-3"/> : <ChevronRight className="w-3 h-3"/>}
+                                    {candidate.label || t(`popup.formats.${candidate.type}`)}
+                                </span>
+                                <span className="font-mono">{Math.round(candidate.score * 100)}%</span>
+                            </button>
+                            {isExpanded && renderTool(candidate.tool)}
+                        </div>
+                    );
+                })}
+            </div>
+        );
     };
 
     // 当翻译未准备好时显示整体加载状态
@@ -447,25 +465,59 @@ export default function PopUp() {
                         value={content}
                         onChange={(e) => {
                             setContent(e.target.value)
+                            setPasteNotice('')
+                            setPastedImage(null)
                         }}
+                        onPaste={handlePaste}
                     />
-                    <div className="px-3 py-2 text-xs text-gray-500 bg-gray-50 border-b">
-                        {(() => {
-                            const detectedFormat = t('popup.detected_format');
-                            const defaultIP = t('popup.default_ip');
-                            const formatText = t(`popup.formats.${contentType}`);
-
-                            return !content || content.trim() === ''
-                                ? `${detectedFormat} ${defaultIP}`
-                                : `${detectedFormat} ${formatText}`;
-                        })()}
+                    {pasteNotice && (
+                        <div className="px-3 py-1 text-xs text-blue-700 bg-blue-50 border-b">
+                            {pasteNotice}
+                        </div>
+                    )}
+                    <div className="px-3 py-2 text-xs text-gray-500 bg-gray-50 border-b flex items-center justify-between">
+                        <span>
+                            {(() => {
+                                const detectedFormat = t('popup.detected_format');
+                                const defaultIP = t('popup.default_ip');
+                                const formatText = t(`popup.formats.${contentType}`);
+
+                                return !content || content.trim() === ''
+                                    ? `${detectedFormat} ${defaultIP}`
+                                    : `${detectedFormat} ${formatText}`;
+                            })()}
+                        </span>
+                        <button
+                            className={`flex items-center gap-1 px-2 py-0.5 rounded ${
+                                showHistory ? 'bg-blue-100 text-blue-700' : 'hover:bg-gray-200'
+                            }`}
+                            onClick={() => setShowHistory(!showHistory)}
+                        >
+                            <History className="w-3 h-3"/>
+                            {showHistory ? t('popup.back_to_tools') : t('popup.history')}
+                        </button>
                     </div>
                 </div>
             </div>
 
             {/* 可滚动的内容区域 */}
             <div className="flex-1 overflow-y-auto">
-                {!isOnAIWebsite && renderToolComponent()}
+                {!isOnAIWebsite && !showHistory && pastedImage && (
+                    <div className="relative">
+                        <button
+                            className="absolute top-2 right-2 px-2 text-xs text-gray-500 hover:text-gray-800"
+                            title={t('imagetool.close')}
+                            onClick={() => setPastedImage(null)}
+                        >
+                            ✕
+                        </button>
+                        <ImageTool image={pastedImage}/>
+                    </div>
+                )}
+                {!isOnAIWebsite && (showHistory
+                    ? <PasteHistory compact={true} onOpen={openHistoryEntry}/>
+                    : (!pastedImage || content.trim()) && renderToolComponent())}
+                {!isOnAIWebsite && !showHistory && <RecipeRunner content={content}/>}
                 <AIPromptSelector
                     content={content}
                     onGeneratedPromptChange={setGeneratedPrompt}
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+/**
+ * PasteKit 命令行
+ *
+ * 用法：
+ *   pastekit proxy [--port 8080] [--host 0.0.0.0] [--hub-port 8889,8899] [--hub-host 127.0.0.1] [--ca-dir ~/.pastekit/mitm-ca]
+ *   pastekit proxy --export-ca ./pastekit-ca.cer
+ *
+ * proxy 在同一进程中启动 WebSocket Hub 与内置 MITM 代理：
+ * 扩展界面连接 Hub 后同步解密配置，代理按配置即时解密并把结果推送给扩展
+ */
+
+import os from 'os';
+import { register } from 'node:module';
+
+// CipherUtils 依赖的 jsencrypt 需要解析钩子，注册后再动态加载依赖它的模块
+register('./utils/node-hooks.js', import.meta.url);
+
+const { ProxyHubServer, DEFAULT_HUB_PORTS, DEFAULT_HUB_HOST } = await import('./hub-server.js');
+const { MitmProxyServer, DEFAULT_PROXY_PORT, CA_DOWNLOAD_HOST } = await import('./mitm-proxy.js');
+const { DEFAULT_CA_DIR, describeCertificateAuthority, exportCertificateAuthority } = await import('./utils/certauthority.js');
+
+const USAGE = `用法：
+  pastekit proxy [选项]
+
+选项：
+  --port <端口>          代理端口（默认 ${DEFAULT_PROXY_PORT}）
+  --host <地址>          代理监听地址（默认 0.0.0.0，设备通过局域网连接）
+  --hub-port <端口列表>  WebSocket Hub 端口，逗号分隔（默认 ${DEFAULT_HUB_PORTS.join(',')}）
+  --hub-host <地址>      WebSocket Hub 监听地址（默认 ${DEFAULT_HUB_HOST}，只允许本机连接）
+  --ca-dir <目录>        根证书目录（默认 ${DEFAULT_CA_DIR}）
+  --export-ca <文件>     导出根证书后退出（.cer / .der 为 DER 格式，其余为 PEM）
+  --help                 显示帮助`;
+
+/**
+ * 解析端口
+ * @param {string} value
+ * @returns {number}
+ */
+function parsePort(value) {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`无效的端口: ${value}`);
+    }
+    return port;
+}
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const options = {
+        command,
+        port: DEFAULT_PROXY_PORT,
+        host: '0.0.0.0',
+        hubPorts: DEFAULT_HUB_PORTS,
+        hubHost: DEFAULT_HUB_HOST,
+        caDir: DEFAULT_CA_DIR,
+        exportCa: null,
+        help: command === undefined || command === '--help' || command === '-h'
+    };
+
+    for (let i = 0; i < rest.length; i++) {
+        const [flag, inlineValue] = rest[i].split('=');
+        if (flag === '--help' || flag === '-h') {
+            options.help = true;
+            continue;
+        }
+
+        const value = inlineValue ?? rest[++i];
+        if (value === undefined) {
+            throw new Error(`缺少参数值: ${flag}`);
+        }
+        if (flag === '--port' || flag === '-p') {
+            options.port = parsePort(value);
+        } else if (flag === '--host') {
+            options.host = value;
+        } else if (flag === '--hub-port') {
+            options.hubPorts = value.split(',').map(port => parsePort(port.trim()));
+        } else if (flag === '--hub-host') {
+            options.hubHost = value;
+        } else if (flag === '--ca-dir') {
+            options.caDir = value;
+        } else if (flag === '--export-ca') {
+            options.exportCa = value;
+        } else {
+            throw new Error(`未知参数: ${flag}`);
+        }
+    }
+    return options;
+}
+
+/**
+ * 本机局域网 IPv4 地址
+ * @returns {Array<string>}
+ */
+function getLanAddresses() {
+    return Object.values(os.networkInterfaces())
+        .flat()
+        .filter(item => item && item.family === 'IPv4' && !item.internal)
+        .map(item => item.address);
+}
+
+/**
+ * 导出根证书
+ */
+function exportCa(options) {
+    const { path, format } = exportCertificateAuthority(options.caDir, options.exportCa);
+    const { commonName, sha256 } = describeCertificateAuthority(options.caDir);
+    console.log(`✅ 已导出根证书 (${format}): ${path}`);
+    console.log(`   名称：${commonName}`);
+    console.log(`   SHA-256：${sha256}`);
+}
+
+/**
+ * 启动 Hub 与 MITM 代理
+ */
+async function startProxy(options) {
+    console.log('\n🚀 PasteKit MITM 代理\n');
+
+    const hub = new ProxyHubServer({ ports: options.hubPorts, host: options.hubHost });
+    const proxy = new MitmProxyServer({ hub, port: options.port, host: options.host, caDir: options.caDir });
+
+    let hubPorts;
+    let proxyPort;
+    try {
+        hubPorts = await hub.start();
+        proxyPort = await proxy.start();
+    } catch (error) {
+        console.error('❌ 服务启动失败:', error.message);
+        if (error.code === 'EADDRINUSE') {
+            console.log('\n请确保端口未被占用，或使用 --port / --hub-port 指定其他端口\n');
+        }
+        proxy.stop();
+        await hub.stop();
+        process.exit(1);
+    }
+
+    const { commonName, notAfter, sha256 } = describeCertificateAuthority(options.caDir);
+    const addresses = options.host === '0.0.0.0' ? ['127.0.0.1', ...getLanAddresses()] : [options.host];
+
+    console.log('\n✅ 服务启动成功\n');
+    console.log('🌐 代理地址（在设备或浏览器中设置 HTTP/HTTPS 代理）:');
+    addresses.forEach(address => console.log(`   ${address}:${proxyPort}`));
+    console.log('\n📱 WebSocket Hub:');
+    hubPorts.forEach(port => console.log(`   ws://localhost:${port}`));
+    if (!['127.0.0.1', 'localhost', '::1'].includes(options.hubHost)) {
+        console.log(`   ⚠️ Hub 监听 ${options.hubHost}，局域网内的插件可以连接；解密结果仍只发给本机连接`);
+    }
+    console.log('\n🔐 根证书（设备需安装并信任后才能解密 HTTPS）:');
+    console.log(`   ${commonName}，有效期至 ${notAfter.toISOString().slice(0, 10)}`);
+    console.log(`   SHA-256：${sha256}`);
+    console.log(`   设置代理后访问 http://${CA_DOWNLOAD_HOST} 下载，或运行 pastekit proxy --export-ca <文件> 导出`);
+    console.log('\n💡 打开扩展的请求列表页面后会自动同步解密配置\n');
+
+    const shutdown = async () => {
+        console.log('\n👋 正在关闭代理...');
+        proxy.stop();
+        await hub.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error('❌', error.message);
+        console.log(`\n${USAGE}`);
+        process.exit(1);
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (options.command !== 'proxy') {
+        console.error(`❌ 未知命令: ${options.command}`);
+        console.log(`\n${USAGE}`);
+        process.exit(1);
+    }
+
+    if (options.exportCa) {
+        try {
+            exportCa(options);
+        } catch (error) {
+            console.error('❌ 导出根证书失败:', error.message);
+            process.exit(1);
+        }
+        return;
+    }
+
+    await startProxy(options);
+}
+
+main();
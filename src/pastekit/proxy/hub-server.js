@@ -0,0 +1,408 @@
+/**
+ * Proxy WebSocket Hub
+ * 接收代理插件（Charles / Whistle / Fiddler）上报的流量，归一化后广播给扩展界面等订阅者
+ *
+ * 连接角色：
+ *   - 插件：发送过 handshake 消息的连接，只上报流量，不接收广播
+ *   - 订阅者：其余连接（RequestListViewer、ProxyWebSocketClient），可发送 domain 消息只接收指定域名的流量
+ *
+ * 扩展界面还会发送 decryption-configs 消息同步域名解密配置与密钥配置，供内置 MITM 代理解密；
+ * 这些配置只保存在内存中，不会转发给任何连接，且只接受本机连接发送
+ *
+ * 默认只监听 127.0.0.1；监听其他地址（如 0.0.0.0）时局域网内的插件也能连接，但解密结果不会发给非本机连接：
+ * 内置 MITM 代理的流量（TLS 已解开，含解密后的 plainBody 与完整消息头）只广播给本机订阅者，
+ * 其他流量发给非本机订阅者时去掉 plainBody / decryptError
+ *
+ * 断点：扩展界面用 breakpoint-rules 同步断点 / 重写规则。插件上报流量时带 awaitRelease 表示会等待放行，
+ * 命中规则的流量带上 breakpoint 字段广播，扩展界面编辑后发送 release，Hub 再以 release 消息回复插件；
+ * 未命中、没有订阅者或超时时原样放行
+ */
+
+import { WebSocketServer, WebSocket } from 'ws';
+import {
+    getTrafficPhase,
+    normalizeHeaders,
+    normalizeTrafficMessage,
+    parseDomainFilter,
+    matchesDomainFilter
+} from './utils/normalizer.js';
+import { findBreakpointRule } from './utils/breakpoints.js';
+
+// 8889：扩展界面与 ws-client；8899：代理插件
+export const DEFAULT_HUB_PORTS = [8889, 8899];
+
+// 断点等待放行的默认时长，超时后原样放行，避免代理中的连接一直挂起
+export const DEFAULT_BREAKPOINT_TIMEOUT = 60000;
+
+// 默认监听地址，只允许本机连接；需要局域网内的插件连接时显式指定 0.0.0.0
+export const DEFAULT_HUB_HOST = '127.0.0.1';
+
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+export class ProxyHubServer {
+    /**
+     * @param {Object} options
+     * @param {Array<number>} options.ports - 监听端口，所有端口共享同一组连接
+     * @param {string} options.host - 监听地址（默认只监听本机）
+     * @param {Object} options.logger - 日志输出，需提供 log / warn / error
+     * @param {number} options.breakpointTimeout - 断点等待放行的时长（毫秒）
+     */
+    constructor({ ports = DEFAULT_HUB_PORTS, host = DEFAULT_HUB_HOST, logger = console, breakpointTimeout = DEFAULT_BREAKPOINT_TIMEOUT } = {}) {
+        this.ports = ports;
+        this.host = host;
+        this.logger = logger;
+        this.breakpointTimeout = breakpointTimeout;
+        this.servers = [];
+        this.clients = new Map();
+        this.clientCounter = 0;
+        this.decryptionConfigs = [];
+        this.keyConfigs = [];
+        this.breakpointRules = [];
+        this.breakpoints = new Map();
+        this.breakpointCounter = 0;
+    }
+
+    /**
+     * 启动所有端口的监听；任一端口失败时关闭已启动的端口并抛出错误
+     * @returns {Promise<Array<number>>} 实际监听的端口
+     */
+    async start() {
+        try {
+            for (const port of this.ports) {
+                this.servers.push(await this.listen(port));
+            }
+        } catch (error) {
+            await this.stop();
+            throw error;
+        }
+        return this.getPorts();
+    }
+
+    /**
+     * 监听单个端口
+     * @private
+     */
+    listen(port) {
+        return new Promise((resolve, reject) => {
+            const server = new WebSocketServer({ port, host: this.host });
+            server.once('listening', () => {
+                server.off('error', reject);
+                server.on('error', error => this.logger.error('[ProxyHub] 服务器错误:', error.message));
+                resolve(server);
+            });
+            server.once('error', reject);
+            server.on('connection', (ws, req) => this.handleConnection(ws, req, server.address().port));
+        });
+    }
+
+    /**
+     * 关闭所有连接与端口
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        [...this.breakpoints.keys()].forEach(id => this.finishBreakpoint(id, { reason: 'stopped' }));
+        this.clients.forEach(client => client.ws.terminate());
+        this.clients.clear();
+        await Promise.all(this.servers.map(server => new Promise(resolve => server.close(() => resolve()))));
+        this.servers = [];
+    }
+
+    /**
+     * 实际监听的端口（配置端口为 0 时由系统分配）
+     * @returns {Array<number>}
+     */
+    getPorts() {
+        return this.servers.map(server => server.address().port);
+    }
+
+    /**
+     * 当前连接的概要信息
+     * @returns {Array<Object>} { id, port, address, role, plugin, domains }
+     */
+    getClients() {
+        return [...this.clients.values()].map(({ ws, ...info }) => info);
+    }
+
+    /**
+     * 处理新连接
+     * @private
+     */
+    handleConnection(ws, req, port) {
+        const client = {
+            id: `client_${++this.clientCounter}`,
+            ws,
+            port,
+            address: req.socket.remoteAddress,
+            role: 'subscriber',
+            plugin: null,
+            domains: []
+        };
+        this.clients.set(client.id, client);
+        this.logger.log(`[ProxyHub] 🔌 ${client.id} 已连接 (端口 ${port}, ${client.address})`);
+
+        ws.on('message', data => this.handleMessage(client, data.toString()));
+        ws.on('close', () => {
+            this.clients.delete(client.id);
+            this.breakpoints.forEach((breakpoint, id) => {
+                if (breakpoint.sender === client) {
+                    this.finishBreakpoint(id, { reason: 'disconnected' });
+                }
+            });
+            this.logger.log(`[ProxyHub] 👋 ${client.id} 已断开`);
+        });
+        ws.on('error', error => this.logger.warn(`[ProxyHub] ${client.id} 连接错误:`, error.message));
+
+        this.send(client, { type: 'connected', clientId: client.id, timestamp: Date.now() });
+    }
+
+    /**
+     * 处理客户端消息
+     * @private
+     */
+    handleMessage(client, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch {
+            this.sendError(client, '消息不是有效的 JSON');
+            return;
+        }
+
+        if (getTrafficPhase(message?.type)) {
+            this.handleTraffic(client, message);
+            return;
+        }
+
+        switch (message?.type) {
+            case 'ping':
+                this.send(client, { type: 'pong', timestamp: Date.now() });
+                break;
+            case 'handshake':
+                client.role = 'plugin';
+                client.plugin = message.plugin || message.data?.plugin || 'unknown';
+                this.logger.log(`[ProxyHub] 🤝 ${client.id} 为插件: ${client.plugin}`);
+                break;
+            case 'domain':
+                client.domains = parseDomainFilter(message);
+                this.logger.log(`[ProxyHub] 📋 ${client.id} 域名过滤:`, client.domains.length > 0 ? client.domains.join(', ') : '(全部)');
+                this.send(client, { type: 'domain-updated', domains: client.domains, timestamp: Date.now() });
+                break;
+            case 'decryption-configs':
+                this.updateDecryptionConfigs(client, message);
+                break;
+            case 'breakpoint-rules':
+                this.updateBreakpointRules(client, message);
+                break;
+            case 'release':
+                this.releaseBreakpoint(client, message);
+                break;
+            default:
+                this.sendError(client, `不支持的消息类型: ${message?.type}`);
+        }
+    }
+
+    /**
+     * 保存扩展同步的解密配置（只接受本机连接）
+     * @private
+     */
+    updateDecryptionConfigs(client, message) {
+        if (!this.isLoopback(client)) {
+            this.sendError(client, '只接受本机连接同步解密配置');
+            return;
+        }
+
+        const data = message.data || {};
+        this.decryptionConfigs = Array.isArray(data.decryptionConfigs) ? data.decryptionConfigs : [];
+        this.keyConfigs = Array.isArray(data.keyConfigs) ? data.keyConfigs : [];
+        this.logger.log(`[ProxyHub] 🔑 ${client.id} 同步了 ${this.decryptionConfigs.length} 个解密配置、${this.keyConfigs.length} 个密钥配置`);
+        this.send(client, {
+            type: 'decryption-configs-updated',
+            decryptionConfigs: this.decryptionConfigs.length,
+            keyConfigs: this.keyConfigs.length,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * 保存扩展同步的断点 / 重写规则（只接受本机连接）
+     * @private
+     */
+    updateBreakpointRules(client, message) {
+        if (!this.isLoopback(client)) {
+            this.sendError(client, '只接受本机连接同步断点规则');
+            return;
+        }
+
+        const rules = message.data?.rules;
+        this.breakpointRules = Array.isArray(rules) ? rules : [];
+        this.logger.log(`[ProxyHub] ⏸️ ${client.id} 同步了 ${this.breakpointRules.length} 条断点规则`);
+        this.send(client, { type: 'breakpoint-rules-updated', rules: this.breakpointRules.length, timestamp: Date.now() });
+    }
+
+    /**
+     * 订阅者放行断点（只接受本机连接，放行内容会改写代理中的流量）
+     * @private
+     */
+    releaseBreakpoint(client, message) {
+        if (!this.isLoopback(client)) {
+            this.sendError(client, '只接受本机连接放行断点');
+            return;
+        }
+
+        const data = message.data || {};
+        if (!this.breakpoints.has(data.breakpointId)) {
+            this.sendError(client, `断点不存在或已放行: ${data.breakpointId}`);
+            return;
+        }
+
+        const modified = typeof data.body === 'string' || (data.headers && typeof data.headers === 'object');
+        this.finishBreakpoint(data.breakpointId, {
+            reason: 'released',
+            modified,
+            body: typeof data.body === 'string' ? data.body : null,
+            headers: data.headers && typeof data.headers === 'object' ? normalizeHeaders(data.headers) : {}
+        });
+    }
+
+    /**
+     * 归一化流量消息并广播；插件带 awaitRelease 时，放行后回复 release 消息
+     * @private
+     */
+    handleTraffic(client, message) {
+        let event;
+        try {
+            event = normalizeTrafficMessage(message, client.plugin);
+        } catch (error) {
+            this.sendError(client, error.message);
+            return;
+        }
+
+        if (!(message.awaitRelease || message.data?.awaitRelease)) {
+            const delivered = this.broadcast(event, client);
+            this.logger.log(`[ProxyHub] 📨 ${event.type} ${event.method || event.statusCode || ''} ${event.url} (${event.source}) → ${delivered} 个订阅者`);
+            return;
+        }
+
+        if (!event.requestId) {
+            this.sendError(client, '等待放行的流量消息缺少 requestId');
+            return;
+        }
+        this.hold(event, client).then(release => {
+            this.send(client, {
+                type: 'release',
+                requestId: event.requestId,
+                phase: event.phase,
+                ...release,
+                timestamp: Date.now()
+            });
+        });
+    }
+
+    /**
+     * 广播流量；命中断点规则时等待订阅者放行
+     * 未命中规则、没有订阅者接收、超时或发送方断开时均原样放行
+     * @param {Object} event - 归一化后的消息
+     * @param {Object|null} sender - 发送方连接（内置代理为 null）
+     * @returns {Promise<Object>} { breakpointId, reason, modified, body, headers }，
+     *          modified 为 true 时用 body（非 null 时）替换消息体，并设置 headers 中的头
+     */
+    hold(event, sender = null) {
+        const rule = findBreakpointRule(event, this.breakpointRules);
+        if (!rule) {
+            this.broadcast(event, sender);
+            return Promise.resolve({ breakpointId: null, reason: 'unmatched', modified: false, body: null, headers: {} });
+        }
+
+        const breakpointId = `bp_${Date.now()}_${++this.breakpointCounter}`;
+        return new Promise(resolve => {
+            this.breakpoints.set(breakpointId, {
+                sender,
+                resolve,
+                timer: setTimeout(() => this.finishBreakpoint(breakpointId, { reason: 'timeout' }), this.breakpointTimeout)
+            });
+
+            const delivered = this.broadcast({ ...event, breakpoint: { id: breakpointId, ruleId: rule.id, action: rule.action } }, sender);
+            this.logger.log(`[ProxyHub] ⏸️ ${event.type} ${event.url} 命中断点规则 ${rule.id} → ${delivered} 个订阅者`);
+            if (delivered === 0) {
+                this.finishBreakpoint(breakpointId, { reason: 'unhandled' });
+            }
+        });
+    }
+
+    /**
+     * 结束断点并通知订阅者（其他打开的页面据此移除该断点）
+     * @private
+     */
+    finishBreakpoint(breakpointId, { reason, modified = false, body = null, headers = {} }) {
+        const breakpoint = this.breakpoints.get(breakpointId);
+        if (!breakpoint) {
+            return;
+        }
+        clearTimeout(breakpoint.timer);
+        this.breakpoints.delete(breakpointId);
+
+        this.logger.log(`[ProxyHub] ▶️ 断点 ${breakpointId} 已放行 (${reason}${modified ? '，已修改' : ''})`);
+        this.clients.forEach(client => {
+            if (client.role === 'subscriber') {
+                this.send(client, { type: 'breakpoint-released', breakpointId, reason, timestamp: Date.now() });
+            }
+        });
+        breakpoint.resolve({ breakpointId, reason, modified, body, headers });
+    }
+
+    /**
+     * 把归一化的流量消息发送给匹配域名过滤的订阅者（不含发送方与插件）
+     * 命中断点的消息不受域名过滤限制，但只发给能放行的本机订阅者；
+     * 内置代理的流量（sender 为 null）只发给本机订阅者，其他流量发给非本机订阅者时去掉解密结果
+     * @param {Object} event - 归一化后的消息
+     * @param {Object|null} sender - 发送方连接，内置 MITM 代理为 null
+     * @returns {number} 送达的订阅者数量
+     */
+    broadcast(event, sender = null) {
+        const localOnly = Boolean(event.breakpoint) || sender === null;
+        const remoteEvent = { ...event, plainBody: null, decryptError: null };
+        let delivered = 0;
+        this.clients.forEach(client => {
+            if (client === sender || client.role !== 'subscriber') {
+                return;
+            }
+            const loopback = this.isLoopback(client);
+            if (localOnly && !loopback) {
+                return;
+            }
+            if (!event.breakpoint && !matchesDomainFilter(event.url, client.domains)) {
+                return;
+            }
+            if (this.send(client, loopback ? event : remoteEvent)) {
+                delivered++;
+            }
+        });
+        return delivered;
+    }
+
+    /**
+     * @private
+     */
+    isLoopback(client) {
+        return LOOPBACK_ADDRESSES.has(client.address);
+    }
+
+    /**
+     * @private
+     */
+    send(client, message) {
+        if (client.ws.readyState !== WebSocket.OPEN) {
+            return false;
+        }
+        client.ws.send(JSON.stringify(message));
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    sendError(client, message) {
+        this.logger.warn(`[ProxyHub] ⚠️ ${client.id}: ${message}`);
+        this.send(client, { type: 'error', message, timestamp: Date.now() });
+    }
+}
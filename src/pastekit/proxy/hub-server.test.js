@@ -0,0 +1,416 @@
+/**
+ * ProxyHubServer 集成测试
+ * 用 ProxyWebSocketClient 作为订阅者、ws 作为代理插件，验证消息归一化、广播、域名过滤与断点放行
+ *
+ * 运行：npm run test:proxy-hub
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocket as NodeWebSocket } from 'ws';
+import { ProxyHubServer } from './hub-server.js';
+import { ProxyWebSocketClient } from './ws-client.js';
+
+// ProxyWebSocketClient 使用全局 WebSocket，Node 20 需要由 ws 提供
+globalThis.WebSocket ??= NodeWebSocket;
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+/**
+ * 等待客户端收到某类消息
+ */
+function waitFor(client, type, predicate = () => true, timeout = 3000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            off();
+            reject(new Error(`等待 ${type} 消息超时`));
+        }, timeout);
+        const off = client.on(type, message => {
+            if (predicate(message)) {
+                clearTimeout(timer);
+                off();
+                resolve(message);
+            }
+        });
+    });
+}
+
+/**
+ * 等待代理插件收到某类消息
+ */
+function waitForPlugin(plugin, type, predicate = () => true, timeout = 3000) {
+    return new Promise((resolve, reject) => {
+        const onMessage = data => {
+            const message = JSON.parse(data.toString());
+            if (message.type === type && predicate(message)) {
+                clearTimeout(timer);
+                plugin.ws.off('message', onMessage);
+                resolve(message);
+            }
+        };
+        const timer = setTimeout(() => {
+            plugin.ws.off('message', onMessage);
+            reject(new Error(`插件等待 ${type} 消息超时`));
+        }, timeout);
+        plugin.ws.on('message', onMessage);
+    });
+}
+
+/**
+ * 为单个测试启动独立的 Hub，测试结束时断开该测试打开的连接并关闭 Hub
+ * @param {Object} t - node:test 的测试上下文
+ * @param {Object} options - 额外的 ProxyHubServer 选项
+ */
+async function startHub(t, options = {}) {
+    const hub = new ProxyHubServer({ ports: [0], host: '127.0.0.1', logger: silentLogger, ...options });
+    const [port] = await hub.start();
+    const openClients = [];
+    t.after(async () => {
+        openClients.forEach(client => client.disconnect());
+        await hub.stop();
+    });
+
+    /**
+     * 创建一个订阅者（扩展界面），不等待连接
+     */
+    const createSubscriber = () => {
+        const client = new ProxyWebSocketClient(`ws://127.0.0.1:${port}/ws`);
+        client.handleMessage = async () => {};
+        openClients.push(client);
+        return client;
+    };
+
+    /**
+     * 连接一个订阅者（扩展界面）
+     */
+    const connectSubscriber = async () => {
+        const client = createSubscriber();
+        const welcome = waitFor(client, 'connected');
+        await client.connect();
+        await welcome;
+        return client;
+    };
+
+    /**
+     * 连接一个代理插件，并等待握手被 Hub 处理
+     */
+    const connectPlugin = async (plugin) => {
+        const ws = new NodeWebSocket(`ws://127.0.0.1:${port}`);
+        const received = [];
+        ws.on('message', data => received.push(JSON.parse(data.toString())));
+        openClients.push({ disconnect: () => ws.close() });
+        await new Promise((resolve, reject) => {
+            ws.once('open', resolve);
+            ws.once('error', reject);
+        });
+        const connection = { ws, received, send: message => ws.send(JSON.stringify(message)) };
+        // 同一连接上的消息按顺序处理，收到 pong 时握手已完成
+        const pong = waitForPlugin(connection, 'pong');
+        connection.send({ type: 'handshake', plugin, version: '1.0.0', timestamp: Date.now() });
+        connection.send({ type: 'ping' });
+        await pong;
+        return connection;
+    };
+
+    return { hub, port, createSubscriber, connectSubscriber, connectPlugin };
+}
+
+test('新连接收到 connected 欢迎消息，ping 返回 pong', async (t) => {
+    const { createSubscriber } = await startHub(t);
+    const client = createSubscriber();
+    const welcome = waitFor(client, 'connected');
+    await client.connect();
+    assert.match((await welcome).clientId, /^client_\d+$/);
+
+    const pong = waitFor(client, 'pong');
+    client.ping();
+    assert.equal(typeof (await pong).timestamp, 'number');
+});
+
+test('插件的各种消息形状被归一化为 proxy-request / proxy-response', async (t) => {
+    const { connectSubscriber, connectPlugin } = await startHub(t);
+    const subscriber = await connectSubscriber();
+    const plugin = await connectPlugin('charles');
+
+    const charlesRequest = waitFor(subscriber, 'proxy-request', message => message.requestId === 'req_1');
+    plugin.send({
+        type: 'request',
+        data: {
+            requestId: 'req_1',
+            url: 'https://api.example.com/login',
+            method: 'post',
+            headers: { 'Content-Type': 'application/json', 'X-Trace': ['a', 'b'] },
+            body: '{"user":"alice"}',
+            bodyBase64: 'eyJ1c2VyIjoiYWxpY2UifQ==',
+            timestamp: 1700000000000
+        }
+    });
+    const request = await charlesRequest;
+    assert.equal(request.phase, 'request');
+    assert.equal(request.source, 'charles');
+    assert.equal(request.url, 'https://api.example.com/login');
+    assert.equal(request.method, 'POST');
+    assert.deepEqual(request.headers, { 'Content-Type': 'application/json', 'X-Trace': 'a, b' });
+    assert.equal(request.body, '{"user":"alice"}');
+    assert.equal(request.timestamp, 1700000000000);
+    assert.ok(request.eventId);
+
+    const legacyRequest = waitFor(subscriber, 'proxy-request', message => message.requestId === 'req_2');
+    plugin.send({
+        type: 'REQUEST',
+        requestId: 'req_2',
+        plugin: 'whistle',
+        url: 'https://api.example.com/items',
+        method: 'GET',
+        requestHeaders: [['Accept', 'application/json']]
+    });
+    const legacy = await legacyRequest;
+    assert.equal(legacy.source, 'whistle');
+    assert.deepEqual(legacy.headers, { Accept: 'application/json' });
+    assert.equal(legacy.body, null);
+
+    const responseEvent = waitFor(subscriber, 'proxy-response', message => message.requestId === 'req_1');
+    plugin.send({
+        type: 'RESPONSE',
+        requestId: 'req_1',
+        url: 'https://api.example.com/login',
+        status: '200',
+        responseHeaders: [{ name: 'Set-Cookie', value: 'a=1' }, { name: 'Set-Cookie', value: 'b=2' }],
+        responseBody: { token: 'abc' }
+    });
+    const response = await responseEvent;
+    assert.equal(response.phase, 'response');
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.method, null);
+    assert.deepEqual(response.headers, { 'Set-Cookie': 'a=1, b=2' });
+    assert.equal(response.body, '{"token":"abc"}');
+
+    // eventId 由 Hub 生成，插件上报的 plainBody / decryptError 被丢弃
+    const forwarded = waitFor(subscriber, 'proxy-request', message => message.url === 'https://api.example.com/replay');
+    plugin.send({
+        type: 'proxy-request',
+        eventId: request.eventId,
+        url: 'https://api.example.com/replay',
+        method: 'PUT',
+        body: 'cipher',
+        plainBody: '{"forged":true}',
+        decryptError: 'forged'
+    });
+    const replay = await forwarded;
+    assert.equal(replay.method, 'PUT');
+    assert.notEqual(replay.eventId, request.eventId);
+    assert.equal(replay.plainBody, null);
+    assert.equal(replay.decryptError, null);
+
+    // 插件不会收到流量广播
+    assert.ok(plugin.received.every(message => !message.type.startsWith('proxy-')));
+});
+
+test('ProxyWebSocketClient 发送的流量广播给其他订阅者，但不回送给自己', async (t) => {
+    const { connectSubscriber, connectPlugin } = await startHub(t);
+    const sender = await connectSubscriber();
+    const receiver = await connectSubscriber();
+    const echoed = [];
+    sender.on('proxy-response', message => echoed.push(message));
+
+    const received = waitFor(receiver, 'proxy-response', message => message.url === 'https://api.example.com/self');
+    sender.sendResponse({ url: 'https://api.example.com/self', statusCode: 201, body: 'ok' });
+    const response = await received;
+    assert.equal(response.statusCode, 201);
+    assert.equal(response.source, 'unknown');
+    assert.equal(echoed.length, 0);
+});
+
+test('订阅者的 domain 消息只保留匹配域名（含子域名）的流量', async (t) => {
+    const { connectSubscriber, connectPlugin } = await startHub(t);
+    const filtered = await connectSubscriber();
+    const unfiltered = await connectSubscriber();
+    const plugin = await connectPlugin('whistle');
+
+    const updated = waitFor(filtered, 'domain-updated');
+    filtered.send('domain', { msgType: 'domain', domain: ['www.Example.com'] });
+    assert.deepEqual((await updated).domains, ['www.example.com']);
+
+    const filteredUrls = [];
+    filtered.on('proxy-request', message => filteredUrls.push(message.url));
+
+    const lastForFiltered = waitFor(filtered, 'proxy-request', message => message.url.endsWith('/last'));
+    const lastForUnfiltered = waitFor(unfiltered, 'proxy-request', message => message.url.endsWith('/last'));
+    plugin.send({ type: 'request', data: { url: 'https://other.org/ignored', method: 'GET' } });
+    plugin.send({ type: 'request', data: { url: 'https://notexample.com/ignored', method: 'GET' } });
+    plugin.send({ type: 'request', data: { url: 'https://api.example.com/last', method: 'GET' } });
+    await Promise.all([lastForFiltered, lastForUnfiltered]);
+
+    assert.deepEqual(filteredUrls, ['https://api.example.com/last']);
+
+    // 空列表取消过滤
+    const cleared = waitFor(filtered, 'domain-updated');
+    filtered.send('domain', { msgType: 'domain', domain: [] });
+    assert.deepEqual((await cleared).domains, []);
+    const any = waitFor(filtered, 'proxy-request', message => message.url === 'https://other.org/after');
+    plugin.send({ type: 'request', data: { url: 'https://other.org/after', method: 'GET' } });
+    await any;
+});
+
+test('本机连接同步的解密配置只保存在 Hub，不转发给其他订阅者', async (t) => {
+    const { hub, connectSubscriber } = await startHub(t);
+    const extension = await connectSubscriber();
+    const other = await connectSubscriber();
+    const leaked = [];
+    other.on('decryption-configs', message => leaked.push(message));
+
+    const decryptionConfigs = [{ domain: 'api.example.com', enabled: true, requestKeyConfigName: 'aes', responseKeyConfigName: 'aes' }];
+    const keyConfigs = [{ name: 'aes', algorithm: 'AES/CBC/PKCS5Padding' }];
+    const updated = waitFor(extension, 'decryption-configs-updated');
+    extension.send('decryption-configs', { decryptionConfigs, keyConfigs });
+    const reply = await updated;
+    assert.equal(reply.decryptionConfigs, 1);
+    assert.equal(reply.keyConfigs, 1);
+
+    assert.deepEqual(hub.decryptionConfigs, decryptionConfigs);
+    assert.deepEqual(hub.keyConfigs, keyConfigs);
+    assert.equal(leaked.length, 0);
+});
+
+test('无效消息返回 error', async (t) => {
+    const { hub, connectSubscriber, connectPlugin } = await startHub(t);
+    const client = await connectSubscriber();
+    await connectPlugin('charles');
+    await connectPlugin('whistle');
+
+    const missingUrl = waitFor(client, 'error');
+    client.sendRequest({ method: 'GET' });
+    assert.match((await missingUrl).message, /url/);
+
+    const unknown = waitFor(client, 'error');
+    client.send('decrypt', { requestId: 'test-123' });
+    assert.match((await unknown).message, /decrypt/);
+
+    assert.deepEqual(
+        hub.getClients().filter(info => info.role === 'plugin').map(info => info.plugin).sort(),
+        ['charles', 'whistle']
+    );
+});
+
+test('等待放行的流量未命中断点规则时立即原样放行', async (t) => {
+    const { connectSubscriber, connectPlugin } = await startHub(t);
+    const subscriber = await connectSubscriber();
+    const plugin = await connectPlugin('whistle');
+
+    const broadcasted = waitFor(subscriber, 'proxy-request', message => message.requestId === 'await_1');
+    const released = waitForPlugin(plugin, 'release', message => message.requestId === 'await_1');
+    plugin.send({ type: 'request', awaitRelease: true, data: { requestId: 'await_1', url: 'https://api.example.com/free', method: 'GET' } });
+
+    const release = await released;
+    assert.equal(release.phase, 'request');
+    assert.equal(release.reason, 'unmatched');
+    assert.equal(release.modified, false);
+    assert.equal((await broadcasted).breakpoint, null);
+
+    const missingId = waitForPlugin(plugin, 'error');
+    plugin.send({ type: 'request', awaitRelease: true, data: { url: 'https://api.example.com/free', method: 'GET' } });
+    assert.match((await missingId).message, /requestId/);
+});
+
+test('命中断点的流量等待订阅者放行，修改后的消息体与消息头回复给插件', async (t) => {
+    const { hub, connectSubscriber, connectPlugin } = await startHub(t);
+    const extension = await connectSubscriber();
+    const plugin = await connectPlugin('whistle');
+
+    const synced = waitFor(extension, 'breakpoint-rules-updated');
+    extension.send('breakpoint-rules', {
+        rules: [
+            { id: 'rule_orders', enabled: true, domain: 'api.example.com', path: '/orders', phase: 'request', action: 'breakpoint' },
+            { id: 'rule_off', enabled: false, domain: 'api.example.com', path: '', phase: 'both', action: 'rewrite' }
+        ]
+    });
+    assert.equal((await synced).rules, 2);
+
+    const paused = waitFor(extension, 'proxy-request', message => message.requestId === 'bp_1');
+    const released = waitForPlugin(plugin, 'release', message => message.requestId === 'bp_1');
+    plugin.send({
+        type: 'request',
+        awaitRelease: true,
+        data: { requestId: 'bp_1', url: 'https://api.example.com/orders/42?x=1', method: 'POST', body: 'cipher' }
+    });
+
+    const event = await paused;
+    assert.equal(event.breakpoint.ruleId, 'rule_orders');
+    assert.equal(event.breakpoint.action, 'breakpoint');
+    assert.equal(event.body, 'cipher');
+
+    const notified = waitFor(extension, 'breakpoint-released', message => message.breakpointId === event.breakpoint.id);
+    extension.send('release', { breakpointId: event.breakpoint.id, body: 'edited', headers: { 'X-Sign': 'abc' } });
+
+    const release = await released;
+    assert.equal(release.reason, 'released');
+    assert.equal(release.modified, true);
+    assert.equal(release.body, 'edited');
+    assert.deepEqual(release.headers, { 'X-Sign': 'abc' });
+    assert.equal((await notified).reason, 'released');
+    assert.equal(hub.breakpoints.size, 0);
+
+    const unknown = waitFor(extension, 'error');
+    extension.send('release', { breakpointId: event.breakpoint.id });
+    assert.match((await unknown).message, /断点不存在/);
+});
+
+test('断点超时后原样放行', async (t) => {
+    const { connectSubscriber, connectPlugin } = await startHub(t, { breakpointTimeout: 50 });
+    const extension = await connectSubscriber();
+    const plugin = await connectPlugin('whistle');
+
+    const synced = waitFor(extension, 'breakpoint-rules-updated');
+    extension.send('breakpoint-rules', {
+        rules: [{ id: 'rule_orders', enabled: true, domain: 'api.example.com', path: '/orders', phase: 'request', action: 'breakpoint' }]
+    });
+    await synced;
+
+    const paused = waitFor(extension, 'proxy-request', message => message.requestId === 'bp_2');
+    const released = waitForPlugin(plugin, 'release', message => message.requestId === 'bp_2');
+    plugin.send({ type: 'request', awaitRelease: true, data: { requestId: 'bp_2', url: 'https://api.example.com/orders', method: 'GET' } });
+
+    assert.ok((await paused).breakpoint);
+    const release = await released;
+    assert.equal(release.reason, 'timeout');
+    assert.equal(release.modified, false);
+});
+
+test('内置代理的流量只发给本机订阅者，发给非本机订阅者的流量去掉解密结果', async (t) => {
+    const { hub, connectSubscriber, connectPlugin } = await startHub(t);
+    const local = await connectSubscriber();
+    const plugin = await connectPlugin('charles');
+
+    // 模拟局域网内的订阅者（测试只能从本机连接）
+    const remoteReceived = [];
+    hub.clients.set('remote', {
+        id: 'remote',
+        ws: { readyState: NodeWebSocket.OPEN, send: data => remoteReceived.push(JSON.parse(data)), terminate() {} },
+        address: '192.168.1.20',
+        role: 'subscriber',
+        plugin: null,
+        domains: []
+    });
+
+    const event = {
+        type: 'proxy-response',
+        url: 'https://api.example.com/me',
+        statusCode: 200,
+        body: 'cipher',
+        plainBody: '{"user":"alice"}',
+        decryptError: null,
+        breakpoint: null
+    };
+
+    const fromProxy = waitFor(local, 'proxy-response', message => message.url === event.url);
+    assert.equal(hub.broadcast(event), 1);
+    assert.equal((await fromProxy).plainBody, '{"user":"alice"}');
+    assert.equal(remoteReceived.length, 0);
+
+    const pluginClient = hub.getClients().find(info => info.plugin === 'charles');
+    assert.equal(hub.broadcast(event, hub.clients.get(pluginClient.id)), 2);
+    assert.equal(remoteReceived.length, 1);
+    assert.equal(remoteReceived[0].body, 'cipher');
+    assert.equal(remoteReceived[0].plainBody, null);
+    assert.ok(plugin.received.every(message => !message.type.startsWith('proxy-')));
+});
@@ -0,0 +1,310 @@
+/**
+ * 内置 MITM HTTP(S) 代理
+ * 基于 http-mitm-proxy 拦截流量，按扩展同步到 Hub 的 decryptionConfigs / keyConfigs 即时解密，
+ * 再以 proxy-request / proxy-response 消息（带 plainBody / decryptError）广播给 Hub 的订阅者
+ *
+ * 设备通过代理访问 http://pastekit.ca 可下载根证书（访问 /ca.der 或 /ca.cer 下载 DER 格式）
+ *
+ * 命中 Hub 断点规则的请求 / 响应会暂停，扩展界面放行后按修改后的消息体与消息头转发
+ */
+
+import zlib from 'node:zlib';
+import { Proxy as HttpMitmProxy } from 'http-mitm-proxy';
+import { DEFAULT_CA_DIR, ensureCertificateAuthority, readCertificateAuthority } from './utils/certauthority.js';
+import { findDecryptionConfig, performDecryption } from './utils/decryptor.js';
+import { findBreakpointRule } from './utils/breakpoints.js';
+import { normalizeTrafficMessage } from './utils/normalizer.js';
+
+export const DEFAULT_PROXY_PORT = 8080;
+
+export const CA_DOWNLOAD_HOST = 'pastekit.ca';
+
+// 单个请求体 / 响应体的采集上限，超出部分不再上报（仍完整转发）
+const MAX_BODY_SIZE = 2 * 1024 * 1024;
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * 把采集到的消息体转为上报字段：UTF-8 文本放在 body，二进制放在 bodyBase64
+ * @param {Buffer} buffer
+ * @returns {{body: string|null, bodyBase64: string|null}}
+ */
+function encodeBody(buffer) {
+    if (buffer.length === 0) {
+        return { body: null, bodyBase64: null };
+    }
+    try {
+        const text = utf8Decoder.decode(buffer);
+        // 含控制字符（制表、换行除外）视为二进制
+        if (!/[\x00-\x08\x0E-\x1F]/.test(text)) {
+            return { body: text, bodyBase64: null };
+        }
+    } catch {
+        // 不是有效的 UTF-8
+    }
+    return { body: null, bodyBase64: buffer.toString('base64') };
+}
+
+/**
+ * 采集消息体：超过上限后只计数不保存
+ */
+class BodyCollector {
+    constructor(limit) {
+        this.limit = limit;
+        this.chunks = [];
+        this.size = 0;
+        this.truncated = false;
+    }
+
+    push(chunk) {
+        this.size += chunk.length;
+        if (this.size > this.limit) {
+            this.truncated = true;
+            this.chunks = [];
+            return;
+        }
+        this.chunks.push(chunk);
+    }
+
+    toBuffer() {
+        return this.truncated ? Buffer.alloc(0) : Buffer.concat(this.chunks);
+    }
+}
+
+export class MitmProxyServer {
+    /**
+     * @param {Object} options
+     * @param {Object} options.hub - ProxyHubServer 实例，提供解密配置并广播流量
+     * @param {number} options.port - 代理端口
+     * @param {string} options.host - 监听地址
+     * @param {string} options.caDir - 根证书及站点证书目录
+     * @param {number} options.maxBodySize - 单个消息体的采集上限（字节）
+     * @param {Object} options.logger - 日志输出，需提供 log / warn / error
+     */
+    constructor({ hub, port = DEFAULT_PROXY_PORT, host = '0.0.0.0', caDir = DEFAULT_CA_DIR, maxBodySize = MAX_BODY_SIZE, logger = console }) {
+        this.hub = hub;
+        this.port = port;
+        this.host = host;
+        this.caDir = caDir;
+        this.maxBodySize = maxBodySize;
+        this.logger = logger;
+        this.proxy = null;
+        this.requestCounter = 0;
+    }
+
+    /**
+     * 生成（或加载）根证书并启动代理
+     * @returns {Promise<number>} 实际监听的端口
+     */
+    async start() {
+        const { certPath, created } = ensureCertificateAuthority(this.caDir);
+        this.logger.log(`[MitmProxy] 🔐 ${created ? '已生成' : '已加载'}根证书: ${certPath}`);
+
+        const proxy = new HttpMitmProxy();
+        proxy.onError((ctx, error, kind) => {
+            this.logger.warn(`[MitmProxy] ⚠️ ${kind || '代理错误'}: ${error?.message || error}`);
+        });
+        proxy.onRequest((ctx, callback) => this.handleRequest(ctx, callback));
+
+        await new Promise((resolve, reject) => {
+            proxy.listen({ port: this.port, host: this.host, sslCaDir: this.caDir }, error => {
+                error ? reject(error) : resolve();
+            });
+        });
+        this.proxy = proxy;
+        return proxy.httpPort;
+    }
+
+    /**
+     * 关闭代理
+     */
+    stop() {
+        if (this.proxy) {
+            this.proxy.close();
+            this.proxy = null;
+        }
+    }
+
+    /**
+     * 处理一次代理请求：采集请求体 / 响应体，结束时解密并广播
+     * 命中断点规则的阶段先缓存完整的消息体，Hub 放行后再按放行内容转发
+     * @private
+     */
+    handleRequest(ctx, callback) {
+        const request = ctx.clientToProxyRequest;
+        const host = request.headers.host || '';
+        if (!ctx.isSSL && host.split(':')[0].toLowerCase() === CA_DOWNLOAD_HOST) {
+            this.serveCertificate(ctx);
+            return;
+        }
+
+        const url = `${ctx.isSSL ? 'https' : 'http'}://${host}${request.url}`;
+        const requestId = `mitm_${Date.now()}_${++this.requestCounter}`;
+        const holdRequest = Boolean(findBreakpointRule({ url, method: request.method, phase: 'request' }, this.hub.breakpointRules));
+        const holdResponse = Boolean(findBreakpointRule({ url, method: request.method, phase: 'response' }, this.hub.breakpointRules));
+        const requestBody = new BodyCollector(holdRequest ? Infinity : this.maxBodySize);
+        const trafficInfo = phase => ({ requestId, url, method: request.method, phase });
+
+        ctx.onRequestData((ctx, chunk, callback) => {
+            requestBody.push(chunk);
+            // 断点中的请求体先不转发，放行后一次写出
+            callback(null, holdRequest ? null : chunk);
+        });
+        ctx.onRequestEnd((ctx, callback) => {
+            const body = requestBody.toBuffer();
+            const data = { ...trafficInfo('request'), headers: request.headers, ...encodeBody(body) };
+            if (!holdRequest) {
+                this.emit('request', data).catch(error => this.logger.error('[MitmProxy] 上报请求失败:', error.message));
+                callback();
+                return;
+            }
+
+            this.emit('request', data, true).then(release => {
+                const finalBody = release.modified && release.body !== null ? Buffer.from(release.body, 'utf8') : body;
+                const proxyToServerRequest = ctx.proxyToServerRequest;
+                Object.entries(release.modified ? release.headers : {}).forEach(([name, value]) => proxyToServerRequest.setHeader(name, value));
+                proxyToServerRequest.removeHeader('transfer-encoding');
+                proxyToServerRequest.setHeader('content-length', finalBody.length);
+                if (finalBody.length > 0) {
+                    proxyToServerRequest.write(finalBody);
+                }
+                callback();
+            }, callback);
+        });
+
+        if (holdResponse) {
+            // 不调用 callback，代理不再转发响应，改由 holdServerResponse 读取完整响应后写回
+            ctx.proxyToServerRequestOptions.headers['accept-encoding'] = 'identity';
+            ctx.onResponse(ctx => this.holdServerResponse(ctx, trafficInfo('response')));
+        } else {
+            const responseBody = new BodyCollector(this.maxBodySize);
+            ctx.use(HttpMitmProxy.gunzip);
+            ctx.onResponseData((ctx, chunk, callback) => {
+                responseBody.push(chunk);
+                callback(null, chunk);
+            });
+            ctx.onResponseEnd((ctx, callback) => {
+                this.emit('response', {
+                    ...trafficInfo('response'),
+                    statusCode: ctx.serverToProxyResponse?.statusCode,
+                    headers: ctx.serverToProxyResponse?.headers,
+                    ...encodeBody(responseBody.toBuffer())
+                }).catch(error => this.logger.error('[MitmProxy] 上报响应失败:', error.message));
+                callback();
+            });
+        }
+
+        callback();
+    }
+
+    /**
+     * 读取完整响应，等待断点放行后按放行内容写回客户端
+     * @private
+     */
+    holdServerResponse(ctx, info) {
+        const response = ctx.serverToProxyResponse;
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => {
+            const headers = { ...response.headers };
+            let body = Buffer.concat(chunks);
+            if ((headers['content-encoding'] || '').toLowerCase() === 'gzip') {
+                try {
+                    body = zlib.gunzipSync(body);
+                    delete headers['content-encoding'];
+                } catch (error) {
+                    // 截断或标错编码的响应：不进入断点，原样转发给客户端
+                    this.logger.warn(`[MitmProxy] ⚠️ 响应 gzip 解压失败，原样转发: ${info.url}`, error.message);
+                    this.emit('response', { ...info, statusCode: response.statusCode, headers, ...encodeBody(body) })
+                        .catch(emitError => this.logger.error('[MitmProxy] 上报响应失败:', emitError.message));
+                    ctx.proxyToClientResponse.writeHead(response.statusCode, HttpMitmProxy.filterAndCanonizeHeaders(headers));
+                    ctx.proxyToClientResponse.end(body);
+                    return;
+                }
+            }
+
+            this.emit('response', { ...info, statusCode: response.statusCode, headers, ...encodeBody(body) }, true).then(release => {
+                const finalBody = release.modified && release.body !== null ? Buffer.from(release.body, 'utf8') : body;
+                Object.entries(release.modified ? release.headers : {}).forEach(([name, value]) => {
+                    headers[name.toLowerCase()] = value;
+                });
+                delete headers['transfer-encoding'];
+                headers['content-length'] = String(finalBody.length);
+                ctx.proxyToClientResponse.writeHead(response.statusCode, HttpMitmProxy.filterAndCanonizeHeaders(headers));
+                ctx.proxyToClientResponse.end(finalBody);
+            }).catch(error => {
+                this.logger.error('[MitmProxy] 放行响应失败:', error.message);
+                ctx.proxyToClientResponse.destroy();
+            });
+        });
+        response.resume();
+    }
+
+    /**
+     * 返回根证书，供设备下载安装
+     * @private
+     */
+    serveCertificate(ctx) {
+        const der = /\.(der|cer)$/i.test(ctx.clientToProxyRequest.url.split('?')[0]);
+        const body = readCertificateAuthority(this.caDir, der ? 'DER' : 'PEM');
+        ctx.proxyToClientResponse.writeHead(200, {
+            'Content-Type': 'application/x-x509-ca-cert',
+            'Content-Disposition': `attachment; filename="pastekit-ca.${der ? 'cer' : 'pem'}"`,
+            'Content-Length': body.length
+        });
+        ctx.proxyToClientResponse.end(body);
+        this.logger.log(`[MitmProxy] 📜 已下发根证书 (${der ? 'DER' : 'PEM'})`);
+    }
+
+    /**
+     * 按域名配置解密后广播流量
+     * @private
+     * @param {'request'|'response'} phase
+     * @param {Object} data - 上报字段
+     * @param {boolean} hold - 是否经 Hub 的断点等待放行（消息体已完整缓存时）
+     * @returns {Promise<Object|null>} hold 时为 Hub 的放行结果
+     */
+    async emit(phase, data, hold = false) {
+        Object.assign(data, await this.decrypt(phase, data));
+        const event = normalizeTrafficMessage({ type: phase, data: { ...data, plugin: 'mitm' } }, null, { trusted: true });
+        if (hold) {
+            return this.hub.hold(event);
+        }
+        const delivered = this.hub.broadcast(event);
+        this.logger.log(`[MitmProxy] 📨 ${event.type} ${event.method || ''} ${event.statusCode || ''} ${event.url} → ${delivered} 个订阅者`);
+        return null;
+    }
+
+    /**
+     * 使用匹配域名的密钥配置解密消息体
+     * @private
+     * @returns {Promise<{plainBody?: string, decryptError?: string}>} 未匹配或未启用解密时为空对象
+     */
+    async decrypt(phase, { url, headers, body }) {
+        const domainConfig = findDecryptionConfig(url, this.hub.decryptionConfigs);
+        if (!domainConfig || domainConfig.decryptionEnabled === false || !body) {
+            return {};
+        }
+
+        const isRequest = phase === 'request';
+        const keyConfigName = isRequest ? domainConfig.requestKeyConfigName : domainConfig.responseKeyConfigName;
+        const keyConfig = this.hub.keyConfigs.find(config => config.name === keyConfigName);
+        if (!keyConfig) {
+            return { decryptError: '未找到匹配的密钥配置' };
+        }
+
+        const result = await performDecryption({
+            requestBody: isRequest ? body : null,
+            responseBody: isRequest ? null : body,
+            requestKeyConfig: keyConfig,
+            responseKeyConfig: keyConfig,
+            requestHeaders: isRequest ? headers : null,
+            responseHeaders: isRequest ? null : headers,
+            keyConfigs: this.hub.keyConfigs
+        });
+        return {
+            plainBody: isRequest ? result.plainRequestBody : result.plainResponseBody,
+            decryptError: result.error
+        };
+    }
+}
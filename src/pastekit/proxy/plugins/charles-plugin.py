@@ -27,12 +27,16 @@ class Config:
     RECONNECT_INTERVAL = 5  # 秒
     LOG_ENABLED = True
     ENABLED = True
+    BREAKPOINTS_ENABLED = False  # 开启后流量等待 PasteKit 断点放行（可在扩展中编辑明文）
+    RELEASE_TIMEOUT = 65  # 等待放行的最长时间（秒），略长于 Hub 的断点超时
 
 # ==================== 全局变量 ====================
 websocket_client = None
 is_connected = False
 request_map = {}
 reconnect_timer = None
+pending_releases = {}  # requestId:phase -> {'event': threading.Event, 'release': dict}
+pending_lock = threading.Lock()
 
 # ==================== 工具函数 ====================
 def log(message):
@@ -100,6 +104,11 @@ def on_close(ws, close_status_code, close_msg):
     log(f"WebSocket 连接关闭 (状态码：{close_status_code})")
     is_connected = False
     
+    # 连接断开后等待中的流量原样放行
+    with pending_lock:
+        for pending in pending_releases.values():
+            pending['event'].set()
+    
     if Config.AUTO_RECONNECT:
         log(f"将在 {Config.RECONNECT_INTERVAL} 秒后重连...")
         start_reconnect_timer()
@@ -158,6 +167,41 @@ def send_message(message):
     else:
         log("WebSocket 未连接，消息发送失败")
 
+def send_and_wait_for_release(msg_type, data):
+    """
+    上报流量并等待 Hub 放行（断点）
+    未开启断点、未连接或超时时原样放行，返回 None
+    """
+    if not Config.BREAKPOINTS_ENABLED or not is_connected:
+        send_message({'type': msg_type, 'data': data})
+        return None
+    
+    key = f"{data['requestId']}:{msg_type}"
+    pending = {'event': threading.Event(), 'release': None}
+    with pending_lock:
+        pending_releases[key] = pending
+    
+    send_message({'type': msg_type, 'awaitRelease': True, 'data': data})
+    if not pending['event'].wait(Config.RELEASE_TIMEOUT):
+        log(f"等待放行超时，原样放行：{data['url']}")
+    
+    with pending_lock:
+        pending_releases.pop(key, None)
+    return pending['release']
+
+def apply_release(target, release):
+    """把放行消息中修改后的消息体与消息头写回请求 / 响应"""
+    if not release or not release.get('modified'):
+        return
+    
+    for name, value in (release.get('headers') or {}).items():
+        target.setHeader(name, value)
+    if isinstance(release.get('body'), str):
+        body = release['body'].encode('utf-8')
+        target.setBody(body)
+        target.setHeader('Content-Length', str(len(body)))
+    log(f"已应用断点修改：{release.get('breakpointId')}")
+
 def handle_server_message(message):
     """处理服务器消息"""
     log(f"收到服务器消息：{message.get('type', 'unknown')}")
@@ -170,6 +214,13 @@ def handle_server_message(message):
     elif msg_type == 'pong':
         # 心跳响应，忽略
         pass
+    elif msg_type == 'release':
+        key = f"{message.get('requestId')}:{message.get('phase')}"
+        with pending_lock:
+            pending = pending_releases.get(key)
+        if pending:
+            pending['release'] = message
+            pending['event'].set()
     else:
         log(f"未知消息类型：{msg_type}")
 
@@ -220,11 +271,9 @@ def process_request(request, response, chaint):
         
         log(f"拦截请求：{method} {url}")
         
-        # 发送到 WebSocket 服务器
-        send_message({
-            'type': 'request',
-            'data': request_data
-        })
+        # 发送到 WebSocket 服务器，开启断点时等待放行
+        release = send_and_wait_for_release('request', request_data)
+        apply_release(request, release)
         
     except Exception as e:
         log(f"处理请求失败：{e}")
@@ -264,7 +313,7 @@ def process_response(request, response, chaint):
         
         # 构建响应数据
         response_data = {
-            'requestId': None,  # External Process 较难关联 requestId
+            'requestId': generate_request_id() if Config.BREAKPOINTS_ENABLED else None,  # External Process 较难关联 requestId，断点放行需要唯一 ID
             'url': url,
             'statusCode': status_code,
             'headers': headers_dict,
@@ -276,11 +325,9 @@ def process_response(request, response, chaint):
         
         log(f"拦截响应：{status_code} {url}")
         
-        # 发送到 WebSocket 服务器
-        send_message({
-            'type': 'response',
-            'data': response_data
-        })
+        # 发送到 WebSocket 服务器，开启断点时等待放行
+        release = send_and_wait_for_release('response', response_data)
+        apply_release(response, release)
         
     except Exception as e:
         log(f"处理响应失败：{e}")
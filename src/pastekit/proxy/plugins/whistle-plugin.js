@@ -27,12 +27,15 @@ https://*.* pasteKitProxy
 const CONFIG = {
     wsUrl: 'ws://localhost:8899', // WebSocket 服务器地址
     logEnabled: true,
-    enabled: true
+    enabled: true,
+    breakpointsEnabled: false, // 开启后流量等待 PasteKit 断点放行（可在扩展中编辑明文）
+    releaseTimeout: 65000 // 等待放行的最长时间，略长于 Hub 的断点超时
 };
 
 let websocket = null;
 let isConnected = false;
 let requestMap = new Map();
+let pendingReleases = new Map(); // requestId:phase -> resolve
 
 // 工具函数
 function log(message) {
@@ -118,6 +121,10 @@ function connectWebSocket() {
             log('WebSocket 连接关闭');
             isConnected = false;
             
+            // 连接断开后等待中的流量原样放行
+            pendingReleases.forEach(resolve => resolve(null));
+            pendingReleases.clear();
+            
             // 自动重连
             setTimeout(connectWebSocket, 5000);
         });
@@ -136,6 +143,51 @@ function sendMessage(message) {
     }
 }
 
+/**
+ * 上报流量并等待 Hub 放行（断点）
+ * 未开启断点、未连接或超时时原样放行，返回 null
+ */
+function sendAndWaitForRelease(type, data) {
+    if (!CONFIG.breakpointsEnabled || !isConnected) {
+        sendMessage({ type: type, data: data });
+        return Promise.resolve(null);
+    }
+
+    const key = data.requestId + ':' + type;
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+            pendingReleases.delete(key);
+            log('等待放行超时，原样放行：' + data.url);
+            resolve(null);
+        }, CONFIG.releaseTimeout);
+
+        pendingReleases.set(key, (release) => {
+            clearTimeout(timer);
+            resolve(release);
+        });
+        sendMessage({ type: type, awaitRelease: true, data: data });
+    });
+}
+
+/**
+ * 把放行消息中修改后的消息体与消息头写回请求 / 响应
+ */
+function applyRelease(target, release) {
+    if (!release || !release.modified) {
+        return;
+    }
+
+    Object.keys(release.headers || {}).forEach((name) => {
+        target.headers[name.toLowerCase()] = release.headers[name];
+    });
+    if (typeof release.body === 'string') {
+        target.body = Buffer.from(release.body, 'utf8');
+        target.headers['content-length'] = String(target.body.length);
+        delete target.headers['transfer-encoding'];
+    }
+    log('已应用断点修改：' + release.breakpointId);
+}
+
 function handleServerMessage(message) {
     log('收到服务器消息：' + message.type);
     
@@ -146,6 +198,15 @@ function handleServerMessage(message) {
         case 'pong':
             // 心跳响应
             break;
+        case 'release': {
+            const key = message.requestId + ':' + message.phase;
+            const resolve = pendingReleases.get(key);
+            if (resolve) {
+                pendingReleases.delete(key);
+                resolve(message);
+            }
+            break;
+        }
         default:
             log('未知消息类型：' + message.type);
     }
@@ -195,11 +256,9 @@ module.exports = {
 
         log('拦截请求：' + method + ' ' + url);
 
-        // 发送到 WebSocket 服务器
-        sendMessage({
-            type: 'request',
-            data: requestData
-        });
+        // 发送到 WebSocket 服务器，开启断点时等待放行
+        const release = await sendAndWaitForRelease('request', requestData);
+        applyRelease(req, release);
 
         next();
     },
@@ -226,7 +285,7 @@ module.exports = {
         }
 
         const responseData = {
-            requestId: null, // Whistle 中较难关联 requestId
+            requestId: CONFIG.breakpointsEnabled ? generateRequestId() : null, // Whistle 中较难关联 requestId，断点放行需要唯一 ID
             url: url,
             statusCode: statusCode,
             headers: headers,
@@ -238,11 +297,9 @@ module.exports = {
 
         log('拦截响应：' + statusCode + ' ' + url);
 
-        // 发送到 WebSocket 服务器
-        sendMessage({
-            type: 'response',
-            data: responseData
-        });
+        // 发送到 WebSocket 服务器，开启断点时等待放行
+        const release = await sendAndWaitForRelease('response', responseData);
+        applyRelease(res, release);
 
         next();
     }
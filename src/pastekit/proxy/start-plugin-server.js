@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * PasteKit 代理插件服务器
+ * 启动 WebSocket Hub：代理插件连接 8899，扩展界面连接 8889（ws://127.0.0.1:8889/ws）
+ *
+ * 用法：
+ *   npm run proxy-server
+ *   node src/pastekit/proxy/start-plugin-server.js --port 8889,8899 --host 0.0.0.0   # 允许局域网内的插件连接
+ */
+
+import os from 'os';
+import { ProxyHubServer, DEFAULT_HUB_PORTS, DEFAULT_HUB_HOST } from './hub-server.js';
+
+const USAGE = `用法：
+  node src/pastekit/proxy/start-plugin-server.js [选项]
+
+选项：
+  --port, -p <端口列表>  WebSocket 端口，逗号分隔（默认 ${DEFAULT_HUB_PORTS.join(',')}）
+  --host <地址>          监听地址（默认 ${DEFAULT_HUB_HOST}，只允许本机连接；0.0.0.0 允许局域网内的插件连接）`;
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv
+ * @returns {{ports: Array<number>, host: string}}
+ */
+function parseArgs(argv) {
+    const options = { ports: DEFAULT_HUB_PORTS, host: DEFAULT_HUB_HOST };
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split('=');
+        if (!['--port', '-p', '--host'].includes(flag)) {
+            continue;
+        }
+        const value = inlineValue ?? argv[i + 1];
+        if (!value || value.startsWith('-')) {
+            throw new Error(`缺少参数值: ${flag}`);
+        }
+        if (flag === '--port' || flag === '-p') {
+            options.ports = value.split(',').map(port => Number(port.trim()));
+            if (options.ports.some(port => !Number.isInteger(port) || port < 0 || port > 65535)) {
+                throw new Error(`无效的端口: ${value}`);
+            }
+        } else {
+            options.host = value;
+        }
+        if (inlineValue === undefined) {
+            i++;
+        }
+    }
+    return options;
+}
+
+/**
+ * 本机局域网 IPv4 地址
+ * @returns {Array<string>}
+ */
+function getLanAddresses() {
+    return Object.values(os.networkInterfaces())
+        .flat()
+        .filter(item => item && item.family === 'IPv4' && !item.internal)
+        .map(item => item.address);
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error('❌', error.message);
+        console.log(`\n${USAGE}`);
+        process.exit(1);
+    }
+
+    console.log('\n🚀 PasteKit 代理插件服务器');
+    console.log('   支持工具：Charles、Fiddler、Whistle\n');
+
+    const hub = new ProxyHubServer(options);
+    let ports;
+    try {
+        ports = await hub.start();
+    } catch (error) {
+        console.error('❌ 服务启动失败:', error.message);
+        if (error.code === 'EADDRINUSE') {
+            console.log('\n请确保端口未被占用，或使用 --port 指定其他端口\n');
+        }
+        process.exit(1);
+    }
+
+    console.log('✅ 服务启动成功\n');
+    console.log('📱 连接信息:');
+    console.log(`   WebSocket 端口：${ports.join(', ')}`);
+    ports.forEach(port => console.log(`   本地地址：ws://localhost:${port}`));
+    if (options.host === '0.0.0.0') {
+        getLanAddresses().forEach(address => {
+            ports.forEach(port => console.log(`   局域网地址：ws://${address}:${port}`));
+        });
+    }
+    console.log('');
+
+    const shutdown = async () => {
+        console.log('\n👋 正在关闭服务器...');
+        await hub.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main();
@@ -0,0 +1,73 @@
+/**
+ * 断点 / 重写规则
+ *
+ * 规则保存在 chrome.storage 的 breakpointRules 中，由 RequestListViewer 同步给 Hub：
+ *   { id, enabled, domain, path, method, phase: 'request'|'response'|'both', action: 'breakpoint'|'rewrite',
+ *     rewrites: [{ find, replace }], signature: { enabled, header, method, key, keyEncoding, configName } }
+ *
+ * Hub 用 findBreakpointRule 判断上报的流量是否需要暂停；命中后由 RequestListViewer 处理：
+ *   - breakpoint：在编辑器中修改明文后放行
+ *   - rewrite：按 rewrites 自动替换明文后放行
+ */
+
+import { matchesDomainFilter } from './normalizer.js';
+
+export const BREAKPOINT_RULES_STORAGE_KEY = 'breakpointRules';
+
+export const BREAKPOINT_PHASES = ['request', 'response', 'both'];
+
+export const BREAKPOINT_ACTIONS = ['breakpoint', 'rewrite'];
+
+/**
+ * 路径是否匹配规则：为空时全部匹配；含 * 时按通配符完整匹配，否则按前缀匹配
+ * @param {string} pathname - URL 路径（不含查询参数）
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function matchesPathPattern(pathname, pattern) {
+    if (!pattern || !pattern.trim()) {
+        return true;
+    }
+    const trimmed = pattern.trim();
+    if (!trimmed.includes('*')) {
+        return pathname.startsWith(trimmed);
+    }
+    const source = trimmed.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(pathname);
+}
+
+/**
+ * 查找流量命中的第一条启用的规则
+ * @param {Object} traffic - { url, method, phase }
+ * @param {Array<Object>} rules
+ * @returns {Object|null}
+ */
+export function findBreakpointRule({ url, method, phase }, rules = []) {
+    let pathname;
+    try {
+        pathname = new URL(url).pathname;
+    } catch {
+        return null;
+    }
+
+    return rules.find(rule =>
+        rule && rule.enabled && rule.domain &&
+        (rule.phase === 'both' || rule.phase === phase) &&
+        (!rule.method || !method || rule.method.toUpperCase() === method.toUpperCase()) &&
+        matchesDomainFilter(url, [rule.domain.trim().toLowerCase()]) &&
+        matchesPathPattern(pathname, rule.path)
+    ) || null;
+}
+
+/**
+ * 按重写规则替换明文（纯文本替换，替换所有出现的位置）
+ * @param {string} text
+ * @param {Array<{find: string, replace: string}>} rewrites
+ * @returns {string}
+ */
+export function applyRewrites(text, rewrites = []) {
+    return rewrites.reduce(
+        (result, { find, replace }) => (find ? result.split(find).join(replace ?? '') : result),
+        text ?? ''
+    );
+}
@@ -0,0 +1,121 @@
+/**
+ * MITM 代理的本地根证书
+ * 以 http-mitm-proxy 的目录结构保存（certs/ca.pem、keys/ca.private.key、keys/ca.public.key），
+ * 代理启动时直接加载，不再生成名为 NodeMITMProxyCA 的默认证书
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import forge from 'node-forge';
+
+const { pki } = forge;
+
+export const DEFAULT_CA_DIR = path.join(os.homedir(), '.pastekit', 'mitm-ca');
+
+const CA_VALID_YEARS = 10;
+
+const CA_ATTRIBUTES = [
+    { name: 'commonName', value: 'PasteKit MITM CA' },
+    { name: 'organizationName', value: 'PasteKit' },
+    { shortName: 'OU', value: 'Local Proxy' }
+];
+
+const CA_EXTENSIONS = [
+    { name: 'basicConstraints', cA: true, critical: true },
+    { name: 'keyUsage', keyCertSign: true, cRLSign: true, digitalSignature: true, critical: true },
+    { name: 'subjectKeyIdentifier' }
+];
+
+/**
+ * 根证书相关文件路径
+ * @param {string} caDir
+ * @returns {{certPath: string, privateKeyPath: string, publicKeyPath: string}}
+ */
+export function getCertificateAuthorityPaths(caDir = DEFAULT_CA_DIR) {
+    return {
+        certPath: path.join(caDir, 'certs', 'ca.pem'),
+        privateKeyPath: path.join(caDir, 'keys', 'ca.private.key'),
+        publicKeyPath: path.join(caDir, 'keys', 'ca.public.key')
+    };
+}
+
+/**
+ * 确保根证书存在，不存在时生成
+ * @param {string} caDir
+ * @returns {{certPath: string, created: boolean}}
+ */
+export function ensureCertificateAuthority(caDir = DEFAULT_CA_DIR) {
+    const paths = getCertificateAuthorityPaths(caDir);
+    if (fs.existsSync(paths.certPath) && fs.existsSync(paths.privateKeyPath)) {
+        return { certPath: paths.certPath, created: false };
+    }
+
+    const keys = pki.rsa.generateKeyPair({ bits: 2048 });
+    const cert = pki.createCertificate();
+    cert.publicKey = keys.publicKey;
+    cert.serialNumber = '01' + forge.util.bytesToHex(forge.random.getBytesSync(15));
+    cert.validity.notBefore = new Date();
+    cert.validity.notBefore.setDate(cert.validity.notBefore.getDate() - 1);
+    cert.validity.notAfter = new Date();
+    cert.validity.notAfter.setFullYear(cert.validity.notBefore.getFullYear() + CA_VALID_YEARS);
+    cert.setSubject(CA_ATTRIBUTES);
+    cert.setIssuer(CA_ATTRIBUTES);
+    cert.setExtensions(CA_EXTENSIONS);
+    cert.sign(keys.privateKey, forge.md.sha256.create());
+
+    fs.mkdirSync(path.dirname(paths.certPath), { recursive: true });
+    fs.mkdirSync(path.dirname(paths.privateKeyPath), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(paths.privateKeyPath, pki.privateKeyToPem(keys.privateKey), { mode: 0o600 });
+    fs.writeFileSync(paths.publicKeyPath, pki.publicKeyToPem(keys.publicKey));
+    fs.writeFileSync(paths.certPath, pki.certificateToPem(cert));
+    return { certPath: paths.certPath, created: true };
+}
+
+/**
+ * 读取根证书概要
+ * @param {string} caDir
+ * @returns {{commonName: string, notAfter: Date, sha256: string, pem: string}}
+ */
+export function describeCertificateAuthority(caDir = DEFAULT_CA_DIR) {
+    const pem = fs.readFileSync(getCertificateAuthorityPaths(caDir).certPath, 'utf8');
+    const cert = pki.certificateFromPem(pem);
+    const der = forge.asn1.toDer(pki.certificateToAsn1(cert)).getBytes();
+    const sha256 = forge.md.sha256.create().update(der).digest().toHex();
+    return {
+        commonName: cert.subject.getField('CN')?.value || '',
+        notAfter: cert.validity.notAfter,
+        sha256: sha256.toUpperCase().match(/.{2}/g).join(':'),
+        pem
+    };
+}
+
+/**
+ * 读取根证书（用于导出或下载）
+ * @param {string} caDir
+ * @param {'PEM'|'DER'} format
+ * @returns {Buffer}
+ */
+export function readCertificateAuthority(caDir = DEFAULT_CA_DIR, format = 'PEM') {
+    const { pem } = describeCertificateAuthority(caDir);
+    if (format === 'PEM') {
+        return Buffer.from(pem, 'utf8');
+    }
+    const der = forge.asn1.toDer(pki.certificateToAsn1(pki.certificateFromPem(pem))).getBytes();
+    return Buffer.from(der, 'binary');
+}
+
+/**
+ * 导出根证书供设备安装：.der / .cer 导出为 DER，其余（.pem / .crt）导出为 PEM
+ * @param {string} caDir
+ * @param {string} outputPath
+ * @returns {{path: string, format: string}}
+ */
+export function exportCertificateAuthority(caDir, outputPath) {
+    ensureCertificateAuthority(caDir);
+    const format = ['.der', '.cer'].includes(path.extname(outputPath).toLowerCase()) ? 'DER' : 'PEM';
+    const resolved = path.resolve(outputPath);
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+    fs.writeFileSync(resolved, readCertificateAuthority(caDir, format));
+    return { path: resolved, format };
+}
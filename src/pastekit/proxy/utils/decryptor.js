@@ -4,6 +4,20 @@
  */
 
 import { CipherUtils } from '../../utils/cipher/cipherutils.js';
+import { EnvelopeCipher } from '../../utils/cipher/envelopecipher.js';
+import { matchesDomainFilter } from './normalizer.js';
+
+/**
+ * 根据 URL 查找启用的域名解密配置（忽略 www. 前缀，包含子域名）
+ * @param {string} url - 请求 URL
+ * @param {Array} decryptionConfigs - 域名解密配置
+ * @returns {object|null}
+ */
+export function findDecryptionConfig(url, decryptionConfigs = []) {
+    return decryptionConfigs.find(config =>
+        config && config.enabled && config.domain && matchesDomainFilter(url, [config.domain.toLowerCase()])
+    ) || null;
+}
 
 /**
  * 检测内容编码类型
@@ -103,9 +117,10 @@ export function findAndDecryptEncodedValues(obj, keyConfig, cipherUtils) {
  * @param {object} keyConfig - 密钥配置
  * @param {object} cipherUtils - 加密工具实例
  * @param {number} depth - 当前递归深度（防止无限递归）
+ * @param {object} context - 传给 cipherUtils.decrypt 的运行时信息（如请求头）
  * @returns {any} - 解密后的数据
  */
-export function deepDecryptJSON(data, keyConfig, cipherUtils, depth = 0) {
+export function deepDecryptJSON(data, keyConfig, cipherUtils, depth = 0, context = {}) {
     // 限制递归深度，防止无限循环
     if (depth > 1) {
         console.warn('[ProxyDecryptor] 达到最大递归深度，停止解密');
@@ -124,7 +139,7 @@ export function deepDecryptJSON(data, keyConfig, cipherUtils, depth = 0) {
         
         if (['HEX', 'BASE64', 'BASE64_URLSAFE'].includes(encodingType)) {
             try {
-                const decrypted = cipherUtils.decrypt(data, keyConfig);
+                const decrypted = cipherUtils.decrypt(data, keyConfig, context);
                 if (decrypted && decrypted !== data) {
                     console.log(`[ProxyDecryptor] 解密字符串成功：${data.substring(0, 50)}...`);
                     
@@ -134,7 +149,7 @@ export function deepDecryptJSON(data, keyConfig, cipherUtils, depth = 0) {
                             const jsonObj = JSON.parse(decrypted);
                             console.log('[ProxyDecryptor] 解密结果是 JSON，继续递归处理');
                             // 递归处理 JSON 对象
-                            return deepDecryptJSON(jsonObj, keyConfig, cipherUtils, depth + 1);
+                            return deepDecryptJSON(jsonObj, keyConfig, cipherUtils, depth + 1, context);
                         } catch (parseError) {
                             console.warn('[ProxyDecryptor] JSON 解析失败，返回原始解密结果:', parseError.message);
                             // 解析失败，返回解密后的字符串
@@ -143,7 +158,7 @@ export function deepDecryptJSON(data, keyConfig, cipherUtils, depth = 0) {
                     }
                     
                     // 不是 JSON，递归处理解密后的字符串（可能还包含嵌套的加密数据）
-                    return deepDecryptJSON(decrypted, keyConfig, cipherUtils, depth + 1);
+                    return deepDecryptJSON(decrypted, keyConfig, cipherUtils, depth + 1, context);
                 }
             } catch (decryptError) {
                 console.debug(`[ProxyDecryptor] 字符串解密失败:`, decryptError.message);
@@ -154,14 +169,14 @@ export function deepDecryptJSON(data, keyConfig, cipherUtils, depth = 0) {
     
     // 如果是数组，递归处理每个元素
     if (Array.isArray(data)) {
-        return data.map(item => deepDecryptJSON(item, keyConfig, cipherUtils, depth + 1));
+        return data.map(item => deepDecryptJSON(item, keyConfig, cipherUtils, depth + 1, context));
     }
     
     // 如果是对象，递归处理每个属性
     if (typeof data === 'object' && data !== null) {
         const result = {};
         for (const [key, value] of Object.entries(data)) {
-            result[key] = deepDecryptJSON(value, keyConfig, cipherUtils, depth + 1);
+            result[key] = deepDecryptJSON(value, keyConfig, cipherUtils, depth + 1, context);
         }
         return result;
     }
@@ -175,30 +190,37 @@ export function deepDecryptJSON(data, keyConfig, cipherUtils, depth = 0) {
  * @param {string} data - 待解密的数据
  * @param {object} keyConfig - 密钥配置
  * @param {string} dataType - 数据类型：'request' 或 'response'
+ * @param {object} headers - 对应的请求头/响应头，AEAD 模式从中读取单独传输的 tag 与 AAD
+ * @param {Array} keyConfigs - 全部密钥配置，信封配置从中查找包装会话密钥的配置
  * @returns {object} - { plainData: 解密后的数据，originalData: 原始数据，error: 错误信息 }
  */
-export function decryptDataBody(data, keyConfig, dataType = 'request') {
+export function decryptDataBody(data, keyConfig, dataType = 'request', headers = null, keyConfigs = []) {
     if (!data) {
         return { plainData: null, originalData: data };
     }
     
     const typeLabel = dataType === 'request' ? '请求体' : '响应体';
+    const context = { headers, keyConfigs };
     let plainData = null;
     
     try {
         const encoding = detectContentEncoding(data);
         console.log(`[ProxyDecryptor] ${typeLabel}编码类型:`, encoding);
         
-        if (['HEX', 'BASE64', 'BASE64_URLSAFE'].includes(encoding)) {
+        if (EnvelopeCipher.supports(keyConfig)) {
+            // 信封报文（如 { key, data }）整体交给信封配置解密，不逐个字段尝试
+            plainData = CipherUtils.decrypt(data, keyConfig, context);
+            console.info(`[ProxyDecryptor] 信封${typeLabel}解密成功`);
+        } else if (['HEX', 'BASE64', 'BASE64_URLSAFE'].includes(encoding)) {
             // 直接解密编码格式的数据
-            plainData = CipherUtils.decrypt(data, keyConfig);
+            plainData = CipherUtils.decrypt(data, keyConfig, context);
             console.info(`[ProxyDecryptor] 直接解密${typeLabel}成功：${data.substring(0, 50)}... -> ${plainData?.substring(0, 50)}...`);
             
             // 如果解密结果是 JSON 格式，递归解密所有可解密的 value 值
             if (plainData && detectContentEncoding(plainData) === 'JSON') {
                 try {
                     const jsonObj = JSON.parse(plainData);
-                    const deepDecryptedObj = deepDecryptJSON(jsonObj, keyConfig, CipherUtils);
+                    const deepDecryptedObj = deepDecryptJSON(jsonObj, keyConfig, CipherUtils, 0, context);
                     plainData = JSON.stringify(deepDecryptedObj, null, 2);
                     console.info(`[ProxyDecryptor] JSON ${typeLabel}深度解密完成`);
                 } catch (jsonError) {
@@ -210,7 +232,7 @@ export function decryptDataBody(data, keyConfig, dataType = 'request') {
             try {
                 const jsonObj = JSON.parse(data);
                 // 使用深度解密处理所有层级
-                const decryptedObj = deepDecryptJSON(jsonObj, keyConfig, CipherUtils);
+                const decryptedObj = deepDecryptJSON(jsonObj, keyConfig, CipherUtils, 0, context);
                 plainData = JSON.stringify(decryptedObj, null, 2);
                 console.info(`[ProxyDecryptor] JSON ${typeLabel}深度解密完成`);
             } catch (jsonError) {
@@ -220,14 +242,14 @@ export function decryptDataBody(data, keyConfig, dataType = 'request') {
         } else {
             // 其他格式，尝试直接解密
             try {
-                plainData = CipherUtils.decrypt(data, keyConfig);
+                plainData = CipherUtils.decrypt(data, keyConfig, context);
                 console.info(`[ProxyDecryptor] 尝试直接解密${typeLabel}: ${data.substring(0, 50)}... -> ${plainData?.substring(0, 50)}...`);
                 
                 // 如果解密结果是 JSON 格式，递归解密所有可解密的 value 值
                 if (plainData && detectContentEncoding(plainData) === 'JSON') {
                     try {
                         const jsonObj = JSON.parse(plainData);
-                        const deepDecryptedObj = deepDecryptJSON(jsonObj, keyConfig, CipherUtils);
+                        const deepDecryptedObj = deepDecryptJSON(jsonObj, keyConfig, CipherUtils, 0, context);
                         plainData = JSON.stringify(deepDecryptedObj, null, 2);
                         console.info(`[ProxyDecryptor] ${typeLabel}解密后 JSON 深度解密完成`);
                     } catch (jsonError) {
@@ -266,9 +288,12 @@ export function decryptDataBody(data, keyConfig, dataType = 'request') {
  * @param {string} params.responseBody - 响应体
  * @param {object} params.requestKeyConfig - 请求密钥配置
  * @param {object} params.responseKeyConfig - 响应密钥配置
+ * @param {object} params.requestHeaders - 请求头（可选）
+ * @param {object} params.responseHeaders - 响应头（可选）
+ * @param {Array} params.keyConfigs - 全部密钥配置（信封配置需要）
  * @returns {object} - { plainRequestBody, plainResponseBody, error }
  */
-export async function performDecryption({ requestBody, responseBody, requestKeyConfig, responseKeyConfig }) {
+export async function performDecryption({ requestBody, responseBody, requestKeyConfig, responseKeyConfig, requestHeaders = null, responseHeaders = null, keyConfigs = [] }) {
     let plainRequestBody = null;
     let plainResponseBody = null;
     let error = null;
@@ -276,7 +301,7 @@ export async function performDecryption({ requestBody, responseBody, requestKeyC
     try {
         // 解密响应体
         if (responseBody) {
-            const responseResult = decryptDataBody(responseBody, responseKeyConfig, 'response');
+            const responseResult = decryptDataBody(responseBody, responseKeyConfig, 'response', responseHeaders, keyConfigs);
             plainResponseBody = responseResult.plainData;
             if (responseResult.error) {
                 error = responseResult.error;
@@ -285,7 +310,7 @@ export async function performDecryption({ requestBody, responseBody, requestKeyC
         
         // 解密请求体
         if (requestBody) {
-            const requestResult = decryptDataBody(requestBody, requestKeyConfig, 'request');
+            const requestResult = decryptDataBody(requestBody, requestKeyConfig, 'request', requestHeaders, keyConfigs);
             plainRequestBody = requestResult.plainData;
             if (requestResult.error && !error) {
                 error = requestResult.error;
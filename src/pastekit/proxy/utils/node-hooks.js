@@ -0,0 +1,24 @@
+/**
+ * Node 模块解析钩子（由 cli.js 通过 module.register 注册）
+ *
+ * jsencrypt 的 ESM 入口（lib/index.js）使用不带扩展名的相对导入，只能被打包工具解析，
+ * 在 Node 中直接加载 CipherUtils 会失败，这里改为加载它的 CommonJS 构建
+ */
+
+import { createRequire } from 'node:module';
+import { pathToFileURL } from 'node:url';
+
+const require = createRequire(import.meta.url);
+
+const COMMONJS_PACKAGES = new Set(['jsencrypt']);
+
+export async function resolve(specifier, context, nextResolve) {
+    if (COMMONJS_PACKAGES.has(specifier)) {
+        return {
+            url: pathToFileURL(require.resolve(specifier)).href,
+            format: 'commonjs',
+            shortCircuit: true
+        };
+    }
+    return nextResolve(specifier, context);
+}
@@ -0,0 +1,160 @@
+/**
+ * 代理流量消息归一化
+ *
+ * 各代理插件 / 客户端上报的消息形状不一：
+ *   { type: 'request' | 'response', data: {...} }       Charles / Whistle / Fiddler 插件、ProxyWebSocketClient
+ *   { type: 'REQUEST' | 'RESPONSE', url, ... }           旧版插件，字段平铺在消息上
+ *   { type: 'proxy-request' | 'proxy-response', ... }    已归一化的消息（转发 / 回放）
+ *
+ * 统一转换为下面的 proxy-request / proxy-response 消息后再广播给订阅者：
+ *   { type, eventId, requestId, phase, source, url, method, statusCode, headers, body, bodyBase64,
+ *     plainBody, decryptError, breakpoint, timestamp }
+ * eventId 总是由 Hub 生成；plainBody / decryptError 只接受同一进程内的内置 MITM 代理（trusted）上报，
+ * WebSocket 连接上报的值一律丢弃，避免伪造的“已解密”结果被界面当作可信输出；
+ * breakpoint 由 Hub 在流量命中断点规则时设置为 { id, ruleId, action }
+ */
+
+const TRAFFIC_PHASES = {
+    'request': 'request',
+    'proxy-request': 'request',
+    'response': 'response',
+    'proxy-response': 'response'
+};
+
+let eventCounter = 0;
+
+/**
+ * 生成事件 ID
+ * @returns {string}
+ */
+function createEventId() {
+    eventCounter = (eventCounter + 1) % Number.MAX_SAFE_INTEGER;
+    return `evt_${Date.now()}_${eventCounter}`;
+}
+
+/**
+ * 获取消息对应的流量阶段
+ * @param {string} type - 消息类型（不区分大小写）
+ * @returns {'request'|'response'|null} 非流量消息返回 null
+ */
+export function getTrafficPhase(type) {
+    return typeof type === 'string' ? TRAFFIC_PHASES[type.toLowerCase()] || null : null;
+}
+
+/**
+ * 归一化请求头 / 响应头为 { name: value }
+ * 支持对象（值可为数组）、[[name, value]] 与 [{ name, value }] 三种形式，同名头以 ", " 合并
+ * @param {Object|Array|null} headers
+ * @returns {Object}
+ */
+export function normalizeHeaders(headers) {
+    const result = {};
+    const append = (name, value) => {
+        if (!name || value === undefined || value === null) {
+            return;
+        }
+        const text = Array.isArray(value) ? value.join(', ') : String(value);
+        result[name] = name in result ? `${result[name]}, ${text}` : text;
+    };
+
+    if (Array.isArray(headers)) {
+        headers.forEach(entry => {
+            if (Array.isArray(entry)) {
+                append(entry[0], entry[1]);
+            } else if (entry && typeof entry === 'object') {
+                append(entry.name, entry.value);
+            }
+        });
+    } else if (headers && typeof headers === 'object') {
+        Object.entries(headers).forEach(([name, value]) => append(name, value));
+    }
+    return result;
+}
+
+/**
+ * 消息体统一为字符串或 null
+ * @param {*} body
+ * @returns {string|null}
+ */
+function normalizeBody(body) {
+    if (body === undefined || body === null) {
+        return null;
+    }
+    return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+/**
+ * 把插件上报的流量消息转换为统一的 proxy-request / proxy-response 消息
+ * @param {Object} message - 原始消息
+ * @param {string|null} source - 发送方插件名（握手时声明），消息中未标明来源时使用
+ * @param {Object} options
+ * @param {boolean} options.trusted - 是否为进程内的内置 MITM 代理，只有此时才保留 plainBody / decryptError
+ * @returns {Object} 归一化后的消息
+ */
+export function normalizeTrafficMessage(message, source = null, { trusted = false } = {}) {
+    const phase = getTrafficPhase(message?.type);
+    if (!phase) {
+        throw new Error(`不是流量消息: ${message?.type}`);
+    }
+
+    const payload = message.data && typeof message.data === 'object' ? { ...message, ...message.data } : message;
+    if (typeof payload.url !== 'string' || !payload.url) {
+        throw new Error('流量消息缺少 url');
+    }
+
+    const isRequest = phase === 'request';
+    const statusCode = payload.statusCode ?? payload.status;
+    return {
+        type: `proxy-${phase}`,
+        eventId: createEventId(),
+        requestId: payload.requestId || null,
+        phase,
+        source: payload.plugin || payload.source || source || 'unknown',
+        url: payload.url,
+        method: payload.method ? String(payload.method).toUpperCase() : null,
+        statusCode: statusCode === undefined || statusCode === null || statusCode === '' ? null : Number(statusCode),
+        headers: normalizeHeaders(payload.headers ?? (isRequest ? payload.requestHeaders : payload.responseHeaders)),
+        body: normalizeBody(payload.body ?? (isRequest ? payload.requestBody : payload.responseBody)),
+        bodyBase64: payload.bodyBase64 || null,
+        plainBody: trusted ? normalizeBody(payload.plainBody) : null,
+        decryptError: trusted ? payload.decryptError || null : null,
+        breakpoint: null,
+        timestamp: Number(payload.timestamp) || Date.now()
+    };
+}
+
+/**
+ * 读取订阅者发送的域名过滤消息（RequestListViewer 发送 { type: 'domain', data: { msgType: 'domain', domain: [...] } }）
+ * @param {Object} message
+ * @returns {Array<string>} 小写域名列表，空列表表示不过滤
+ */
+export function parseDomainFilter(message) {
+    const domains = message?.data?.domain ?? message?.domain ?? [];
+    return (Array.isArray(domains) ? domains : [domains])
+        .filter(domain => typeof domain === 'string' && domain.trim())
+        .map(domain => domain.trim().toLowerCase());
+}
+
+/**
+ * URL 是否匹配域名过滤（与 RequestListViewer 相同：忽略 www. 前缀，包含子域名）
+ * @param {string} url
+ * @param {Array<string>|null} domains - 为空时全部匹配
+ * @returns {boolean}
+ */
+export function matchesDomainFilter(url, domains) {
+    if (!domains || domains.length === 0) {
+        return true;
+    }
+
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+        return false;
+    }
+
+    return domains.some(domain => {
+        const configDomain = domain.replace(/^www\./, '');
+        return hostname === configDomain || hostname.endsWith('.' + configDomain);
+    });
+}
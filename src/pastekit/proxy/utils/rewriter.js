@@ -0,0 +1,67 @@
+/**
+ * 断点放行前的消息体改写
+ * 用 HttpBodyCrypto 按原结构（整体密文 / JSON 字段 / 信封）解密，编辑明文后用同一密钥配置加密回去，
+ * 再按规则的签名设置用 SignatureUtils 重新签名
+ */
+
+import { HttpBodyCrypto } from '../../utils/httprequest/bodycrypto.js';
+import { SignatureUtils } from '../../utils/signatureutils.js';
+
+/**
+ * 解密断点中的消息体
+ * @param {Object} params
+ * @param {string|null} params.body - 原始消息体
+ * @param {Object} params.headers - 消息头，AEAD 配置从中读取 tag 与 AAD
+ * @param {Object|null} params.keyConfig - 域名配置中该阶段使用的密钥配置
+ * @param {Array} params.keyConfigs - 全部密钥配置（信封配置需要）
+ * @returns {{plainBody: string, decryption: Object|null}} 无法解密时 plainBody 为原始消息体，decryption 为 null
+ */
+export function openBreakpointBody({ body, headers = {}, keyConfig = null, keyConfigs = [] }) {
+    const decryption = body && keyConfig
+        ? HttpBodyCrypto.decryptBody(body, [keyConfig], { headers, keyConfigs })
+        : null;
+    return { plainBody: decryption ? decryption.plainBody : body ?? '', decryption };
+}
+
+/**
+ * 把编辑后的明文重新加密、重新签名
+ * @param {Object} params
+ * @param {string} params.plainBody - 编辑后的明文
+ * @param {string|null} params.body - 原始消息体
+ * @param {Object} params.headers - 原始消息头
+ * @param {Object|null} params.decryption - openBreakpointBody 返回的 decryption
+ * @param {Array} params.keyConfigs - 全部密钥配置
+ * @param {Object|null} params.signature - 规则的签名设置 { enabled, header, method, key, keyEncoding, configName }
+ * @returns {{body: string, headers: Object}} 新的消息体与需要设置的消息头
+ */
+export function sealBreakpointBody({ plainBody, body, headers = {}, decryption = null, keyConfigs = [], signature = null }) {
+    const changedHeaders = {};
+    let sealed = plainBody;
+
+    if (decryption) {
+        if (plainBody === decryption.plainBody) {
+            // 明文未改动时保留原始密文
+            sealed = body;
+        } else {
+            const context = { headers, keyConfigs };
+            sealed = HttpBodyCrypto.encryptBody(plainBody, decryption, decryption.config, context);
+            // AEAD 的 tag、信封的会话密钥等放在消息头中时一并更新
+            if (context.tag && decryption.config.aead?.tagHeader) {
+                changedHeaders[decryption.config.aead.tagHeader] = context.tag;
+            }
+            Object.assign(changedHeaders, context.outputHeaders || {});
+        }
+    }
+
+    if (signature?.enabled && signature.header?.trim()) {
+        const signConfig = keyConfigs.find(config => config.name === signature.configName) || null;
+        changedHeaders[signature.header.trim()] = SignatureUtils.sign(
+            sealed || '',
+            signature.method || 'hmac-sha256',
+            signConfig,
+            { value: signature.key || '', encoding: [signature.keyEncoding || 'UTF8'] }
+        );
+    }
+
+    return { body: sealed ?? '', headers: changedHeaders };
+}
@@ -40,11 +40,11 @@ client.on('connected', (message) => {
 });
 
 client.on('proxy-request', (message) => {
-    console.log('📨 收到代理请求:', message.data?.url);
+    console.log('📨 收到代理请求:', message.url);
 });
 
 client.on('proxy-response', (message) => {
-    console.log('📨 收到代理响应:', message.data?.url);
+    console.log('📨 收到代理响应:', message.url);
 });
 
 client.on('pong', (message) => {
@@ -11,6 +11,7 @@ export class ProxyWebSocketClient {
         this.reconnectInterval = 2000; // 5 秒重连间隔
         this.messageHandlers = new Map();
         this.connected = false;
+        this.manuallyClosed = false; // 主动断开后不再自动重连
     }
 
     /**
@@ -21,6 +22,7 @@ export class ProxyWebSocketClient {
             try {
                 console.log('[ProxyWS Client] 正在连接到:', this.url);
                 
+                this.manuallyClosed = false;
                 this.ws = new WebSocket(this.url);
                 
                 this.ws.onopen = () => {
@@ -60,6 +62,9 @@ export class ProxyWebSocketClient {
                 
                 this.ws.onclose = () => {
                     this.connected = false;
+                    if (this.manuallyClosed) {
+                        return;
+                    }
                     console.log('[ProxyWS Client] 连接关闭，准备重连...');
                     
                     // 自动重连
@@ -89,16 +94,36 @@ export class ProxyWebSocketClient {
                 console.log('[ProxyWS Client] 服务器欢迎消息，客户端 ID:', message.clientId);
                 break;
                 
-            case 'REQUEST':
-                console.log('[ProxyWS Client] 收到代理请求:', JSON.stringify(message));
+            case 'proxy-request':
+                console.log('[ProxyWS Client] 收到代理请求:', message.method, message.url);
                 // 可以在这里处理代理请求
                 break;
                 
-            case 'RESPONSE':
-                console.log('[ProxyWS Client] 收到代理响应:', JSON.stringify(message));
+            case 'proxy-response':
+                console.log('[ProxyWS Client] 收到代理响应:', message.statusCode, message.url);
                 // 可以在这里处理代理响应
                 break;
                 
+            case 'domain-updated':
+                console.log('[ProxyWS Client] 域名过滤已更新:', message.domains);
+                break;
+                
+            case 'decryption-configs-updated':
+                console.log('[ProxyWS Client] 解密配置已同步:', message.decryptionConfigs, '个域名配置,', message.keyConfigs, '个密钥配置');
+                break;
+                
+            case 'breakpoint-rules-updated':
+                console.log('[ProxyWS Client] 断点规则已同步:', message.rules, '条');
+                break;
+                
+            case 'breakpoint-released':
+                console.log('[ProxyWS Client] 断点已放行:', message.breakpointId, message.reason);
+                break;
+                
+            case 'error':
+                console.warn('[ProxyWS Client] 服务器返回错误:', message.message);
+                break;
+                
             case 'pong':
                 console.log('[ProxyWS Client] 心跳响应，服务器时间:', new Date(message.timestamp));
                 break;
@@ -183,6 +208,7 @@ export class ProxyWebSocketClient {
         }
         
         if (this.ws) {
+            this.manuallyClosed = true;
             this.ws.close();
             this.ws = null;
             this.connected = false;
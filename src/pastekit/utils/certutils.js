@@ -0,0 +1,620 @@
+import forge from 'node-forge';
+import smCrypto from 'sm-crypto';
+import { KeyFormats } from './cipher/keyformats.js';
+import { EC_CURVES } from './cipher/ecdsa.js';
+
+const { asn1, pki } = forge;
+const { sm2 } = smCrypto;
+
+// 距离到期不足该天数时提示即将过期
+export const EXPIRY_WARNING_DAYS = 30;
+
+// PEM 块类型与内容种类
+const PEM_KINDS = {
+  'CERTIFICATE': 'certificate',
+  'X509 CERTIFICATE': 'certificate',
+  'TRUSTED CERTIFICATE': 'certificate',
+  'CERTIFICATE REQUEST': 'csr',
+  'NEW CERTIFICATE REQUEST': 'csr'
+};
+
+// 可以生成密钥配置的公钥算法
+const CONFIG_KEY_TYPES = new Set(['RSA', 'SM2', 'Ed25519']);
+
+// DN 属性
+const NAME_ATTRIBUTES = {
+  '2.5.4.3': 'CN',
+  '2.5.4.4': 'SN',
+  '2.5.4.5': 'serialNumber',
+  '2.5.4.6': 'C',
+  '2.5.4.7': 'L',
+  '2.5.4.8': 'ST',
+  '2.5.4.9': 'street',
+  '2.5.4.10': 'O',
+  '2.5.4.11': 'OU',
+  '2.5.4.12': 'title',
+  '2.5.4.15': 'businessCategory',
+  '2.5.4.17': 'postalCode',
+  '2.5.4.42': 'GN',
+  '2.5.4.97': 'organizationIdentifier',
+  '1.2.840.113549.1.9.1': 'emailAddress',
+  '0.9.2342.19200300.100.1.1': 'UID',
+  '0.9.2342.19200300.100.1.25': 'DC',
+  '1.3.6.1.4.1.311.60.2.1.3': 'jurisdictionC'
+};
+
+// 签名算法：name 为展示名，hash 为 forge 摘要名（RSA PKCS#1 v1.5 验签使用）
+const SIGNATURE_ALGORITHMS = {
+  '1.2.840.113549.1.1.4': { name: 'md5WithRSAEncryption', family: 'RSA', hash: 'md5' },
+  '1.2.840.113549.1.1.5': { name: 'sha1WithRSAEncryption', family: 'RSA', hash: 'sha1' },
+  '1.2.840.113549.1.1.11': { name: 'sha256WithRSAEncryption', family: 'RSA', hash: 'sha256' },
+  '1.2.840.113549.1.1.12': { name: 'sha384WithRSAEncryption', family: 'RSA', hash: 'sha384' },
+  '1.2.840.113549.1.1.13': { name: 'sha512WithRSAEncryption', family: 'RSA', hash: 'sha512' },
+  '1.2.840.113549.1.1.10': { name: 'RSASSA-PSS', family: 'RSA-PSS' },
+  '1.2.840.10045.4.1': { name: 'ecdsa-with-SHA1', family: 'ECDSA' },
+  '1.2.840.10045.4.3.2': { name: 'ecdsa-with-SHA256', family: 'ECDSA' },
+  '1.2.840.10045.4.3.3': { name: 'ecdsa-with-SHA384', family: 'ECDSA' },
+  '1.2.840.10045.4.3.4': { name: 'ecdsa-with-SHA512', family: 'ECDSA' },
+  '1.2.156.10197.1.501': { name: 'SM2-with-SM3', family: 'SM2' },
+  '1.3.101.112': { name: 'Ed25519', family: 'EdDSA' },
+  '1.3.101.113': { name: 'Ed448', family: 'EdDSA' }
+};
+
+// 公钥算法
+const PUBLIC_KEY_ALGORITHMS = {
+  '1.2.840.113549.1.1.1': 'RSA',
+  '1.2.840.113549.1.1.10': 'RSA-PSS',
+  '1.2.840.10045.2.1': 'EC',
+  '1.2.156.10197.1.301': 'SM2',
+  '1.3.101.110': 'X25519',
+  '1.3.101.111': 'X448',
+  '1.3.101.112': 'Ed25519',
+  '1.3.101.113': 'Ed448'
+};
+
+// 椭圆曲线：name 为展示名，bits 为密钥长度
+const CURVES = {
+  '1.2.840.10045.3.1.7': { name: 'P-256', bits: 256 },
+  '1.3.132.0.34': { name: 'P-384', bits: 384 },
+  '1.3.132.0.35': { name: 'P-521', bits: 521 },
+  '1.3.132.0.10': { name: 'secp256k1', bits: 256 },
+  '1.2.156.10197.1.301': { name: 'SM2', bits: 256 }
+};
+
+const EDWARDS_BITS = { X25519: 256, Ed25519: 256, X448: 448, Ed448: 456 };
+
+// 扩展
+const EXTENSIONS = {
+  '2.5.29.14': 'subjectKeyIdentifier',
+  '2.5.29.15': 'keyUsage',
+  '2.5.29.17': 'subjectAltName',
+  '2.5.29.18': 'issuerAltName',
+  '2.5.29.19': 'basicConstraints',
+  '2.5.29.30': 'nameConstraints',
+  '2.5.29.31': 'cRLDistributionPoints',
+  '2.5.29.32': 'certificatePolicies',
+  '2.5.29.35': 'authorityKeyIdentifier',
+  '2.5.29.37': 'extKeyUsage',
+  '1.3.6.1.5.5.7.1.1': 'authorityInfoAccess',
+  '1.3.6.1.5.5.7.1.24': 'tlsFeature',
+  '1.3.6.1.4.1.11129.2.4.2': 'signedCertificateTimestamps'
+};
+
+const KEY_USAGES = [
+  'digitalSignature', 'nonRepudiation', 'keyEncipherment', 'dataEncipherment',
+  'keyAgreement', 'keyCertSign', 'cRLSign', 'encipherOnly', 'decipherOnly'
+];
+
+const EXTENDED_KEY_USAGES = {
+  '2.5.29.37.0': 'anyExtendedKeyUsage',
+  '1.3.6.1.5.5.7.3.1': 'serverAuth',
+  '1.3.6.1.5.5.7.3.2': 'clientAuth',
+  '1.3.6.1.5.5.7.3.3': 'codeSigning',
+  '1.3.6.1.5.5.7.3.4': 'emailProtection',
+  '1.3.6.1.5.5.7.3.8': 'timeStamping',
+  '1.3.6.1.5.5.7.3.9': 'OCSPSigning'
+};
+
+const ACCESS_METHODS = {
+  '1.3.6.1.5.5.7.48.1': 'OCSP',
+  '1.3.6.1.5.5.7.48.2': 'CA Issuers'
+};
+
+// PKCS#9 extensionRequest：CSR 中请求的扩展
+const OID_EXTENSION_REQUEST = '1.2.840.113549.1.9.14';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isUniversal = (node, type) => node && node.tagClass === asn1.Class.UNIVERSAL && node.type === type;
+const isContext = (node, type) => node && node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === type;
+const toBytes = (binary) => Uint8Array.from(binary, c => c.charCodeAt(0));
+
+/**
+ * 十六进制，指纹等使用冒号分隔的大写形式
+ * @param {string} binary
+ * @param {string} separator
+ * @returns {string}
+ */
+function toHex(binary, separator = '') {
+  return Array.from(binary, c => c.charCodeAt(0).toString(16).padStart(2, '0')).join(separator).toUpperCase();
+}
+
+/**
+ * 解析 DER，BIT STRING 保持原始内容
+ * @param {string} der - 二进制字符串
+ * @returns {Object} forge asn1 对象
+ */
+function parseAsn1(der) {
+  try {
+    return asn1.fromDer(der, { decodeBitStrings: false });
+  } catch (error) {
+    throw new Error(`不是有效的 DER 数据: ${error.message}`);
+  }
+}
+
+/**
+ * 节点重新编码为 DER
+ * @param {Object} node
+ * @returns {string}
+ */
+const toDer = (node) => asn1.toDer(node).getBytes();
+
+/**
+ * ASN.1 字符串类型转为文本
+ * @param {Object} node
+ * @returns {string}
+ */
+function stringValue(node) {
+  if (isUniversal(node, asn1.Type.BMPSTRING)) {
+    let text = '';
+    for (let i = 0; i + 1 < node.value.length; i += 2) {
+      text += String.fromCharCode((node.value.charCodeAt(i) << 8) | node.value.charCodeAt(i + 1));
+    }
+    return text;
+  }
+  if (isUniversal(node, asn1.Type.UTF8)) {
+    try {
+      return forge.util.decodeUtf8(node.value);
+    } catch (e) {
+      return node.value;
+    }
+  }
+  return typeof node.value === 'string' ? node.value : '';
+}
+
+/**
+ * 解析 Name（RDNSequence）
+ * @param {Object} node
+ * @returns {Object} { attributes: [{ oid, name, value }], text }
+ */
+function parseName(node) {
+  const attributes = node.value.flatMap(rdn => rdn.value.map(pair => {
+    const oid = asn1.derToOid(pair.value[0].value);
+    return { oid, name: NAME_ATTRIBUTES[oid] || oid, value: stringValue(pair.value[1]) };
+  }));
+  return {
+    attributes,
+    text: attributes.map(attr => `${attr.name}=${attr.value}`).join(', ')
+  };
+}
+
+/**
+ * 读取 UTCTime / GeneralizedTime
+ * @param {Object} node
+ * @returns {Date}
+ */
+function parseTime(node) {
+  return isUniversal(node, asn1.Type.GENERALIZEDTIME)
+    ? asn1.generalizedTimeToDate(node.value)
+    : asn1.utcTimeToDate(node.value);
+}
+
+/**
+ * BIT STRING 的内容（去掉未使用位数的首字节）
+ * @param {Object} node
+ * @returns {string}
+ */
+const bitStringBytes = (node) => node.value.substring(1);
+
+/**
+ * 大整数的位数
+ * @param {string} binary - 大端无符号整数
+ * @returns {number}
+ */
+function bitLength(binary) {
+  const trimmed = binary.replace(/^\0+/, '');
+  if (!trimmed) {
+    return 0;
+  }
+  return (trimmed.length - 1) * 8 + trimmed.charCodeAt(0).toString(2).length;
+}
+
+/**
+ * 解析 SubjectPublicKeyInfo
+ * @param {Object} node
+ * @returns {Object} { type, bits, curve, exponent, der }
+ */
+function parsePublicKey(node) {
+  const [algorithm, keyBits] = node.value;
+  const oid = asn1.derToOid(algorithm.value[0].value);
+  const type = PUBLIC_KEY_ALGORITHMS[oid] || oid;
+  const info = { oid, type, bits: 0, curve: '', exponent: null, der: toDer(node) };
+
+  if (type === 'RSA' || type === 'RSA-PSS') {
+    const [modulus, exponent] = parseAsn1(bitStringBytes(keyBits)).value;
+    info.bits = bitLength(modulus.value);
+    info.exponent = parseInt(toHex(exponent.value), 16);
+  } else if (type === 'EC' || type === 'SM2') {
+    const parameter = algorithm.value[1];
+    const curveOid = type === 'SM2' ? oid : isUniversal(parameter, asn1.Type.OID) ? asn1.derToOid(parameter.value) : '';
+    const curve = CURVES[curveOid];
+    // ecPublicKey + SM2 曲线即 SM2 公钥
+    info.type = curveOid === '1.2.156.10197.1.301' ? 'SM2' : 'EC';
+    info.curve = curve ? curve.name : curveOid;
+    info.bits = curve ? curve.bits : 0;
+  } else if (EDWARDS_BITS[type]) {
+    info.bits = EDWARDS_BITS[type];
+  }
+  return info;
+}
+
+/**
+ * 解析 GeneralName
+ * @param {Object} node
+ * @returns {Object} { type, value }
+ */
+function parseGeneralName(node) {
+  switch (node.type) {
+    case 1:
+      return { type: 'email', value: node.value };
+    case 2:
+      return { type: 'DNS', value: node.value };
+    case 4:
+      return { type: 'DirName', value: parseName(node.value[0]).text };
+    case 6:
+      return { type: 'URI', value: node.value };
+    case 7: {
+      const bytes = toBytes(node.value);
+      const value = bytes.length === 4
+        ? bytes.join('.')
+        : Array.from({ length: bytes.length / 2 }, (_, i) => ((bytes[2 * i] << 8) | bytes[2 * i + 1]).toString(16)).join(':');
+      return { type: 'IP', value };
+    }
+    case 8:
+      return { type: 'RID', value: asn1.derToOid(node.value) };
+    default:
+      return { type: 'othername', value: '<unsupported>' };
+  }
+}
+
+/**
+ * 解析扩展的值，返回用于展示的文本行
+ * @param {string} name - 扩展名
+ * @param {Object} value - 扩展值的 asn1 对象
+ * @returns {string[]}
+ */
+function describeExtension(name, value) {
+  switch (name) {
+    case 'basicConstraints': {
+      const [first, second] = value.value;
+      const isCa = isUniversal(first, asn1.Type.BOOLEAN) && first.value === '\xff';
+      const pathLength = isUniversal(first, asn1.Type.INTEGER) ? first : second;
+      return [`CA: ${isCa}`, ...(pathLength ? [`pathlen: ${parseInt(toHex(pathLength.value) || '0', 16)}`] : [])];
+    }
+    case 'keyUsage': {
+      const bits = value.value;
+      const usages = [];
+      for (let i = 0; i < (bits.length - 1) * 8; i++) {
+        if (bits.charCodeAt(1 + (i >> 3)) & (0x80 >> (i & 7))) {
+          usages.push(KEY_USAGES[i] || `bit${i}`);
+        }
+      }
+      return [usages.join(', ')];
+    }
+    case 'extKeyUsage':
+      return [value.value.map(oidNode => {
+        const oid = asn1.derToOid(oidNode.value);
+        return EXTENDED_KEY_USAGES[oid] || oid;
+      }).join(', ')];
+    case 'subjectAltName':
+    case 'issuerAltName':
+      return value.value.map(generalName => {
+        const { type, value: nameValue } = parseGeneralName(generalName);
+        return `${type}: ${nameValue}`;
+      });
+    case 'subjectKeyIdentifier':
+      return [toHex(value.value, ':')];
+    case 'authorityKeyIdentifier':
+      return value.value
+        .filter(field => isContext(field, 0))
+        .map(field => `keyid: ${toHex(field.value, ':')}`);
+    case 'authorityInfoAccess':
+      return value.value.map(description => {
+        const method = asn1.derToOid(description.value[0].value);
+        return `${ACCESS_METHODS[method] || method}: ${parseGeneralName(description.value[1]).value}`;
+      });
+    case 'cRLDistributionPoints':
+      // DistributionPoint { [0] distributionPoint { [0] fullName GeneralNames } }
+      return value.value.flatMap(point => point.value
+        .filter(field => isContext(field, 0))
+        .flatMap(field => field.value.filter(inner => isContext(inner, 0)))
+        .flatMap(fullName => fullName.value.map(generalName => parseGeneralName(generalName).value)));
+    case 'certificatePolicies':
+      return value.value.map(policy => asn1.derToOid(policy.value[0].value));
+    default:
+      return [];
+  }
+}
+
+/**
+ * 解析扩展列表
+ * @param {Object} node - SEQUENCE OF Extension
+ * @returns {Array<Object>} [{ oid, name, critical, values, hex }]
+ */
+function parseExtensions(node) {
+  return node.value.map(extension => {
+    const oid = asn1.derToOid(extension.value[0].value);
+    const critical = isUniversal(extension.value[1], asn1.Type.BOOLEAN) && extension.value[1].value === '\xff';
+    const raw = extension.value[extension.value.length - 1].value;
+    const name = EXTENSIONS[oid] || oid;
+    let values = [];
+    try {
+      values = describeExtension(name, parseAsn1(raw));
+    } catch (e) {
+      values = [];
+    }
+    return { oid, name, critical, values, hex: values.length > 0 ? '' : toHex(raw, ':') };
+  });
+}
+
+/**
+ * 签名算法
+ * @param {Object} node - AlgorithmIdentifier
+ * @returns {Object} { oid, name, family, hash }
+ */
+function parseSignatureAlgorithm(node) {
+  const oid = asn1.derToOid(node.value[0].value);
+  return { oid, name: oid, family: '', hash: '', ...SIGNATURE_ALGORITHMS[oid] };
+}
+
+/**
+ * SHA-1 / SHA-256 指纹
+ * @param {string} der
+ * @returns {Object} { sha1, sha256 }
+ */
+function fingerprints(der) {
+  const digest = (md) => toHex(md.create().update(der).digest().getBytes(), ':');
+  return { sha1: digest(forge.md.sha1), sha256: digest(forge.md.sha256) };
+}
+
+/**
+ * 证书有效期状态
+ * @param {Date} notBefore
+ * @param {Date} notAfter
+ * @param {number} now - 毫秒
+ * @returns {Object} { status, daysRemaining }
+ */
+function validityStatus(notBefore, notAfter, now) {
+  const daysRemaining = Math.floor((notAfter.getTime() - now) / DAY_MS);
+  let status = 'valid';
+  if (now < notBefore.getTime()) {
+    status = 'not_yet_valid';
+  } else if (now > notAfter.getTime()) {
+    status = 'expired';
+  } else if (daysRemaining < EXPIRY_WARNING_DAYS) {
+    status = 'expiring';
+  }
+  return { status, daysRemaining };
+}
+
+/**
+ * 解析 X.509 证书
+ * @param {Object} node - Certificate asn1 对象
+ * @param {string} der
+ * @param {number} now
+ * @returns {Object}
+ */
+function parseCertificate(node, der, now) {
+  const [tbs, signatureAlgorithm, signature] = node.value;
+  const fields = tbs.value;
+  const hasVersion = isContext(fields[0], 0);
+  const offset = hasVersion ? 1 : 0;
+  const [serial, , issuer, validity, subject, spki] = fields.slice(offset);
+  const extensionsField = fields.slice(offset + 6).find(field => isContext(field, 3));
+
+  const notBefore = parseTime(validity.value[0]);
+  const notAfter = parseTime(validity.value[1]);
+  const subjectName = parseName(subject);
+  const issuerName = parseName(issuer);
+  const extensions = extensionsField ? parseExtensions(extensionsField.value[0]) : [];
+
+  return {
+    kind: 'certificate',
+    der,
+    version: hasVersion ? parseInt(toHex(fields[0].value[0].value), 16) + 1 : 1,
+    serialNumber: toHex(serial.value, ':'),
+    subject: subjectName,
+    issuer: issuerName,
+    selfIssued: subjectName.text === issuerName.text,
+    notBefore,
+    notAfter,
+    ...validityStatus(notBefore, notAfter, now),
+    publicKey: parsePublicKey(spki),
+    signatureAlgorithm: parseSignatureAlgorithm(signatureAlgorithm),
+    tbsDer: toDer(tbs),
+    signature: bitStringBytes(signature),
+    subjectAltNames: extensions.find(ext => ext.name === 'subjectAltName')?.values || [],
+    extensions,
+    fingerprints: fingerprints(der)
+  };
+}
+
+/**
+ * 解析 PKCS#10 证书请求
+ * @param {Object} node - CertificationRequest asn1 对象
+ * @param {string} der
+ * @returns {Object}
+ */
+function parseCsr(node, der) {
+  const [info, signatureAlgorithm, signature] = node.value;
+  const [version, subject, spki, attributes] = info.value;
+  const extensionRequest = (attributes?.value || [])
+    .find(attribute => asn1.derToOid(attribute.value[0].value) === OID_EXTENSION_REQUEST);
+  const extensions = extensionRequest ? parseExtensions(extensionRequest.value[1].value[0]) : [];
+
+  return {
+    kind: 'csr',
+    der,
+    version: parseInt(toHex(version.value) || '0', 16) + 1,
+    subject: parseName(subject),
+    publicKey: parsePublicKey(spki),
+    signatureAlgorithm: parseSignatureAlgorithm(signatureAlgorithm),
+    tbsDer: toDer(info),
+    signature: bitStringBytes(signature),
+    subjectAltNames: extensions.find(ext => ext.name === 'subjectAltName')?.values || [],
+    extensions,
+    fingerprints: fingerprints(der)
+  };
+}
+
+/**
+ * 解析一段 DER，自动区分证书与证书请求
+ * @param {string} der
+ * @param {number} now
+ * @returns {Object}
+ */
+function parseDer(der, now) {
+  const node = parseAsn1(der);
+  const first = node.value?.[0];
+  if (!isUniversal(node, asn1.Type.SEQUENCE) || !isUniversal(first, asn1.Type.SEQUENCE)) {
+    throw new Error('不是 X.509 证书或证书请求');
+  }
+  try {
+    // 证书的 tbsCertificate 第二（或第三）个字段是签名算法；证书请求的第二个字段是 Name
+    const fields = first.value;
+    const afterSerial = fields[isContext(fields[0], 0) ? 2 : 1];
+    if (isUniversal(afterSerial?.value?.[0], asn1.Type.OID)) {
+      return parseCertificate(node, der, now);
+    }
+    return parseCsr(node, der);
+  } catch (error) {
+    throw new Error(`证书结构无效: ${error.message}`);
+  }
+}
+
+/**
+ * 用签发者公钥验证签名，不支持的算法返回 null
+ * @param {Object} item - 证书或证书请求
+ * @param {Object} issuerKey - 签发者的 parsePublicKey 结果
+ * @returns {boolean|null}
+ */
+function verifySignature(item, issuerKey) {
+  const { family, hash } = item.signatureAlgorithm;
+  try {
+    if (family === 'RSA' && hash && issuerKey.type === 'RSA') {
+      const publicKey = pki.publicKeyFromAsn1(asn1.fromDer(issuerKey.der));
+      const md = forge.md[hash].create().update(item.tbsDer);
+      return publicKey.verify(md.digest().getBytes(), item.signature);
+    }
+    if (family === 'SM2' && issuerKey.type === 'SM2') {
+      const [, keyBits] = parseAsn1(issuerKey.der).value;
+      const publicHex = toHex(bitStringBytes(keyBits)).toLowerCase();
+      return sm2.doVerifySignature(Array.from(toBytes(item.tbsDer)), toHex(item.signature).toLowerCase(), publicHex, { der: true, hash: true });
+    }
+  } catch (e) {
+    return false;
+  }
+  return null;
+}
+
+/**
+ * 文本中的 PEM 块，没有 PEM 块时按 Base64 / Hex 编码的 DER 处理
+ * @param {string} text
+ * @returns {string[]} DER 二进制字符串
+ */
+function extractDer(text) {
+  const blocks = [...text.matchAll(/-----BEGIN ([A-Z0-9 ]+)-----[\s\S]*?-----END \1-----/g)]
+    .filter(([, type]) => PEM_KINDS[type]);
+  if (blocks.length > 0) {
+    return blocks.map(([block]) => forge.pem.decode(block)[0].body);
+  }
+  const compact = text.replace(/\s+/g, '');
+  if (/^([0-9a-fA-F]{2})+$/.test(compact)) {
+    return [forge.util.hexToBytes(compact)];
+  }
+  if (/^[A-Za-z0-9+/]+={0,2}$/.test(compact)) {
+    return [forge.util.decode64(compact)];
+  }
+  throw new Error('没有找到证书或证书请求');
+}
+
+/**
+ * X.509 证书与 PKCS#10 证书请求解析工具类
+ */
+export class CertUtils {
+  /**
+   * 快速判断文本是否包含证书或证书请求 PEM 块
+   * @param {string} text
+   * @returns {boolean}
+   */
+  static hasPemBlock(text) {
+    return /-----BEGIN (X509 |TRUSTED |NEW )?CERTIFICATE( REQUEST)?-----/.test(text || '');
+  }
+
+  /**
+   * 解析证书、证书链或证书请求
+   * 多张证书时按出现顺序查找签发者并验证签名（支持 RSA PKCS#1 v1.5 与 SM2-with-SM3）
+   * @param {string} text - PEM，或 Base64 / Hex 编码的 DER
+   * @param {number} now - 当前时间（毫秒），用于计算有效期状态
+   * @returns {Array<Object>} 证书 / 证书请求，证书包含 issuerIndex（链中签发者的下标，-1 表示不在链中）
+   *                          与 signatureValid（true / false，无法验证时为 null）
+   */
+  static parse(text, now = Date.now()) {
+    const items = extractDer((text || '').trim()).map(der => parseDer(der, now));
+
+    return items.map((item, index) => {
+      if (item.kind === 'csr') {
+        // 证书请求由自身私钥签名
+        return { ...item, signatureValid: verifySignature(item, item.publicKey) };
+      }
+      const issuerIndex = item.selfIssued
+        ? index
+        : items.findIndex((other, i) => i !== index && other.kind === 'certificate' && other.subject.text === item.issuer.text);
+      const signatureValid = issuerIndex >= 0 ? verifySignature(item, items[issuerIndex].publicKey) : null;
+      return { ...item, issuerIndex, signatureValid };
+    });
+  }
+
+  /**
+   * 主题中的 CN，没有 CN 时使用完整 DN
+   * @param {Object} item
+   * @returns {string}
+   */
+  static getCommonName(item) {
+    return item.subject.attributes.find(attr => attr.name === 'CN')?.value || item.subject.text;
+  }
+
+  /**
+   * 公钥能否生成密钥配置（RSA、SM2、Ed25519 与 P-256 / P-384 / P-521 的 EC）
+   * @param {Object} item
+   * @returns {boolean}
+   */
+  static canCreateKeyConfig(item) {
+    const { type, curve } = item.publicKey;
+    return CONFIG_KEY_TYPES.has(type) || (type === 'EC' && !!EC_CURVES[curve]);
+  }
+
+  /**
+   * 取出公钥，格式与 KeyFormats.importKeys 的结果一致，可直接交给 ConfigManager.createImportedConfigs
+   * @param {Object} item
+   * @returns {Object} { algorithmType, name, bits, hasPrivateKey, publicKey, privateKey }
+   */
+  static toImportedKey(item) {
+    if (!this.canCreateKeyConfig(item)) {
+      throw new Error(`${item.publicKey.type} 公钥无法生成密钥配置，支持 RSA、SM2、EC 与 Ed25519`);
+    }
+    const pem = forge.pem.encode({ type: 'PUBLIC KEY', body: item.publicKey.der });
+    const [key] = KeyFormats.importKeys(pem).keys;
+    return { ...key, name: this.getCommonName(item) };
+  }
+}
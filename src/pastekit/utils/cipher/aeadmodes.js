@@ -0,0 +1,701 @@
+import CryptoJS from 'crypto-js';
+import { KeyMaterial, KEY_LENGTHS } from './keymaterial.js';
+
+/**
+ * AEAD（带认证的加密）模式
+ * GCM（NIST SP 800-38D）与 CCM（NIST SP 800-38C / RFC 3610）基于 CryptoJS 的 AES 分组加密实现（GCM 也可传入其它 128 位分组加密，如 SM4），
+ * 另外统一处理 nonce / tag 在密文中的位置与 AAD 的来源，供各 AEAD 算法共用
+ */
+
+export const AEAD_MODES = ['GCM', 'CCM'];
+
+// nonce 位置：prepend 拼在密文最前面（加密时随机生成），iv 使用配置中的 IV
+export const NONCE_POSITIONS = ['prepend', 'iv'];
+
+// tag 位置：append 拼在密文后，prepend 拼在密文前（nonce 之后），header 单独放在请求头
+export const TAG_POSITIONS = ['append', 'prepend', 'header'];
+
+// AAD 来源：none 不使用，static 固定值，header 取请求头的值
+export const AAD_SOURCES = ['none', 'static', 'header'];
+
+export const DEFAULT_AEAD_OPTIONS = {
+  nonceLength: 12,
+  tagLength: 16,
+  noncePosition: 'prepend',
+  tagPosition: 'append',
+  tagHeader: 'X-Auth-Tag',
+  aadSource: 'none',
+  aad: { value: '', encoding: ['UTF8'] },
+  aadHeader: ''
+};
+
+const BLOCK_SIZE = 16;
+
+/**
+ * 是否为 AEAD 模式
+ * @param {string} mode
+ * @returns {boolean}
+ */
+export function isAeadMode(mode) {
+  return AEAD_MODES.includes((mode || '').toUpperCase());
+}
+
+/**
+ * WordArray 转字节数组
+ * @param {CryptoJS.lib.WordArray} wordArray
+ * @returns {Uint8Array}
+ */
+export function wordArrayToBytes(wordArray) {
+  const bytes = new Uint8Array(wordArray.sigBytes);
+  for (let i = 0; i < wordArray.sigBytes; i++) {
+    bytes[i] = (wordArray.words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
+  }
+  return bytes;
+}
+
+/**
+ * 字节数组转 WordArray
+ * @param {Uint8Array} bytes
+ * @returns {CryptoJS.lib.WordArray}
+ */
+export function bytesToWordArray(bytes) {
+  const words = [];
+  for (let i = 0; i < bytes.length; i++) {
+    words[i >>> 2] |= bytes[i] << (24 - (i % 4) * 8);
+  }
+  return CryptoJS.lib.WordArray.create(words, bytes.length);
+}
+
+/**
+ * 按编码把字符串解析为字节
+ * @param {string} value
+ * @param {string} encoding - UTF8 | HEX | BASE64 | BASE64_URLSAFE
+ * @returns {Uint8Array}
+ */
+export function decodeBytes(value, encoding = 'UTF8') {
+  const text = value || '';
+  switch ((encoding || 'UTF8').toUpperCase()) {
+    case 'HEX':
+      return wordArrayToBytes(CryptoJS.enc.Hex.parse(text.replace(/\s+/g, '')));
+    case 'BASE64':
+      return wordArrayToBytes(CryptoJS.enc.Base64.parse(text.replace(/\s+/g, '')));
+    case 'BASE64_URLSAFE':
+      return wordArrayToBytes(CryptoJS.enc.Base64.parse(text.replace(/-/g, '+').replace(/_/g, '/')));
+    default:
+      return new TextEncoder().encode(text);
+  }
+}
+
+/**
+ * 按编码把字节输出为字符串
+ * @param {Uint8Array} bytes
+ * @param {string} encoding - HEX | BASE64 | BASE64_URLSAFE
+ * @returns {string}
+ */
+export function encodeBytes(bytes, encoding = 'BASE64') {
+  const wordArray = bytesToWordArray(bytes);
+  switch ((encoding || 'BASE64').toUpperCase()) {
+    case 'HEX':
+      return wordArray.toString(CryptoJS.enc.Hex);
+    case 'BASE64_URLSAFE':
+      return wordArray.toString(CryptoJS.enc.Base64).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    default:
+      return wordArray.toString(CryptoJS.enc.Base64);
+  }
+}
+
+/**
+ * 拼接字节数组
+ * @param {...Uint8Array} parts
+ * @returns {Uint8Array}
+ */
+export function concatBytes(...parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+/**
+ * 常量时间比较，避免 tag 校验泄露时序信息
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+export function constantTimeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+/**
+ * 随机字节
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+export function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * 创建 AES 单块加密函数
+ * @param {Uint8Array} keyBytes - 16/24/32 字节密钥
+ * @returns {function(Uint8Array): Uint8Array}
+ */
+function createBlockEncryptor(keyBytes) {
+  if (!KEY_LENGTHS.AES.includes(keyBytes.length)) {
+    throw new Error(`AES 密钥长度无效: ${keyBytes.length} 字节，应为 16/24/32 字节`);
+  }
+  const encryptor = CryptoJS.algo.AES.createEncryptor(bytesToWordArray(keyBytes));
+  return (block) => {
+    const words = bytesToWordArray(block).words.slice(0, 4);
+    encryptor.encryptBlock(words, 0);
+    return wordArrayToBytes(CryptoJS.lib.WordArray.create(words, BLOCK_SIZE));
+  };
+}
+
+/**
+ * 计数器块低 32 位加一（GCM 的 inc32）
+ * @param {Uint8Array} counter
+ * @returns {Uint8Array} 新的计数器块
+ */
+function increment32(counter) {
+  const next = counter.slice();
+  for (let i = BLOCK_SIZE - 1; i >= BLOCK_SIZE - 4; i--) {
+    next[i] = (next[i] + 1) & 0xff;
+    if (next[i] !== 0) {
+      break;
+    }
+  }
+  return next;
+}
+
+/**
+ * CTR 模式加解密
+ * @param {function} encryptBlock
+ * @param {Uint8Array} counter - 首个计数器块
+ * @param {Uint8Array} data
+ * @param {function} increment - 计数器递增函数
+ * @returns {Uint8Array}
+ */
+function ctrTransform(encryptBlock, counter, data, increment) {
+  const output = new Uint8Array(data.length);
+  let current = counter;
+  for (let offset = 0; offset < data.length; offset += BLOCK_SIZE) {
+    const keystream = encryptBlock(current);
+    const end = Math.min(offset + BLOCK_SIZE, data.length);
+    for (let i = offset; i < end; i++) {
+      output[i] = data[i] ^ keystream[i - offset];
+    }
+    current = increment(current);
+  }
+  return output;
+}
+
+/**
+ * GF(2^128) 乘法，块以 4 个大端 32 位整数表示
+ * @param {Array<number>} x
+ * @param {Array<number>} y
+ * @returns {Array<number>}
+ */
+function gfMultiply(x, y) {
+  let z0 = 0, z1 = 0, z2 = 0, z3 = 0;
+  let v0 = y[0], v1 = y[1], v2 = y[2], v3 = y[3];
+  for (let i = 0; i < 128; i++) {
+    if ((x[i >>> 5] >>> (31 - (i & 31))) & 1) {
+      z0 ^= v0; z1 ^= v1; z2 ^= v2; z3 ^= v3;
+    }
+    const lsb = v3 & 1;
+    v3 = (v3 >>> 1) | ((v2 & 1) << 31);
+    v2 = (v2 >>> 1) | ((v1 & 1) << 31);
+    v1 = (v1 >>> 1) | ((v0 & 1) << 31);
+    v0 = v0 >>> 1;
+    if (lsb) {
+      v0 ^= 0xe1000000;
+    }
+  }
+  return [z0 >>> 0, z1 >>> 0, z2 >>> 0, z3 >>> 0];
+}
+
+/**
+ * 字节块（不足 16 字节补零）转 4 个 32 位整数
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {Array<number>}
+ */
+function blockToWords(bytes, offset) {
+  const words = [0, 0, 0, 0];
+  for (let i = 0; i < BLOCK_SIZE && offset + i < bytes.length; i++) {
+    words[i >>> 2] |= bytes[offset + i] << (24 - (i % 4) * 8);
+  }
+  return words.map(word => word >>> 0);
+}
+
+/**
+ * 64 位大端长度编码（位数）
+ * @param {number} byteLength
+ * @returns {Array<number>} 2 个 32 位整数
+ */
+function bitLength64(byteLength) {
+  const bits = byteLength * 8;
+  return [Math.floor(bits / 0x100000000) >>> 0, bits >>> 0];
+}
+
+/**
+ * GHASH(H, A, C)
+ * @param {Array<number>} hashKey - H
+ * @param {Uint8Array} aad
+ * @param {Uint8Array} ciphertext
+ * @returns {Array<number>}
+ */
+function ghash(hashKey, aad, ciphertext) {
+  let y = [0, 0, 0, 0];
+  const absorb = (data) => {
+    for (let offset = 0; offset < data.length; offset += BLOCK_SIZE) {
+      const block = blockToWords(data, offset);
+      y = gfMultiply([y[0] ^ block[0], y[1] ^ block[1], y[2] ^ block[2], y[3] ^ block[3]], hashKey);
+    }
+  };
+  absorb(aad);
+  absorb(ciphertext);
+  const lengths = [...bitLength64(aad.length), ...bitLength64(ciphertext.length)];
+  return gfMultiply(y.map((word, i) => word ^ lengths[i]), hashKey);
+}
+
+/**
+ * 4 个 32 位整数转 16 字节
+ * @param {Array<number>} words
+ * @returns {Uint8Array}
+ */
+function wordsToBlock(words) {
+  return wordArrayToBytes(CryptoJS.lib.WordArray.create(words.map(word => word | 0), BLOCK_SIZE));
+}
+
+/**
+ * GCM 公共部分：返回 (J0, GHASH 子密钥)
+ * @param {function} encryptBlock
+ * @param {Uint8Array} nonce
+ * @returns {Object} { j0, hashKey }
+ */
+function gcmSetup(encryptBlock, nonce) {
+  if (nonce.length === 0) {
+    throw new Error('GCM nonce 不能为空');
+  }
+  const hashKey = blockToWords(encryptBlock(new Uint8Array(BLOCK_SIZE)), 0);
+  let j0;
+  if (nonce.length === 12) {
+    j0 = concatBytes(nonce, new Uint8Array([0, 0, 0, 1]));
+  } else {
+    j0 = wordsToBlock(ghash(hashKey, new Uint8Array(0), nonce));
+  }
+  return { j0, hashKey };
+}
+
+/**
+ * 计算 GCM tag
+ * @returns {Uint8Array}
+ */
+function gcmTag(encryptBlock, j0, hashKey, aad, ciphertext, tagLength) {
+  const s = wordsToBlock(ghash(hashKey, aad, ciphertext));
+  const ek = encryptBlock(j0);
+  return s.map((byte, i) => byte ^ ek[i]).slice(0, tagLength);
+}
+
+/**
+ * 校验 tag 长度
+ * @param {string} mode
+ * @param {number} tagLength
+ */
+function assertTagLength(mode, tagLength) {
+  const valid = mode === 'GCM'
+    ? [4, 8, 12, 13, 14, 15, 16].includes(tagLength)
+    : [4, 6, 8, 10, 12, 14, 16].includes(tagLength);
+  if (!valid) {
+    throw new Error(`${mode} tag 长度无效: ${tagLength} 字节`);
+  }
+}
+
+/**
+ * 基于任意 128 位分组加密函数的 GCM 加密，AES-GCM 与 SM4-GCM 共用
+ * @param {function(Uint8Array): Uint8Array} encryptBlock - 单块加密函数
+ * @param {Uint8Array} nonce
+ * @param {Uint8Array} plaintext
+ * @param {Uint8Array} aad
+ * @param {number} tagLength - 字节
+ * @returns {Object} { ciphertext, tag }
+ */
+export function gcmSeal(encryptBlock, nonce, plaintext, aad = new Uint8Array(0), tagLength = 16) {
+  assertTagLength('GCM', tagLength);
+  const { j0, hashKey } = gcmSetup(encryptBlock, nonce);
+  const ciphertext = ctrTransform(encryptBlock, increment32(j0), plaintext, increment32);
+  return { ciphertext, tag: gcmTag(encryptBlock, j0, hashKey, aad, ciphertext, tagLength) };
+}
+
+/**
+ * gcmSeal 的逆操作，tag 不匹配时抛出异常
+ * @param {function(Uint8Array): Uint8Array} encryptBlock - 单块加密函数
+ * @param {Uint8Array} nonce
+ * @param {Uint8Array} ciphertext
+ * @param {Uint8Array} tag
+ * @param {Uint8Array} aad
+ * @returns {Uint8Array} 明文
+ */
+export function gcmOpen(encryptBlock, nonce, ciphertext, tag, aad = new Uint8Array(0)) {
+  assertTagLength('GCM', tag.length);
+  const { j0, hashKey } = gcmSetup(encryptBlock, nonce);
+  const expected = gcmTag(encryptBlock, j0, hashKey, aad, ciphertext, tag.length);
+  if (!constantTimeEqual(expected, tag)) {
+    throw new Error('GCM 认证失败：tag 不匹配');
+  }
+  return ctrTransform(encryptBlock, increment32(j0), ciphertext, increment32);
+}
+
+/**
+ * AES-GCM 加密
+ * @param {Uint8Array} keyBytes
+ * @param {Uint8Array} nonce
+ * @param {Uint8Array} plaintext
+ * @param {Uint8Array} aad
+ * @param {number} tagLength - 字节
+ * @returns {Object} { ciphertext, tag }
+ */
+export function gcmEncrypt(keyBytes, nonce, plaintext, aad = new Uint8Array(0), tagLength = 16) {
+  return gcmSeal(createBlockEncryptor(keyBytes), nonce, plaintext, aad, tagLength);
+}
+
+/**
+ * AES-GCM 解密，tag 不匹配时抛出异常
+ * @param {Uint8Array} keyBytes
+ * @param {Uint8Array} nonce
+ * @param {Uint8Array} ciphertext
+ * @param {Uint8Array} tag
+ * @param {Uint8Array} aad
+ * @returns {Uint8Array} 明文
+ */
+export function gcmDecrypt(keyBytes, nonce, ciphertext, tag, aad = new Uint8Array(0)) {
+  return gcmOpen(createBlockEncryptor(keyBytes), nonce, ciphertext, tag, aad);
+}
+
+/**
+ * CCM 计数器块 A_i = flags || nonce || i
+ * @param {Uint8Array} nonce
+ * @param {number} index
+ * @returns {Uint8Array}
+ */
+function ccmCounterBlock(nonce, index) {
+  const lengthSize = 15 - nonce.length;
+  const block = new Uint8Array(BLOCK_SIZE);
+  block[0] = lengthSize - 1;
+  block.set(nonce, 1);
+  let value = index;
+  for (let i = BLOCK_SIZE - 1; i > nonce.length; i--) {
+    block[i] = value & 0xff;
+    value = Math.floor(value / 256);
+  }
+  return block;
+}
+
+/**
+ * CCM 计数器递增（整个长度字段）
+ * @param {Uint8Array} counter
+ * @returns {Uint8Array}
+ */
+function ccmIncrement(counter) {
+  const next = counter.slice();
+  const lengthSize = (counter[0] & 0x07) + 1;
+  for (let i = BLOCK_SIZE - 1; i >= BLOCK_SIZE - lengthSize; i--) {
+    next[i] = (next[i] + 1) & 0xff;
+    if (next[i] !== 0) {
+      break;
+    }
+  }
+  return next;
+}
+
+/**
+ * CCM 的 CBC-MAC
+ * @returns {Uint8Array} 16 字节 MAC（未截断）
+ */
+function ccmMac(encryptBlock, nonce, plaintext, aad, tagLength) {
+  const lengthSize = 15 - nonce.length;
+  if (lengthSize < 4 && plaintext.length >= 2 ** (8 * lengthSize)) {
+    throw new Error(`CCM nonce 长度 ${nonce.length} 字节时，明文不能超过 ${2 ** (8 * lengthSize) - 1} 字节`);
+  }
+
+  const b0 = new Uint8Array(BLOCK_SIZE);
+  b0[0] = (aad.length > 0 ? 0x40 : 0) | (((tagLength - 2) / 2) << 3) | (lengthSize - 1);
+  b0.set(nonce, 1);
+  let length = plaintext.length;
+  for (let i = BLOCK_SIZE - 1; i > nonce.length; i--) {
+    b0[i] = length & 0xff;
+    length = Math.floor(length / 256);
+  }
+
+  let aadBlock = new Uint8Array(0);
+  if (aad.length > 0) {
+    const header = aad.length < 0xff00
+      ? new Uint8Array([aad.length >>> 8, aad.length & 0xff])
+      : new Uint8Array([0xff, 0xfe, (aad.length >>> 24) & 0xff, (aad.length >>> 16) & 0xff, (aad.length >>> 8) & 0xff, aad.length & 0xff]);
+    aadBlock = concatBytes(header, aad);
+  }
+
+  let mac = encryptBlock(b0);
+  const absorb = (data) => {
+    for (let offset = 0; offset < data.length; offset += BLOCK_SIZE) {
+      const block = new Uint8Array(BLOCK_SIZE);
+      block.set(data.subarray(offset, offset + BLOCK_SIZE));
+      mac = encryptBlock(mac.map((byte, i) => byte ^ block[i]));
+    }
+  };
+  absorb(aadBlock);
+  absorb(plaintext);
+  return mac;
+}
+
+/**
+ * 校验 CCM nonce 长度
+ * @param {Uint8Array} nonce
+ */
+function assertCcmNonce(nonce) {
+  if (nonce.length < 7 || nonce.length > 13) {
+    throw new Error(`CCM nonce 长度无效: ${nonce.length} 字节，应为 7-13 字节`);
+  }
+}
+
+/**
+ * AES-CCM 加密
+ * @param {Uint8Array} keyBytes
+ * @param {Uint8Array} nonce - 7~13 字节
+ * @param {Uint8Array} plaintext
+ * @param {Uint8Array} aad
+ * @param {number} tagLength - 字节
+ * @returns {Object} { ciphertext, tag }
+ */
+export function ccmEncrypt(keyBytes, nonce, plaintext, aad = new Uint8Array(0), tagLength = 16) {
+  assertCcmNonce(nonce);
+  assertTagLength('CCM', tagLength);
+  const encryptBlock = createBlockEncryptor(keyBytes);
+  const mac = ccmMac(encryptBlock, nonce, plaintext, aad, tagLength);
+  const s0 = encryptBlock(ccmCounterBlock(nonce, 0));
+  const ciphertext = ctrTransform(encryptBlock, ccmCounterBlock(nonce, 1), plaintext, ccmIncrement);
+  return { ciphertext, tag: mac.slice(0, tagLength).map((byte, i) => byte ^ s0[i]) };
+}
+
+/**
+ * AES-CCM 解密，tag 不匹配时抛出异常
+ * @param {Uint8Array} keyBytes
+ * @param {Uint8Array} nonce
+ * @param {Uint8Array} ciphertext
+ * @param {Uint8Array} tag
+ * @param {Uint8Array} aad
+ * @returns {Uint8Array} 明文
+ */
+export function ccmDecrypt(keyBytes, nonce, ciphertext, tag, aad = new Uint8Array(0)) {
+  assertCcmNonce(nonce);
+  assertTagLength('CCM', tag.length);
+  const encryptBlock = createBlockEncryptor(keyBytes);
+  const plaintext = ctrTransform(encryptBlock, ccmCounterBlock(nonce, 1), ciphertext, ccmIncrement);
+  const s0 = encryptBlock(ccmCounterBlock(nonce, 0));
+  const expected = ccmMac(encryptBlock, nonce, plaintext, aad, tag.length).slice(0, tag.length).map((byte, i) => byte ^ s0[i]);
+  if (!constantTimeEqual(expected, tag)) {
+    throw new Error('CCM 认证失败：tag 不匹配');
+  }
+  return plaintext;
+}
+
+/**
+ * 读取请求头（兼容对象与 [{ name, value }] 两种形式，不区分大小写）
+ * @param {Object|Array} headers
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+export function findHeader(headers, name) {
+  if (!headers || !name) {
+    return undefined;
+  }
+  const target = name.trim().toLowerCase();
+  if (Array.isArray(headers)) {
+    return headers.find(h => h.name?.toLowerCase() === target)?.value;
+  }
+  const key = Object.keys(headers).find(k => k.toLowerCase() === target);
+  return key === undefined ? undefined : headers[key];
+}
+
+/**
+ * 合并默认 AEAD 选项
+ * @param {Object} config - 秘钥配置
+ * @returns {Object}
+ */
+export function getAeadOptions(config) {
+  const options = { ...DEFAULT_AEAD_OPTIONS, ...(config.aead || {}) };
+  return {
+    ...options,
+    nonceLength: Number(options.nonceLength) || DEFAULT_AEAD_OPTIONS.nonceLength,
+    tagLength: Number(options.tagLength) || DEFAULT_AEAD_OPTIONS.tagLength
+  };
+}
+
+/**
+ * 解析附加认证数据
+ * 调用方在 context.aad 中直接给出时优先使用（按 UTF-8 处理）
+ * @param {Object} options - getAeadOptions 的结果
+ * @param {Object} context - { aad, headers }
+ * @returns {Uint8Array}
+ */
+export function resolveAad(options, context = {}) {
+  if (context.aad !== undefined && context.aad !== null) {
+    return typeof context.aad === 'string' ? new TextEncoder().encode(context.aad) : context.aad;
+  }
+  switch (options.aadSource) {
+    case 'static':
+      return decodeBytes(options.aad?.value, options.aad?.encoding?.[0]);
+    case 'header': {
+      const value = findHeader(context.headers, options.aadHeader);
+      if (value === undefined) {
+        throw new Error(`缺少 AAD 请求头: ${options.aadHeader}`);
+      }
+      return new TextEncoder().encode(value);
+    }
+    default:
+      return new Uint8Array(0);
+  }
+}
+
+/**
+ * 把 nonce / tag / 密文按配置的位置拼装
+ * 顺序为 [nonce][tag 前置][密文][tag 后置]；tag 放在请求头时写入 context.tag
+ * @param {Object} parts - { nonce, ciphertext, tag }
+ * @param {Object} options - getAeadOptions 的结果
+ * @param {Object} context - 输出 context.tag
+ * @param {string} tagEncoding - 单独输出 tag 时使用的编码
+ * @returns {Uint8Array}
+ */
+export function packAeadPayload({ nonce, ciphertext, tag }, options, context, tagEncoding) {
+  const prefix = options.noncePosition === 'prepend' ? nonce : new Uint8Array(0);
+  switch (options.tagPosition) {
+    case 'prepend':
+      return concatBytes(prefix, tag, ciphertext);
+    case 'header':
+      if (context) {
+        context.tag = encodeBytes(tag, tagEncoding);
+      }
+      return concatBytes(prefix, ciphertext);
+    default:
+      return concatBytes(prefix, ciphertext, tag);
+  }
+}
+
+/**
+ * 从密文中拆出 nonce / tag / 密文，packAeadPayload 的逆操作
+ * @param {Uint8Array} payload
+ * @param {Object} options - getAeadOptions 的结果
+ * @param {Object} context - { tag, headers }
+ * @param {Uint8Array|null} configNonce - noncePosition 为 iv 时使用的 nonce
+ * @param {string} tagEncoding - 单独传入的 tag 的编码
+ * @returns {Object} { nonce, ciphertext, tag }
+ */
+export function unpackAeadPayload(payload, options, context = {}, configNonce, tagEncoding) {
+  const minLength = (options.noncePosition === 'prepend' ? options.nonceLength : 0)
+    + (options.tagPosition === 'header' ? 0 : options.tagLength);
+  if (payload.length < minLength) {
+    throw new Error('密文长度不足，无法拆分 nonce 与 tag');
+  }
+
+  let offset = 0;
+  let nonce = configNonce;
+  if (options.noncePosition === 'prepend') {
+    nonce = payload.slice(0, options.nonceLength);
+    offset = options.nonceLength;
+  }
+
+  let tag;
+  let ciphertext;
+  if (options.tagPosition === 'header') {
+    const encodedTag = context.tag ?? findHeader(context.headers, options.tagHeader);
+    if (!encodedTag) {
+      throw new Error(`缺少认证 tag: ${options.tagHeader}`);
+    }
+    tag = typeof encodedTag === 'string' ? decodeBytes(encodedTag.trim(), tagEncoding) : encodedTag;
+    ciphertext = payload.slice(offset);
+  } else if (options.tagPosition === 'prepend') {
+    tag = payload.slice(offset, offset + options.tagLength);
+    ciphertext = payload.slice(offset + options.tagLength);
+  } else {
+    tag = payload.slice(payload.length - options.tagLength);
+    ciphertext = payload.slice(offset, payload.length - options.tagLength);
+  }
+  return { nonce, ciphertext, tag };
+}
+
+/**
+ * 配置中固定的 nonce（noncePosition 为 iv 时使用）
+ * @param {Object} config
+ * @param {Object} options - AEAD 选项
+ * @returns {Uint8Array|null}
+ */
+function configNonce(config, options) {
+  if (options.noncePosition !== 'iv') {
+    return null;
+  }
+  const nonce = KeyMaterial.toBytes(config.iv, 'IV ');
+  if (nonce.length === 0) {
+    throw new Error('nonce 取自 IV，但未配置 IV');
+  }
+  if (nonce.length !== options.nonceLength && options.fixedNonceLength) {
+    throw new Error(`nonce 长度应为 ${options.nonceLength} 字节，IV 为 ${nonce.length} 字节`);
+  }
+  return nonce;
+}
+
+/**
+ * 按秘钥配置完成 AEAD 加密：解析密钥、nonce 与 AAD，加密后按配置拼装 nonce 与 tag
+ * 密钥长度由 seal 按算法校验
+ * @param {string} plaintext - 明文
+ * @param {Object} config - 秘钥配置
+ * @param {Object} context - { aad, headers }；tag 单独放在请求头时写入 context.tag
+ * @param {Object} options - getAeadOptions 的结果
+ * @param {function} seal - (keyBytes, nonce, data, aad, tagLength) => { ciphertext, tag }
+ * @returns {string} Base64 密文
+ */
+export function encryptWithConfig(plaintext, config, context, options, seal) {
+  const keyBytes = KeyMaterial.toBytes(config.key);
+  const nonce = configNonce(config, options) || randomBytes(options.nonceLength);
+  const aad = resolveAad(options, context);
+  const { ciphertext, tag } = seal(keyBytes, nonce, new TextEncoder().encode(plaintext), aad, options.tagLength);
+  const payload = packAeadPayload({ nonce, ciphertext, tag }, options, context, config.cipherEncoding?.[0]);
+  return encodeBytes(payload, 'BASE64');
+}
+
+/**
+ * 按秘钥配置完成 AEAD 解密，encryptWithConfig 的逆操作，tag 校验失败时抛出异常
+ * @param {string} ciphertext - Base64 密文
+ * @param {Object} config - 秘钥配置
+ * @param {Object} context - { aad, tag, headers }
+ * @param {Object} options - getAeadOptions 的结果
+ * @param {function} open - (keyBytes, nonce, ciphertext, tag, aad) => 明文字节
+ * @returns {string} 明文
+ */
+export function decryptWithConfig(ciphertext, config, context, options, open) {
+  const keyBytes = KeyMaterial.toBytes(config.key);
+  const parts = unpackAeadPayload(
+    decodeBytes(ciphertext, 'BASE64'),
+    options,
+    context,
+    configNonce(config, options),
+    config.cipherEncoding?.[0]
+  );
+  const plaintext = open(keyBytes, parts.nonce, parts.ciphertext, parts.tag, resolveAad(options, context));
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(plaintext);
+  } catch (decodeError) {
+    throw new Error(`UTF-8转换失败: ${decodeError.message}`);
+  }
+}
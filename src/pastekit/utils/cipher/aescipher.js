@@ -1,34 +1,49 @@
 import CryptoJS from 'crypto-js';
-import { EncodingUtils } from './encodingutils.js';
+import {
+  isAeadMode,
+  bytesToWordArray,
+  getAeadOptions,
+  encryptWithConfig,
+  decryptWithConfig,
+  gcmEncrypt,
+  gcmDecrypt,
+  ccmEncrypt,
+  ccmDecrypt
+} from './aeadmodes.js';
+import { KeyMaterial } from './keymaterial.js';
 
 /**
  * AES 加密解密类
  */
 export class AESCipher {
+  /**
+   * 按编码把密钥与 IV 解析为精确的字节并校验长度：密钥 16/24/32 字节，ECB 以外的模式 IV 为 16 字节
+   * @private
+   * @param {Object} key - { value, encoding }
+   * @param {Object} iv - { value, encoding }
+   * @param {string} mode
+   * @returns {Object} { keyWordArray, ivWordArray }，ECB 模式 ivWordArray 为 null
+   */
+  static resolveKeyAndIv(key, iv, mode) {
+    const keyWordArray = bytesToWordArray(KeyMaterial.keyBytes(key, 'AES'));
+    const ivWordArray = (mode || '').toUpperCase() === 'ECB' ? null : bytesToWordArray(KeyMaterial.ivBytes(iv, 'AES'));
+    return { keyWordArray, ivWordArray };
+  }
+
   /**
    * AES 加密
    * @param {string} plaintext - 明文
    * @param {Object} config - 配置对象
+   * @param {Object} context - GCM/CCM 使用的运行时信息，见 encryptAead
    * @returns {string} 密文
    */
-  static encrypt(plaintext, config) {
+  static encrypt(plaintext, config, context = {}) {
     const { key, iv, mode = 'CBC', padding = 'Pkcs7' } = config;
-    
-    // 处理密钥
-    let parsedKey = key.value;
-    if (key.encoding && key.encoding.length > 0) {
-      parsedKey = EncodingUtils.decode(key.value, key.encoding[0], []);
+    if (isAeadMode(mode)) {
+      return this.encryptAead(plaintext, config, context);
     }
     
-    // 处理初始化向量
-    let parsedIv = iv?.value || '';
-    if (iv?.encoding && iv.encoding.length > 0) {
-      parsedIv = EncodingUtils.decode(iv.value, iv.encoding[0], []);
-    }
-    
-    // 根据模式选择加密方式
-    const keyWordArray = CryptoJS.enc.Utf8.parse(parsedKey);
-    const ivWordArray = CryptoJS.enc.Utf8.parse(parsedIv);
+    const { keyWordArray, ivWordArray } = this.resolveKeyAndIv(key, iv, mode);
     
     let encrypted;
     const cryptoMode = CryptoJS.mode[mode.toUpperCase()] || CryptoJS.mode.CBC;
@@ -68,25 +83,16 @@ export class AESCipher {
    * AES 解密
    * @param {string} ciphertext - 密文
    * @param {Object} config - 配置对象
+   * @param {Object} context - GCM/CCM 使用的运行时信息，见 decryptAead
    * @returns {string} 明文
    */
-  static decrypt(ciphertext, config) {
+  static decrypt(ciphertext, config, context = {}) {
     const { key, iv, mode = 'CBC', padding = 'Pkcs7' } = config;
-    
-    // 处理密钥
-    let parsedKey = key.value;
-    if (key.encoding && key.encoding.length > 0) {
-      parsedKey = EncodingUtils.decode(key.value, key.encoding[0], []);
+    if (isAeadMode(mode)) {
+      return this.decryptAead(ciphertext, config, context);
     }
     
-    // 处理初始化向量
-    let parsedIv = iv?.value || '';
-    if (iv?.encoding && iv.encoding.length > 0) {
-      parsedIv = EncodingUtils.decode(iv.value, iv.encoding[0], []);
-    }
-    
-    const keyWordArray = CryptoJS.enc.Utf8.parse(parsedKey);
-    const ivWordArray = CryptoJS.enc.Utf8.parse(parsedIv);
+    const { keyWordArray, ivWordArray } = this.resolveKeyAndIv(key, iv, mode);
     
     let decrypted;
     // 处理模式和填充方式
@@ -113,10 +119,8 @@ export class AESCipher {
     console.log('[AES解密] 解密参数:', {
       ciphertextLength: ciphertext.length,
       ciphertextPreview: ciphertext.substring(0, 50) + '...',
-      keyLength: parsedKey.length,
-      keyPreview: parsedKey.substring(0, 16) + '...',
-      ivLength: parsedIv.length,
-      ivPreview: parsedIv.substring(0, 16) + '...',
+      keyLength: keyWordArray.sigBytes,
+      ivLength: ivWordArray?.sigBytes || 0,
       mode: modeUpper,
       padding: paddingUpper
     });
@@ -203,4 +207,28 @@ export class AESCipher {
       throw new Error(`UTF-8转换失败: ${utf8Error.message}`);
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * AES-GCM / AES-CCM 加密
+   * @param {string} plaintext - 明文
+   * @param {Object} config - 配置对象，AEAD 相关字段见 config.aead
+   * @param {Object} context - { aad, headers }；tag 单独放在请求头时加密后写入 context.tag
+   * @returns {string} Base64 密文（按配置拼接了 nonce 与 tag）
+   */
+  static encryptAead(plaintext, config, context = {}) {
+    const seal = config.mode.toUpperCase() === 'CCM' ? ccmEncrypt : gcmEncrypt;
+    return encryptWithConfig(plaintext, config, context, getAeadOptions(config), seal);
+  }
+
+  /**
+   * AES-GCM / AES-CCM 解密，tag 校验失败时抛出异常
+   * @param {string} ciphertext - Base64 密文
+   * @param {Object} config - 配置对象
+   * @param {Object} context - { aad, tag, headers }，tag 或 AAD 取自请求头时需要传入 headers
+   * @returns {string} 明文
+   */
+  static decryptAead(ciphertext, config, context = {}) {
+    const open = config.mode.toUpperCase() === 'CCM' ? ccmDecrypt : gcmDecrypt;
+    return decryptWithConfig(ciphertext, config, context, getAeadOptions(config), open);
+  }
+}
@@ -0,0 +1,298 @@
+import { getAeadOptions, encryptWithConfig, decryptWithConfig, concatBytes, constantTimeEqual } from './aeadmodes.js';
+
+/**
+ * ChaCha20-Poly1305（RFC 8439）与 XChaCha20-Poly1305（draft-irtf-cfrg-xchacha）
+ * nonce / tag 位置与 AAD 来源沿用 config.aead，与 AES-GCM 一致；密钥固定 32 字节，tag 固定 16 字节
+ */
+
+// 各算法的 nonce 长度（字节）
+export const CHACHA_NONCE_LENGTHS = {
+  'CHACHA20-POLY1305': 12,
+  'XCHACHA20-POLY1305': 24
+};
+
+const KEY_LENGTH = 32;
+const TAG_LENGTH = 16;
+
+// "expand 32-byte k"
+const SIGMA = [0x61707865, 0x3320646e, 0x79622d32, 0x6b206574];
+
+const POLY1305_P = (1n << 130n) - 5n;
+const MASK_128 = (1n << 128n) - 1n;
+
+/**
+ * 小端读取 32 位整数
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {number}
+ */
+function readUint32LE(bytes, offset) {
+  return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+/**
+ * 32 位整数按小端写入
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} value
+ */
+function writeUint32LE(bytes, offset, value) {
+  bytes[offset] = value & 0xff;
+  bytes[offset + 1] = (value >>> 8) & 0xff;
+  bytes[offset + 2] = (value >>> 16) & 0xff;
+  bytes[offset + 3] = (value >>> 24) & 0xff;
+}
+
+/**
+ * 20 轮 ChaCha 置换（原地修改 state）
+ * @param {Uint32Array} x - 16 个字
+ */
+function chachaRounds(x) {
+  const quarterRound = (a, b, c, d) => {
+    x[a] += x[b]; x[d] ^= x[a]; x[d] = (x[d] << 16) | (x[d] >>> 16);
+    x[c] += x[d]; x[b] ^= x[c]; x[b] = (x[b] << 12) | (x[b] >>> 20);
+    x[a] += x[b]; x[d] ^= x[a]; x[d] = (x[d] << 8) | (x[d] >>> 24);
+    x[c] += x[d]; x[b] ^= x[c]; x[b] = (x[b] << 7) | (x[b] >>> 25);
+  };
+  for (let i = 0; i < 10; i++) {
+    quarterRound(0, 4, 8, 12);
+    quarterRound(1, 5, 9, 13);
+    quarterRound(2, 6, 10, 14);
+    quarterRound(3, 7, 11, 15);
+    quarterRound(0, 5, 10, 15);
+    quarterRound(1, 6, 11, 12);
+    quarterRound(2, 7, 8, 13);
+    quarterRound(3, 4, 9, 14);
+  }
+}
+
+/**
+ * 初始状态：常量 | 密钥 | 16 字节输入（计数器 + nonce）
+ * @param {Uint8Array} key - 32 字节
+ * @param {Uint8Array} input - 16 字节
+ * @returns {Uint32Array}
+ */
+function initialState(key, input) {
+  const state = new Uint32Array(16);
+  state.set(SIGMA, 0);
+  for (let i = 0; i < 8; i++) {
+    state[4 + i] = readUint32LE(key, i * 4);
+  }
+  for (let i = 0; i < 4; i++) {
+    state[12 + i] = readUint32LE(input, i * 4);
+  }
+  return state;
+}
+
+/**
+ * ChaCha20 块函数，输出 64 字节密钥流
+ * @param {Uint8Array} key - 32 字节
+ * @param {number} counter
+ * @param {Uint8Array} nonce - 12 字节
+ * @returns {Uint8Array}
+ */
+function chachaBlock(key, counter, nonce) {
+  const input = new Uint8Array(16);
+  writeUint32LE(input, 0, counter);
+  input.set(nonce, 4);
+  const state = initialState(key, input);
+  const working = state.slice();
+  chachaRounds(working);
+  const output = new Uint8Array(64);
+  for (let i = 0; i < 16; i++) {
+    writeUint32LE(output, i * 4, (working[i] + state[i]) >>> 0);
+  }
+  return output;
+}
+
+/**
+ * HChaCha20：由密钥和 nonce 前 16 字节派生 XChaCha20 的子密钥
+ * @param {Uint8Array} key - 32 字节
+ * @param {Uint8Array} nonce16 - 16 字节
+ * @returns {Uint8Array} 32 字节子密钥
+ */
+export function hchacha20(key, nonce16) {
+  const working = initialState(key, nonce16);
+  chachaRounds(working);
+  const subkey = new Uint8Array(32);
+  for (let i = 0; i < 4; i++) {
+    writeUint32LE(subkey, i * 4, working[i]);
+    writeUint32LE(subkey, 16 + i * 4, working[12 + i]);
+  }
+  return subkey;
+}
+
+/**
+ * ChaCha20 流加密
+ * @param {Uint8Array} key
+ * @param {Uint8Array} nonce - 12 字节
+ * @param {number} counter - 起始计数器
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function chacha20Xor(key, nonce, counter, data) {
+  const output = new Uint8Array(data.length);
+  for (let offset = 0, block = counter; offset < data.length; offset += 64, block++) {
+    const keystream = chachaBlock(key, block, nonce);
+    const end = Math.min(offset + 64, data.length);
+    for (let i = offset; i < end; i++) {
+      output[i] = data[i] ^ keystream[i - offset];
+    }
+  }
+  return output;
+}
+
+/**
+ * 小端字节转 BigInt
+ * @param {Uint8Array} bytes
+ * @returns {bigint}
+ */
+function bytesToBigIntLE(bytes) {
+  let value = 0n;
+  for (let i = bytes.length - 1; i >= 0; i--) {
+    value = (value << 8n) | BigInt(bytes[i]);
+  }
+  return value;
+}
+
+/**
+ * Poly1305 一次性消息认证码
+ * @param {Uint8Array} oneTimeKey - 32 字节
+ * @param {Uint8Array} message
+ * @returns {Uint8Array} 16 字节 tag
+ */
+export function poly1305(oneTimeKey, message) {
+  const r = bytesToBigIntLE(oneTimeKey.subarray(0, 16)) & 0x0ffffffc0ffffffc0ffffffc0fffffffn;
+  const s = bytesToBigIntLE(oneTimeKey.subarray(16, 32));
+  let accumulator = 0n;
+  for (let offset = 0; offset < message.length; offset += 16) {
+    const chunk = message.subarray(offset, offset + 16);
+    const n = bytesToBigIntLE(chunk) | (1n << BigInt(chunk.length * 8));
+    accumulator = ((accumulator + n) * r) % POLY1305_P;
+  }
+  let tag = (accumulator + s) & MASK_128;
+  const output = new Uint8Array(TAG_LENGTH);
+  for (let i = 0; i < TAG_LENGTH; i++) {
+    output[i] = Number(tag & 0xffn);
+    tag >>= 8n;
+  }
+  return output;
+}
+
+/**
+ * AEAD 的 MAC 输入：aad | pad16 | ciphertext | pad16 | len(aad) | len(ciphertext)
+ * @param {Uint8Array} aad
+ * @param {Uint8Array} ciphertext
+ * @returns {Uint8Array}
+ */
+function macData(aad, ciphertext) {
+  const pad = (length) => new Uint8Array((16 - (length % 16)) % 16);
+  const lengths = new Uint8Array(16);
+  writeUint32LE(lengths, 0, aad.length);
+  writeUint32LE(lengths, 8, ciphertext.length);
+  return concatBytes(aad, pad(aad.length), ciphertext, pad(ciphertext.length), lengths);
+}
+
+/**
+ * XChaCha20 转换为 ChaCha20 的子密钥与 12 字节 nonce
+ * @param {Uint8Array} key
+ * @param {Uint8Array} nonce
+ * @returns {Object} { key, nonce }
+ */
+function resolveKeyAndNonce(key, nonce) {
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(`ChaCha20 密钥长度无效: ${key.length} 字节，应为 32 字节`);
+  }
+  if (nonce.length === 24) {
+    return { key: hchacha20(key, nonce.subarray(0, 16)), nonce: concatBytes(new Uint8Array(4), nonce.subarray(16)) };
+  }
+  if (nonce.length !== 12) {
+    throw new Error(`ChaCha20 nonce 长度无效: ${nonce.length} 字节，应为 12（XChaCha20 为 24）字节`);
+  }
+  return { key, nonce };
+}
+
+/**
+ * ChaCha20-Poly1305 加密；24 字节 nonce 时为 XChaCha20-Poly1305
+ * @param {Uint8Array} keyBytes - 32 字节
+ * @param {Uint8Array} nonce - 12 或 24 字节
+ * @param {Uint8Array} plaintext
+ * @param {Uint8Array} aad
+ * @returns {Object} { ciphertext, tag }
+ */
+export function chacha20Poly1305Encrypt(keyBytes, nonce, plaintext, aad = new Uint8Array(0)) {
+  const resolved = resolveKeyAndNonce(keyBytes, nonce);
+  const oneTimeKey = chachaBlock(resolved.key, 0, resolved.nonce).subarray(0, 32);
+  const ciphertext = chacha20Xor(resolved.key, resolved.nonce, 1, plaintext);
+  return { ciphertext, tag: poly1305(oneTimeKey, macData(aad, ciphertext)) };
+}
+
+/**
+ * ChaCha20-Poly1305 解密，tag 不匹配时抛出异常
+ * @param {Uint8Array} keyBytes
+ * @param {Uint8Array} nonce
+ * @param {Uint8Array} ciphertext
+ * @param {Uint8Array} tag
+ * @param {Uint8Array} aad
+ * @returns {Uint8Array} 明文
+ */
+export function chacha20Poly1305Decrypt(keyBytes, nonce, ciphertext, tag, aad = new Uint8Array(0)) {
+  const resolved = resolveKeyAndNonce(keyBytes, nonce);
+  const oneTimeKey = chachaBlock(resolved.key, 0, resolved.nonce).subarray(0, 32);
+  if (!constantTimeEqual(poly1305(oneTimeKey, macData(aad, ciphertext)), tag)) {
+    throw new Error('Poly1305 认证失败：tag 不匹配');
+  }
+  return chacha20Xor(resolved.key, resolved.nonce, 1, ciphertext);
+}
+
+/**
+ * ChaCha20-Poly1305 / XChaCha20-Poly1305 加密解密类
+ */
+export class ChaChaCipher {
+  /**
+   * 是否为 ChaCha 系列算法
+   * @param {string} algorithm - 如 ChaCha20-Poly1305
+   * @returns {boolean}
+   */
+  static supports(algorithm) {
+    return (algorithm || '').toUpperCase() in CHACHA_NONCE_LENGTHS;
+  }
+
+  /**
+   * 按算法固定 nonce 与 tag 长度
+   * @private
+   * @param {Object} config
+   * @returns {Object} AEAD 选项
+   */
+  static options(config) {
+    const algorithm = config.algorithm.split('/')[0].toUpperCase();
+    return {
+      ...getAeadOptions(config),
+      nonceLength: CHACHA_NONCE_LENGTHS[algorithm],
+      tagLength: TAG_LENGTH,
+      fixedNonceLength: true
+    };
+  }
+
+  /**
+   * 加密
+   * @param {string} plaintext - 明文
+   * @param {Object} config - 配置对象，nonce / tag / AAD 设置见 config.aead
+   * @param {Object} context - { aad, headers }；tag 单独放在请求头时写入 context.tag
+   * @returns {string} Base64 密文
+   */
+  static encrypt(plaintext, config, context = {}) {
+    return encryptWithConfig(plaintext, config, context, this.options(config), chacha20Poly1305Encrypt);
+  }
+
+  /**
+   * 解密，tag 校验失败时抛出异常
+   * @param {string} ciphertext - Base64 密文
+   * @param {Object} config - 配置对象
+   * @param {Object} context - { aad, tag, headers }
+   * @returns {string} 明文
+   */
+  static decrypt(ciphertext, config, context = {}) {
+    return decryptWithConfig(ciphertext, config, context, this.options(config), chacha20Poly1305Decrypt);
+  }
+}
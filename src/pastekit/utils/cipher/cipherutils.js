@@ -1,9 +1,11 @@
-import CryptoJS from 'crypto-js';
 import { EncodingUtils } from './encodingutils.js';
 import { AESCipher } from './aescipher.js';
 import { RSACipher } from './rsacipher.js';
 import { SM2Cipher } from './sm2cipher.js';
 import { SM4Cipher } from './sm4cipher.js';
+import { ChaChaCipher } from './chachacipher.js';
+import { EnvelopeCipher } from './envelopecipher.js';
+import { KeyDerivation } from './keyderivation.js';
 
 /**
  * 主要的加密解密工具类
@@ -13,10 +15,25 @@ export class CipherUtils {
    * 通用加密方法
    * @param {string} plaintext - 明文
    * @param {Object} config - 加密配置
+   * @param {Object} context - 可选的运行时信息 { aad, headers, keyConfigs }，AEAD 模式的 tag 单独输出时写入 context.tag，
+   *                           配置了秘钥派生时派生出的材料写入 context.derived
    * @returns {string} 密文
    */
-  static encrypt(plaintext, config) {
+  static encrypt(plaintext, config, context = {}) {
     const { algorithm, plainEncoding = ['UTF8'], cipherEncoding = ['BASE64'] } = config;
+
+    // 信封配置自行组织报文，编码由内部的非对称与对称配置处理
+    if (EnvelopeCipher.supports(config)) {
+      return EnvelopeCipher.encrypt(plaintext, config, context);
+    }
+
+    // 秘钥派生：用派生出的密钥 / IV 替换配置，盐需要放在密文前时加密后再拼接
+    let saltPrefix = new Uint8Array(0);
+    if (KeyDerivation.isEnabled(config)) {
+      const derivation = KeyDerivation.forEncrypt(config, context);
+      config = derivation.config;
+      saltPrefix = derivation.prefix;
+    }
     
     // 处理明文编码
     const processedPlaintext = EncodingUtils.processPlaintextEncoding(plaintext, plainEncoding);
@@ -39,32 +56,33 @@ export class CipherUtils {
     
     switch (mainAlgorithm) {
       case 'AES':
-        ciphertext = AESCipher.encrypt(processedPlaintext, algorithmConfig);
+        ciphertext = AESCipher.encrypt(processedPlaintext, algorithmConfig, context);
         break;
       case 'SM2':
         ciphertext = SM2Cipher.encrypt(processedPlaintext, config);
         break;
       case 'SM4':
-        ciphertext = SM4Cipher.encrypt(processedPlaintext, algorithmConfig);
-        // SM4 返回的是 hex 格式，如果最终需要 BASE64 输出，在此处转换
-        // 注意：不要在这里就转 Base64，而是保持 hex 格式传递给后续处理
+        ciphertext = SM4Cipher.encrypt(processedPlaintext, algorithmConfig, context);
         break;
       case 'RSA':
         ciphertext = RSACipher.encrypt(processedPlaintext, config);
         break;
+      case 'CHACHA20-POLY1305':
+      case 'XCHACHA20-POLY1305':
+        ciphertext = ChaChaCipher.encrypt(processedPlaintext, config, context);
+        break;
+      case 'EC':
+      case 'ED25519':
+        throw new Error(`${algorithm} 配置仅用于签名 / 验签，不能加密`);
       default:
         throw new Error(`不支持的加密算法: ${algorithm}`);
     }
+    ciphertext = KeyDerivation.prependSalt(ciphertext, saltPrefix);
     
     // 对密文进行后处理编码 - 统一使用 EncodingUtils
     if (cipherEncoding && cipherEncoding.length > 0) {
-      // SM4 返回的是 HEX 格式，需要转换为 Base64 或其他指定格式
-      if (mainAlgorithm === 'SM4') {
-        ciphertext = EncodingUtils.encode(ciphertext, 'HEX', cipherEncoding);
-      } else {
-        // AES/RSA 等算法的密文通常已经是 Base64 格式
-        ciphertext = EncodingUtils.encode(ciphertext, 'Base64', cipherEncoding);
-      }
+      // 各算法的密文均为 Base64 格式
+      ciphertext = EncodingUtils.encode(ciphertext, 'Base64', cipherEncoding);
     }
     
     return ciphertext;
@@ -74,10 +92,16 @@ export class CipherUtils {
    * 通用解密方法
    * @param {string} ciphertext - 密文
    * @param {Object} config - 解密配置
+   * @param {Object} context - 可选的运行时信息 { aad, tag, headers, keyConfigs }，供 AEAD 模式取 AAD 与单独传输的 tag，
+   *                           信封配置从 keyConfigs 中查找包装会话密钥的配置，派生出的秘钥材料写入 context.derived
    * @returns {string} 明文
    */
-  static decrypt(ciphertext, config) {
+  static decrypt(ciphertext, config, context = {}) {
     const { algorithm, plainEncoding = ['UTF8'], cipherEncoding = ['BASE64'] } = config;
+
+    if (EnvelopeCipher.supports(config)) {
+      return EnvelopeCipher.decrypt(ciphertext, config, context);
+    }
     
     // 解析算法配置
     const algParts = algorithm.split('/');
@@ -88,13 +112,15 @@ export class CipherUtils {
         
     // 如果有编码配置，使用 EncodingUtils 进行解码处理
     if (cipherEncoding && cipherEncoding.length > 0) {
-      if (mainAlgorithm === 'SM4') {
-        // SM4 密文通常是 BASE64 格式，需要解码为 HEX
-        processedCiphertext = EncodingUtils.decode(ciphertext, "BASE64", cipherEncoding);
-      } else {
-        // AES/RSA 等算法的密文通常已经是 Base64 格式，可以直接使用
-        processedCiphertext = EncodingUtils.decode(ciphertext, "BASE64", cipherEncoding);
-      }
+      // 各算法均接收 Base64 格式的密文
+      processedCiphertext = EncodingUtils.decode(ciphertext, "BASE64", cipherEncoding);
+    }
+
+    // 秘钥派生：盐在密文开头时先取出并去掉
+    if (KeyDerivation.isEnabled(config)) {
+      const derivation = KeyDerivation.forDecrypt(processedCiphertext, config, context);
+      config = derivation.config;
+      processedCiphertext = derivation.ciphertext;
     }
     
     // 根据算法选择解密方式
@@ -102,25 +128,25 @@ export class CipherUtils {
     
     switch (mainAlgorithm) {
       case 'AES':
-        plaintext = AESCipher.decrypt(processedCiphertext, config);
+        // 与加密一致，以算法字符串中的模式为准
+        plaintext = AESCipher.decrypt(processedCiphertext, { ...config, mode: algParts[1] ? algParts[1].toUpperCase() : config.mode }, context);
         break;
       case 'SM2':
         plaintext = SM2Cipher.decrypt(processedCiphertext, config);
         break;
       case 'SM4':
-        // SM4Cipher.decrypt 接收 HEX 格式的密文
-        // 如果 cipherEncoding 包含 BASE64，需要先从 Base64 转为 HEX
-        let hexCiphertext = processedCiphertext;
-        if (!cipherEncoding.includes('HEX')) {
-          // 默认是 BASE64 格式，需要转换为 HEX
-          const wordArray = CryptoJS.enc.Base64.parse(processedCiphertext);
-          hexCiphertext = wordArray.toString(CryptoJS.enc.Hex);
-        }
-        plaintext = SM4Cipher.decrypt(hexCiphertext, config);
+        plaintext = SM4Cipher.decrypt(processedCiphertext, { ...config, mode: algParts[1] ? algParts[1].toUpperCase() : config.mode }, context);
         break;
       case 'RSA':
         plaintext = RSACipher.decrypt(processedCiphertext, config);
         break;
+      case 'CHACHA20-POLY1305':
+      case 'XCHACHA20-POLY1305':
+        plaintext = ChaChaCipher.decrypt(processedCiphertext, config, context);
+        break;
+      case 'EC':
+      case 'ED25519':
+        throw new Error(`${algorithm} 配置仅用于签名 / 验签，不能解密`);
       default:
         throw new Error(`不支持的解密算法: ${algorithm}`);
     }
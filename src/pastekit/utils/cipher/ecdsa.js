@@ -0,0 +1,438 @@
+import forge from 'node-forge';
+
+const { BigInteger } = forge.jsbn;
+
+const big = (hex) => new BigInteger(hex, 16);
+const THREE = new BigInteger('3');
+
+/**
+ * 创建曲线参数（short Weierstrass，a = -3）
+ * @param {Object} params - 十六进制的 p / b / gx / gy / n
+ * @returns {Object}
+ */
+function defineCurve({ oid, p, b, gx, gy, n, bits }) {
+  const prime = big(p);
+  return {
+    oid,
+    bits,
+    byteLength: Math.ceil(bits / 8),
+    p: prime,
+    a: prime.subtract(THREE),
+    b: big(b),
+    g: { x: big(gx), y: big(gy) },
+    n: big(n)
+  };
+}
+
+/**
+ * ECDSA 支持的曲线（NIST P-256 / P-384 / P-521），SM2 由 sm-crypto 处理
+ */
+export const EC_CURVES = {
+  'P-256': defineCurve({
+    oid: '1.2.840.10045.3.1.7',
+    bits: 256,
+    p: 'ffffffff00000001000000000000000000000000ffffffffffffffffffffffff',
+    b: '5ac635d8aa3a93e7b3ebbd55769886bc651d06b0cc53b0f63bce3c3e27d2604b',
+    gx: '6b17d1f2e12c4247f8bce6e563a440f277037d812deb33a0f4a13945d898c296',
+    gy: '4fe342e2fe1a7f9b8ee7eb4a7c0f9e162bce33576b315ececbb6406837bf51f5',
+    n: 'ffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551'
+  }),
+  'P-384': defineCurve({
+    oid: '1.3.132.0.34',
+    bits: 384,
+    p: 'fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffeffffffff0000000000000000ffffffff',
+    b: 'b3312fa7e23ee7e4988e056be3f82d19181d9c6efe8141120314088f5013875ac656398d8a2ed19d2a85c8edd3ec2aef',
+    gx: 'aa87ca22be8b05378eb1c71ef320ad746e1d3b628ba79b9859f741e082542a385502f25dbf55296c3a545e3872760ab7',
+    gy: '3617de4a96262c6f5d9e98bf9292dc29f8f41dbd289a147ce9da3113b5f0b8c00a60b1ce1d7e819d7a431d7c90ea0e5f',
+    n: 'ffffffffffffffffffffffffffffffffffffffffffffffffc7634d81f4372ddf581a0db248b0a77aecec196accc52973'
+  }),
+  'P-521': defineCurve({
+    oid: '1.3.132.0.35',
+    bits: 521,
+    p: '01' + 'f'.repeat(130),
+    b: '0051953eb9618e1c9a1f929a21a0b68540eea2da725b99b315f3b8b489918ef109e156193951ec7e937b1652c0bd3bb1bf073573df883d2c34f1ef451fd46b503f00',
+    gx: '00c6858e06b70404e9cd9e3ecb662395b4429c648139053fb521f828af606b4d3dbaa14b5e77efe75928fe1dc127a2ffa8de3348b3c1856a429bf97e7e31c2e5bd66',
+    gy: '011839296a789a3bc0045c8a5fb42c7d1bd998f54449579b446817afbd17273e662c97ee72995ef42640c550b9013fad0761353c7086a272c24088be94769fd16650',
+    n: '01fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffa51868783bf2f966b7fcc0148f709a5d03bb5c9b8899c47aebb6fb71e91386409'
+  })
+};
+
+// ECDSA 签名格式：DER 为 SEQUENCE { r, s }，RAW 为定长 r||s（JWS / WebCrypto）
+export const ECDSA_SIGNATURE_FORMATS = ['DER', 'RAW'];
+
+/**
+ * 按 OID 查找曲线名称
+ * @param {string} oid
+ * @returns {string|null}
+ */
+export function curveNameByOid(oid) {
+  return Object.keys(EC_CURVES).find(name => EC_CURVES[name].oid === oid) || null;
+}
+
+/**
+ * 获取曲线，不支持时抛出异常
+ * @param {string} name
+ * @returns {Object}
+ */
+function getCurve(name) {
+  const curve = EC_CURVES[name];
+  if (!curve) {
+    throw new Error(`不支持的椭圆曲线: ${name}，可选: ${Object.keys(EC_CURVES).join(' / ')}`);
+  }
+  return curve;
+}
+
+/**
+ * 雅可比坐标下的倍点，null 表示无穷远点
+ * @param {Object|null} point - { x, y, z }
+ * @param {Object} curve
+ * @returns {Object|null}
+ */
+function pointDouble(point, curve) {
+  if (!point || point.y.signum() === 0) {
+    return null;
+  }
+  const { p, a } = curve;
+  const { x, y, z } = point;
+  const ySquared = y.multiply(y).mod(p);
+  const s = x.multiply(ySquared).shiftLeft(2).mod(p);
+  const zSquared = z.multiply(z).mod(p);
+  const m = x.multiply(x).multiply(THREE).add(a.multiply(zSquared.multiply(zSquared))).mod(p);
+  const x3 = m.multiply(m).subtract(s.shiftLeft(1)).mod(p);
+  const y3 = m.multiply(s.subtract(x3)).subtract(ySquared.multiply(ySquared).shiftLeft(3)).mod(p);
+  const z3 = y.multiply(z).shiftLeft(1).mod(p);
+  return { x: x3, y: y3, z: z3 };
+}
+
+/**
+ * 雅可比坐标下的点加
+ * @param {Object|null} first
+ * @param {Object|null} second
+ * @param {Object} curve
+ * @returns {Object|null}
+ */
+function pointAdd(first, second, curve) {
+  if (!first) {
+    return second;
+  }
+  if (!second) {
+    return first;
+  }
+  const { p } = curve;
+  const z1Squared = first.z.multiply(first.z).mod(p);
+  const z2Squared = second.z.multiply(second.z).mod(p);
+  const u1 = first.x.multiply(z2Squared).mod(p);
+  const u2 = second.x.multiply(z1Squared).mod(p);
+  const s1 = first.y.multiply(z2Squared).multiply(second.z).mod(p);
+  const s2 = second.y.multiply(z1Squared).multiply(first.z).mod(p);
+  if (u1.equals(u2)) {
+    return s1.equals(s2) ? pointDouble(first, curve) : null;
+  }
+  const h = u2.subtract(u1).mod(p);
+  const r = s2.subtract(s1).mod(p);
+  const hSquared = h.multiply(h).mod(p);
+  const hCubed = hSquared.multiply(h).mod(p);
+  const u1hSquared = u1.multiply(hSquared).mod(p);
+  const x3 = r.multiply(r).subtract(hCubed).subtract(u1hSquared.shiftLeft(1)).mod(p);
+  const y3 = r.multiply(u1hSquared.subtract(x3)).subtract(s1.multiply(hCubed)).mod(p);
+  const z3 = h.multiply(first.z).multiply(second.z).mod(p);
+  return { x: x3, y: y3, z: z3 };
+}
+
+/**
+ * 标量乘法（从高位开始的倍点-点加）
+ * @param {Object} affine - { x, y }
+ * @param {BigInteger} k
+ * @param {Object} curve
+ * @returns {Object|null} 仿射坐标点
+ */
+function multiply(affine, k, curve) {
+  const base = { x: affine.x, y: affine.y, z: BigInteger.ONE };
+  let result = null;
+  for (let i = k.bitLength() - 1; i >= 0; i--) {
+    result = pointDouble(result, curve);
+    if (k.testBit(i)) {
+      result = pointAdd(result, base, curve);
+    }
+  }
+  return toAffine(result, curve);
+}
+
+/**
+ * 雅可比坐标转仿射坐标
+ * @param {Object|null} point
+ * @param {Object} curve
+ * @returns {Object|null}
+ */
+function toAffine(point, curve) {
+  if (!point) {
+    return null;
+  }
+  const { p } = curve;
+  const zInverse = point.z.modInverse(p);
+  const zInverseSquared = zInverse.multiply(zInverse).mod(p);
+  return {
+    x: point.x.multiply(zInverseSquared).mod(p),
+    y: point.y.multiply(zInverseSquared).multiply(zInverse).mod(p)
+  };
+}
+
+/**
+ * 点是否在曲线上
+ * @param {Object} point - { x, y }
+ * @param {Object} curve
+ * @returns {boolean}
+ */
+function isOnCurve(point, curve) {
+  const { p, a, b } = curve;
+  const left = point.y.multiply(point.y).mod(p);
+  const right = point.x.multiply(point.x).multiply(point.x).add(a.multiply(point.x)).add(b).mod(p);
+  return left.equals(right);
+}
+
+/**
+ * 定长十六进制
+ * @param {BigInteger} value
+ * @param {number} byteLength
+ * @returns {string}
+ */
+function toFixedHex(value, byteLength) {
+  return value.toString(16).padStart(byteLength * 2, '0');
+}
+
+/**
+ * 解析公钥点，支持未压缩（04）与压缩（02 / 03）格式
+ * @param {string} publicHex
+ * @param {Object} curve
+ * @returns {Object} { x, y }
+ */
+function decodePoint(publicHex, curve) {
+  const hex = publicHex.toLowerCase();
+  const length = curve.byteLength * 2;
+  const prefix = hex.substring(0, 2);
+  let point;
+  if (prefix === '04' && hex.length === 2 + length * 2) {
+    point = { x: big(hex.substring(2, 2 + length)), y: big(hex.substring(2 + length)) };
+  } else if ((prefix === '02' || prefix === '03') && hex.length === 2 + length) {
+    const { p, a, b } = curve;
+    const x = big(hex.substring(2));
+    // 三条 NIST 曲线都满足 p ≡ 3 (mod 4)，平方根为 (x³ + ax + b)^((p + 1) / 4)
+    let y = x.multiply(x).multiply(x).add(a.multiply(x)).add(b).mod(p).modPow(p.add(BigInteger.ONE).shiftRight(2), p);
+    if (y.testBit(0) !== (prefix === '03')) {
+      y = p.subtract(y);
+    }
+    point = { x, y };
+  } else {
+    throw new Error(`EC 公钥长度或格式无效，应为 04||x||y（${1 + curve.byteLength * 2} 字节）`);
+  }
+  if (!isOnCurve(point, curve)) {
+    throw new Error('EC 公钥不在曲线上');
+  }
+  return point;
+}
+
+/**
+ * 摘要转为整数，超出曲线阶位数时截取高位（bits2int）
+ * @param {string} binary
+ * @param {Object} curve
+ * @returns {BigInteger}
+ */
+function bits2int(binary, curve) {
+  let value = big(forge.util.bytesToHex(binary) || '0');
+  const excess = binary.length * 8 - curve.n.bitLength();
+  if (excess > 0) {
+    value = value.shiftRight(excess);
+  }
+  return value;
+}
+
+/**
+ * RFC 6979 确定性 k
+ * @param {Object} curve
+ * @param {BigInteger} d
+ * @param {string} digest - 消息摘要（二进制字符串）
+ * @param {string} hashName - forge 摘要名
+ * @returns {function(): BigInteger} 依次产生候选 k
+ */
+function deterministicK(curve, d, digest, hashName) {
+  const { n, byteLength } = curve;
+  const hmac = (key, data) => {
+    const mac = forge.hmac.create();
+    mac.start(hashName, key);
+    mac.update(data);
+    return mac.digest().getBytes();
+  };
+  const hashLength = forge.md[hashName].create().digestLength;
+  const x = forge.util.hexToBytes(toFixedHex(d, byteLength));
+  const h = forge.util.hexToBytes(toFixedHex(bits2int(digest, curve).mod(n), byteLength));
+
+  let v = '\x01'.repeat(hashLength);
+  let k = '\x00'.repeat(hashLength);
+  k = hmac(k, v + '\x00' + x + h);
+  v = hmac(k, v);
+  k = hmac(k, v + '\x01' + x + h);
+  v = hmac(k, v);
+
+  return () => {
+    for (;;) {
+      let t = '';
+      while (t.length < byteLength) {
+        v = hmac(k, v);
+        t += v;
+      }
+      const candidate = bits2int(t.substring(0, byteLength), curve);
+      k = hmac(k, v + '\x00');
+      v = hmac(k, v);
+      if (candidate.signum() > 0 && candidate.compareTo(n) < 0) {
+        return candidate;
+      }
+    }
+  };
+}
+
+/**
+ * ECDSA 实现（NIST 曲线），k 按 RFC 6979 确定性生成
+ */
+export class Ecdsa {
+  /**
+   * 由私钥计算未压缩公钥
+   * @param {string} curveName - P-256 / P-384 / P-521
+   * @param {string} privateHex
+   * @returns {string} 04||x||y 十六进制
+   */
+  static publicKeyFromPrivate(curveName, privateHex) {
+    const curve = getCurve(curveName);
+    const point = multiply(curve.g, big(privateHex), curve);
+    return '04' + toFixedHex(point.x, curve.byteLength) + toFixedHex(point.y, curve.byteLength);
+  }
+
+  /**
+   * 校验公钥并转为未压缩格式
+   * @param {string} curveName
+   * @param {string} publicHex - 04||x||y 或压缩格式
+   * @returns {string} 04||x||y 十六进制
+   */
+  static normalizePublicKey(curveName, publicHex) {
+    const curve = getCurve(curveName);
+    const point = decodePoint(publicHex, curve);
+    return '04' + toFixedHex(point.x, curve.byteLength) + toFixedHex(point.y, curve.byteLength);
+  }
+
+  /**
+   * 生成密钥对
+   * @param {string} curveName
+   * @returns {Object} { privateKey, publicKey }，十六进制
+   */
+  static generateKeyPair(curveName) {
+    const curve = getCurve(curveName);
+    let d;
+    do {
+      d = big(forge.util.bytesToHex(forge.random.getBytesSync(curve.byteLength))).mod(curve.n);
+    } while (d.signum() === 0);
+    const privateKey = toFixedHex(d, curve.byteLength);
+    return { privateKey, publicKey: this.publicKeyFromPrivate(curveName, privateKey) };
+  }
+
+  /**
+   * 对摘要签名
+   * @param {string} curveName
+   * @param {string} privateHex
+   * @param {string} digest - 消息摘要（二进制字符串）
+   * @param {string} hashName - 摘要算法（sha1 / sha256 / sha384 / sha512），用于生成 k
+   * @returns {Object} { r, s }，BigInteger
+   */
+  static sign(curveName, privateHex, digest, hashName) {
+    const curve = getCurve(curveName);
+    const { n } = curve;
+    const d = big(privateHex);
+    if (d.signum() <= 0 || d.compareTo(n) >= 0) {
+      throw new Error('EC 私钥超出曲线阶的范围');
+    }
+    const e = bits2int(digest, curve);
+    const nextK = deterministicK(curve, d, digest, hashName);
+    for (;;) {
+      const k = nextK();
+      const r = multiply(curve.g, k, curve).x.mod(n);
+      if (r.signum() === 0) {
+        continue;
+      }
+      const s = k.modInverse(n).multiply(e.add(d.multiply(r))).mod(n);
+      if (s.signum() !== 0) {
+        return { r, s };
+      }
+    }
+  }
+
+  /**
+   * 验证摘要的签名
+   * @param {string} curveName
+   * @param {string} publicHex - 04||x||y 或压缩格式
+   * @param {string} digest - 消息摘要（二进制字符串）
+   * @param {Object} signature - { r, s }
+   * @returns {boolean}
+   */
+  static verify(curveName, publicHex, digest, { r, s }) {
+    const curve = getCurve(curveName);
+    const { n } = curve;
+    if (r.signum() <= 0 || s.signum() <= 0 || r.compareTo(n) >= 0 || s.compareTo(n) >= 0) {
+      return false;
+    }
+    const q = decodePoint(publicHex, curve);
+    const w = s.modInverse(n);
+    const u1 = bits2int(digest, curve).multiply(w).mod(n);
+    const u2 = r.multiply(w).mod(n);
+    const toJacobian = (point) => point && { ...point, z: BigInteger.ONE };
+    const point = toAffine(pointAdd(toJacobian(multiply(curve.g, u1, curve)), toJacobian(multiply(q, u2, curve)), curve), curve);
+    return !!point && point.x.mod(n).equals(r);
+  }
+
+  /**
+   * 编码签名
+   * @param {Object} signature - { r, s }
+   * @param {string} curveName
+   * @param {string} format - DER | RAW
+   * @returns {string} 二进制字符串
+   */
+  static encodeSignature({ r, s }, curveName, format = 'DER') {
+    const curve = getCurve(curveName);
+    if (format === 'RAW') {
+      return forge.util.hexToBytes(toFixedHex(r, curve.byteLength) + toFixedHex(s, curve.byteLength));
+    }
+    const { asn1 } = forge;
+    // toByteArray 为补码表示，最高位为 1 时自带前导 0x00，正好是 DER INTEGER 的内容
+    const integer = (value) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false,
+      String.fromCharCode(...value.toByteArray().map(byte => byte & 0xff)));
+    return asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [integer(r), integer(s)])).getBytes();
+  }
+
+  /**
+   * 解码签名
+   * @param {string} binary
+   * @param {string} curveName
+   * @param {string} format - DER | RAW
+   * @returns {Object} { r, s }
+   */
+  static decodeSignature(binary, curveName, format = 'DER') {
+    const curve = getCurve(curveName);
+    if (format === 'RAW') {
+      if (binary.length !== curve.byteLength * 2) {
+        throw new Error(`${curveName} 的 r||s 签名应为 ${curve.byteLength * 2} 字节，实际 ${binary.length} 字节`);
+      }
+      return {
+        r: big(forge.util.bytesToHex(binary.substring(0, curve.byteLength))),
+        s: big(forge.util.bytesToHex(binary.substring(curve.byteLength)))
+      };
+    }
+    let node;
+    try {
+      node = forge.asn1.fromDer(binary);
+    } catch (error) {
+      throw new Error(`ECDSA 签名不是有效的 DER: ${error.message}`);
+    }
+    const [r, s] = node.value || [];
+    if (!r || !s) {
+      throw new Error('ECDSA 签名应为 SEQUENCE { r, s }');
+    }
+    return { r: big(forge.util.bytesToHex(r.value)), s: big(forge.util.bytesToHex(s.value)) };
+  }
+}
@@ -0,0 +1,353 @@
+import { CipherUtils } from './cipherutils.js';
+import { ChaChaCipher, CHACHA_NONCE_LENGTHS } from './chachacipher.js';
+import { isAeadMode, getAeadOptions, findHeader, decodeBytes, encodeBytes, concatBytes, randomBytes } from './aeadmodes.js';
+
+/**
+ * 信封加密（混合加密）：会话密钥用 RSA/SM2 配置加密，报文体用对称算法加密，
+ * 典型格式为 { "key": RSA(aesKey), "data": AES(body) }
+ * 包装密钥所用的非对称配置按名称引用，运行时从 context.keyConfigs 中查找
+ */
+
+export const ENVELOPE_ALGORITHM = 'ENVELOPE';
+
+// 会话密钥密文的位置：JSON 字段、请求头、或整个报文解码后的字节偏移
+export const ENVELOPE_KEY_SOURCES = ['json', 'header', 'bytes'];
+
+// IV 的位置：config 表示使用配置中固定的 IV
+export const ENVELOPE_IV_SOURCES = ['config', 'json', 'header', 'bytes'];
+
+// 报文密文的位置：body 表示整个请求体就是密文
+export const ENVELOPE_DATA_SOURCES = ['json', 'body', 'bytes'];
+
+// 解出的会话密钥如何转为密钥字节
+export const SESSION_KEY_ENCODINGS = ['UTF8', 'HEX', 'BASE64'];
+
+export const DEFAULT_ENVELOPE_OPTIONS = {
+  keyConfig: '',
+  bodyAlgorithm: 'AES/CBC/PKCS5Padding',
+  sessionKeyLength: 16,
+  sessionKeyEncoding: 'UTF8',
+  bytesEncoding: 'BASE64',
+  key: { source: 'json', path: 'key', header: '', offset: 0, length: 256 },
+  iv: { source: 'config', path: 'iv', header: '', encoding: 'BASE64', offset: 256, length: 16 },
+  data: { source: 'json', path: 'data', offset: 272 }
+};
+
+const ALPHANUMERIC = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * 路径拆分，写法与配方的 json_extract 一致：data.key、items[0].id、$.data
+ * @param {string} path
+ * @returns {Array<string>}
+ */
+function splitPath(path) {
+  return (path || '').trim().replace(/^\$\.?/, '').replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+}
+
+/**
+ * 按路径读取字符串值
+ * @param {Object} target
+ * @param {string} path
+ * @returns {string}
+ */
+function readPath(target, path) {
+  const value = splitPath(path).reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), target);
+  if (typeof value !== 'string' || !value) {
+    throw new Error(`信封字段不存在或不是字符串: ${path}`);
+  }
+  return value;
+}
+
+/**
+ * 按路径写入值，缺少的中间对象会自动创建
+ * @param {Object} target
+ * @param {string} path
+ * @param {string} value
+ */
+function writePath(target, path, value) {
+  const keys = splitPath(path);
+  if (keys.length === 0) {
+    throw new Error('信封字段路径为空');
+  }
+  const parent = keys.slice(0, -1).reduce((current, key) => {
+    if (current[key] === null || typeof current[key] !== 'object') {
+      current[key] = {};
+    }
+    return current[key];
+  }, target);
+  parent[keys[keys.length - 1]] = value;
+}
+
+/**
+ * 生成随机会话密钥
+ * @param {Object} options - 信封选项
+ * @returns {string} 按 sessionKeyEncoding 表示的会话密钥
+ */
+function generateSessionKey(options) {
+  const length = Number(options.sessionKeyLength);
+  const bytes = randomBytes(length);
+  switch (options.sessionKeyEncoding) {
+    case 'HEX':
+      return encodeBytes(bytes, 'HEX');
+    case 'BASE64':
+      return encodeBytes(bytes, 'BASE64');
+    default:
+      // 很多客户端直接用随机的字母数字串作为 AES 密钥
+      return Array.from(bytes, byte => ALPHANUMERIC[byte % ALPHANUMERIC.length]).join('');
+  }
+}
+
+/**
+ * 信封加密
+ */
+export class EnvelopeCipher {
+  /**
+   * 是否为信封配置
+   * @param {Object} config
+   * @returns {boolean}
+   */
+  static supports(config) {
+    return (config?.algorithm || '').split('/')[0].toUpperCase() === ENVELOPE_ALGORITHM;
+  }
+
+  /**
+   * 合并默认选项（key / iv / data 逐项合并）
+   * @param {Object} config
+   * @returns {Object}
+   */
+  static getOptions(config) {
+    const envelope = config.envelope || {};
+    return {
+      ...DEFAULT_ENVELOPE_OPTIONS,
+      ...envelope,
+      key: { ...DEFAULT_ENVELOPE_OPTIONS.key, ...envelope.key },
+      iv: { ...DEFAULT_ENVELOPE_OPTIONS.iv, ...envelope.iv },
+      data: { ...DEFAULT_ENVELOPE_OPTIONS.data, ...envelope.data }
+    };
+  }
+
+  /**
+   * 查找包装会话密钥的非对称配置
+   * @param {Object} options - 信封选项
+   * @param {Object} context - { keyConfigs }
+   * @returns {Object}
+   */
+  static resolveKeyConfig(options, context = {}) {
+    if (!options.keyConfig) {
+      throw new Error('信封配置未指定包装会话密钥的秘钥配置');
+    }
+    const keyConfig = (context.keyConfigs || []).find(c => c.name === options.keyConfig);
+    if (!keyConfig) {
+      throw new Error(`找不到信封引用的秘钥配置: ${options.keyConfig}`);
+    }
+    const type = (keyConfig.algorithmType || keyConfig.algorithm?.split('/')[0] || '').toUpperCase();
+    if (type !== 'RSA' && type !== 'SM2') {
+      throw new Error(`信封引用的秘钥配置必须是 RSA 或 SM2: ${options.keyConfig}`);
+    }
+    return keyConfig;
+  }
+
+  /**
+   * 报文体对称加密所需的 IV / nonce 长度
+   * @param {Object} bodyConfig
+   * @returns {number}
+   */
+  static getIvLength(bodyConfig) {
+    if (ChaChaCipher.supports(bodyConfig.algorithmType)) {
+      return CHACHA_NONCE_LENGTHS[bodyConfig.algorithmType.toUpperCase()];
+    }
+    if (isAeadMode(bodyConfig.mode)) {
+      return Number(getAeadOptions(bodyConfig).nonceLength);
+    }
+    return 16;
+  }
+
+  /**
+   * 由信封配置和会话密钥构造报文体的对称配置
+   * @param {Object} config - 信封配置，IV、AEAD 与明文/密文编码沿用其中的设置
+   * @param {Object} options - 信封选项
+   * @param {string} sessionKey - 会话密钥
+   * @param {Object|null} iv - 从报文中取出的 IV，null 时使用配置中的 IV
+   * @returns {Object}
+   */
+  static buildBodyConfig(config, options, sessionKey, iv) {
+    const [algorithmType, mode = '', padding = ''] = options.bodyAlgorithm.split('/');
+    return {
+      ...config,
+      algorithm: options.bodyAlgorithm,
+      algorithmType,
+      mode,
+      padding,
+      key: { value: sessionKey, encoding: [options.sessionKeyEncoding] },
+      iv: iv || config.iv
+    };
+  }
+
+  /**
+   * 从报文中拆出会话密钥密文、IV 与报文密文
+   * @param {string} envelope - 报文
+   * @param {Object} options - 信封选项
+   * @param {Object} context - { headers }
+   * @returns {Object} { wrappedKey, iv, data }，字节偏移取出的部分为 Base64
+   */
+  static unpack(envelope, options, context = {}) {
+    const sources = [options.key.source, options.iv.source, options.data.source];
+    const text = envelope.trim();
+    const json = sources.includes('json') ? this.parseJson(text) : null;
+    const bytes = sources.includes('bytes') ? decodeBytes(text, options.bytesEncoding) : null;
+
+    const slice = ({ offset, length }) => {
+      const start = Number(offset) || 0;
+      const end = length ? start + Number(length) : bytes.length;
+      if (end > bytes.length) {
+        throw new Error(`信封报文长度不足: 需要 ${end} 字节，实际 ${bytes.length} 字节`);
+      }
+      return bytes.subarray(start, end);
+    };
+    const header = (name) => {
+      const value = findHeader(context.headers, name);
+      if (!value) {
+        throw new Error(`请求头中缺少 ${name}`);
+      }
+      return value;
+    };
+    const locate = (location) => {
+      switch (location.source) {
+        case 'json':
+          return readPath(json, location.path);
+        case 'header':
+          return header(location.header);
+        case 'bytes':
+          return encodeBytes(slice(location), 'BASE64');
+        default:
+          return text;
+      }
+    };
+
+    let iv = null;
+    if (options.iv.source === 'bytes') {
+      iv = { value: encodeBytes(slice(options.iv), 'HEX'), encoding: ['HEX'] };
+    } else if (options.iv.source !== 'config') {
+      iv = { value: locate(options.iv), encoding: [options.iv.encoding] };
+    }
+
+    return { wrappedKey: locate(options.key), iv, data: locate(options.data) };
+  }
+
+  /**
+   * 解析 JSON 报文
+   * @param {string} text
+   * @returns {Object}
+   */
+  static parseJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      throw new Error('信封报文不是有效的 JSON');
+    }
+  }
+
+  /**
+   * 解密：先用非对称配置解出会话密钥，再解密报文
+   * @param {string} envelope - 报文
+   * @param {Object} config - 信封配置
+   * @param {Object} context - { keyConfigs, headers }；解出的会话密钥写入 context.sessionKey
+   * @returns {string} 明文
+   */
+  static decrypt(envelope, config, context = {}) {
+    const options = this.getOptions(config);
+    const keyConfig = this.resolveKeyConfig(options, context);
+    const parts = this.unpack(envelope, options, context);
+
+    // 字节偏移取出的部分统一按 Base64 交给下层解密
+    const asBase64 = (location, target) => (location.source === 'bytes' ? { ...target, cipherEncoding: ['BASE64'] } : target);
+
+    const sessionKey = CipherUtils.decrypt(parts.wrappedKey, asBase64(options.key, keyConfig));
+    if (!sessionKey) {
+      throw new Error('会话密钥解密结果为空');
+    }
+    const bodyConfig = asBase64(options.data, this.buildBodyConfig(config, options, sessionKey, parts.iv));
+    const plaintext = CipherUtils.decrypt(parts.data, bodyConfig, context);
+    context.sessionKey = sessionKey;
+    return plaintext;
+  }
+
+  /**
+   * 加密：生成（或沿用 context.sessionKey）会话密钥，构造可重放的信封报文
+   * @param {string} plaintext - 明文
+   * @param {Object} config - 信封配置
+   * @param {Object} context - { keyConfigs, sessionKey, template }；template 为原始 JSON 报文，其余字段原样保留；
+   *                           放在请求头中的部分写入 context.outputHeaders
+   * @returns {string} 报文
+   */
+  static encrypt(plaintext, config, context = {}) {
+    const options = this.getOptions(config);
+    const keyConfig = this.resolveKeyConfig(options, context);
+    const sessionKey = context.sessionKey || generateSessionKey(options);
+
+    const isBytes = (location) => location.source === 'bytes';
+    let bodyConfig = this.buildBodyConfig(config, options, sessionKey, null);
+    let ivBytes = null;
+    if (options.iv.source !== 'config') {
+      ivBytes = randomBytes(this.getIvLength(bodyConfig));
+      const encoding = isBytes(options.iv) ? 'HEX' : options.iv.encoding;
+      bodyConfig = { ...bodyConfig, iv: { value: encodeBytes(ivBytes, encoding), encoding: [encoding] } };
+    }
+
+    const data = CipherUtils.encrypt(plaintext, isBytes(options.data) ? { ...bodyConfig, cipherEncoding: ['BASE64'] } : bodyConfig, context);
+    const wrappedKey = CipherUtils.encrypt(sessionKey, isBytes(options.key) ? { ...keyConfig, cipherEncoding: ['BASE64'] } : keyConfig);
+    const ivValue = ivBytes && bodyConfig.iv.value;
+
+    const outputHeaders = { ...context.outputHeaders };
+    const parts = [
+      { location: options.key, value: wrappedKey },
+      ivBytes && { location: options.iv, value: ivValue },
+      { location: options.data, value: data }
+    ].filter(Boolean);
+    parts.filter(part => part.location.source === 'header').forEach(part => {
+      outputHeaders[part.location.header] = part.value;
+    });
+
+    let envelope;
+    if (isBytes(options.data)) {
+      envelope = this.packBytes(parts.filter(part => isBytes(part.location)), options);
+    } else if (options.data.source === 'json') {
+      const target = context.template ? this.parseJson(context.template) : {};
+      parts.filter(part => part.location.source === 'json').forEach(part => writePath(target, part.location.path, part.value));
+      envelope = JSON.stringify(target);
+    } else {
+      envelope = data;
+    }
+
+    context.sessionKey = sessionKey;
+    context.outputHeaders = outputHeaders;
+    return envelope;
+  }
+
+  /**
+   * 按偏移拼接字节形式的各部分
+   * @param {Array} parts - [{ location, value }]，value 为 Base64（IV 为 Hex）
+   * @param {Object} options - 信封选项
+   * @returns {string} 按 bytesEncoding 编码的报文
+   */
+  static packBytes(parts, options) {
+    const segments = parts
+      .map(({ location, value }) => ({
+        location,
+        bytes: decodeBytes(value, location === options.iv ? 'HEX' : 'BASE64')
+      }))
+      .sort((a, b) => Number(a.location.offset) - Number(b.location.offset));
+
+    let position = 0;
+    for (const { location, bytes } of segments) {
+      if (Number(location.offset) !== position) {
+        throw new Error(`信封各部分的偏移不连续: 期望 ${position}，配置为 ${location.offset}`);
+      }
+      if (location.length && Number(location.length) !== bytes.length) {
+        throw new Error(`信封字段长度不符: 配置 ${location.length} 字节，实际 ${bytes.length} 字节`);
+      }
+      position += bytes.length;
+    }
+    return encodeBytes(concatBytes(...segments.map(segment => segment.bytes)), options.bytesEncoding);
+  }
+}
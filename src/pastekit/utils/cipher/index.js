@@ -4,4 +4,10 @@ export { AESCipher } from './aescipher.js';
 export { RSACipher } from './rsacipher.js';
 export { SM2Cipher } from './sm2cipher.js';
 export { SM4Cipher } from './sm4cipher.js';
-export { CipherUtils } from './cipherutils.js';
\ No newline at end of file
+export { ChaChaCipher } from './chachacipher.js';
+export { EnvelopeCipher } from './envelopecipher.js';
+export { KeyDerivation } from './keyderivation.js';
+export { KeyMaterial } from './keymaterial.js';
+export { KeyFormats } from './keyformats.js';
+export { cachedKey, clearKeyCache } from './keycache.js';
+export { CipherUtils } from './cipherutils.js';export { TrialDecryptor } from './trialdecryptor.js';
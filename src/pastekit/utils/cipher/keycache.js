@@ -0,0 +1,40 @@
+/**
+ * 解析后的密钥与派生结果缓存
+ * 解析 PEM、执行秘钥派生的开销较大，试探解密时每次输入都会用同一批配置重复计算；
+ * 按命名空间与输入缓存结果，超出上限时淘汰最久未使用的条目
+ */
+
+const MAX_CACHED_ENTRIES = 64;
+const entries = new Map();
+
+/**
+ * 读取缓存，不存在时调用 factory 计算并写入；factory 抛出的错误不缓存
+ * @param {string} namespace - 如 rsa、sm2、kdf
+ * @param {string} key - 决定结果的全部输入
+ * @param {Function} factory - () => value
+ * @returns {*}
+ */
+export function cachedKey(namespace, key, factory) {
+  const cacheKey = `${namespace}:${key}`;
+  if (entries.has(cacheKey)) {
+    const value = entries.get(cacheKey);
+    // 重新插入，保持最近使用的在末尾
+    entries.delete(cacheKey);
+    entries.set(cacheKey, value);
+    return value;
+  }
+
+  const value = factory();
+  entries.set(cacheKey, value);
+  if (entries.size > MAX_CACHED_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+  return value;
+}
+
+/**
+ * 清空缓存（秘钥配置变化后调用，避免已删除的密钥留在内存中）
+ */
+export function clearKeyCache() {
+  entries.clear();
+}
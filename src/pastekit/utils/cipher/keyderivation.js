@@ -0,0 +1,502 @@
+import CryptoJS from 'crypto-js';
+import { wordArrayToBytes, bytesToWordArray, decodeBytes, encodeBytes, concatBytes, randomBytes, findHeader } from './aeadmodes.js';
+import { KeyMaterial } from './keymaterial.js';
+import { cachedKey } from './keycache.js';
+
+/**
+ * 秘钥派生（KDF）：配置中的 key 作为口令，运行时派生出真正的密钥与 IV
+ * 支持 PBKDF2、HKDF（RFC 5869）、OpenSSL 的 EVP_BytesToKey 与 scrypt（RFC 7914）
+ */
+
+export const KDF_ALGORITHMS = ['none', 'PBKDF2', 'HKDF', 'EVP_BytesToKey', 'scrypt'];
+
+export const KDF_DIGESTS = ['MD5', 'SHA-1', 'SHA-256', 'SHA-384', 'SHA-512'];
+
+// 盐的来源：static 为配置中的固定值，openssl 为密文开头的 "Salted__" + 8 字节，
+// prefix 为密文开头的若干字节，header 为请求头（如设备 ID）
+export const KDF_SALT_SOURCES = ['none', 'static', 'openssl', 'prefix', 'header'];
+
+export const DEFAULT_KDF_OPTIONS = {
+  algorithm: 'none',
+  digest: 'SHA-256',
+  iterations: 10000,
+  keyLength: 32,
+  ivLength: 0,
+  salt: { source: 'static', value: '', encoding: ['UTF8'], length: 8, header: '' },
+  info: { value: '', encoding: ['UTF8'] },
+  cost: 16384,
+  blockSize: 8,
+  parallelization: 1
+};
+
+// 单次摘要 / scrypt 单个块混合的粗略耗时（毫秒），用于在派生前估算开销
+const HASH_COST_MS = { 'MD5': 0.015, 'SHA-1': 0.015, 'SHA-256': 0.015, 'SHA-384': 0.05, 'SHA-512': 0.05 };
+const SCRYPT_BLOCK_COST_MS = 0.0015;
+
+// scrypt 的暂存区 V 占 128 * N * r 字节，超过上限时拒绝派生，避免一次性申请数 GB 内存
+export const SCRYPT_MAX_MEMORY = 128 * 1024 * 1024;
+
+/**
+ * scrypt 暂存区大小（字节）
+ * @param {number} N
+ * @param {number} r
+ * @returns {number}
+ */
+export function scryptMemoryBytes(N, r) {
+  return 128 * N * r;
+}
+
+// "Salted__"
+const OPENSSL_MAGIC = new Uint8Array([0x53, 0x61, 0x6c, 0x74, 0x65, 0x64, 0x5f, 0x5f]);
+const OPENSSL_SALT_LENGTH = 8;
+
+const HASHERS = {
+  'MD5': { algo: CryptoJS.algo.MD5, length: 16 },
+  'SHA-1': { algo: CryptoJS.algo.SHA1, length: 20 },
+  'SHA-256': { algo: CryptoJS.algo.SHA256, length: 32 },
+  'SHA-384': { algo: CryptoJS.algo.SHA384, length: 48 },
+  'SHA-512': { algo: CryptoJS.algo.SHA512, length: 64 }
+};
+
+/**
+ * 取摘要算法
+ * @param {string} digest
+ * @returns {Object} { algo, length }
+ */
+function getHasher(digest) {
+  const hasher = HASHERS[digest];
+  if (!hasher) {
+    throw new Error(`不支持的摘要算法: ${digest}`);
+  }
+  return hasher;
+}
+
+/**
+ * 摘要
+ * @param {string} digest
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function hash(digest, data) {
+  return wordArrayToBytes(getHasher(digest).algo.create().finalize(bytesToWordArray(data)));
+}
+
+/**
+ * HMAC
+ * @param {string} digest
+ * @param {Uint8Array} key
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function hmac(digest, key, data) {
+  return wordArrayToBytes(CryptoJS.algo.HMAC.create(getHasher(digest).algo, bytesToWordArray(key)).finalize(bytesToWordArray(data)));
+}
+
+/**
+ * PBKDF2（RFC 8018）
+ * @param {string} digest
+ * @param {Uint8Array} password
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @param {number} length - 输出字节数
+ * @returns {Uint8Array}
+ */
+export function pbkdf2(digest, password, salt, iterations, length) {
+  const hashLength = getHasher(digest).length;
+  const prf = CryptoJS.algo.HMAC.create(getHasher(digest).algo, bytesToWordArray(password));
+  const output = new Uint8Array(Math.ceil(length / hashLength) * hashLength);
+  for (let block = 1; block * hashLength <= output.length; block++) {
+    const index = new Uint8Array([block >>> 24, (block >>> 16) & 0xff, (block >>> 8) & 0xff, block & 0xff]);
+    let u = wordArrayToBytes(prf.finalize(bytesToWordArray(concatBytes(salt, index))));
+    const t = u.slice();
+    for (let i = 1; i < iterations; i++) {
+      prf.reset();
+      u = wordArrayToBytes(prf.finalize(bytesToWordArray(u)));
+      for (let j = 0; j < t.length; j++) {
+        t[j] ^= u[j];
+      }
+    }
+    prf.reset();
+    output.set(t, (block - 1) * hashLength);
+  }
+  return output.subarray(0, length);
+}
+
+/**
+ * HKDF（RFC 5869）：extract + expand
+ * @param {string} digest
+ * @param {Uint8Array} ikm - 输入密钥材料
+ * @param {Uint8Array} salt - 为空时使用全零
+ * @param {Uint8Array} info
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+export function hkdf(digest, ikm, salt, info, length) {
+  const hashLength = getHasher(digest).length;
+  if (length > 255 * hashLength) {
+    throw new Error(`HKDF 输出长度不能超过 ${255 * hashLength} 字节`);
+  }
+  const prk = hmac(digest, salt.length > 0 ? salt : new Uint8Array(hashLength), ikm);
+  const output = new Uint8Array(Math.ceil(length / hashLength) * hashLength);
+  let previous = new Uint8Array(0);
+  for (let i = 0; i * hashLength < length; i++) {
+    previous = hmac(digest, prk, concatBytes(previous, info, new Uint8Array([i + 1])));
+    output.set(previous, i * hashLength);
+  }
+  return output.subarray(0, length);
+}
+
+/**
+ * OpenSSL EVP_BytesToKey：D_i = HASH^count(D_{i-1} ‖ 口令 ‖ 盐)
+ * @param {string} digest - openssl enc 1.1 之前默认 MD5，之后默认 SHA-256
+ * @param {Uint8Array} password
+ * @param {Uint8Array} salt - 0 或 8 字节
+ * @param {number} count - 迭代次数，openssl enc 固定为 1
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+export function evpBytesToKey(digest, password, salt, count, length) {
+  const blocks = [];
+  let total = 0;
+  let previous = new Uint8Array(0);
+  while (total < length) {
+    previous = hash(digest, concatBytes(previous, password, salt));
+    for (let i = 1; i < count; i++) {
+      previous = hash(digest, previous);
+    }
+    blocks.push(previous);
+    total += previous.length;
+  }
+  return concatBytes(...blocks).subarray(0, length);
+}
+
+/**
+ * Salsa20/8 核心（原地修改 B）
+ * @param {Uint32Array} B - 16 个字
+ * @param {Uint32Array} x - 临时缓冲
+ */
+function salsa208(B, x) {
+  x.set(B);
+  const rotl = (a, b) => (a << b) | (a >>> (32 - b));
+  for (let i = 0; i < 8; i += 2) {
+    x[4] ^= rotl(x[0] + x[12], 7); x[8] ^= rotl(x[4] + x[0], 9);
+    x[12] ^= rotl(x[8] + x[4], 13); x[0] ^= rotl(x[12] + x[8], 18);
+    x[9] ^= rotl(x[5] + x[1], 7); x[13] ^= rotl(x[9] + x[5], 9);
+    x[1] ^= rotl(x[13] + x[9], 13); x[5] ^= rotl(x[1] + x[13], 18);
+    x[14] ^= rotl(x[10] + x[6], 7); x[2] ^= rotl(x[14] + x[10], 9);
+    x[6] ^= rotl(x[2] + x[14], 13); x[10] ^= rotl(x[6] + x[2], 18);
+    x[3] ^= rotl(x[15] + x[11], 7); x[7] ^= rotl(x[3] + x[15], 9);
+    x[11] ^= rotl(x[7] + x[3], 13); x[15] ^= rotl(x[11] + x[7], 18);
+    x[1] ^= rotl(x[0] + x[3], 7); x[2] ^= rotl(x[1] + x[0], 9);
+    x[3] ^= rotl(x[2] + x[1], 13); x[0] ^= rotl(x[3] + x[2], 18);
+    x[6] ^= rotl(x[5] + x[4], 7); x[7] ^= rotl(x[6] + x[5], 9);
+    x[4] ^= rotl(x[7] + x[6], 13); x[5] ^= rotl(x[4] + x[7], 18);
+    x[11] ^= rotl(x[10] + x[9], 7); x[8] ^= rotl(x[11] + x[10], 9);
+    x[9] ^= rotl(x[8] + x[11], 13); x[10] ^= rotl(x[9] + x[8], 18);
+    x[12] ^= rotl(x[15] + x[14], 7); x[13] ^= rotl(x[12] + x[15], 9);
+    x[14] ^= rotl(x[13] + x[12], 13); x[15] ^= rotl(x[14] + x[13], 18);
+  }
+  for (let i = 0; i < 16; i++) {
+    B[i] = (B[i] + x[i]) >>> 0;
+  }
+}
+
+/**
+ * scrypt 的 BlockMix：输入 B（2r 个 64 字节块），输出写入 Y
+ * @param {Uint32Array} B
+ * @param {Uint32Array} Y
+ * @param {number} r
+ * @param {Uint32Array} X - 16 字临时块
+ * @param {Uint32Array} scratch
+ */
+function blockMix(B, Y, r, X, scratch) {
+  X.set(B.subarray((2 * r - 1) * 16, 2 * r * 16));
+  for (let i = 0; i < 2 * r; i++) {
+    for (let j = 0; j < 16; j++) {
+      X[j] ^= B[i * 16 + j];
+    }
+    salsa208(X, scratch);
+    // 偶数块放前半部分，奇数块放后半部分
+    Y.set(X, ((i >> 1) + (i & 1) * r) * 16);
+  }
+}
+
+/**
+ * scrypt（RFC 7914）
+ * @param {Uint8Array} password
+ * @param {Uint8Array} salt
+ * @param {number} N - CPU/内存开销，2 的幂
+ * @param {number} r - 块大小
+ * @param {number} p - 并行度
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+export function scrypt(password, salt, N, r, p, length) {
+  if (!(N > 1 && (N & (N - 1)) === 0)) {
+    throw new Error(`scrypt 的 N 必须是大于 1 的 2 的幂: ${N}`);
+  }
+  if (scryptMemoryBytes(N, r) > SCRYPT_MAX_MEMORY) {
+    throw new Error(`scrypt 参数需要 ${Math.ceil(scryptMemoryBytes(N, r) / 1024 / 1024)} MiB 内存，超过上限 ${SCRYPT_MAX_MEMORY / 1024 / 1024} MiB（N * r 不能超过 ${SCRYPT_MAX_MEMORY / 128}）`);
+  }
+  const blockWords = 32 * r;
+  const B = pbkdf2('SHA-256', password, salt, 1, p * 128 * r);
+  const V = new Uint32Array(N * blockWords);
+  const X = new Uint32Array(blockWords);
+  const Y = new Uint32Array(blockWords);
+  const T = new Uint32Array(16);
+  const scratch = new Uint32Array(16);
+  const view = new DataView(B.buffer, B.byteOffset, B.byteLength);
+
+  for (let block = 0; block < p; block++) {
+    const offset = block * 128 * r;
+    for (let i = 0; i < blockWords; i++) {
+      X[i] = view.getUint32(offset + i * 4, true);
+    }
+    for (let i = 0; i < N; i++) {
+      V.set(X, i * blockWords);
+      blockMix(X, Y, r, T, scratch);
+      X.set(Y);
+    }
+    for (let i = 0; i < N; i++) {
+      const j = X[(2 * r - 1) * 16] & (N - 1);
+      for (let k = 0; k < blockWords; k++) {
+        X[k] ^= V[j * blockWords + k];
+      }
+      blockMix(X, Y, r, T, scratch);
+      X.set(Y);
+    }
+    for (let i = 0; i < blockWords; i++) {
+      view.setUint32(offset + i * 4, X[i], true);
+    }
+  }
+  return pbkdf2('SHA-256', password, B, 1, length);
+}
+
+/**
+ * 运行时秘钥派生
+ */
+export class KeyDerivation {
+  /**
+   * 合并默认选项
+   * @param {Object} config
+   * @returns {Object}
+   */
+  static getOptions(config) {
+    const kdf = config?.kdf || {};
+    return {
+      ...DEFAULT_KDF_OPTIONS,
+      ...kdf,
+      salt: { ...DEFAULT_KDF_OPTIONS.salt, ...kdf.salt },
+      info: { ...DEFAULT_KDF_OPTIONS.info, ...kdf.info }
+    };
+  }
+
+  /**
+   * 配置是否启用了秘钥派生，只作用于对称算法
+   * @param {Object} config
+   * @returns {boolean}
+   */
+  static isEnabled(config) {
+    const algorithm = config?.kdf?.algorithm;
+    const type = (config?.algorithm || '').split('/')[0].toUpperCase();
+    return !!algorithm && algorithm !== 'none' && !['RSA', 'SM2', 'EC', 'ED25519', 'ENVELOPE'].includes(type);
+  }
+
+  /**
+   * 估算一次派生的耗时（毫秒），按摘要调用次数粗略计算，只用于派生前判断是否值得尝试
+   * @param {Object} config
+   * @returns {number} 未启用派生时为 0
+   */
+  static estimateCostMs(config) {
+    if (!this.isEnabled(config)) {
+      return 0;
+    }
+    const options = this.getOptions(config);
+    const length = (Number(options.keyLength) || 0) + (Number(options.ivLength) || 0);
+    const iterations = Number(options.iterations) || 1;
+    const hashCost = HASH_COST_MS[options.digest] ?? HASH_COST_MS['SHA-256'];
+    const hashLength = HASHERS[options.digest]?.length || 32;
+    const blocks = Math.max(1, Math.ceil(length / hashLength));
+
+    switch (options.algorithm) {
+      case 'PBKDF2':
+        // 每次迭代是一次 HMAC（两次摘要）
+        return blocks * iterations * 2 * hashCost;
+      case 'EVP_BytesToKey':
+        return blocks * iterations * hashCost;
+      case 'scrypt':
+        return 2 * Number(options.cost) * Number(options.blockSize) * (Number(options.parallelization) || 1) * SCRYPT_BLOCK_COST_MS;
+      default:
+        return blocks * 2 * hashCost;
+    }
+  }
+
+  /**
+   * 密文开头携带盐时盐的字节数，其他来源为 0
+   * @param {Object} options
+   * @returns {number}
+   */
+  static getPrefixLength(options) {
+    switch (options.salt.source) {
+      case 'openssl':
+        return OPENSSL_MAGIC.length + OPENSSL_SALT_LENGTH;
+      case 'prefix':
+        return Number(options.salt.length) || 0;
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * 按选项派生密钥与 IV；同一口令、盐与选项的结果会被缓存（固定盐时每次解密的结果都相同）
+   * @param {Object} config - 秘钥配置，key 作为口令
+   * @param {Uint8Array} salt
+   * @returns {Object} { key, iv }，均为字节
+   */
+  static derive(config, salt) {
+    const options = this.getOptions(config);
+    const keyLength = Number(options.keyLength);
+    const ivLength = Number(options.ivLength) || 0;
+    const cacheKey = JSON.stringify([options, config.key, encodeBytes(salt, 'HEX')]);
+    const output = cachedKey('kdf', cacheKey, () => this.deriveBytes(options, config, salt, keyLength + ivLength));
+    return { key: output.slice(0, keyLength), iv: ivLength > 0 ? output.slice(keyLength) : null };
+  }
+
+  /**
+   * 执行派生算法
+   * @private
+   * @param {Object} options - getOptions 的结果
+   * @param {Object} config
+   * @param {Uint8Array} salt
+   * @param {number} length - 输出字节数
+   * @returns {Uint8Array}
+   */
+  static deriveBytes(options, config, salt, length) {
+    const password = KeyMaterial.toBytes(config.key, '口令');
+    const iterations = Number(options.iterations) || 1;
+
+    let output;
+    switch (options.algorithm) {
+      case 'PBKDF2':
+        output = pbkdf2(options.digest, password, salt, iterations, length);
+        break;
+      case 'HKDF':
+        output = hkdf(options.digest, password, salt, decodeBytes(options.info.value, options.info.encoding?.[0]), length);
+        break;
+      case 'EVP_BytesToKey':
+        output = evpBytesToKey(options.digest, password, salt, iterations, length);
+        break;
+      case 'scrypt':
+        output = scrypt(password, salt, Number(options.cost), Number(options.blockSize), Number(options.parallelization), length);
+        break;
+      default:
+        throw new Error(`不支持的秘钥派生算法: ${options.algorithm}`);
+    }
+    return output;
+  }
+
+  /**
+   * 用派生结果替换配置中的 key / IV，并把派生材料写入 context.derived 供界面展示
+   * @private
+   * @param {Object} config
+   * @param {Uint8Array} salt
+   * @param {Object} context
+   * @returns {Object} 新配置
+   */
+  static applyDerived(config, salt, context) {
+    const { key, iv } = this.derive(config, salt);
+    context.derived = {
+      algorithm: config.kdf.algorithm,
+      salt: encodeBytes(salt, 'HEX'),
+      key: encodeBytes(key, 'HEX'),
+      iv: iv ? encodeBytes(iv, 'HEX') : ''
+    };
+    return {
+      ...config,
+      key: { value: context.derived.key, encoding: ['HEX'] },
+      iv: iv ? { value: context.derived.iv, encoding: ['HEX'] } : config.iv
+    };
+  }
+
+  /**
+   * 取配置或请求头中的盐
+   * @private
+   * @param {Object} options
+   * @param {Object} context - { headers }
+   * @returns {Uint8Array}
+   */
+  static fixedSalt(options, context) {
+    const { source, value, encoding, header } = options.salt;
+    if (source === 'static') {
+      return KeyMaterial.toBytes({ value, encoding }, '盐');
+    }
+    if (source === 'header') {
+      const headerValue = findHeader(context.headers, header);
+      if (!headerValue) {
+        throw new Error(`请求头中缺少派生秘钥所需的盐: ${header}`);
+      }
+      return KeyMaterial.toBytes({ value: headerValue, encoding }, '盐');
+    }
+    return new Uint8Array(0);
+  }
+
+  /**
+   * 加密前派生：盐放在密文开头时随机生成，加密后由 prependSalt 拼到密文前
+   * @param {Object} config
+   * @param {Object} context - { headers }；派生材料写入 context.derived
+   * @returns {Object} { config, prefix }，prefix 为需要拼在密文前的字节
+   */
+  static forEncrypt(config, context = {}) {
+    const options = this.getOptions(config);
+    if (options.salt.source === 'openssl') {
+      const salt = randomBytes(OPENSSL_SALT_LENGTH);
+      return { config: this.applyDerived(config, salt, context), prefix: concatBytes(OPENSSL_MAGIC, salt) };
+    }
+    if (options.salt.source === 'prefix') {
+      const salt = randomBytes(this.getPrefixLength(options));
+      return { config: this.applyDerived(config, salt, context), prefix: salt };
+    }
+    return { config: this.applyDerived(config, this.fixedSalt(options, context), context), prefix: new Uint8Array(0) };
+  }
+
+  /**
+   * 解密前派生：从密文开头取出盐并去掉
+   * @param {string} ciphertext - Base64 密文
+   * @param {Object} config
+   * @param {Object} context - { headers }；派生材料写入 context.derived
+   * @returns {Object} { config, ciphertext }，ciphertext 为去掉盐之后的 Base64
+   */
+  static forDecrypt(ciphertext, config, context = {}) {
+    const options = this.getOptions(config);
+    const prefixLength = this.getPrefixLength(options);
+    if (prefixLength === 0) {
+      return { config: this.applyDerived(config, this.fixedSalt(options, context), context), ciphertext };
+    }
+
+    const bytes = decodeBytes(ciphertext, 'BASE64');
+    if (bytes.length <= prefixLength) {
+      throw new Error(`密文长度不足以包含 ${prefixLength} 字节的盐`);
+    }
+    if (options.salt.source === 'openssl' && !OPENSSL_MAGIC.every((byte, i) => bytes[i] === byte)) {
+      throw new Error('密文不是以 "Salted__" 开头的 OpenSSL 格式');
+    }
+    const salt = bytes.slice(prefixLength - (options.salt.source === 'openssl' ? OPENSSL_SALT_LENGTH : prefixLength), prefixLength);
+    return {
+      config: this.applyDerived(config, salt, context),
+      ciphertext: encodeBytes(bytes.subarray(prefixLength), 'BASE64')
+    };
+  }
+
+  /**
+   * 把盐拼到密文前
+   * @param {string} ciphertext - Base64 密文
+   * @param {Uint8Array} prefix
+   * @returns {string} Base64 密文
+   */
+  static prependSalt(ciphertext, prefix) {
+    if (prefix.length === 0) {
+      return ciphertext;
+    }
+    return encodeBytes(concatBytes(prefix, decodeBytes(ciphertext, 'BASE64')), 'BASE64');
+  }
+}
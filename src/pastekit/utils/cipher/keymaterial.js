@@ -0,0 +1,217 @@
+import CryptoJS from 'crypto-js';
+
+/**
+ * 密钥材料：把配置中的 { value, encoding } 解析为精确的字节
+ * AES / SM4 / ChaCha、HMAC 密钥以及核心解密引擎共用，解析失败或长度不符时抛出明确的错误，
+ * 不再对密钥做 UTF-8 转换、补零或截断
+ */
+
+// 支持的编码
+export const KEY_MATERIAL_ENCODINGS = ['UTF8', 'HEX', 'BASE64', 'BASE64_URLSAFE'];
+
+// 各算法允许的密钥长度（字节）
+export const KEY_LENGTHS = {
+  AES: [16, 24, 32],
+  SM4: [16],
+  'CHACHA20-POLY1305': [32],
+  'XCHACHA20-POLY1305': [32]
+};
+
+// 分组模式的 IV 长度（字节），AES 与 SM4 的分组均为 16 字节
+export const BLOCK_IV_LENGTH = 16;
+
+const ENCODING_LABELS = {
+  UTF8: 'UTF-8',
+  HEX: 'Hex',
+  BASE64: 'Base64',
+  BASE64_URLSAFE: 'Base64 URL Safe'
+};
+
+/**
+ * 十六进制字符串转字节，非法字符或奇数长度时返回 null
+ * @param {string} text
+ * @returns {Uint8Array|null}
+ */
+function parseHex(text) {
+  const hex = text.replace(/\s+/g, '').replace(/^0x/i, '');
+  if (hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+    return null;
+  }
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Base64（含 URL Safe）字符串转字节，格式非法时返回 null
+ * @param {string} text
+ * @param {boolean} urlSafe
+ * @returns {Uint8Array|null}
+ */
+function parseBase64(text, urlSafe) {
+  let base64 = text.replace(/\s+/g, '');
+  if (urlSafe) {
+    base64 = base64.replace(/-/g, '+').replace(/_/g, '/');
+  }
+  base64 = base64.replace(/=+$/, '');
+  if (base64.length % 4 === 1 || !/^[A-Za-z0-9+/]*$/.test(base64)) {
+    return null;
+  }
+  base64 += '='.repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+/**
+ * 密钥材料工具类
+ */
+export class KeyMaterial {
+  /**
+   * 统一为 { value, encoding }，字符串视为 UTF-8
+   * @param {Object|string} material - { value, encoding: ['HEX'] } 或字符串
+   * @returns {Object} { value, encoding }
+   */
+  static normalize(material) {
+    if (material === null || material === undefined || typeof material === 'string') {
+      return { value: material || '', encoding: 'UTF8' };
+    }
+    const encoding = Array.isArray(material.encoding) ? material.encoding[0] : material.encoding;
+    return { value: material.value || '', encoding: (encoding || 'UTF8').toUpperCase() };
+  }
+
+  /**
+   * 解析为字节，编码格式不正确时抛出异常
+   * @param {Object|string} material
+   * @param {string} label - 错误信息中的名称，如 "密钥"、"IV"
+   * @returns {Uint8Array}
+   */
+  static toBytes(material, label = '密钥') {
+    const { value, encoding } = this.normalize(material);
+    let bytes;
+    switch (encoding) {
+      case 'HEX':
+        bytes = parseHex(value);
+        break;
+      case 'BASE64':
+      case 'BASE64_URLSAFE':
+        bytes = parseBase64(value, encoding === 'BASE64_URLSAFE');
+        break;
+      case 'UTF8':
+        bytes = new TextEncoder().encode(value);
+        break;
+      default:
+        throw new Error(`${label}编码不支持: ${encoding}`);
+    }
+    if (!bytes) {
+      throw new Error(`${label}不是有效的 ${ENCODING_LABELS[encoding]} 字符串`);
+    }
+    return bytes;
+  }
+
+  /**
+   * 解析为 CryptoJS WordArray（HMAC 与 CryptoJS 分组加密使用）
+   * @param {Object|string} material
+   * @param {string} label
+   * @returns {CryptoJS.lib.WordArray}
+   */
+  static toWordArray(material, label = '密钥') {
+    return CryptoJS.enc.Hex.parse(this.toHex(material, label));
+  }
+
+  /**
+   * 解析为十六进制字符串（sm-crypto 使用）
+   * @param {Object|string} material
+   * @param {string} label
+   * @returns {string}
+   */
+  static toHex(material, label = '密钥') {
+    return this.bytesToHex(this.toBytes(material, label));
+  }
+
+  /**
+   * 字节转十六进制字符串
+   * @param {Uint8Array} bytes
+   * @returns {string}
+   */
+  static bytesToHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * 算法允许的密钥长度
+   * @param {string} algorithm - 如 AES、SM4、ChaCha20-Poly1305
+   * @returns {number[]}
+   */
+  static getKeyLengths(algorithm) {
+    return KEY_LENGTHS[(algorithm || '').toUpperCase()] || KEY_LENGTHS.AES;
+  }
+
+  /**
+   * 检查密钥材料，不抛出异常，供配置编辑器展示
+   * @param {Object|string} material
+   * @param {number[]} lengths - 允许的字节长度，为空时不限制
+   * @returns {Object} { length, error: null | 'encoding' | 'length', expected }
+   */
+  static inspect(material, lengths = []) {
+    let bytes;
+    try {
+      bytes = this.toBytes(material);
+    } catch {
+      return { length: null, error: 'encoding', expected: lengths };
+    }
+    const error = lengths.length > 0 && !lengths.includes(bytes.length) ? 'length' : null;
+    return { length: bytes.length, error, expected: lengths };
+  }
+
+  /**
+   * 解析并校验长度，不符合时抛出异常
+   * @param {Object|string} material
+   * @param {number[]} lengths - 允许的字节长度
+   * @param {string} label - 如 "AES 密钥"
+   * @returns {Uint8Array}
+   */
+  static requireLength(material, lengths, label) {
+    const bytes = this.toBytes(material, label);
+    if (!lengths.includes(bytes.length)) {
+      throw new Error(`${label}长度无效: ${bytes.length} 字节，应为 ${lengths.join('/')} 字节`);
+    }
+    return bytes;
+  }
+
+  /**
+   * 解析算法密钥并校验长度
+   * @param {Object|string} material
+   * @param {string} algorithm - AES | SM4 | ChaCha20-Poly1305 | XChaCha20-Poly1305
+   * @returns {Uint8Array}
+   */
+  static keyBytes(material, algorithm) {
+    return this.requireLength(material, this.getKeyLengths(algorithm), `${algorithm} 密钥`);
+  }
+
+  /**
+   * 解析分组模式的 IV 并校验长度
+   * @param {Object|string} material
+   * @param {string} algorithm - 用于错误信息
+   * @returns {Uint8Array}
+   */
+  static ivBytes(material, algorithm) {
+    return this.requireLength(material, [BLOCK_IV_LENGTH], `${algorithm} IV `);
+  }
+
+  /**
+   * 配置校验：返回 { isValid, message }，message 为中文说明
+   * @param {Object|string} material
+   * @param {number[]} lengths
+   * @param {string} label
+   * @returns {Object}
+   */
+  static validate(material, lengths, label) {
+    try {
+      this.requireLength(material, lengths, label);
+      return { isValid: true, message: '' };
+    } catch (error) {
+      return { isValid: false, message: error.message };
+    }
+  }
+}
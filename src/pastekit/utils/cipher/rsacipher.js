@@ -1,107 +1,437 @@
 import JSEncrypt from 'jsencrypt';
 import CryptoJS from 'crypto-js';
-import { EncodingUtils } from './encodingutils.js';
+import { wordArrayToBytes, bytesToWordArray, decodeBytes, encodeBytes, concatBytes, randomBytes } from './aeadmodes.js';
+import { cachedKey } from './keycache.js';
+
+// 填充方式：PKCS#1 v1.5 或 OAEP
+export const RSA_PADDINGS = ['PKCS1', 'OAEP'];
+
+// 加密使用的密钥：public 为公钥加密/私钥解密，private 为私钥加密/公钥解密（部分老服务的做法）
+export const RSA_ENCRYPT_KEYS = ['public', 'private'];
+
+// OAEP 与 MGF1 可选的摘要算法
+export const RSA_HASHES = ['SHA-1', 'SHA-224', 'SHA-256', 'SHA-384', 'SHA-512'];
+
+// 默认与原先 JSEncrypt 的行为一致：PKCS#1 v1.5，公钥加密
+export const DEFAULT_RSA_OPTIONS = {
+  padding: 'PKCS1',
+  encryptWith: 'public',
+  oaepHash: 'SHA-1',
+  mgf1Hash: 'SHA-1'
+};
+
+const HASHERS = {
+  'SHA-1': { hash: CryptoJS.SHA1, length: 20 },
+  'SHA-224': { hash: CryptoJS.SHA224, length: 28 },
+  'SHA-256': { hash: CryptoJS.SHA256, length: 32 },
+  'SHA-384': { hash: CryptoJS.SHA384, length: 48 },
+  'SHA-512': { hash: CryptoJS.SHA512, length: 64 }
+};
+
+// PKCS#1 v1.5 填充至少占用 11 字节
+const PKCS1_OVERHEAD = 11;
+
+/**
+ * 取摘要算法
+ * @param {string} name - 如 SHA-256
+ * @returns {Object} { hash, length }
+ */
+function getHasher(name) {
+  const hasher = HASHERS[(name || '').toUpperCase()];
+  if (!hasher) {
+    throw new Error(`不支持的摘要算法: ${name}`);
+  }
+  return hasher;
+}
+
+/**
+ * 计算摘要
+ * @param {string} name - 摘要算法
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+function digest(name, bytes) {
+  return wordArrayToBytes(getHasher(name).hash(bytesToWordArray(bytes)));
+}
+
+/**
+ * 大端字节转 BigInt
+ * @param {Uint8Array} bytes
+ * @returns {bigint}
+ */
+function bytesToBigInt(bytes) {
+  let value = 0n;
+  for (const byte of bytes) {
+    value = (value << 8n) | BigInt(byte);
+  }
+  return value;
+}
+
+/**
+ * BigInt 按大端写成定长字节
+ * @param {bigint} value
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+function bigIntToBytes(value, length) {
+  const output = new Uint8Array(length);
+  let remaining = value;
+  for (let i = length - 1; i >= 0; i--) {
+    output[i] = Number(remaining & 0xffn);
+    remaining >>= 8n;
+  }
+  return output;
+}
+
+/**
+ * 模幂运算
+ * @param {bigint} base
+ * @param {bigint} exponent
+ * @param {bigint} modulus
+ * @returns {bigint}
+ */
+function modPow(base, exponent, modulus) {
+  let result = 1n;
+  let b = base % modulus;
+  let e = exponent;
+  while (e > 0n) {
+    if (e & 1n) {
+      result = (result * b) % modulus;
+    }
+    b = (b * b) % modulus;
+    e >>= 1n;
+  }
+  return result;
+}
+
+/**
+ * jsbn 大数转 BigInt
+ * @param {Object|null} value
+ * @returns {bigint|null}
+ */
+function toBigInt(value) {
+  return value ? BigInt(`0x${value.toString(16)}`) : null;
+}
+
+/**
+ * 解析 PEM 密钥（带缓存），私钥中同时包含公钥参数
+ * @param {string} pem - PEM 或去掉头尾的 Base64 密钥
+ * @param {boolean} isPrivate - 是否为私钥
+ * @returns {Object} { n, e, d, p, q, dp, dq, qInv, length }
+ */
+function loadKey(pem, isPrivate) {
+  return cachedKey(isPrivate ? 'rsa-private' : 'rsa-public', pem, () => parseKey(pem, isPrivate));
+}
+
+/**
+ * 解析 PEM 密钥
+ * @param {string} pem
+ * @param {boolean} isPrivate
+ * @returns {Object}
+ */
+function parseKey(pem, isPrivate) {
+  const parser = new JSEncrypt();
+  if (isPrivate) {
+    parser.setPrivateKey(pem);
+  } else {
+    parser.setPublicKey(pem);
+  }
+  const raw = parser.getKey();
+  if (!raw.n || (isPrivate && !raw.d)) {
+    throw new Error(`RSA${isPrivate ? '私钥' : '公钥'}格式无效`);
+  }
+
+  const n = toBigInt(raw.n);
+  return {
+    n,
+    e: BigInt(raw.e),
+    d: toBigInt(raw.d),
+    p: toBigInt(raw.p),
+    q: toBigInt(raw.q),
+    dp: toBigInt(raw.dmp1),
+    dq: toBigInt(raw.dmq1),
+    qInv: toBigInt(raw.coeff),
+    length: Math.ceil(n.toString(16).length / 2)
+  };
+}
+
+/**
+ * 公钥运算 m^e mod n
+ * @param {Object} key
+ * @param {Uint8Array} block - 长度为模长
+ * @returns {Uint8Array}
+ */
+function publicOperation(key, block) {
+  const m = bytesToBigInt(block);
+  if (m >= key.n) {
+    throw new Error('RSA数据块超出模数范围');
+  }
+  return bigIntToBytes(modPow(m, key.e, key.n), key.length);
+}
+
+/**
+ * 私钥运算 c^d mod n，有 CRT 参数时走中国剩余定理
+ * @param {Object} key
+ * @param {Uint8Array} block - 长度为模长
+ * @returns {Uint8Array}
+ */
+function privateOperation(key, block) {
+  const c = bytesToBigInt(block);
+  if (c >= key.n) {
+    throw new Error('RSA数据块超出模数范围');
+  }
+  if (!key.p || !key.q || !key.dp || !key.dq || !key.qInv) {
+    return bigIntToBytes(modPow(c, key.d, key.n), key.length);
+  }
+  const m1 = modPow(c, key.dp, key.p);
+  const m2 = modPow(c, key.dq, key.q);
+  const h = (key.qInv * (((m1 - m2) % key.p) + key.p)) % key.p;
+  return bigIntToBytes(m2 + h * key.q, key.length);
+}
+
+/**
+ * MGF1 掩码生成
+ * @param {Uint8Array} seed
+ * @param {number} length
+ * @param {string} hashName
+ * @returns {Uint8Array}
+ */
+function mgf1(seed, length, hashName) {
+  const hashLength = getHasher(hashName).length;
+  const output = new Uint8Array(Math.ceil(length / hashLength) * hashLength);
+  for (let counter = 0; counter * hashLength < length; counter++) {
+    const counterBytes = bigIntToBytes(BigInt(counter), 4);
+    output.set(digest(hashName, concatBytes(seed, counterBytes)), counter * hashLength);
+  }
+  return output.subarray(0, length);
+}
+
+/**
+ * 逐字节异或
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b - 与 a 等长
+ * @returns {Uint8Array}
+ */
+function xorBytes(a, b) {
+  return a.map((byte, i) => byte ^ b[i]);
+}
+
+/**
+ * PKCS#1 v1.5 填充：公钥加密为 00 02 随机非零 00 M，私钥加密为 00 01 FF.. 00 M
+ * @param {Uint8Array} message
+ * @param {number} length - 模长
+ * @param {boolean} isPrivate
+ * @returns {Uint8Array}
+ */
+function padPkcs1(message, length, isPrivate) {
+  const padding = new Uint8Array(length - message.length - 3);
+  if (isPrivate) {
+    padding.fill(0xff);
+  } else {
+    for (let i = 0; i < padding.length; i++) {
+      let byte = 0;
+      while (byte === 0) {
+        byte = randomBytes(1)[0];
+      }
+      padding[i] = byte;
+    }
+  }
+  return concatBytes(Uint8Array.of(0x00, isPrivate ? 0x01 : 0x02), padding, Uint8Array.of(0x00), message);
+}
+
+/**
+ * 去除 PKCS#1 v1.5 填充
+ * @param {Uint8Array} block
+ * @param {boolean} isPrivate - 是否为私钥加密的数据块（类型 1）
+ * @returns {Uint8Array}
+ */
+function unpadPkcs1(block, isPrivate) {
+  if (block[0] !== 0x00 || block[1] !== (isPrivate ? 0x01 : 0x02)) {
+    throw new Error('RSA解密失败：PKCS#1 填充无效');
+  }
+  const separator = block.indexOf(0x00, 2);
+  if (separator < 10) {
+    throw new Error('RSA解密失败：PKCS#1 填充无效');
+  }
+  if (isPrivate && block.subarray(2, separator).some(byte => byte !== 0xff)) {
+    throw new Error('RSA解密失败：PKCS#1 填充无效');
+  }
+  return block.subarray(separator + 1);
+}
+
+/**
+ * OAEP 填充（RFC 8017 7.1.1，label 为空）
+ * @param {Uint8Array} message
+ * @param {number} length - 模长
+ * @param {Object} options - { oaepHash, mgf1Hash }
+ * @returns {Uint8Array}
+ */
+function padOaep(message, length, options) {
+  const hashLength = getHasher(options.oaepHash).length;
+  const labelHash = digest(options.oaepHash, new Uint8Array(0));
+  const padding = new Uint8Array(length - message.length - 2 * hashLength - 2);
+  const dataBlock = concatBytes(labelHash, padding, Uint8Array.of(0x01), message);
+  const seed = randomBytes(hashLength);
+  const maskedDataBlock = xorBytes(dataBlock, mgf1(seed, dataBlock.length, options.mgf1Hash));
+  const maskedSeed = xorBytes(seed, mgf1(maskedDataBlock, hashLength, options.mgf1Hash));
+  return concatBytes(Uint8Array.of(0x00), maskedSeed, maskedDataBlock);
+}
+
+/**
+ * 去除 OAEP 填充
+ * @param {Uint8Array} block
+ * @param {Object} options - { oaepHash, mgf1Hash }
+ * @returns {Uint8Array}
+ */
+function unpadOaep(block, options) {
+  const hashLength = getHasher(options.oaepHash).length;
+  const maskedSeed = block.subarray(1, 1 + hashLength);
+  const maskedDataBlock = block.subarray(1 + hashLength);
+  const seed = xorBytes(maskedSeed, mgf1(maskedDataBlock, hashLength, options.mgf1Hash));
+  const dataBlock = xorBytes(maskedDataBlock, mgf1(seed, maskedDataBlock.length, options.mgf1Hash));
+  const labelHash = digest(options.oaepHash, new Uint8Array(0));
+
+  let valid = block[0] === 0x00;
+  for (let i = 0; i < hashLength; i++) {
+    valid = valid && dataBlock[i] === labelHash[i];
+  }
+  let separator = hashLength;
+  while (separator < dataBlock.length && dataBlock[separator] === 0x00) {
+    separator++;
+  }
+  if (!valid || dataBlock[separator] !== 0x01) {
+    throw new Error('RSA解密失败：OAEP 填充无效，请检查摘要算法设置');
+  }
+  return dataBlock.subarray(separator + 1);
+}
 
 /**
  * RSA 加密解密类
+ * 支持 PKCS#1 v1.5 / OAEP、私钥加密公钥解密，超过单块容量的数据按模长分块处理
  */
 export class RSACipher {
   /**
-   * RSA 加密
-   * @param {string} plaintext - 明文
+   * 合并默认的 RSA 选项
    * @param {Object} config - 配置对象
-   * @returns {string} 密文
+   * @returns {Object} { padding, encryptWith, oaepHash, mgf1Hash }
    */
-  static encrypt(plaintext, config) {
-    const { publicKey, plainEncoding = ['UTF8'], cipherEncoding = ['BASE64'] } = config;
-    
-    if (!publicKey || !publicKey.value) {
-      throw new Error('RSA加密需要提供公钥');
+  static getOptions(config) {
+    const options = { ...DEFAULT_RSA_OPTIONS, ...(config.rsa || {}) };
+    if (options.padding === 'OAEP' && options.encryptWith === 'private') {
+      throw new Error('OAEP 填充只能用于公钥加密');
     }
-    
-    // 明文编码方式处理：如果指定了非UTF8的编码方式，需要先解码
-    let processedPlaintext = plaintext;
-    if (plainEncoding && plainEncoding.length > 0 && !plainEncoding.includes('UTF8')) {
-      // 如果明文是以其他编码方式存储的，需要先解码为UTF8
-      processedPlaintext = EncodingUtils.decode(plaintext, plainEncoding[0], []);
-    }
-    
-    // 处理公钥
-    // 使用JSEncrypt进行RSA加密（适用于浏览器环境）
-    const encrypt = new JSEncrypt();
-    encrypt.setPublicKey(publicKey.value);
-    
-    let encrypted = encrypt.encrypt(processedPlaintext);
-    
-    if (!encrypted) {
-      throw new Error('RSA加密失败，请检查公钥格式是否正确');
+    return options;
+  }
+
+  /**
+   * 单个分块可容纳的明文字节数
+   * @param {number} keyLength - 模长（字节）
+   * @param {Object} options - RSA 选项
+   * @returns {number}
+   */
+  static getBlockCapacity(keyLength, options) {
+    if (options.padding === 'OAEP') {
+      return keyLength - 2 * getHasher(options.oaepHash).length - 2;
     }
-    
-    // 处理密文编码
-    if (cipherEncoding && cipherEncoding.length > 0) {
-      if (cipherEncoding.includes('HEX')) {
-        // 转换为HEX格式
-        const wordArray = CryptoJS.enc.Base64.parse(encrypted);
-        encrypted = wordArray.toString(CryptoJS.enc.Hex);
-      } else if (cipherEncoding.includes('BASE64_URLSAFE')) {
-        // 转换为URL安全的Base64
-        encrypted = encrypted.replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
+    return keyLength - PKCS1_OVERHEAD;
+  }
+
+  /**
+   * 对应的 Java Cipher 写法，如 RSA/ECB/OAEPWithSHA-256AndMGF1Padding
+   * @param {Object} options - RSA 选项
+   * @returns {string}
+   */
+  static toJavaTransformation(options) {
+    return options.padding === 'OAEP'
+      ? `RSA/ECB/OAEPWith${options.oaepHash}AndMGF1Padding`
+      : 'RSA/ECB/PKCS1Padding';
+  }
+
+  /**
+   * 取得加密或解密所需的密钥；公钥缺失时可以从私钥中取公钥参数
+   * @param {Object} config - 配置对象
+   * @param {boolean} usePrivate - 是否需要私钥
+   * @returns {Object} 解析后的密钥
+   */
+  static getKey(config, usePrivate) {
+    const { publicKey, privateKey } = config;
+    if (usePrivate) {
+      if (!privateKey?.value) {
+        throw new Error('RSA私钥运算需要提供私钥');
       }
-      // 如果是标准BASE64，保持不变
+      return loadKey(privateKey.value, true);
     }
-    
-    return encrypted;
+    if (publicKey?.value) {
+      return loadKey(publicKey.value, false);
+    }
+    if (privateKey?.value) {
+      return loadKey(privateKey.value, true);
+    }
+    throw new Error('RSA公钥运算需要提供公钥');
+  }
+
+  /**
+   * RSA 加密
+   * @param {string} plaintext - 明文
+   * @param {Object} config - 配置对象，填充与密钥方向见 config.rsa
+   * @returns {string} Base64 密文，长数据为各分块密文依次拼接
+   */
+  static encrypt(plaintext, config) {
+    const options = this.getOptions(config);
+    const usePrivate = options.encryptWith === 'private';
+    const key = this.getKey(config, usePrivate);
+    const capacity = this.getBlockCapacity(key.length, options);
+    if (capacity <= 0) {
+      throw new Error(`RSA密钥过短，无法使用 ${this.toJavaTransformation(options)}`);
+    }
+
+    const message = new TextEncoder().encode(plaintext);
+    const blocks = [];
+    // 空明文也要输出一个分块
+    for (let offset = 0; offset === 0 || offset < message.length; offset += capacity) {
+      const chunk = message.subarray(offset, offset + capacity);
+      const padded = options.padding === 'OAEP'
+        ? padOaep(chunk, key.length, options)
+        : padPkcs1(chunk, key.length, usePrivate);
+      blocks.push(usePrivate ? privateOperation(key, padded) : publicOperation(key, padded));
+    }
+    return encodeBytes(concatBytes(...blocks), 'BASE64');
   }
 
   /**
    * RSA 解密
-   * @param {string} ciphertext - 密文
+   * @param {string} ciphertext - Base64 密文
    * @param {Object} config - 配置对象
    * @returns {string} 明文
    */
   static decrypt(ciphertext, config) {
-    const { privateKey, plainEncoding = ['UTF8'], cipherEncoding = ['BASE64'] } = config;
-    
-    if (!privateKey || !privateKey.value) {
-      throw new Error('RSA解密需要提供私钥');
+    const options = this.getOptions(config);
+    // 私钥加密的数据用公钥解密
+    const usePrivate = options.encryptWith !== 'private';
+    const key = this.getKey(config, usePrivate);
+
+    let data = decodeBytes(ciphertext, 'BASE64');
+    // 部分实现会丢掉单块密文开头的 0 字节
+    if (data.length > 0 && data.length < key.length) {
+      data = concatBytes(new Uint8Array(key.length - data.length), data);
     }
-    
-    // 密文预处理：根据cipherEncoding进行相应处理
-    let processedCiphertext = ciphertext;
-    if (cipherEncoding && cipherEncoding.length > 0) {
-      if (cipherEncoding.includes('HEX')) {
-        // HEX格式需要转换为Base64
-        const wordArray = CryptoJS.enc.Hex.parse(processedCiphertext);
-        processedCiphertext = wordArray.toString(CryptoJS.enc.Base64);
-      } else if (cipherEncoding.includes('BASE64_URLSAFE')) {
-        // URL安全Base64需要转换为标准Base64
-        let base64Str = processedCiphertext.replace(/-/g, '+').replace(/_/g, '/');
-        // 补充缺失的填充字符
-        while (base64Str.length % 4 !== 0) {
-          base64Str += '=';
-        }
-        processedCiphertext = base64Str;
-      }
-      // 如果是标准BASE64，保持不变
+    if (data.length === 0 || data.length % key.length !== 0) {
+      throw new Error(`RSA密文长度无效: ${data.length} 字节，应为模长 ${key.length} 字节的整数倍`);
     }
-    
-    // 处理私钥
-    // 使用JSEncrypt进行RSA解密（适用于浏览器环境）
-    const decrypt = new JSEncrypt();
-    decrypt.setPrivateKey(privateKey.value);
-    
-    let decrypted = decrypt.decrypt(processedCiphertext);
-    
-    if (decrypted === false || decrypted === null) {
-      throw new Error('RSA解密失败，请检查私钥格式是否正确或密文是否有效');
+
+    const chunks = [];
+    for (let offset = 0; offset < data.length; offset += key.length) {
+      const block = data.subarray(offset, offset + key.length);
+      const decrypted = usePrivate ? privateOperation(key, block) : publicOperation(key, block);
+      chunks.push(options.padding === 'OAEP'
+        ? unpadOaep(decrypted, options)
+        : unpadPkcs1(decrypted, !usePrivate));
     }
-    
-    // 明文编码方式处理：如果指定了非UTF8的编码方式，需要重新编码
-    if (plainEncoding && plainEncoding.length > 0 && !plainEncoding.includes('UTF8')) {
-      // 解密得到的是UTF8格式，如果需要其他编码格式，需要重新编码
-      decrypted = EncodingUtils.encode(decrypted, 'UTF8', plainEncoding);
+
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(concatBytes(...chunks));
+    } catch (decodeError) {
+      throw new Error(`UTF-8转换失败: ${decodeError.message}`);
     }
-    
-    return decrypted;
   }
-}
\ No newline at end of file
+}
@@ -1,6 +1,7 @@
 import smCrypto from 'sm-crypto';
 import CryptoJS from 'crypto-js';
 import { EncodingUtils } from './encodingutils.js';
+import { cachedKey } from './keycache.js';
 
 // 安全地解构sm2对象，添加错误处理
 let sm2;
@@ -31,11 +32,192 @@ if (!sm2) {
 
 console.log('SM2库加载成功，可用方法:', Object.getOwnPropertyNames(sm2).filter(name => typeof sm2[name] === 'function'));
 
+// 密文各部分的顺序：C1 为随机点，C3 为 SM3 摘要，C2 为密文本体
+export const SM2_CIPHER_ORDERS = ['C1C3C2', 'C1C2C3'];
+
+// 密文格式：raw 为各部分直接拼接，asn1 为 GM/T 0009 的 DER 结构 SEQUENCE { x, y, C3, C2 }（顺序随 order）
+export const SM2_CIPHER_FORMATS = ['raw', 'asn1'];
+
+// 默认与原先的行为一致：C1C3C2、直接拼接、C1 不带 04 前缀
+export const DEFAULT_SM2_OPTIONS = {
+  order: 'C1C3C2',
+  format: 'raw',
+  pointPrefix: false
+};
+
+// C1 为 64 字节的 (x, y)，C3 为 32 字节
+const C1_HEX_LENGTH = 128;
+const C3_HEX_LENGTH = 64;
+
+/**
+ * DER 长度字段
+ * @param {number} byteLength
+ * @returns {string} hex
+ */
+function derLength(byteLength) {
+  if (byteLength < 0x80) {
+    return byteLength.toString(16).padStart(2, '0');
+  }
+  let hex = byteLength.toString(16);
+  if (hex.length % 2 === 1) {
+    hex = '0' + hex;
+  }
+  return (0x80 + hex.length / 2).toString(16) + hex;
+}
+
+/**
+ * DER TLV
+ * @param {string} tag - 如 '02'
+ * @param {string} valueHex
+ * @returns {string} hex
+ */
+function derTlv(tag, valueHex) {
+  return tag + derLength(valueHex.length / 2) + valueHex;
+}
+
+/**
+ * 无符号大端整数编码为 DER INTEGER 的值：去掉前导零，最高位为 1 时补 00
+ * @param {string} hex
+ * @returns {string}
+ */
+function derIntegerValue(hex) {
+  let value = hex.replace(/^(00)+/, '') || '00';
+  if (parseInt(value[0], 16) >= 8) {
+    value = '00' + value;
+  }
+  return value;
+}
+
+/**
+ * 解析 DER SEQUENCE 的各个子元素
+ * @param {string} hex
+ * @returns {Array<Object>} [{ tag, value }]
+ */
+function derSequenceItems(hex) {
+  const readTlv = (source, offset) => {
+    const tag = source.substr(offset, 2);
+    let length = parseInt(source.substr(offset + 2, 2), 16);
+    let headerLength = 4;
+    if (length & 0x80) {
+      const lengthBytes = length & 0x7f;
+      length = parseInt(source.substr(offset + 4, lengthBytes * 2), 16);
+      headerLength += lengthBytes * 2;
+    }
+    const value = source.substr(offset + headerLength, length * 2);
+    if (Number.isNaN(length) || value.length !== length * 2) {
+      throw new Error('SM2 ASN.1 密文长度字段无效');
+    }
+    return { tag, value, end: offset + headerLength + length * 2 };
+  };
+
+  const sequence = readTlv(hex, 0);
+  if (sequence.tag !== '30') {
+    throw new Error('SM2 ASN.1 密文应以 SEQUENCE 开头');
+  }
+  const items = [];
+  for (let offset = 0; offset < sequence.value.length;) {
+    const item = readTlv(sequence.value, offset);
+    items.push(item);
+    offset = item.end;
+  }
+  return items;
+}
+
 /**
  * SM2 加密解密类
  * 支持国密SM2公钥密码算法的加密、解密、签名、验签功能
  */
 export class SM2Cipher {
+  /**
+   * 读取配置中的密文格式选项，未知取值或不支持的组合直接报错
+   * @param {Object} config - 配置对象，选项位于 config.sm2
+   * @returns {Object} { order, format, pointPrefix }
+   */
+  static getOptions(config) {
+    const options = { ...DEFAULT_SM2_OPTIONS, ...(config?.sm2 || {}) };
+    if (!SM2_CIPHER_ORDERS.includes(options.order)) {
+      throw new Error(`SM2 密文顺序不支持: ${options.order}，可选: ${SM2_CIPHER_ORDERS.join('/')}`);
+    }
+    if (!SM2_CIPHER_FORMATS.includes(options.format)) {
+      throw new Error(`SM2 密文格式不支持: ${options.format}，可选: ${SM2_CIPHER_FORMATS.join('/')}`);
+    }
+    if (options.format === 'asn1' && options.pointPrefix) {
+      throw new Error('SM2 ASN.1 密文中 C1 以 x、y 两个整数表示，不能带 04 前缀');
+    }
+    return options;
+  }
+
+  /**
+   * 把 sm-crypto 输出的 C1C3C2（hex，无 04 前缀）转换为配置的格式
+   * @param {string} hex
+   * @param {Object} options - getOptions 的返回值
+   * @returns {string} hex
+   */
+  static formatCiphertext(hex, options) {
+    const c1 = hex.substring(0, C1_HEX_LENGTH);
+    const c3 = hex.substring(C1_HEX_LENGTH, C1_HEX_LENGTH + C3_HEX_LENGTH);
+    const c2 = hex.substring(C1_HEX_LENGTH + C3_HEX_LENGTH);
+
+    if (options.format === 'asn1') {
+      const x = derTlv('02', derIntegerValue(c1.substring(0, 64)));
+      const y = derTlv('02', derIntegerValue(c1.substring(64)));
+      const hash = derTlv('04', c3);
+      const body = derTlv('04', c2);
+      return derTlv('30', options.order === 'C1C3C2' ? x + y + hash + body : x + y + body + hash);
+    }
+
+    const ordered = options.order === 'C1C3C2' ? c1 + c3 + c2 : c1 + c2 + c3;
+    return options.pointPrefix ? '04' + ordered : ordered;
+  }
+
+  /**
+   * 把配置格式的密文还原为 C1C3C2（hex，无 04 前缀），供 sm-crypto 解密
+   * @param {string} hex
+   * @param {Object} options - getOptions 的返回值
+   * @returns {string} hex
+   */
+  static normalizeCiphertext(hex, options) {
+    let c1;
+    let c2;
+    let c3;
+
+    if (options.format === 'asn1') {
+      const items = derSequenceItems(hex.toLowerCase());
+      if (items.length !== 4 || items[0].tag !== '02' || items[1].tag !== '02' || items[2].tag !== '04' || items[3].tag !== '04') {
+        throw new Error('SM2 ASN.1 密文应为 SEQUENCE { INTEGER x, INTEGER y, OCTET STRING, OCTET STRING }');
+      }
+      const coordinate = (value) => value.replace(/^(00)+/, '').padStart(64, '0');
+      c1 = coordinate(items[0].value) + coordinate(items[1].value);
+      [c3, c2] = options.order === 'C1C3C2'
+        ? [items[2].value, items[3].value]
+        : [items[3].value, items[2].value];
+      if (c3.length !== C3_HEX_LENGTH) {
+        throw new Error(`SM2 ASN.1 密文中 C3 长度应为 32 字节，实际 ${c3.length / 2} 字节，请检查密文顺序`);
+      }
+      return c1 + c3 + c2;
+    }
+
+    let body = hex;
+    if (options.pointPrefix) {
+      if (!/^04/i.test(body)) {
+        throw new Error('SM2 密文应以 04 开头（配置为 C1 带 04 前缀）');
+      }
+      body = body.substring(2);
+    }
+    if (body.length <= C1_HEX_LENGTH + C3_HEX_LENGTH) {
+      throw new Error('SM2 密文长度不足，至少应包含 C1（64 字节）与 C3（32 字节）');
+    }
+    c1 = body.substring(0, C1_HEX_LENGTH);
+    if (options.order === 'C1C3C2') {
+      c3 = body.substring(C1_HEX_LENGTH, C1_HEX_LENGTH + C3_HEX_LENGTH);
+      c2 = body.substring(C1_HEX_LENGTH + C3_HEX_LENGTH);
+    } else {
+      c2 = body.substring(C1_HEX_LENGTH, body.length - C3_HEX_LENGTH);
+      c3 = body.substring(body.length - C3_HEX_LENGTH);
+    }
+    return c1 + c3 + c2;
+  }
+
   /**
    * SM2 加密
    * @param {string} plaintext - 明文
@@ -47,6 +229,7 @@ export class SM2Cipher {
     console.log('输入参数:', { plaintext: plaintext?.substring(0, 50) + '...', config });
     
     const { publicKey, cipherEncoding = ['BASE64'] } = config;
+    const options = this.getOptions(config);
     
     if (!publicKey || !publicKey.value) {
       throw new Error('SM2加密需要提供公钥');
@@ -104,11 +287,11 @@ export class SM2Cipher {
       console.log('参数详情:', {
         plaintextLength: plaintext.length,
         publicKeyLength: cleanPublicKey.length,
-        mode: 1
+        options
       });
       
-      // 使用sm-crypto进行SM2加密
-      const encrypted = sm2.doEncrypt(plaintext, cleanPublicKey, 1); // mode=1表示C1C3C2格式
+      // 使用sm-crypto进行SM2加密（mode=1 表示 C1C3C2），再按配置调整顺序、04 前缀或 ASN.1 格式
+      const encrypted = this.formatCiphertext(sm2.doEncrypt(plaintext, cleanPublicKey, 1), options);
       
       console.log('加密结果:', { encrypted: encrypted?.substring(0, 50) + '...', type: typeof encrypted });
       
@@ -164,6 +347,7 @@ export class SM2Cipher {
    */
   static decrypt(ciphertext, config) {
     const { privateKey, cipherEncoding = ['BASE64'] } = config;
+    const options = this.getOptions(config);
     
     if (!privateKey || !privateKey.value) {
       throw new Error('SM2解密需要提供私钥');
@@ -185,7 +369,43 @@ export class SM2Cipher {
       throw new Error('SM2密文格式无效');
     }
     
-    // 处理私钥
+    // 解析私钥（带缓存，试探解密时每次输入都会用到）
+    const cleanPrivateKey = cachedKey('sm2-private', `${privateKey.encoding?.[0] || ''}:${privateKey.value}`,
+      () => this.loadDecryptionKey(privateKey));
+    
+    try {
+      // 验证sm2库是否正确加载
+      if (!sm2 || typeof sm2.doDecrypt !== 'function') {
+        throw new Error('SM2解密库未正确加载');
+      }
+      
+      // 按配置还原为 C1C3C2 后使用sm-crypto进行SM2解密
+      const decrypted = sm2.doDecrypt(this.normalizeCiphertext(processedCiphertext, options), cleanPrivateKey, 1);
+      
+      if (!decrypted) {
+        throw new Error('SM2解密失败，可能是密文无效或密钥不匹配');
+      }
+      
+      return decrypted;
+    } catch (error) {
+      console.error('SM2解密详细错误:', {
+        errorMessage: error.message,
+        privateKeyLength: cleanPrivateKey.length,
+        privateKeyPreview: cleanPrivateKey.substring(0, 50) + '...',
+        ciphertextLength: processedCiphertext.length,
+        ciphertextPreview: processedCiphertext.substring(0, 50) + '...'
+      });
+      throw new Error(`SM2解密失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 把配置中的私钥解码为 sm-crypto 使用的十六进制私钥
+   * @private
+   * @param {Object} privateKey - { value, encoding }
+   * @returns {string} 十六进制私钥
+   */
+  static loadDecryptionKey(privateKey) {
     let parsedPrivateKey = privateKey.value;
     if (privateKey.encoding && privateKey.encoding.length > 0) {
       // 将私钥按照其编码格式解码为UTF8
@@ -210,31 +430,7 @@ export class SM2Cipher {
       console.error('私钥不是有效的十六进制格式:', cleanPrivateKey?.substring(0, 50));
       throw new Error('SM2私钥必须是有效的十六进制字符串');
     }
-    
-    try {
-      // 验证sm2库是否正确加载
-      if (!sm2 || typeof sm2.doDecrypt !== 'function') {
-        throw new Error('SM2解密库未正确加载');
-      }
-      
-      // 使用sm-crypto进行SM2解密
-      const decrypted = sm2.doDecrypt(processedCiphertext, cleanPrivateKey, 1); // mode=1表示C1C3C2格式
-      
-      if (!decrypted) {
-        throw new Error('SM2解密失败，可能是密文无效或密钥不匹配');
-      }
-      
-      return decrypted;
-    } catch (error) {
-      console.error('SM2解密详细错误:', {
-        errorMessage: error.message,
-        privateKeyLength: cleanPrivateKey.length,
-        privateKeyPreview: cleanPrivateKey.substring(0, 50) + '...',
-        ciphertextLength: processedCiphertext.length,
-        ciphertextPreview: processedCiphertext.substring(0, 50) + '...'
-      });
-      throw new Error(`SM2解密失败: ${error.message}`);
-    }
+    return cleanPrivateKey;
   }
 
   /**
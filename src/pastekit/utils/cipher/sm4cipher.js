@@ -1,98 +1,249 @@
 import smCrypto from 'sm-crypto';
-import CryptoJS from 'crypto-js';
-import { EncodingUtils } from './encodingutils.js';
+import { KeyMaterial, KEY_LENGTHS } from './keymaterial.js';
+import {
+  getAeadOptions,
+  encryptWithConfig,
+  decryptWithConfig,
+  gcmSeal,
+  gcmOpen,
+  decodeBytes,
+  encodeBytes
+} from './aeadmodes.js';
 
 const { sm4 } = smCrypto;
 
+/**
+ * SM4 支持的模式：ECB / CBC 由 sm-crypto 实现并使用 PKCS#7 填充；
+ * CFB（128 位反馈）/ OFB / CTR（128 位大端计数器）为流模式，不填充；GCM 复用 aeadmodes 的实现
+ */
+export const SM4_MODES = ['ECB', 'CBC', 'CFB', 'OFB', 'CTR', 'GCM'];
+
+const BLOCK_SIZE = 16;
+
+/**
+ * 创建 SM4 分组加密函数，输入长度为 16 的整数倍（ECB、无填充），可一次加密多个分组
+ * @param {Uint8Array} keyBytes - 16 字节密钥
+ * @returns {function(Uint8Array): Uint8Array}
+ */
+function createBlockEncryptor(keyBytes) {
+  if (!KEY_LENGTHS.SM4.includes(keyBytes.length)) {
+    throw new Error(`SM4 密钥长度无效: ${keyBytes.length} 字节，应为 16 字节`);
+  }
+  const key = Array.from(keyBytes);
+  return (blocks) => Uint8Array.from(sm4.encrypt(Array.from(blocks), key, { mode: 'ecb', padding: 'none', output: 'array' }));
+}
+
+/**
+ * 计数器块按 128 位大端整数加一
+ * @param {Uint8Array} counter
+ * @returns {Uint8Array} 新的计数器块
+ */
+function increment128(counter) {
+  const next = counter.slice();
+  for (let i = BLOCK_SIZE - 1; i >= 0; i--) {
+    next[i] = (next[i] + 1) & 0xff;
+    if (next[i] !== 0) {
+      break;
+    }
+  }
+  return next;
+}
+
+/**
+ * 数据与密钥流异或
+ * @param {Uint8Array} data
+ * @param {Uint8Array} keystream - 长度不小于 data
+ * @returns {Uint8Array}
+ */
+function xorBytes(data, keystream) {
+  return data.map((byte, i) => byte ^ keystream[i]);
+}
+
+/**
+ * CTR 模式：先生成全部计数器块，一次加密得到密钥流
+ * @param {function} encryptBlock
+ * @param {Uint8Array} iv - 初始计数器
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function ctrTransform(encryptBlock, iv, data) {
+  const blockCount = Math.ceil(data.length / BLOCK_SIZE);
+  const counters = new Uint8Array(blockCount * BLOCK_SIZE);
+  let counter = iv;
+  for (let i = 0; i < blockCount; i++) {
+    counters.set(counter, i * BLOCK_SIZE);
+    counter = increment128(counter);
+  }
+  return xorBytes(data, blockCount > 0 ? encryptBlock(counters) : new Uint8Array(0));
+}
+
+/**
+ * OFB 模式：反馈为上一块的密钥流
+ * @param {function} encryptBlock
+ * @param {Uint8Array} iv
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function ofbTransform(encryptBlock, iv, data) {
+  const output = new Uint8Array(data.length);
+  let feedback = iv;
+  for (let offset = 0; offset < data.length; offset += BLOCK_SIZE) {
+    feedback = encryptBlock(feedback);
+    output.set(xorBytes(data.subarray(offset, offset + BLOCK_SIZE), feedback), offset);
+  }
+  return output;
+}
+
+/**
+ * CFB 模式（128 位反馈）：反馈为上一块的密文
+ * @param {function} encryptBlock
+ * @param {Uint8Array} iv
+ * @param {Uint8Array} data
+ * @param {boolean} decrypting
+ * @returns {Uint8Array}
+ */
+function cfbTransform(encryptBlock, iv, data, decrypting) {
+  const output = new Uint8Array(data.length);
+  let feedback = iv;
+  for (let offset = 0; offset < data.length; offset += BLOCK_SIZE) {
+    const block = data.subarray(offset, offset + BLOCK_SIZE);
+    const result = xorBytes(block, encryptBlock(feedback));
+    output.set(result, offset);
+    feedback = decrypting ? block : result;
+  }
+  return output;
+}
+
+/**
+ * SM4-GCM 加密，参数与 aeadmodes 的 gcmEncrypt 一致
+ * @param {Uint8Array} keyBytes - 16 字节
+ * @param {Uint8Array} nonce
+ * @param {Uint8Array} plaintext
+ * @param {Uint8Array} aad
+ * @param {number} tagLength
+ * @returns {Object} { ciphertext, tag }
+ */
+export function sm4GcmEncrypt(keyBytes, nonce, plaintext, aad, tagLength) {
+  return gcmSeal(createBlockEncryptor(keyBytes), nonce, plaintext, aad, tagLength);
+}
+
+/**
+ * SM4-GCM 解密，tag 不匹配时抛出异常
+ * @param {Uint8Array} keyBytes
+ * @param {Uint8Array} nonce
+ * @param {Uint8Array} ciphertext
+ * @param {Uint8Array} tag
+ * @param {Uint8Array} aad
+ * @returns {Uint8Array} 明文
+ */
+export function sm4GcmDecrypt(keyBytes, nonce, ciphertext, tag, aad) {
+  return gcmOpen(createBlockEncryptor(keyBytes), nonce, ciphertext, tag, aad);
+}
+
 /**
  * SM4 加密解密类
  */
 export class SM4Cipher {
+  /**
+   * 校验模式，不支持的模式直接报错，不再回退为 CBC
+   * @private
+   * @param {string} mode
+   * @returns {string} 大写的模式
+   */
+  static resolveMode(mode) {
+    const upper = (mode || 'CBC').toUpperCase();
+    if (!SM4_MODES.includes(upper)) {
+      throw new Error(`SM4 不支持 ${mode} 模式，可选: ${SM4_MODES.join('/')}`);
+    }
+    return upper;
+  }
+
+  /**
+   * 加密与解密共用的密钥 / IV 解析：按编码得到精确的字节，
+   * 密钥必须为 16 字节，ECB 以外的模式 IV 必须为 16 字节
+   * @private
+   * @param {Object} key - { value, encoding }
+   * @param {Object} iv - { value, encoding }
+   * @param {string} mode
+   * @returns {Object} { keyBytes, ivBytes }，ECB 模式 ivBytes 为 null
+   */
+  static resolveKeyAndIv(key, iv, mode) {
+    const keyBytes = KeyMaterial.keyBytes(key, 'SM4');
+    const ivBytes = mode === 'ECB' ? null : KeyMaterial.ivBytes(iv, 'SM4');
+    return { keyBytes, ivBytes };
+  }
+
   /**
    * SM4 加密
    * @param {string} plaintext - 明文
    * @param {Object} config - 配置对象
-   * @returns {string} 密文 (hex格式)
+   * @param {Object} context - GCM 使用的运行时信息 { aad, headers }；tag 单独放在请求头时写入 context.tag
+   * @returns {string} Base64 密文
    */
-  static encrypt(plaintext, config) {
-    const { key, iv, mode = 'CBC' } = config;
-    
-    // 处理密钥
-    let parsedKey = key.value;
-    if (key.encoding && key.encoding.length > 0) {
-      parsedKey = EncodingUtils.decode(key.value, 'HEX', key.encoding);
+  static encrypt(plaintext, config, context = {}) {
+    const mode = this.resolveMode(config.mode);
+    if (mode === 'GCM') {
+      return encryptWithConfig(plaintext, config, context, getAeadOptions(config), sm4GcmEncrypt);
     }
-    
-    // 处理初始化向量
-    let parsedIv = iv?.value || '';
-    if (iv?.encoding && iv.encoding.length > 0) {
-      parsedIv = EncodingUtils.decode(iv.value, 'HEX', iv.encoding);
-    }
-
 
-    // SM4 要求密钥长度为 16 字节
-    const keyHex =parsedKey;
-    const ivHex =  parsedIv;
-    
-    // SM4 支持的模式映射
-    const sm4ModeMap = {
-      'ECB': 'ecb',
-      'CBC': 'cbc'
-      // 注意：sm-crypto 库可能不支持 CFB、OFB、CTR 等模式
-      // 如需支持更多模式，可能需要使用其他库或自实现
-    };
-    
-    const sm4Mode = sm4ModeMap[mode.toUpperCase()] || 'cbc';
-    
-    const options = {
-      mode: sm4Mode,
-      iv: ivHex || undefined
-    };
-    
-    const result = sm4.encrypt(plaintext, keyHex, options);
-    console.info("key:",keyHex," plainText:",plaintext,'iv:',ivHex,' result:',result);
-    return result;
+    const { keyBytes, ivBytes } = this.resolveKeyAndIv(config.key, config.iv, mode);
+    let ciphertext;
+    if (mode === 'ECB' || mode === 'CBC') {
+      ciphertext = Uint8Array.from(sm4.encrypt(plaintext, KeyMaterial.bytesToHex(keyBytes), {
+        mode: mode.toLowerCase(),
+        iv: ivBytes ? KeyMaterial.bytesToHex(ivBytes) : undefined,
+        output: 'array'
+      }));
+    } else {
+      const data = new TextEncoder().encode(plaintext);
+      const encryptBlock = createBlockEncryptor(keyBytes);
+      ciphertext = mode === 'CTR'
+        ? ctrTransform(encryptBlock, ivBytes, data)
+        : mode === 'OFB'
+          ? ofbTransform(encryptBlock, ivBytes, data)
+          : cfbTransform(encryptBlock, ivBytes, data, false);
+    }
+    return encodeBytes(ciphertext, 'BASE64');
   }
 
   /**
    * SM4 解密
-   * @param {string} ciphertext - 密文 (hex格式)
+   * @param {string} ciphertext - Base64 密文
    * @param {Object} config - 配置对象
+   * @param {Object} context - GCM 使用的运行时信息 { aad, tag, headers }
    * @returns {string} 明文
    */
-  static decrypt(ciphertext, config) {
-    const { key, iv, mode = 'CBC' } = config;
-    
-    // 处理密钥
-    let parsedKey = key.value;
-    if (key.encoding && key.encoding.length > 0) {
-      parsedKey = EncodingUtils.decode(key.value, 'HEX', key.encoding);
+  static decrypt(ciphertext, config, context = {}) {
+    const mode = this.resolveMode(config.mode);
+    if (mode === 'GCM') {
+      return decryptWithConfig(ciphertext, config, context, getAeadOptions(config), sm4GcmDecrypt);
     }
-    
-    // 处理初始化向量
-    let parsedIv = iv?.value || '';
-    if (iv?.encoding && iv.encoding.length > 0) {
-      parsedIv = EncodingUtils.decode(iv.value, 'HEX', iv.encoding);
+
+    const { keyBytes, ivBytes } = this.resolveKeyAndIv(config.key, config.iv, mode);
+    const data = decodeBytes(ciphertext, 'BASE64');
+    let plaintext;
+    if (mode === 'ECB' || mode === 'CBC') {
+      if (data.length === 0 || data.length % BLOCK_SIZE !== 0) {
+        throw new Error(`SM4-${mode} 密文长度应为 16 字节的整数倍，实际 ${data.length} 字节`);
+      }
+      plaintext = Uint8Array.from(sm4.decrypt(Array.from(data), KeyMaterial.bytesToHex(keyBytes), {
+        mode: mode.toLowerCase(),
+        iv: ivBytes ? KeyMaterial.bytesToHex(ivBytes) : undefined,
+        output: 'array'
+      }));
+    } else {
+      const encryptBlock = createBlockEncryptor(keyBytes);
+      plaintext = mode === 'CTR'
+        ? ctrTransform(encryptBlock, ivBytes, data)
+        : mode === 'OFB'
+          ? ofbTransform(encryptBlock, ivBytes, data)
+          : cfbTransform(encryptBlock, ivBytes, data, true);
+    }
+
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(plaintext);
+    } catch (decodeError) {
+      throw new Error(`UTF-8转换失败: ${decodeError.message}`);
     }
-    
-    const keyHex = CryptoJS.enc.Utf8.parse(parsedKey).toString(CryptoJS.enc.Hex).padEnd(32, '0').substring(0, 32);
-    const ivHex = parsedIv ? CryptoJS.enc.Utf8.parse(parsedIv).toString(CryptoJS.enc.Hex).padEnd(32, '0').substring(0, 32) : '';
-    
-    // SM4 支持的模式映射
-    const sm4ModeMap = {
-      'ECB': 'ecb',
-      'CBC': 'cbc'
-      // 注意：sm-crypto 库可能不支持 CFB、OFB、CTR 等模式
-      // 如需支持更多模式，可能需要使用其他库或自实现
-    };
-    
-    const sm4Mode = sm4ModeMap[mode.toUpperCase()] || 'cbc';
-    
-    const options = {
-      mode: sm4Mode,
-      iv: ivHex || undefined
-    };
-    
-    return sm4.decrypt(ciphertext, keyHex, options);
   }
-}
\ No newline at end of file
+}
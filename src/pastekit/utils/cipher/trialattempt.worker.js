@@ -0,0 +1,27 @@
+// 试探解密 Worker：在独立线程中执行单次解密尝试，解析后的密钥与派生结果缓存在本线程内
+// 消息协议见 TrialWorkerPool
+
+import { TrialDecryptor } from './trialdecryptor.js';
+import { clearKeyCache } from './keycache.js';
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'ATTEMPT': {
+      const { id, content, config, keyConfigs } = data;
+      let candidate = null;
+      try {
+        candidate = TrialDecryptor.attempt(content, config, { keyConfigs });
+      } catch (error) {
+        self.postMessage({ type: 'RESULT', id, candidate: null, error: error.message });
+        return;
+      }
+      self.postMessage({ type: 'RESULT', id, candidate });
+      break;
+    }
+    case 'CLEAR_CACHE':
+      clearKeyCache();
+      break;
+  }
+};
+
+self.postMessage({ type: 'READY' });
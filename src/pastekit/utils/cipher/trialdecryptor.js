@@ -0,0 +1,242 @@
+import { CipherUtils } from './cipherutils.js';
+import { analyzePrintableCharacters } from '../textutils.js';
+import { isAeadMode } from './aeadmodes.js';
+import { ChaChaCipher } from './chachacipher.js';
+import { KeyDerivation } from './keyderivation.js';
+import { clearKeyCache } from './keycache.js';
+
+// 流模式解密出来的结果不会报错，需要额外做可读性判断
+const STREAM_MODES = ['CFB', 'CTR'];
+
+// 默认时间预算（毫秒）；单次预算要容纳常见迭代次数的 PBKDF2 首次派生，之后派生结果会被缓存
+const DEFAULT_ATTEMPT_BUDGET_MS = 500;
+const DEFAULT_TOTAL_BUDGET_MS = 2000;
+
+/**
+ * 让出事件循环，使取消消息等能够被及时处理
+ * @returns {Promise<void>}
+ */
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * 试探解密器
+ * 用所有秘钥配置尝试解密同一段内容，并按可信度排序
+ */
+export class TrialDecryptor {
+  /**
+   * @param {Object} options - { attemptBudgetMs, totalBudgetMs, executor }
+   *   executor 负责执行单次尝试：{ concurrency, execute(task, signal) → { candidate, abandoned, overBudget }, clearCache() }，默认在当前线程内执行
+   */
+  constructor(options = {}) {
+    this.attemptBudgetMs = options.attemptBudgetMs || DEFAULT_ATTEMPT_BUDGET_MS;
+    this.totalBudgetMs = options.totalBudgetMs || DEFAULT_TOTAL_BUDGET_MS;
+    this.executor = options.executor || new InlineAttemptExecutor();
+  }
+
+  /**
+   * 判断配置是否为流模式
+   * @param {Object} config - 秘钥配置
+   * @returns {boolean}
+   */
+  static isStreamMode(config) {
+    const algorithm = config.algorithm?.toUpperCase() || '';
+    const mode = config.mode?.toUpperCase();
+    return STREAM_MODES.some(m => algorithm.includes(m) || mode === m);
+  }
+
+  /**
+   * 判断配置是否为带认证的模式（GCM/CCM/ChaCha20-Poly1305），tag 校验通过即可确认解密正确
+   * @param {Object} config - 秘钥配置
+   * @returns {boolean}
+   */
+  static isAuthenticated(config) {
+    const [algorithm, mode] = (config.algorithm || '').split('/');
+    return ChaChaCipher.supports(algorithm) || isAeadMode(mode || config.mode);
+  }
+
+  /**
+   * 判断配置是否为非对称算法或信封配置（解密开销大，排在最后尝试）
+   * @param {Object} config - 秘钥配置
+   * @returns {boolean}
+   */
+  static isAsymmetric(config) {
+    const type = (config.algorithmType || config.algorithm?.split('/')[0] || '').toUpperCase();
+    return type === 'RSA' || type === 'SM2' || type === 'ENVELOPE';
+  }
+
+  /**
+   * 判断配置是否只用于签名（EC / Ed25519）
+   * @param {Object} config - 秘钥配置
+   * @returns {boolean}
+   */
+  static isSigningOnly(config) {
+    const type = (config.algorithmType || config.algorithm?.split('/')[0] || '').toUpperCase();
+    return type === 'EC' || type === 'ED25519';
+  }
+
+  /**
+   * 用单个配置尝试解密
+   * @param {string} content - 密文
+   * @param {Object} config - 秘钥配置
+   * @param {Object} context - { keyConfigs }，信封配置从中查找包装会话密钥的配置
+   * @returns {Object|null} { configName, algorithm, plaintext, score } 或 null
+   */
+  static attempt(content, config, context = {}) {
+    let plaintext;
+    try {
+      plaintext = CipherUtils.decrypt(content, config, context);
+    } catch (err) {
+      return null;
+    }
+
+    if (!plaintext || plaintext === content) {
+      return null;
+    }
+
+    const candidate = {
+      configName: config.name,
+      algorithm: config.algorithm,
+      plaintext,
+      score: this.isAuthenticated(config) ? 0.99 : 0.95
+    };
+
+    if (this.isStreamMode(config)) {
+      const analysis = analyzePrintableCharacters(plaintext);
+      if (!analysis.isReadable) {
+        return null;
+      }
+      candidate.score = 0.6 + 0.35 * analysis.printableRatio;
+      candidate.printableRatio = analysis.printableRatio;
+    }
+
+    return candidate;
+  }
+
+  /**
+   * 按得分排序候选结果
+   * @param {Array} candidates - 候选列表
+   * @returns {Array} 排序后的新数组
+   */
+  static rank(candidates) {
+    return [...candidates].sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * 用所有配置尝试解密
+   * 多个配置同时交给执行器，每次尝试都有时间预算，超出预算的尝试被放弃并记入 slow；
+   * 秘钥派生预计无法在剩余总预算内完成的配置，以及超出总预算后未开始的配置记入 timedOut
+   * @param {string} content - 密文
+   * @param {Array} configs - 秘钥配置列表
+   * @param {Object} hooks - { onCandidate(candidate, ranked), isCancelled(), signal }
+   * @returns {Promise<Object>} { candidates, attempted, timedOut, slow, cancelled }
+   */
+  async run(content, configs, hooks = {}) {
+    const { onCandidate, isCancelled = () => false, signal } = hooks;
+    const trimmedContent = content?.trim() || '';
+    const summary = { candidates: [], attempted: 0, timedOut: [], slow: [], cancelled: false };
+
+    if (trimmedContent.length <= 10 || !configs || configs.length === 0) {
+      return summary;
+    }
+
+    // 对称算法先试，RSA/SM2 与信封配置开销大放在最后；EC / Ed25519 只能签名，不参与
+    const queue = configs.filter(config => !TrialDecryptor.isSigningOnly(config)).sort((a, b) =>
+      Number(TrialDecryptor.isAsymmetric(a)) - Number(TrialDecryptor.isAsymmetric(b))
+    );
+
+    const deadline = Date.now() + this.totalBudgetMs;
+    // 取消时放弃执行中的尝试
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort);
+    const cancelled = () => {
+      if (signal?.aborted || isCancelled()) {
+        summary.cancelled = true;
+        abort();
+      }
+      return summary.cancelled;
+    };
+
+    const runNext = async () => {
+      while (queue.length > 0 && !cancelled()) {
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+          summary.timedOut.push(...queue.splice(0).map(c => c.name));
+          return;
+        }
+
+        const config = queue.shift();
+        // 先按估算跳过明显无法完成的秘钥派生，避免占用执行器
+        const estimated = KeyDerivation.estimateCostMs(config);
+        if (estimated > remaining) {
+          console.warn(`[TrialDecryptor] 配置 ${config.name} 秘钥派生预计耗时 ${Math.round(estimated)}ms，超出预算，跳过`);
+          summary.timedOut.push(config.name);
+          continue;
+        }
+
+        const budgetMs = Math.min(this.attemptBudgetMs, remaining);
+        const result = await this.executor.execute(
+          { content: trimmedContent, config, keyConfigs: configs, budgetMs },
+          controller.signal
+        );
+        if (cancelled()) {
+          return;
+        }
+        summary.attempted++;
+
+        if (result.abandoned || result.overBudget) {
+          console.warn(`[TrialDecryptor] 配置 ${config.name} 解密超出 ${budgetMs}ms 预算${result.abandoned ? '，已放弃' : ''}`);
+          summary.slow.push(config.name);
+        }
+
+        if (result.candidate) {
+          summary.candidates = TrialDecryptor.rank([...summary.candidates, result.candidate]);
+          if (onCandidate) {
+            onCandidate(result.candidate, summary.candidates);
+          }
+        }
+      }
+    };
+
+    try {
+      const lanes = Math.max(1, Math.min(this.executor.concurrency || 1, queue.length));
+      await Promise.all(Array.from({ length: lanes }, runNext));
+    } finally {
+      signal?.removeEventListener('abort', abort);
+    }
+    return summary;
+  }
+
+  /**
+   * 清空解析后的密钥与派生结果缓存
+   */
+  clearCache() {
+    this.executor.clearCache();
+  }
+}
+
+/**
+ * 在当前线程内执行解密尝试
+ * 同步执行的尝试无法中途打断，只能在结束后按耗时记入 slow；没有 Worker 可用的环境（Node、本地开发页面）使用
+ */
+export class InlineAttemptExecutor {
+  constructor() {
+    this.concurrency = 1;
+  }
+
+  /**
+   * @param {Object} task - { content, config, keyConfigs, budgetMs }
+   * @returns {Promise<Object>} { candidate, overBudget }
+   */
+  async execute({ content, config, keyConfigs, budgetMs }) {
+    // 让出事件循环，使取消消息等能够被及时处理
+    await yieldToEventLoop();
+    const startedAt = Date.now();
+    const candidate = TrialDecryptor.attempt(content, config, { keyConfigs });
+    return { candidate, overBudget: Date.now() - startedAt > budgetMs };
+  }
+
+  clearCache() {
+    clearKeyCache();
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * 试探解密 Worker 池
+ * 每个 Worker 同一时间只执行一次尝试；尝试超出时间预算或被取消时终止该 Worker 并换一个新的，
+ * 同步执行的解密（RSA、SM2、信封、秘钥派生）因此可以在任意位置被放弃
+ *
+ * Worker 消息协议：
+ * - 池 → Worker：{ type: 'ATTEMPT', id, content, config, keyConfigs }、{ type: 'CLEAR_CACHE' }
+ * - Worker → 池：{ type: 'READY' }、{ type: 'RESULT', id, candidate, error }
+ */
+
+// Offscreen 文档（Worker 池所在页面）连接 Background 所用的端口名称
+export const TRIAL_ATTEMPT_PORT = 'trial-attempt-pool';
+
+/**
+ * 默认的 Worker 数量：留一个核心给界面，最多 4 个
+ * @returns {number}
+ */
+export function defaultPoolSize() {
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(4, cores - 1));
+}
+
+export class TrialWorkerPool {
+  /**
+   * @param {Object} options
+   * @param {Function} options.createWorker - () => Worker
+   * @param {number} options.size - Worker 数量
+   */
+  constructor({ createWorker, size = defaultPoolSize() }) {
+    this.createWorker = createWorker;
+    this.size = size;
+    this.slots = [];
+    this.queue = [];
+    this.nextId = 0;
+  }
+
+  /**
+   * 执行一次尝试，排队等待空闲的 Worker；预算从 Worker 开始执行时计算
+   * @param {Object} task - { content, config, keyConfigs }
+   * @param {number} budgetMs - 单次时间预算
+   * @returns {Object} { id, promise }，promise 结果为 { candidate, error, abandoned }
+   */
+  execute(task, budgetMs) {
+    const id = ++this.nextId;
+    const promise = new Promise(resolve => {
+      this.queue.push({ id, task, budgetMs, resolve });
+    });
+    this.dispatch();
+    return { id, promise };
+  }
+
+  /**
+   * 放弃一次尝试：排队中的直接移除，执行中的终止其 Worker
+   * @param {number} id
+   */
+  cancel(id) {
+    const index = this.queue.findIndex(job => job.id === id);
+    if (index > -1) {
+      const [job] = this.queue.splice(index, 1);
+      job.resolve({ candidate: null, abandoned: true });
+      return;
+    }
+    const slot = this.slots.find(item => item.job?.id === id);
+    if (slot) {
+      this.abandon(slot);
+    }
+  }
+
+  /**
+   * 清空所有 Worker 中缓存的密钥
+   */
+  clearCache() {
+    this.slots.forEach(slot => slot.worker.postMessage({ type: 'CLEAR_CACHE' }));
+  }
+
+  /**
+   * 终止所有 Worker，排队与执行中的尝试以放弃结束
+   */
+  destroy() {
+    this.queue.splice(0).forEach(job => job.resolve({ candidate: null, abandoned: true }));
+    this.slots.splice(0).forEach(slot => {
+      clearTimeout(slot.timer);
+      slot.job?.resolve({ candidate: null, abandoned: true });
+      slot.worker.terminate();
+    });
+  }
+
+  /**
+   * 把排队的尝试分配给空闲且已就绪的 Worker
+   * @private
+   */
+  dispatch() {
+    while (this.slots.length < this.size) {
+      this.slots.push(this.spawn());
+    }
+    for (const slot of this.slots) {
+      if (this.queue.length === 0) {
+        return;
+      }
+      if (!slot.ready || slot.job) {
+        continue;
+      }
+      const job = this.queue.shift();
+      slot.job = job;
+      slot.timer = setTimeout(() => this.abandon(slot), job.budgetMs);
+      slot.worker.postMessage({ type: 'ATTEMPT', id: job.id, ...job.task });
+    }
+  }
+
+  /**
+   * 创建 Worker，加载完成（READY）后才分配尝试，加载耗时不计入预算
+   * @private
+   * @returns {Object} slot
+   */
+  spawn() {
+    const slot = { worker: this.createWorker(), ready: false, job: null, timer: null };
+    slot.worker.onmessage = ({ data }) => {
+      if (data.type === 'READY') {
+        slot.ready = true;
+      } else if (data.type === 'RESULT' && slot.job?.id === data.id) {
+        this.finish(slot, { candidate: data.candidate, error: data.error });
+      }
+      this.dispatch();
+    };
+    slot.worker.onerror = (event) => {
+      console.error('[TrialWorkerPool] Worker 出错:', event.message);
+      this.replace(slot, { candidate: null, error: event.message || 'Worker 出错' });
+    };
+    return slot;
+  }
+
+  /**
+   * 尝试超出预算或被取消：终止 Worker
+   * @private
+   * @param {Object} slot
+   */
+  abandon(slot) {
+    this.replace(slot, { candidate: null, abandoned: true });
+  }
+
+  /**
+   * 结束执行中的尝试，并用新 Worker 替换当前 Worker
+   * @private
+   * @param {Object} slot
+   * @param {Object} result
+   */
+  replace(slot, result) {
+    this.finish(slot, result);
+    slot.worker.terminate();
+    const index = this.slots.indexOf(slot);
+    if (index > -1) {
+      this.slots.splice(index, 1);
+    }
+    this.dispatch();
+  }
+
+  /**
+   * @private
+   * @param {Object} slot
+   * @param {Object} result
+   */
+  finish(slot, result) {
+    clearTimeout(slot.timer);
+    const job = slot.job;
+    slot.job = null;
+    slot.timer = null;
+    job?.resolve(result);
+  }
+}
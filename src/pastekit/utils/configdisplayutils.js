@@ -2,7 +2,7 @@
  * 配置显示工具类
  * 处理配置信息的显示和格式化
  */
-import { NEED_PADDING_MODES } from './keyconfigconstants';
+import { NEED_PADDING_MODES, SIGNING_ONLY_ALGORITHMS } from './keyconfigconstants';
 
 /**
  * 配置显示处理器类
@@ -40,9 +40,10 @@ export class ConfigDisplayHandler {
     
     const algorithmType = config.algorithmType || config.algorithm?.split('/')[0] || '';
     
-    // 非对称算法(RSA/SM2)不显示模式和填充
+    // 非对称算法(RSA/SM2/EC/Ed25519)不显示模式和填充
     if (algorithmType === 'RSA' || config.algorithm?.startsWith('RSA') || 
-        algorithmType === 'SM2' || config.algorithm?.startsWith('SM2')) {
+        algorithmType === 'SM2' || config.algorithm?.startsWith('SM2') ||
+        SIGNING_ONLY_ALGORITHMS.has(algorithmType.toUpperCase())) {
       return 'N/A';
     }
     
@@ -105,7 +106,11 @@ export class ConfigDisplayHandler {
     if (!config) return { isValid: false, message: '配置不存在' };
     
     // 检查必需字段
-    if (config.algorithm?.startsWith('RSA') || config.algorithm?.startsWith('SM2')) {
+    if (SIGNING_ONLY_ALGORITHMS.has((config.algorithmType || config.algorithm || '').toUpperCase())) {
+      if (!config.publicKey?.value?.trim() && !config.privateKey?.value?.trim()) {
+        return { isValid: false, message: '签名配置缺少公钥或私钥' };
+      }
+    } else if (config.algorithm?.startsWith('RSA') || config.algorithm?.startsWith('SM2')) {
       if (!config.publicKey?.value?.trim() || !config.privateKey?.value?.trim()) {
         return { isValid: false, message: 'RSA配置缺少公钥或私钥' };
       }
@@ -0,0 +1,360 @@
+/**
+ * 内置内容检测器
+ * 每个检测器都是纯函数，输入内容和上下文，输出得分和元数据
+ */
+import { TrialDecryptor } from '../cipher/index.js';
+import { JwtUtils } from '../jwtutils.js';
+import { MagicDecoder } from '../magicdecoder.js';
+import { ImageUtils } from '../imageutils.js';
+import { CertUtils } from '../certutils.js';
+import { isCurlCommand, isRawHttpRequest, parseHttpRequest } from '../httprequest/index.js';
+import { tokenizeSegments, isMixedContent } from './segmenttokenizer.js';
+
+const IPV4_PATTERN = /^((25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
+const IPV6_FULL_PATTERN = /^([0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$/;
+const IPV6_COMPRESSED_PATTERN = /^(([0-9a-fA-F]{1,4}:){1,7}:|:(([0-9a-fA-F]{1,4}:){1,7}|:)|([0-9a-fA-F]{1,4}:){1,6}:[0-9a-fA-F]{1,4}|([0-9a-fA-F]{1,4}:){1,5}(:[0-9a-fA-F]{1,4}){1,2}|([0-9a-fA-F]{1,4}:){1,4}(:[0-9a-fA-F]{1,4}){1,3}|([0-9a-fA-F]{1,4}:){1,3}(:[0-9a-fA-F]{1,4}){1,4}|([0-9a-fA-F]{1,4}:){1,2}(:[0-9a-fA-F]{1,4}){1,5}|[0-9a-fA-F]{1,4}:((:[0-9a-fA-F]{1,4}){1,6})|:((:[0-9a-fA-F]{1,4}){1,7}|:))$/;
+const CIDR_PATTERN = /^((25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\/([1-9]|[12][0-9]|3[0-2])$/;
+const IPV6_CIDR_PATTERN = /^([0-9a-fA-F]{1,4}(:[0-9a-fA-F]{1,4}){0,7}|:|::)(\/(1[0-2][0-8]|[1-9][0-9]|[0-9]))$/;
+
+// Cron 表达式：5字段标准格式、6字段(含秒)、7字段(含秒和年份)
+const CRON_PATTERNS = [
+  /^([\d\*\/,\-\?]+\s+){4}[\d\*\/,\-\?]+$/,
+  /^([\d\*\/,\-\?]+\s+){5}[\d\*\/,\-\?]+$/,
+  /^([\d\*\/,\-\?]+\s+){6}[\d\*\/,\-\?]+$/
+];
+
+const TIMESTAMP_PATTERN = /^\d{10}$|^\d{13}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}(\s+\d{2}:\d{2}:\d{2})?$/;
+const URL_ENCODED_PATTERN = /%[0-9A-Fa-f]{2}/;
+const DOMAIN_PATTERN = /^[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?)*\.[a-zA-Z]{2,}$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+// RSA 密文常见的 Base64 长度
+const TYPICAL_RSA_LENGTHS = [344, 172, 256, 128];
+
+/**
+ * 判断配置是否为 RSA 配置
+ * @param {Object} config - 秘钥配置
+ * @returns {boolean}
+ */
+function isRSAConfig(config) {
+  return config.algorithm?.toUpperCase().includes('RSA') ||
+    config.algorithmType?.toUpperCase() === 'RSA';
+}
+
+export const ipv4Detector = {
+  id: 'ipv4',
+  type: 'ip',
+  tool: 'ip',
+  detect(content) {
+    return IPV4_PATTERN.test(content) ? { score: 1, metadata: { version: 4 } } : null;
+  }
+};
+
+export const ipv6Detector = {
+  id: 'ipv6',
+  type: 'ipv6',
+  tool: 'ip',
+  detect(content) {
+    // 必须包含冒号且不能是纯数字
+    if (!content.includes(':') || /^[\d\.]+$/.test(content)) {
+      return null;
+    }
+    if (IPV6_FULL_PATTERN.test(content) || IPV6_COMPRESSED_PATTERN.test(content)) {
+      return { score: 1, metadata: { version: 6 } };
+    }
+    return null;
+  }
+};
+
+export const cidrDetector = {
+  id: 'cidr',
+  type: 'cidr',
+  tool: 'ip',
+  detect(content) {
+    if (!CIDR_PATTERN.test(content)) {
+      return null;
+    }
+    return { score: 1, metadata: { prefix: Number(content.split('/')[1]) } };
+  }
+};
+
+export const ipv6CidrDetector = {
+  id: 'ipv6cidr',
+  type: 'ipv6cidr',
+  tool: 'ip',
+  detect(content) {
+    if (!IPV6_CIDR_PATTERN.test(content)) {
+      return null;
+    }
+    return { score: 1, metadata: { prefix: Number(content.split('/')[1]) } };
+  }
+};
+
+export const cronDetector = {
+  id: 'cron',
+  type: 'cron',
+  tool: 'cron',
+  detect(content) {
+    if (!CRON_PATTERNS.some(pattern => pattern.test(content))) {
+      return null;
+    }
+    return { score: 0.9, metadata: { fields: content.split(/\s+/).length } };
+  }
+};
+
+export const timestampDetector = {
+  id: 'timestamp',
+  type: 'timestamp',
+  tool: 'time',
+  detect(content) {
+    if (!TIMESTAMP_PATTERN.test(content)) {
+      return null;
+    }
+    const unit = content.length === 10 ? 'seconds' : 'milliseconds';
+    const milliseconds = unit === 'seconds' ? Number(content) * 1000 : Number(content);
+    // 2001 年到 2100 年之间的时间戳更可能是真实时间
+    const plausible = milliseconds > 978307200000 && milliseconds < 4102444800000;
+    return { score: plausible ? 0.9 : 0.6, metadata: { unit, milliseconds } };
+  }
+};
+
+export const datetimeDetector = {
+  id: 'datetime',
+  type: 'datetime',
+  tool: 'time',
+  detect(content) {
+    if (!DATETIME_PATTERN.test(content)) {
+      return null;
+    }
+    const valid = !isNaN(new Date(content).getTime());
+    return { score: valid ? 0.95 : 0.5, metadata: { valid } };
+  }
+};
+
+export const encryptedDetector = {
+  id: 'encrypted',
+  type: 'encrypted',
+  tool: 'cipher',
+  detect(content, context = {}) {
+    const configs = context.keyConfigs || [];
+    if (content.length <= 10 || configs.length === 0) {
+      return null;
+    }
+
+    let best = null;
+    const consider = (score, metadata) => {
+      if (!best || score > best.score) {
+        best = { score, metadata };
+      }
+    };
+
+    // RSA 密文特征检测：存在 RSA 配置且长度符合特征
+    if (BASE64_PATTERN.test(content) && content.length >= 50 && configs.some(isRSAConfig)) {
+      if (TYPICAL_RSA_LENGTHS.includes(content.length) || content.length > 100) {
+        consider(0.6, { heuristic: 'rsa', length: content.length });
+      }
+    }
+
+    // 优先使用 Background 试探解密的结果，没有时在当前线程逐个尝试
+    const decrypted = Array.isArray(context.decryptCandidates)
+      ? context.decryptCandidates
+      : configs.map(config => TrialDecryptor.attempt(content, config)).filter(Boolean);
+
+    const [top] = TrialDecryptor.rank(decrypted);
+    if (top) {
+      const { plaintext, score, ...metadata } = top;
+      consider(score, { ...metadata, results: decrypted });
+    }
+
+    return best;
+  }
+};
+
+export const jwtDetector = {
+  id: 'jwt',
+  type: 'jwt',
+  tool: 'jwt',
+  detect(content) {
+    if (!content.startsWith('eyJ') || !JwtUtils.isJwt(content)) {
+      return null;
+    }
+    const { header } = JwtUtils.decode(content);
+    return { score: 0.97, metadata: { alg: header.alg, typ: header.typ } };
+  }
+};
+
+export const certificateDetector = {
+  id: 'certificate',
+  type: 'certificate',
+  tool: 'certificate',
+  detect(content) {
+    const isPem = CertUtils.hasPemBlock(content);
+    // 没有 PEM 头时只尝试 Base64 DER（SEQUENCE 长度两字节，以 MII 开头）
+    if (!isPem && !(content.startsWith('MII') && BASE64_PATTERN.test(content))) {
+      return null;
+    }
+    try {
+      const items = CertUtils.parse(content);
+      return {
+        score: isPem ? 0.99 : 0.92,
+        metadata: { count: items.length, kinds: [...new Set(items.map(item => item.kind))] }
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+};
+
+export const imageDetector = {
+  id: 'image',
+  type: 'image',
+  tool: 'image',
+  detect(content) {
+    if (!content.startsWith('data:image/')) {
+      return null;
+    }
+    const parsed = ImageUtils.parseDataUri(content);
+    // 图片 data URI 的格式是确定的，优先于 Base64 等通用编码
+    return parsed ? { score: 0.99, metadata: { mimeType: parsed.mimeType } } : null;
+  }
+};
+
+export const httpRequestDetector = {
+  id: 'curl',
+  type: 'curl',
+  tool: 'curl',
+  detect(content) {
+    const isCurl = isCurlCommand(content);
+    if (!isCurl && !isRawHttpRequest(content)) {
+      return null;
+    }
+    try {
+      const request = parseHttpRequest(content);
+      return {
+        score: isCurl ? 0.98 : 0.97,
+        metadata: { source: isCurl ? 'curl' : 'raw', method: request.method, url: request.url, hasBody: request.body !== null }
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+};
+
+export const jsonDetector = {
+  id: 'json',
+  type: 'json',
+  tool: 'json',
+  detect(content) {
+    const isObject = content.startsWith('{') && content.endsWith('}');
+    const isArray = content.startsWith('[') && content.endsWith(']');
+    if (!isObject && !isArray) {
+      return null;
+    }
+    try {
+      JSON.parse(content);
+      return { score: 0.9, metadata: { kind: isObject ? 'object' : 'array' } };
+    } catch (e) {
+      return null;
+    }
+  }
+};
+
+export const urlDetector = {
+  id: 'url',
+  type: 'url',
+  tool: 'url',
+  detect(content) {
+    if (content.toLowerCase().startsWith('http')) {
+      return { score: 0.9, metadata: { encoded: false } };
+    }
+    if (URL_ENCODED_PATTERN.test(content)) {
+      try {
+        const decoded = decodeURIComponent(content);
+        if (decoded.toLowerCase().startsWith('http')) {
+          return { score: 0.85, metadata: { encoded: true, decoded } };
+        }
+      } catch (e) {
+        // 解码失败
+      }
+    }
+    return null;
+  }
+};
+
+export const domainDetector = {
+  id: 'domain',
+  type: 'domain',
+  tool: 'dns',
+  detect(content) {
+    return DOMAIN_PATTERN.test(content) ? { score: 0.8, metadata: {} } : null;
+  }
+};
+
+export const mixedDetector = {
+  id: 'mixed',
+  type: 'mixed',
+  tool: 'segments',
+  detect(content) {
+    const segments = tokenizeSegments(content);
+    if (!isMixedContent(segments, content)) {
+      return null;
+    }
+    const types = [...new Set(segments.map(s => s.type))];
+    // 片段越多、种类越丰富，越像是日志行之类的混合内容
+    const score = segments.length > 1 ? Math.min(0.7 + 0.05 * types.length, 0.85) : 0.4;
+    return { score, metadata: { segmentCount: segments.length, types } };
+  }
+};
+
+export const magicDetector = {
+  id: 'magic',
+  type: 'magic',
+  tool: 'magic',
+  async detect(content) {
+    const [best] = await MagicDecoder.decode(content, { maxResults: 1 });
+    if (!best) {
+      return null;
+    }
+    // 多层编码是单步解码工具处理不了的，优先展示；单层时让位给普通编解码工具
+    const score = best.layers.length >= 2 ? 0.88 : 0.45;
+    return { score, metadata: { chain: best.layers.map(layer => layer.id) } };
+  }
+};
+
+export const encodeDetector = {
+  id: 'encode',
+  type: 'encode',
+  tool: 'encode',
+  detect(content) {
+    if (BASE64_PATTERN.test(content) && content.length % 4 === 0 && content.length > 10) {
+      return { score: 0.5, metadata: { encoding: 'base64' } };
+    }
+    // 兜底：任何内容都可以进行编码
+    return { score: 0.1, metadata: { encoding: 'plain' } };
+  }
+};
+
+/**
+ * 按默认优先级排列的内置检测器
+ */
+export const BUILTIN_DETECTORS = [
+  ipv4Detector,
+  ipv6Detector,
+  cidrDetector,
+  ipv6CidrDetector,
+  cronDetector,
+  timestampDetector,
+  datetimeDetector,
+  encryptedDetector,
+  jwtDetector,
+  certificateDetector,
+  imageDetector,
+  httpRequestDetector,
+  jsonDetector,
+  urlDetector,
+  domainDetector,
+  mixedDetector,
+  magicDetector,
+  encodeDetector
+];
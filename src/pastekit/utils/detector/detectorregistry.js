@@ -0,0 +1,144 @@
+/**
+ * 内容检测器注册表
+ *
+ * 每个检测器都是一个与 React 无关的纯对象：
+ * {
+ *   id: 'ipv4',              // 唯一标识
+ *   type: 'ip',              // 内容类型，对应 popup.formats.<type> 的翻译
+ *   tool: 'ip',              // 处理该类型的工具组件键名
+ *   label: 'IPv4',           // 可选，自定义类型没有翻译时显示的名称
+ *   component: IpTool,       // 可选，工具组件，等同于 registerTool(tool, component)
+ *   detect(content, context) // 返回 null 或 { score: 0-1, metadata: {} }，可以是 Promise
+ * }
+ *
+ * detect 返回的 score 越高表示越确定，注册表会按得分对所有候选排序。
+ * 工具组件按 tool 键名保存，注册表本身不依赖 React，只负责查找；组件接收 { content } 等属性。
+ */
+export class DetectorRegistry {
+  constructor() {
+    this.detectors = [];
+    this.toolComponents = new Map();
+  }
+
+  /**
+   * 注册检测器，相同 id 的检测器会被替换
+   * @param {Object} detector - 检测器对象
+   * @returns {Function} 注销该检测器的函数
+   */
+  register(detector) {
+    if (!detector || !detector.id || !detector.type || typeof detector.detect !== 'function') {
+      throw new Error('检测器必须包含 id、type 和 detect 函数');
+    }
+
+    const normalized = {
+      ...detector,
+      tool: detector.tool || detector.type
+    };
+
+    if (detector.component) {
+      this.registerTool(normalized.tool, detector.component);
+    }
+
+    const index = this.detectors.findIndex(d => d.id === detector.id);
+    if (index > -1) {
+      this.detectors[index] = normalized;
+    } else {
+      this.detectors.push(normalized);
+    }
+
+    return () => this.unregister(detector.id);
+  }
+
+  /**
+   * 注销检测器
+   * @param {string} id - 检测器 id
+   */
+  unregister(id) {
+    this.detectors = this.detectors.filter(d => d.id !== id);
+  }
+
+  /**
+   * 注册工具组件，相同键名的组件会被替换
+   * @param {string} tool - 工具键名，对应检测器的 tool
+   * @param {Function} component - 工具组件
+   * @returns {Function} 注销该组件的函数
+   */
+  registerTool(tool, component) {
+    if (!tool || typeof component !== 'function') {
+      throw new Error('工具组件必须包含键名和组件');
+    }
+    this.toolComponents.set(tool, component);
+    return () => {
+      if (this.toolComponents.get(tool) === component) {
+        this.toolComponents.delete(tool);
+      }
+    };
+  }
+
+  /**
+   * 获取工具组件
+   * @param {string} tool - 工具键名
+   * @returns {Function|null}
+   */
+  getToolComponent(tool) {
+    return this.toolComponents.get(tool) || null;
+  }
+
+  /**
+   * 获取已注册的检测器列表
+   * @returns {Array} 检测器列表副本
+   */
+  getDetectors() {
+    return [...this.detectors];
+  }
+
+  /**
+   * 运行所有检测器并返回按得分排序的候选列表
+   * 同一个工具只保留得分最高的候选
+   * @param {string} content - 待检测内容
+   * @param {Object} context - 检测上下文（如 keyConfigs）
+   * @returns {Promise<Array>} [{ detectorId, type, tool, label, score, metadata }]
+   */
+  async detect(content, context = {}) {
+    const trimmedContent = content?.trim() || '';
+    if (!trimmedContent) {
+      return [];
+    }
+
+    const candidates = [];
+
+    for (const detector of this.detectors) {
+      try {
+        const result = await detector.detect(trimmedContent, context);
+        if (!result || !(result.score > 0)) {
+          continue;
+        }
+
+        candidates.push({
+          detectorId: detector.id,
+          type: detector.type,
+          tool: detector.tool,
+          label: detector.label,
+          score: Math.min(result.score, 1),
+          metadata: result.metadata || {}
+        });
+      } catch (err) {
+        console.warn(`[DetectorRegistry] 检测器 ${detector.id} 执行失败:`, err);
+      }
+    }
+
+    // 稳定排序：得分相同时保持注册顺序
+    candidates.sort((a, b) => b.score - a.score);
+
+    const seenTools = new Set();
+    return candidates.filter(candidate => {
+      if (seenTools.has(candidate.tool)) {
+        return false;
+      }
+      seenTools.add(candidate.tool);
+      return true;
+    });
+  }
+}
+
+export default DetectorRegistry;
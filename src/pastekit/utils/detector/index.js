@@ -0,0 +1,22 @@
+// 导出内容检测相关的工具
+import { DetectorRegistry } from './detectorregistry.js';
+import { BUILTIN_DETECTORS } from './builtindetectors.js';
+
+export { DetectorRegistry } from './detectorregistry.js';
+export * from './builtindetectors.js';
+export { tokenizeSegments, isMixedContent, SEGMENT_TOOLS } from './segmenttokenizer.js';
+
+// 默认注册表，预先注册所有内置检测器
+// 外部可通过 detectorRegistry.register() 追加自定义检测器
+export const detectorRegistry = new DetectorRegistry();
+BUILTIN_DETECTORS.forEach(detector => detectorRegistry.register(detector));
+
+/**
+ * 使用默认注册表检测内容
+ * @param {string} content - 待检测内容
+ * @param {Object} context - 检测上下文
+ * @returns {Promise<Array>} 按得分排序的候选列表
+ */
+export function detectContent(content, context = {}) {
+  return detectorRegistry.detect(content, context);
+}
@@ -0,0 +1,194 @@
+/**
+ * 混合内容分词
+ * 从日志行等混合文本中找出时间、IP、URL、JSON、JWT、Base64 等片段
+ */
+
+/**
+ * 片段类型与对应工具
+ */
+export const SEGMENT_TOOLS = {
+  json: 'json',
+  jwt: 'jwt',
+  url: 'url',
+  datetime: 'time',
+  cidr: 'ip',
+  ip: 'ip',
+  timestamp: 'time',
+  base64: 'encode'
+};
+
+// 按优先级排列的正则片段规则，先匹配到的片段占用位置，后续重叠的匹配会被丢弃
+const SEGMENT_RULES = [
+  {
+    type: 'jwt',
+    pattern: /eyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g
+  },
+  {
+    type: 'url',
+    pattern: /https?:\/\/[^\s"'<>`]+/g
+  },
+  {
+    type: 'datetime',
+    pattern: /\b\d{4}-\d{2}-\d{2}(?:[ T]\d{2}:\d{2}:\d{2}(?:\.\d{1,6})?(?:Z|[+-]\d{2}:?\d{2})?)?\b/g,
+    validate: (text) => !isNaN(new Date(text).getTime())
+  },
+  {
+    type: 'cidr',
+    pattern: /\b(?:(?:25[0-5]|2[0-4]\d|[01]?\d\d?)\.){3}(?:25[0-5]|2[0-4]\d|[01]?\d\d?)\/(?:3[0-2]|[12]\d|[1-9])\b/g
+  },
+  {
+    type: 'ip',
+    pattern: /\b(?:(?:25[0-5]|2[0-4]\d|[01]?\d\d?)\.){3}(?:25[0-5]|2[0-4]\d|[01]?\d\d?)\b/g
+  },
+  {
+    type: 'timestamp',
+    pattern: /\b(?:\d{13}|\d{10})\b/g,
+    validate: (text) => {
+      const milliseconds = text.length === 10 ? Number(text) * 1000 : Number(text);
+      // 只认 2001 年到 2100 年之间的时间戳，避免把普通数字当成时间
+      return milliseconds > 978307200000 && milliseconds < 4102444800000;
+    }
+  },
+  {
+    type: 'base64',
+    pattern: /(?<![A-Za-z0-9+/=_-])[A-Za-z0-9+/]{16,}={0,2}(?![A-Za-z0-9+/=_-])/g,
+    validate: (text) => text.length % 4 === 0 && /[A-Za-z]/.test(text) && /\d|[+/]/.test(text)
+  }
+];
+
+/**
+ * 从指定位置开始查找括号配对的 JSON 片段
+ * @param {string} content - 原始内容
+ * @param {number} start - '{' 或 '[' 所在位置
+ * @returns {number} 片段结束位置（不含），找不到时返回 -1
+ */
+function findBalancedEnd(content, start) {
+  const stack = [];
+  let inString = false;
+
+  for (let i = start; i < content.length; i++) {
+    const char = content[i];
+
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) {
+        return -1;
+      }
+      if (stack.length === 0) {
+        return i + 1;
+      }
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * 查找内容中所有可以解析的 JSON 对象或数组片段
+ * @param {string} content - 原始内容
+ * @returns {Array} [{ start, end }]
+ */
+function findJsonRanges(content) {
+  const ranges = [];
+  let i = 0;
+
+  while (i < content.length) {
+    const char = content[i];
+    if (char === '{' || char === '[') {
+      const end = findBalancedEnd(content, i);
+      if (end > -1) {
+        try {
+          const parsed = JSON.parse(content.slice(i, end));
+          // 忽略 [1] 这类过于简单的片段
+          if (parsed !== null && typeof parsed === 'object' && Object.keys(parsed).length > 0) {
+            ranges.push({ start: i, end });
+            i = end;
+            continue;
+          }
+        } catch (e) {
+          // 不是合法 JSON，继续向后查找
+        }
+      }
+    }
+    i++;
+  }
+
+  return ranges;
+}
+
+/**
+ * 将混合内容切分为可识别的片段
+ * @param {string} content - 原始内容
+ * @returns {Array} 按出现位置排序的片段 [{ start, end, text, type, tool }]
+ */
+export function tokenizeSegments(content) {
+  if (!content || typeof content !== 'string') {
+    return [];
+  }
+
+  const segments = [];
+  const overlaps = (start, end) => segments.some(s => start < s.end && end > s.start);
+
+  const addSegment = (type, start, end) => {
+    if (overlaps(start, end)) {
+      return;
+    }
+    segments.push({
+      start,
+      end,
+      text: content.slice(start, end),
+      type,
+      tool: SEGMENT_TOOLS[type]
+    });
+  };
+
+  // JSON 是容器，优先占位，避免其中的 URL、时间被拆出来
+  findJsonRanges(content).forEach(({ start, end }) => addSegment('json', start, end));
+
+  for (const rule of SEGMENT_RULES) {
+    rule.pattern.lastIndex = 0;
+    let match;
+    while ((match = rule.pattern.exec(content)) !== null) {
+      let text = match[0];
+      // URL 末尾的标点通常属于句子而不是 URL
+      if (rule.type === 'url') {
+        text = text.replace(/[.,;:!?)\]}]+$/, '');
+      }
+      if (rule.validate && !rule.validate(text)) {
+        continue;
+      }
+      addSegment(rule.type, match.index, match.index + text.length);
+    }
+  }
+
+  return segments.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * 判断内容是否为包含多个片段的混合内容
+ * 单个片段覆盖全部内容时不算混合内容，由对应的单一检测器处理
+ * @param {Array} segments - tokenizeSegments 的结果
+ * @param {string} content - 原始内容
+ * @returns {boolean}
+ */
+export function isMixedContent(segments, content) {
+  if (segments.length === 0) {
+    return false;
+  }
+  if (segments.length > 1) {
+    return true;
+  }
+  return segments[0].text.trim() !== content.trim();
+}
@@ -0,0 +1,317 @@
+/**
+ * HAR 1.2 导入 / 导出
+ * 导出时原始密文放在标准字段中，解密后的明文与使用的配置放在自定义字段 _pastekit 中；
+ * 导入时每条记录都按当前的域名解密配置重新执行 performDecryption
+ */
+
+import { StorageUtils } from './storageutils.js';
+import { findDecryptionConfig, performDecryption } from '../proxy/utils/decryptor.js';
+
+export const HAR_VERSION = '1.2';
+
+// 点击下载后延迟释放 Blob URL，立即释放时部分浏览器会取消下载
+const REVOKE_URL_DELAY = 60 * 1000;
+
+// base64 编码的响应内容只有文本类型才解码为字符串
+const TEXT_MIME_PATTERN = /^text\/|json|xml|javascript|x-www-form-urlencoded|graphql/i;
+
+/**
+ * 统一为 HAR 的 [{ name, value }] 形式（代理消息中的消息头是对象）
+ */
+function toHarHeaders(headers) {
+  if (!headers) {
+    return [];
+  }
+  if (Array.isArray(headers)) {
+    return headers.map(({ name, value }) => ({ name: String(name), value: String(value ?? '') }));
+  }
+  return Object.entries(headers).flatMap(([name, value]) =>
+    (Array.isArray(value) ? value : [value]).map(item => ({ name, value: String(item ?? '') }))
+  );
+}
+
+function findHarHeader(headers, name) {
+  const target = name.toLowerCase();
+  return headers.find(header => header.name.toLowerCase() === target)?.value;
+}
+
+function byteLength(text) {
+  return text ? new TextEncoder().encode(text).length : 0;
+}
+
+function parseQueryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+function decodeBase64Text(text) {
+  const binary = atob(text);
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+function getCreatorVersion() {
+  try {
+    return chrome.runtime.getManifest().version;
+  } catch {
+    return '';
+  }
+}
+
+export class HarUtils {
+  /**
+   * 把抓包记录转换为 HAR 文档
+   * @param {Array} exchanges - 抓包记录（TrafficStore 中的记录）
+   * @returns {Object} HAR 文档 { log }
+   */
+  static toHar(exchanges = []) {
+    return {
+      log: {
+        version: HAR_VERSION,
+        creator: { name: 'PasteKit', version: getCreatorVersion() },
+        pages: [],
+        entries: [...exchanges]
+          .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+          .map(exchange => this.toEntry(exchange))
+      }
+    };
+  }
+
+  /**
+   * 单条记录转换为 HAR entry
+   * @param {Object} exchange
+   * @returns {Object}
+   */
+  static toEntry(exchange) {
+    const requestHeaders = toHarHeaders(exchange.requestHeaders);
+    const responseHeaders = toHarHeaders(exchange.responseHeaders);
+    const requestBody = exchange.requestBody ?? null;
+    const responseBody = exchange.responseBody ?? null;
+    const responseSize = byteLength(responseBody);
+
+    const request = {
+      method: exchange.method || 'GET',
+      url: exchange.url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: requestHeaders,
+      queryString: parseQueryString(exchange.url),
+      headersSize: -1,
+      bodySize: byteLength(requestBody)
+    };
+    if (requestBody !== null) {
+      request.postData = {
+        mimeType: findHarHeader(requestHeaders, 'content-type') || '',
+        text: requestBody
+      };
+    }
+
+    return {
+      startedDateTime: new Date(exchange.timestamp || Date.now()).toISOString(),
+      time: 0,
+      request,
+      response: {
+        status: Number(exchange.statusCode) || 0,
+        statusText: '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: responseHeaders,
+        content: {
+          size: responseSize,
+          mimeType: findHarHeader(responseHeaders, 'content-type') || '',
+          text: responseBody ?? ''
+        },
+        redirectURL: findHarHeader(responseHeaders, 'location') || '',
+        headersSize: -1,
+        bodySize: responseBody === null ? -1 : responseSize
+      },
+      cache: {},
+      timings: { send: 0, wait: 0, receive: 0 },
+      _pastekit: {
+        requestId: exchange.requestId,
+        source: exchange.source,
+        plainRequestBody: exchange.plainRequestBody ?? null,
+        plainResponseBody: exchange.plainResponseBody ?? null,
+        decryptError: exchange.decryptError,
+        decryptionSkipped: exchange.decryptionSkipped,
+        requestConfig: exchange.requestConfig ?? exchange.decryptionInfo?.config,
+        responseConfig: exchange.responseConfig,
+        domainConfig: exchange.domainConfig ?? exchange.decryptionInfo?.domainConfig
+      }
+    };
+  }
+
+  /**
+   * 解析 HAR 文件内容为抓包记录（不解密）
+   * 每次导入使用新的 requestId，重复导入同一文件不会与已有记录合并
+   * @param {string} text - HAR 文件内容
+   * @param {number} importTimestamp - 导入时间，作为 requestId 的前缀
+   * @returns {Array} 抓包记录
+   */
+  static parseHar(text, importTimestamp = Date.now()) {
+    let har;
+    try {
+      har = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`HAR 文件不是有效的 JSON: ${error.message}`);
+    }
+    const entries = har?.log?.entries;
+    if (!Array.isArray(entries)) {
+      throw new Error('HAR 文件缺少 log.entries');
+    }
+    return entries
+      .filter(entry => entry?.request?.url)
+      .map((entry, index) => this.fromEntry(entry, index, importTimestamp));
+  }
+
+  /**
+   * 单条 HAR entry 转换为抓包记录；由 PasteKit 导出的文件会还原 _pastekit 中的明文，
+   * 原来的 requestId 只保留在 _pastekit.requestId 中
+   * @param {Object} entry
+   * @param {number} index - 在文件中的序号，用于生成 requestId
+   * @param {number} importTimestamp - 导入时间，用于生成 requestId
+   * @returns {Object}
+   */
+  static fromEntry(entry, index, importTimestamp = Date.now()) {
+    const { request, response = {} } = entry;
+    const pastekit = entry._pastekit || {};
+    const timestamp = Date.parse(entry.startedDateTime) || Date.now();
+
+    let requestBody = request.postData?.text ?? null;
+    if (requestBody === null && Array.isArray(request.postData?.params)) {
+      requestBody = new URLSearchParams(request.postData.params.map(({ name, value }) => [name, value ?? ''])).toString();
+    }
+
+    const content = response.content || {};
+    let responseBody = content.text ?? null;
+    if (responseBody !== null && content.encoding === 'base64' && TEXT_MIME_PATTERN.test(content.mimeType || '')) {
+      try {
+        responseBody = decodeBase64Text(responseBody);
+      } catch (error) {
+        console.warn('HAR 响应内容 base64 解码失败，保留原值:', error.message);
+      }
+    }
+
+    return {
+      requestId: `har_${importTimestamp}_${index}`,
+      url: request.url,
+      method: request.method,
+      timestamp,
+      requestHeaders: toHarHeaders(request.headers),
+      requestBody,
+      plainRequestBody: pastekit.plainRequestBody ?? null,
+      statusCode: response.status || undefined,
+      responseHeaders: toHarHeaders(response.headers),
+      responseBody: responseBody === '' ? null : responseBody,
+      plainResponseBody: pastekit.plainResponseBody ?? null,
+      source: pastekit.source || 'har',
+      _pastekit: { requestId: pastekit.requestId ?? null }
+    };
+  }
+
+  /**
+   * 按当前域名解密配置解密一条记录；没有匹配的配置时保留记录中已有的明文
+   * @param {Object} exchange
+   * @param {Object} options
+   * @param {Array} options.decryptionConfigs - 域名解密配置
+   * @param {Array} options.keyConfigs - 全部密钥配置
+   * @returns {Promise<Object>}
+   */
+  static async decryptExchange(exchange, { decryptionConfigs = [], keyConfigs = [] } = {}) {
+    const domainConfig = findDecryptionConfig(exchange.url, decryptionConfigs);
+    if (!domainConfig) {
+      return exchange;
+    }
+
+    const findKeyConfig = (name) => (name && keyConfigs.find(config => config.name === name)) || null;
+    const requestKeyConfig = findKeyConfig(domainConfig.requestKeyConfigName);
+    const responseKeyConfig = findKeyConfig(domainConfig.responseKeyConfigName);
+    const decrypted = {
+      ...exchange,
+      requestConfig: requestKeyConfig,
+      responseConfig: responseKeyConfig,
+      domainConfig,
+      decryptionSkipped: domainConfig.decryptionEnabled === false,
+      decryptError: undefined
+    };
+    if (domainConfig.decryptionEnabled === false) {
+      return decrypted;
+    }
+
+    const requestBody = requestKeyConfig ? exchange.requestBody : null;
+    const responseBody = responseKeyConfig ? exchange.responseBody : null;
+    if ((exchange.requestBody && !requestKeyConfig) || (exchange.responseBody && !responseKeyConfig)) {
+      decrypted.decryptError = '未找到匹配的密钥配置';
+    }
+    const result = await performDecryption({
+      requestBody,
+      responseBody,
+      requestKeyConfig,
+      responseKeyConfig,
+      requestHeaders: exchange.requestHeaders,
+      responseHeaders: exchange.responseHeaders,
+      keyConfigs
+    });
+    if (requestBody) decrypted.plainRequestBody = result.plainRequestBody;
+    if (responseBody) decrypted.plainResponseBody = result.plainResponseBody;
+    if (result.error) decrypted.decryptError = result.error;
+    return decrypted;
+  }
+
+  /**
+   * 导入 HAR 文件：解析后逐条解密
+   * @param {string} text - HAR 文件内容
+   * @param {Object} options - 见 decryptExchange
+   * @returns {Promise<Array>} 解密后的抓包记录
+   */
+  static async importHar(text, options = {}) {
+    const exchanges = this.parseHar(text);
+    const results = [];
+    for (const exchange of exchanges) {
+      results.push(await this.decryptExchange(exchange, options));
+    }
+    return results;
+  }
+
+  /**
+   * 从 chrome.storage 读取解密所需的配置
+   * @returns {Promise<{decryptionConfigs: Array, keyConfigs: Array}>}
+   */
+  static async loadDecryptionOptions() {
+    const result = await StorageUtils.getItem(['decryptionConfigs', 'keyConfigs']);
+    const parse = (value) => {
+      const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+      return Array.isArray(parsed) ? parsed : [];
+    };
+    return {
+      decryptionConfigs: parse(result.decryptionConfigs),
+      keyConfigs: parse(result.keyConfigs)
+    };
+  }
+
+  /**
+   * 下载 HAR 文件
+   * @param {Object} har - toHar 返回的文档
+   * @param {string} fileName
+   */
+  static download(har, fileName = `pastekit-${Date.now()}.har`) {
+    this.downloadJson(har, fileName);
+  }
+
+  /**
+   * 以格式化的 JSON 文件下载任意数据
+   * @param {*} data
+   * @param {string} fileName
+   */
+  static downloadJson(data, fileName) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), REVOKE_URL_DELAY);
+  }
+}
@@ -0,0 +1,283 @@
+/**
+ * 请求体的自动解密与重新加密
+ * 与代理解密器（proxy/utils/decryptor.js 的 decryptDataBody）规则一致：
+ * 整体是 Hex/Base64 的直接解密，JSON 则逐个字段解密；这里额外记录加密字段的位置，便于编辑后原样加密回去
+ * 信封配置（会话密钥 + 报文）整体解密，重新加密时沿用原报文的其他字段与会话密钥
+ */
+import { CipherUtils, EnvelopeCipher } from '../cipher/index.js';
+import { analyzePrintableCharacters } from '../textutils.js';
+import { detectContentEncoding } from '../../proxy/utils/decryptor.js';
+
+const ENCODED_TYPES = ['HEX', 'BASE64', 'BASE64_URLSAFE'];
+
+// 字段解密的最大深度，与 deepDecryptJSON 保持一致的保守策略
+const MAX_FIELD_DEPTH = 4;
+
+/**
+ * 解析 JSON，失败返回 undefined
+ * @param {string} text
+ * @returns {*}
+ */
+function tryParseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * 是否为 application/x-www-form-urlencoded 形式的请求体
+ * @param {string} body
+ * @returns {boolean}
+ */
+function isFormBody(body) {
+  return /^[^=&\s]+=[^&\s]*(&[^=&\s]+=[^&\s]*)*$/.test(body.trim());
+}
+
+/**
+ * 解析表单请求体；不用 URLSearchParams，避免把 Base64 里的 + 当成空格
+ * @param {string} body
+ * @returns {Object}
+ */
+function parseForm(body) {
+  const decode = (text) => {
+    try {
+      return decodeURIComponent(text);
+    } catch (e) {
+      return text;
+    }
+  };
+  return Object.fromEntries(body.split('&').map(pair => {
+    const index = pair.indexOf('=');
+    return [decode(pair.slice(0, index)), decode(pair.slice(index + 1))];
+  }));
+}
+
+/**
+ * 按路径写入值
+ * @param {Object} target
+ * @param {Array<string|number>} path
+ * @param {*} value
+ */
+function setByPath(target, path, value) {
+  const parent = path.slice(0, -1).reduce((current, key) => current[key], target);
+  parent[path[path.length - 1]] = value;
+}
+
+/**
+ * 按路径读取值
+ * @param {Object} target
+ * @param {Array<string|number>} path
+ * @returns {*}
+ */
+function getByPath(target, path) {
+  return path.reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), target);
+}
+
+/**
+ * 请求体加解密
+ */
+export class HttpBodyCrypto {
+  /**
+   * 用指定配置尝试解密一个值，结果不可读时视为失败
+   * @param {string} value - 密文
+   * @param {Object} config - 秘钥配置
+   * @param {Object} context - 传给 CipherUtils.decrypt 的运行时信息（请求头等）
+   * @returns {string|null} 明文
+   */
+  static tryDecrypt(value, config, context = {}) {
+    const trimmed = value?.trim();
+    // 与代理解密器一致：32/36 位的多半是 UUID 或签名，不尝试
+    if (!trimmed || trimmed.length === 32 || trimmed.length === 36 || !ENCODED_TYPES.includes(detectContentEncoding(trimmed))) {
+      return null;
+    }
+    try {
+      const plaintext = CipherUtils.decrypt(trimmed, config, context);
+      if (!plaintext || plaintext === trimmed || !analyzePrintableCharacters(plaintext).isReadable) {
+        return null;
+      }
+      return plaintext;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * 收集对象中所有可被解密的字符串字段
+   * @private
+   * @param {*} value
+   * @param {Object} config
+   * @param {Array} path
+   * @param {Array} fields - 输出 [{ path, json }]
+   * @param {Object} context
+   * @returns {*} 解密后的值
+   */
+  static decryptFields(value, config, path, fields, context = {}) {
+    if (path.length > MAX_FIELD_DEPTH) {
+      return value;
+    }
+    if (typeof value === 'string') {
+      const plaintext = this.tryDecrypt(value, config, context);
+      if (plaintext === null) {
+        return value;
+      }
+      const parsed = tryParseJson(plaintext);
+      const json = parsed !== undefined && typeof parsed === 'object' && parsed !== null;
+      fields.push({ path, json });
+      return json ? parsed : plaintext;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => this.decryptFields(item, config, [...path, index], fields, context));
+    }
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = this.decryptFields(item, config, [...path, key], fields, context);
+      }
+      return result;
+    }
+    return value;
+  }
+
+  /**
+   * 用信封配置解密整个请求体
+   * @private
+   * @param {string} body - 请求体
+   * @param {Object} config - 信封配置
+   * @param {Object} context - { headers, keyConfigs }
+   * @returns {Object|null} decryptBody 的返回值
+   */
+  static decryptEnvelope(body, config, context) {
+    const envelopeContext = { ...context };
+    try {
+      const plaintext = CipherUtils.decrypt(body, config, envelopeContext);
+      if (!plaintext || !analyzePrintableCharacters(plaintext).isReadable) {
+        return null;
+      }
+      const parsed = tryParseJson(plaintext);
+      return {
+        config,
+        mode: 'envelope',
+        format: parsed !== undefined ? 'json' : 'raw',
+        fields: [],
+        plainBody: parsed !== undefined ? JSON.stringify(parsed, null, 2) : plaintext,
+        envelope: { template: body, sessionKey: envelopeContext.sessionKey }
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * 用秘钥配置逐个尝试解密请求体
+   * @param {string} body - 请求体
+   * @param {Array} keyConfigs - 秘钥配置列表
+   * @param {Object} context - { headers, keyConfigs }，AEAD 配置从请求头读取 tag 与 AAD；
+   *                           keyConfigs 为信封配置查找包装会话密钥的配置，默认为候选的秘钥配置列表
+   * @returns {Object|null} { config, mode: 'whole'|'fields'|'envelope', format: 'raw'|'json'|'form', fields, plainBody, envelope }
+   */
+  static decryptBody(body, keyConfigs = [], context = {}) {
+    if (!body || keyConfigs.length === 0) {
+      return null;
+    }
+    const trimmed = body.trim();
+    const json = tryParseJson(trimmed);
+    const isJson = json !== undefined && typeof json === 'object' && json !== null;
+    const isForm = !isJson && isFormBody(trimmed);
+    const configContext = { keyConfigs, ...context };
+    // 信封中的会话密钥字段单独也能被 RSA/SM2 配置解开，因此先尝试信封配置
+    const orderedConfigs = [
+      ...keyConfigs.filter(config => EnvelopeCipher.supports(config)),
+      ...keyConfigs.filter(config => !EnvelopeCipher.supports(config))
+    ];
+
+    for (const config of orderedConfigs) {
+      if (EnvelopeCipher.supports(config)) {
+        const result = this.decryptEnvelope(trimmed, config, configContext);
+        if (result) {
+          return result;
+        }
+        continue;
+      }
+
+      // 整个请求体就是密文
+      const plaintext = this.tryDecrypt(trimmed, config, context);
+      if (plaintext !== null) {
+        const parsed = tryParseJson(plaintext);
+        return {
+          config,
+          mode: 'whole',
+          format: parsed !== undefined ? 'json' : 'raw',
+          fields: [],
+          plainBody: parsed !== undefined ? JSON.stringify(parsed, null, 2) : plaintext
+        };
+      }
+
+      // JSON 或表单中的个别字段是密文；表单按扁平对象处理，明文以 JSON 展示
+      if (isJson || isForm) {
+        const source = isJson ? json : parseForm(trimmed);
+        const fields = [];
+        const decrypted = this.decryptFields(source, config, [], fields, context);
+        if (fields.length > 0) {
+          return {
+            config,
+            mode: 'fields',
+            format: isJson ? 'json' : 'form',
+            fields,
+            plainBody: JSON.stringify(decrypted, null, 2)
+          };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 把编辑后的明文按解密时的结构重新加密
+   * @param {string} plainBody - 明文请求体
+   * @param {Object} decryption - decryptBody 的返回值
+   * @param {Object} config - 加密使用的秘钥配置，默认为解密时命中的配置
+   * @param {Object} context - { headers, keyConfigs }；AEAD 的 tag 单独放在请求头时写入 context.tag，
+   *                           信封配置放在请求头中的部分写入 context.outputHeaders
+   * @returns {string} 新的请求体
+   */
+  static encryptBody(plainBody, decryption, config = decryption.config, context = {}) {
+    if (decryption.mode === 'envelope' || EnvelopeCipher.supports(config)) {
+      const parsed = decryption.format === 'json' ? tryParseJson(plainBody) : undefined;
+      // 沿用原报文与会话密钥，只替换密文部分；换成其他配置时重新生成
+      if (decryption.envelope && config === decryption.config) {
+        Object.assign(context, decryption.envelope);
+      }
+      return CipherUtils.encrypt(parsed !== undefined ? JSON.stringify(parsed) : plainBody, config, context);
+    }
+
+    if (decryption.mode === 'whole') {
+      // 解密时美化过的 JSON 压缩回去再加密
+      const parsed = decryption.format === 'json' ? tryParseJson(plainBody) : undefined;
+      return CipherUtils.encrypt(parsed !== undefined ? JSON.stringify(parsed) : plainBody, config, context);
+    }
+
+    const data = tryParseJson(plainBody);
+    if (data === undefined) {
+      throw new Error('明文不是有效的 JSON');
+    }
+    for (const { path, json } of decryption.fields) {
+      const value = getByPath(data, path);
+      if (value === undefined) {
+        continue;
+      }
+      const text = json || typeof value !== 'string' ? JSON.stringify(value) : value;
+      setByPath(data, path, CipherUtils.encrypt(text, config, context));
+    }
+
+    if (decryption.format === 'form') {
+      return Object.entries(data)
+        .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(typeof value === 'string' ? value : JSON.stringify(value))}`)
+        .join('&');
+    }
+    return JSON.stringify(data);
+  }
+}
+
+export default HttpBodyCrypto;
@@ -0,0 +1,435 @@
+/**
+ * cURL 命令解析
+ * 支持 DevTools "Copy as cURL (bash)" 生成的命令：单/双引号、$'...' 转义、反斜杠续行
+ */
+
+// 与请求内容相关的选项，映射到统一的处理键
+const OPTION_KEYS = {
+  '-X': 'request',
+  '--request': 'request',
+  '-H': 'header',
+  '--header': 'header',
+  '-b': 'cookie',
+  '--cookie': 'cookie',
+  '-d': 'data',
+  '--data': 'data',
+  '--data-ascii': 'data',
+  '--data-binary': 'data-binary',
+  '--data-raw': 'data-raw',
+  '--data-urlencode': 'data-urlencode',
+  '--json': 'json',
+  '-F': 'form',
+  '--form': 'form',
+  '--form-string': 'form-string',
+  '-u': 'user',
+  '--user': 'user',
+  '-A': 'user-agent',
+  '--user-agent': 'user-agent',
+  '-e': 'referer',
+  '--referer': 'referer',
+  '--url': 'url',
+  '-G': 'get',
+  '--get': 'get',
+  '-I': 'head',
+  '--head': 'head',
+  '--compressed': 'compressed',
+  '-k': 'insecure',
+  '--insecure': 'insecure',
+  '-L': 'location',
+  '--location': 'location'
+};
+
+// 需要参数的选项
+const VALUE_KEYS = new Set([
+  'request', 'header', 'cookie', 'data', 'data-binary', 'data-raw', 'data-urlencode',
+  'json', 'form', 'form-string', 'user', 'user-agent', 'referer', 'url'
+]);
+
+// 带参数但与请求内容无关的选项，解析时连同参数一起跳过
+const IGNORED_VALUE_OPTIONS = new Set([
+  '-o', '--output', '-m', '--max-time', '--connect-timeout', '-x', '--proxy', '-U', '--proxy-user',
+  '--cacert', '--capath', '--cert', '-E', '--key', '-w', '--write-out', '--retry', '-c', '--cookie-jar',
+  '-T', '--upload-file', '-r', '--range', '--resolve', '--max-redirs', '--limit-rate', '-K', '--config',
+  '--interface', '--local-port', '-Y', '--speed-limit', '-y', '--speed-time'
+]);
+
+const ANSI_ESCAPES = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', e: '\x1b', f: '\f', v: '\v', '\\': '\\', "'": "'", '"': '"', '?': '?' };
+
+/**
+ * 读取 $'...' 中的一个转义序列
+ * @param {string} text
+ * @param {number} index - 反斜杠所在位置
+ * @returns {Array} [字符, 消耗的长度]
+ */
+function readAnsiEscape(text, index) {
+  const next = text[index + 1];
+  if (next in ANSI_ESCAPES) {
+    return [ANSI_ESCAPES[next], 2];
+  }
+  const patterns = [
+    { prefix: 'x', pattern: /^[0-9a-fA-F]{1,2}/ },
+    { prefix: 'u', pattern: /^[0-9a-fA-F]{4}/ },
+    { prefix: 'U', pattern: /^[0-9a-fA-F]{8}/ }
+  ];
+  for (const { prefix, pattern } of patterns) {
+    if (next === prefix) {
+      const match = text.slice(index + 2).match(pattern);
+      if (match) {
+        return [String.fromCodePoint(parseInt(match[0], 16)), 2 + match[0].length];
+      }
+    }
+  }
+  const octal = text.slice(index + 1).match(/^[0-7]{1,3}/);
+  if (octal) {
+    return [String.fromCharCode(parseInt(octal[0], 8)), 1 + octal[0].length];
+  }
+  return ['\\' + (next ?? ''), 2];
+}
+
+/**
+ * 按 shell 规则把命令拆分为参数
+ * @param {string} input - 命令文本
+ * @returns {Array<string>}
+ */
+export function tokenizeShell(input) {
+  // 反斜杠续行（bash）和 ^ 续行（cmd）
+  const text = input.replace(/\\\r?\n/g, ' ').replace(/\^\r?\n/g, ' ');
+  const tokens = [];
+  let current = '';
+  let hasToken = false;
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (/\s/.test(ch)) {
+      if (hasToken) {
+        tokens.push(current);
+        current = '';
+        hasToken = false;
+      }
+      i++;
+    } else if (ch === "'") {
+      const end = text.indexOf("'", i + 1);
+      if (end === -1) {
+        throw new Error('单引号未闭合');
+      }
+      current += text.slice(i + 1, end);
+      hasToken = true;
+      i = end + 1;
+    } else if (ch === '$' && text[i + 1] === "'") {
+      i += 2;
+      while (i < text.length && text[i] !== "'") {
+        if (text[i] === '\\') {
+          const [value, length] = readAnsiEscape(text, i);
+          current += value;
+          i += length;
+        } else {
+          current += text[i++];
+        }
+      }
+      if (i >= text.length) {
+        throw new Error('单引号未闭合');
+      }
+      hasToken = true;
+      i++;
+    } else if (ch === '"') {
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && '"\\$`'.includes(text[i + 1])) {
+          current += text[i + 1];
+          i += 2;
+        } else {
+          current += text[i++];
+        }
+      }
+      if (i >= text.length) {
+        throw new Error('双引号未闭合');
+      }
+      hasToken = true;
+      i++;
+    } else if (ch === '\\') {
+      current += text[i + 1] ?? '';
+      hasToken = true;
+      i += 2;
+    } else {
+      current += ch;
+      hasToken = true;
+      i++;
+    }
+  }
+
+  if (hasToken) {
+    tokens.push(current);
+  }
+  return tokens;
+}
+
+/**
+ * 解析 -F 表单字段：name=value、name=@file;type=xxx、name=<file
+ * @param {string} value
+ * @param {boolean} literal - --form-string 不解析 @ 和 <
+ * @returns {Object} { name, value, isFile, filename, contentType }
+ */
+function parseFormField(value, literal) {
+  const index = value.indexOf('=');
+  const name = index === -1 ? value : value.slice(0, index);
+  let fieldValue = index === -1 ? '' : value.slice(index + 1);
+  const part = { name, value: fieldValue, isFile: false };
+
+  if (!literal && (fieldValue.startsWith('@') || fieldValue.startsWith('<'))) {
+    const [file, ...params] = fieldValue.slice(1).split(';');
+    part.isFile = fieldValue.startsWith('@');
+    part.value = file;
+    part.filename = file;
+    params.forEach(param => {
+      const [key, paramValue] = param.split('=');
+      if (key?.trim() === 'type') part.contentType = paramValue;
+      if (key?.trim() === 'filename') part.filename = paramValue;
+    });
+  } else if (!literal) {
+    const typeIndex = fieldValue.indexOf(';type=');
+    if (typeIndex !== -1) {
+      part.value = fieldValue.slice(0, typeIndex);
+      part.contentType = fieldValue.slice(typeIndex + 6);
+    }
+  }
+  return part;
+}
+
+/**
+ * 解析 --data-urlencode 的值
+ * @param {string} value - content、=content、name=content
+ * @returns {string}
+ */
+function encodeDataUrlencode(value) {
+  const index = value.indexOf('=');
+  if (index === -1) {
+    return encodeURIComponent(value);
+  }
+  const name = value.slice(0, index);
+  const content = encodeURIComponent(value.slice(index + 1));
+  return name ? `${name}=${content}` : content;
+}
+
+/**
+ * 拆分 "Name: value" 形式的请求头
+ * @param {string} line
+ * @returns {Object|null} { name, value }
+ */
+export function parseHeaderLine(line) {
+  const index = line.indexOf(':');
+  if (index <= 0) {
+    return null;
+  }
+  return { name: line.slice(0, index).trim(), value: line.slice(index + 1).trim() };
+}
+
+/**
+ * 解析 Cookie 字符串
+ * @param {string} value - a=1; b=2
+ * @returns {Array<Object>} [{ name, value }]
+ */
+export function parseCookieString(value) {
+  return value.split(';')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => {
+      const index = item.indexOf('=');
+      return index === -1
+        ? { name: item, value: '' }
+        : { name: item.slice(0, index).trim(), value: item.slice(index + 1).trim() };
+    });
+}
+
+/**
+ * 解析 cURL 命令
+ * @param {string} command - cURL 命令文本
+ * @returns {Object} 请求模型，见 httprequest/index.js
+ */
+export function parseCurl(command) {
+  const tokens = tokenizeShell(command.trim());
+  if (tokens[0]?.toLowerCase() !== 'curl') {
+    throw new Error('不是 cURL 命令');
+  }
+
+  const state = {
+    method: null,
+    url: null,
+    headers: [],
+    cookies: [],
+    data: [],
+    dataFiles: [],
+    multipart: [],
+    auth: null,
+    isGet: false,
+    isHead: false,
+    isJson: false,
+    options: { compressed: false, insecure: false, followRedirects: false }
+  };
+
+  const apply = (key, value) => {
+    switch (key) {
+      case 'request':
+        state.method = value.toUpperCase();
+        break;
+      case 'header': {
+        const header = parseHeaderLine(value);
+        if (header) state.headers.push(header);
+        break;
+      }
+      case 'cookie':
+        // 不含 = 的是 cookie 文件名，无法读取
+        if (value.includes('=')) state.cookies.push(...parseCookieString(value));
+        break;
+      case 'data':
+      case 'data-binary':
+      case 'json':
+        // @file 表示从文件读取请求体，文件内容无法读取，记录为文件引用
+        if (value.startsWith('@')) {
+          state.dataFiles.push({ path: value.slice(1), binary: key !== 'data' });
+        } else {
+          state.data.push(value);
+        }
+        state.isJson = state.isJson || key === 'json';
+        break;
+      case 'data-raw':
+        state.data.push(value);
+        break;
+      case 'data-urlencode':
+        state.data.push(encodeDataUrlencode(value));
+        break;
+      case 'form':
+      case 'form-string':
+        state.multipart.push(parseFormField(value, key === 'form-string'));
+        break;
+      case 'user': {
+        const index = value.indexOf(':');
+        state.auth = index === -1
+          ? { username: value, password: '' }
+          : { username: value.slice(0, index), password: value.slice(index + 1) };
+        break;
+      }
+      case 'user-agent':
+        state.headers.push({ name: 'User-Agent', value });
+        break;
+      case 'referer':
+        state.headers.push({ name: 'Referer', value });
+        break;
+      case 'url':
+        state.url = value;
+        break;
+      case 'get':
+        state.isGet = true;
+        break;
+      case 'head':
+        state.isHead = true;
+        break;
+      case 'compressed':
+        state.options.compressed = true;
+        break;
+      case 'insecure':
+        state.options.insecure = true;
+        break;
+      case 'location':
+        state.options.followRedirects = true;
+        break;
+      default:
+        break;
+    }
+  };
+
+  for (let i = 1; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token.startsWith('--')) {
+      const [option, inlineValue] = token.includes('=') ? [token.slice(0, token.indexOf('=')), token.slice(token.indexOf('=') + 1)] : [token, undefined];
+      const key = OPTION_KEYS[option];
+      if (key && VALUE_KEYS.has(key)) {
+        apply(key, inlineValue ?? tokens[++i] ?? '');
+      } else if (key) {
+        apply(key);
+      } else if (IGNORED_VALUE_OPTIONS.has(option) && inlineValue === undefined) {
+        i++;
+      }
+      continue;
+    }
+
+    if (token.startsWith('-') && token.length > 1) {
+      // 短选项可以合并（-sSL）或直接带参数（-XPOST）
+      for (let j = 1; j < token.length; j++) {
+        const option = `-${token[j]}`;
+        const key = OPTION_KEYS[option];
+        const rest = token.slice(j + 1);
+        if (key && VALUE_KEYS.has(key)) {
+          apply(key, rest || tokens[++i] || '');
+          break;
+        }
+        if (key) {
+          apply(key);
+        } else if (IGNORED_VALUE_OPTIONS.has(option)) {
+          if (!rest) i++;
+          break;
+        }
+      }
+      continue;
+    }
+
+    if (!state.url) {
+      state.url = token;
+    }
+  }
+
+  if (!state.url) {
+    throw new Error('cURL 命令中没有 URL');
+  }
+
+  let url = /^[a-z][a-z0-9+.-]*:\/\//i.test(state.url) ? state.url : `http://${state.url}`;
+  let body = state.data.length > 0 ? state.data.join('&') : null;
+
+  // 文件内容未知，只支持请求体整个来自一个文件
+  if (state.dataFiles.length > 0 && (state.dataFiles.length > 1 || body !== null || state.isGet)) {
+    throw new Error('@file 请求体只支持单个文件，且不能与其他数据或 -G 同时使用');
+  }
+  const bodyFile = state.dataFiles[0] || null;
+
+  // -G 把数据拼到查询参数上
+  if (state.isGet && body !== null) {
+    url += (url.includes('?') ? '&' : '?') + body;
+    body = null;
+  }
+
+  // Cookie 请求头统一拆到 cookies 里
+  const headers = [];
+  for (const header of state.headers) {
+    if (header.name.toLowerCase() === 'cookie') {
+      state.cookies.push(...parseCookieString(header.value));
+    } else {
+      headers.push(header);
+    }
+  }
+
+  if (state.isJson) {
+    if (!headers.some(h => h.name.toLowerCase() === 'content-type')) {
+      headers.push({ name: 'Content-Type', value: 'application/json' });
+    }
+    if (!headers.some(h => h.name.toLowerCase() === 'accept')) {
+      headers.push({ name: 'Accept', value: 'application/json' });
+    }
+  }
+
+  const hasBody = body !== null || bodyFile !== null || state.multipart.length > 0;
+  const method = state.method || (state.isHead ? 'HEAD' : (hasBody ? 'POST' : 'GET'));
+
+  return {
+    method,
+    url,
+    headers,
+    cookies: state.cookies,
+    body,
+    bodyFile,
+    multipart: state.multipart,
+    auth: state.auth,
+    options: state.options
+  };
+}
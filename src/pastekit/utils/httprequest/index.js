@@ -0,0 +1,104 @@
+// HTTP 请求（cURL / 原始报文）解析与转换相关导出
+//
+// 请求模型：
+// {
+//   method, url,
+//   headers: [{ name, value }],       // 不含 Cookie
+//   cookies: [{ name, value }],
+//   body: string | null,
+//   bodyFile: { path, binary } | null,  // --data-binary @file 等从文件读取的请求体，binary 为 false 时按 -d 去掉换行
+//   multipart: [{ name, value, isFile, filename, contentType }],
+//   auth: { username, password } | null,
+//   options: { compressed, insecure, followRedirects }
+// }
+import { parseCurl } from './curlparser.js';
+import { parseRawHttp, isRawHttpRequest, parseMultipartBody } from './rawhttpparser.js';
+
+export { tokenizeShell, parseCurl, parseHeaderLine, parseCookieString } from './curlparser.js';
+export { parseRawHttp, isRawHttpRequest, parseMultipartBody, HTTP_METHODS } from './rawhttpparser.js';
+export { SNIPPET_FORMATS, generateSnippet, buildCookieHeader, toCurl, toFetch, toAxios, toPythonRequests, toHttpie } from './snippetgenerators.js';
+export { HttpBodyCrypto } from './bodycrypto.js';
+
+/**
+ * 是否为 cURL 命令
+ * @param {string} content
+ * @returns {boolean}
+ */
+export function isCurlCommand(content) {
+  return /^curl(\.exe)?\s/i.test(content.trimStart());
+}
+
+/**
+ * 获取请求头的值（不区分大小写）
+ * @param {Object} request
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+export function getHeader(request, name) {
+  return request.headers.find(h => h.name.toLowerCase() === name.toLowerCase())?.value;
+}
+
+/**
+ * 判断请求体类型
+ * @param {Object} request
+ * @returns {string|null} 'multipart' | 'file' | 'json' | 'form' | 'raw'，没有请求体时为 null
+ */
+export function getBodyType(request) {
+  if (request.multipart.length > 0) {
+    return 'multipart';
+  }
+  if (request.bodyFile) {
+    return 'file';
+  }
+  if (request.body === null) {
+    return null;
+  }
+  const contentType = (getHeader(request, 'content-type') || '').toLowerCase();
+  if (contentType.includes('json')) {
+    return 'json';
+  }
+  if (contentType.includes('x-www-form-urlencoded')) {
+    return 'form';
+  }
+  try {
+    JSON.parse(request.body);
+    return 'json';
+  } catch (e) {
+    return 'raw';
+  }
+}
+
+/**
+ * 解析 cURL 命令或原始 HTTP 报文
+ * DevTools 复制的 multipart 请求是原始请求体加 boundary，这里统一拆成表单字段
+ * @param {string} content
+ * @returns {Object} 请求模型
+ */
+export function parseHttpRequest(content) {
+  const request = isCurlCommand(content) ? parseCurl(content.replace(/^(\s*)curl\.exe/i, '$1curl')) : parseRawHttp(content);
+
+  const contentType = getHeader(request, 'content-type') || '';
+  const boundary = contentType.match(/boundary=("?)([^";]+)\1/i)?.[2];
+  if (boundary && request.body) {
+    const parts = parseMultipartBody(request.body, boundary);
+    if (parts.length > 0) {
+      return {
+        ...request,
+        // 旧的 boundary 不再适用，重新生成时交给客户端设置
+        headers: request.headers.filter(h => h.name.toLowerCase() !== 'content-type'),
+        body: null,
+        multipart: parts
+      };
+    }
+  }
+  return request;
+}
+
+/**
+ * 是否为可解析的 HTTP 请求（cURL 或原始报文）
+ * @param {string} content
+ * @returns {boolean}
+ */
+export function isHttpRequest(content) {
+  return isCurlCommand(content) || isRawHttpRequest(content);
+}
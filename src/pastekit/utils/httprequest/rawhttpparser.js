@@ -0,0 +1,110 @@
+/**
+ * 原始 HTTP 请求报文解析
+ * 形如 Burp / DevTools 中复制出来的 "POST /path HTTP/1.1" + 请求头 + 空行 + 请求体
+ */
+import { parseHeaderLine, parseCookieString } from './curlparser.js';
+
+export const HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS', 'TRACE', 'CONNECT'];
+
+const REQUEST_LINE_PATTERN = new RegExp(`^(${HTTP_METHODS.join('|')})\\s+(\\S+)\\s+HTTP\\/\\d(?:\\.\\d)?$`);
+
+/**
+ * 是否为原始 HTTP 请求报文
+ * @param {string} content
+ * @returns {boolean}
+ */
+export function isRawHttpRequest(content) {
+  const firstLine = content.trimStart().split(/\r?\n/, 1)[0].trim();
+  return REQUEST_LINE_PATTERN.test(firstLine);
+}
+
+/**
+ * 解析 multipart/form-data 请求体
+ * @param {string} body
+ * @param {string} boundary
+ * @returns {Array<Object>} [{ name, value, isFile, filename, contentType }]
+ */
+export function parseMultipartBody(body, boundary) {
+  const parts = [];
+  for (const chunk of body.split(`--${boundary}`)) {
+    const trimmed = chunk.replace(/^\r?\n/, '');
+    if (!trimmed || trimmed.startsWith('--')) {
+      continue;
+    }
+    const separator = trimmed.search(/\r?\n\r?\n/);
+    if (separator === -1) {
+      continue;
+    }
+    const head = trimmed.slice(0, separator);
+    const value = trimmed.slice(separator).replace(/^\r?\n\r?\n/, '').replace(/\r?\n$/, '');
+    const disposition = head.match(/content-disposition:[^\r\n]*/i)?.[0] || '';
+    const name = disposition.match(/\bname="([^"]*)"/i)?.[1] || '';
+    const filename = disposition.match(/\bfilename="([^"]*)"/i)?.[1];
+    const contentType = head.match(/content-type:\s*([^\r\n]*)/i)?.[1];
+    parts.push({ name, value: filename ? filename : value, isFile: filename !== undefined, filename, contentType });
+  }
+  return parts;
+}
+
+/**
+ * 解析原始 HTTP 请求报文
+ * @param {string} content
+ * @param {Object} options - { scheme }，请求行只有路径时用于拼接 URL，默认 https
+ * @returns {Object} 请求模型，见 httprequest/index.js
+ */
+export function parseRawHttp(content, options = {}) {
+  const { scheme = 'https' } = options;
+  const text = content.trimStart();
+  const separator = text.search(/\r?\n\r?\n/);
+  const head = separator === -1 ? text : text.slice(0, separator);
+  const rawBody = separator === -1 ? '' : text.slice(separator).replace(/^\r?\n\r?\n/, '');
+
+  const [requestLine, ...headerLines] = head.split(/\r?\n/);
+  const match = requestLine.trim().match(REQUEST_LINE_PATTERN);
+  if (!match) {
+    throw new Error('不是 HTTP 请求报文');
+  }
+
+  const headers = [];
+  const cookies = [];
+  let host = '';
+  for (const line of headerLines) {
+    const header = parseHeaderLine(line);
+    if (!header) {
+      continue;
+    }
+    const name = header.name.toLowerCase();
+    if (name === 'host') {
+      host = header.value;
+    } else if (name === 'cookie') {
+      cookies.push(...parseCookieString(header.value));
+    } else if (name !== 'content-length') {
+      // Content-Length 在重新生成请求时由客户端计算
+      headers.push(header);
+    }
+  }
+
+  const target = match[2];
+  let url;
+  if (/^https?:\/\//i.test(target)) {
+    url = target;
+  } else {
+    if (!host) {
+      throw new Error('缺少 Host 请求头');
+    }
+    const defaultScheme = host.endsWith(':80') ? 'http' : scheme;
+    url = `${defaultScheme}://${host}${target.startsWith('/') ? target : `/${target}`}`;
+  }
+
+  return {
+    method: match[1],
+    url,
+    headers,
+    cookies,
+    body: rawBody ? rawBody.replace(/\r?\n$/, '') : null,
+    bodyFile: null,
+    multipart: [],
+    auth: null,
+    options: { compressed: false, insecure: false, followRedirects: false }
+  };
+}
@@ -0,0 +1,326 @@
+/**
+ * 把请求模型转换为各种客户端代码片段
+ */
+
+export const SNIPPET_FORMATS = ['curl', 'fetch', 'axios', 'python', 'httpie'];
+
+/**
+ * shell 单引号转义
+ * @param {string} value
+ * @returns {string}
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * JS / Python 单引号字符串字面量
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteString(value) {
+  return `'${String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')}'`;
+}
+
+/**
+ * 转为 Python 字面量（True/False/None）
+ * @param {*} value
+ * @param {number} indent - 当前缩进层级
+ * @returns {string}
+ */
+function toPythonLiteral(value, indent = 0) {
+  const pad = '    '.repeat(indent + 1);
+  const closePad = '    '.repeat(indent);
+  if (value === null || value === undefined) return 'None';
+  if (value === true) return 'True';
+  if (value === false) return 'False';
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'string') return quoteString(value);
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return `[\n${value.map(item => `${pad}${toPythonLiteral(item, indent + 1)},`).join('\n')}\n${closePad}]`;
+  }
+  const entries = Object.entries(value);
+  if (entries.length === 0) return '{}';
+  return `{\n${entries.map(([key, item]) => `${pad}${quoteString(key)}: ${toPythonLiteral(item, indent + 1)},`).join('\n')}\n${closePad}}`;
+}
+
+/**
+ * 请求头键值对转为 JS 对象字面量
+ * @param {Array} headers
+ * @param {string} indent
+ * @returns {string}
+ */
+function toJsObject(headers, indent) {
+  const lines = headers.map(({ name, value }) => `${indent}    ${quoteString(name)}: ${quoteString(value)}`);
+  return `{\n${lines.join(',\n')}\n${indent}}`;
+}
+
+/**
+ * 解析 JSON 请求体；只有 JSON.stringify 能原样还原时才返回对象，
+ * 否则客户端重新序列化后字节会变，带签名的请求会校验失败
+ * @param {string|null} body
+ * @returns {*} 非 JSON 或无法原样还原时返回 undefined
+ */
+function parseJsonBody(body) {
+  if (!body) return undefined;
+  try {
+    const parsed = JSON.parse(body);
+    const isStructured = typeof parsed === 'object' && parsed !== null;
+    return isStructured && JSON.stringify(parsed) === body ? parsed : undefined;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Cookie 列表拼成请求头值
+ * @param {Array} cookies
+ * @returns {string}
+ */
+export function buildCookieHeader(cookies = []) {
+  return cookies.map(({ name, value }) => `${name}=${value}`).join('; ');
+}
+
+/**
+ * 含 Cookie / Basic 认证在内的完整请求头
+ * @param {Object} request
+ * @returns {Array<Object>}
+ */
+function allHeaders(request) {
+  const headers = [...request.headers];
+  if (request.cookies.length > 0) {
+    headers.push({ name: 'Cookie', value: buildCookieHeader(request.cookies) });
+  }
+  if (request.auth) {
+    const credentials = `${request.auth.username}:${request.auth.password}`;
+    headers.push({ name: 'Authorization', value: `Basic ${btoa(unescape(encodeURIComponent(credentials)))}` });
+  }
+  return headers;
+}
+
+/**
+ * 生成 cURL 命令
+ * @param {Object} request
+ * @returns {string}
+ */
+export function toCurl(request) {
+  const hasBody = request.body !== null || request.bodyFile !== null || request.multipart.length > 0;
+  const parts = [`curl ${shellQuote(request.url)}`];
+  const implicitMethod = hasBody ? 'POST' : 'GET';
+  if (request.method !== implicitMethod) {
+    parts.push(request.method === 'HEAD' ? '-I' : `-X ${request.method}`);
+  }
+  request.headers.forEach(({ name, value }) => parts.push(`-H ${shellQuote(`${name}: ${value}`)}`));
+  if (request.cookies.length > 0) {
+    parts.push(`-b ${shellQuote(buildCookieHeader(request.cookies))}`);
+  }
+  if (request.auth) {
+    parts.push(`-u ${shellQuote(`${request.auth.username}:${request.auth.password}`)}`);
+  }
+  if (request.body !== null) {
+    parts.push(`--data-raw ${shellQuote(request.body)}`);
+  }
+  if (request.bodyFile) {
+    parts.push(`${request.bodyFile.binary ? '--data-binary' : '-d'} ${shellQuote(`@${request.bodyFile.path}`)}`);
+  }
+  request.multipart.forEach(part => {
+    const value = part.isFile
+      ? `@${part.value}${part.contentType ? `;type=${part.contentType}` : ''}`
+      : part.value;
+    parts.push(`${part.isFile ? '-F' : '--form-string'} ${shellQuote(`${part.name}=${value}`)}`);
+  });
+  if (request.options.compressed) parts.push('--compressed');
+  if (request.options.insecure) parts.push('-k');
+  if (request.options.followRedirects) parts.push('-L');
+  return parts.join(' \\\n  ');
+}
+
+/**
+ * 生成 multipart 的 FormData 构造代码
+ * @param {Array} multipart
+ * @returns {string}
+ */
+function buildFormData(multipart) {
+  const lines = ['const formData = new FormData();'];
+  multipart.forEach(part => {
+    lines.push(part.isFile
+      ? `formData.append(${quoteString(part.name)}, file, ${quoteString(part.filename || part.value)}); // ${part.value}`
+      : `formData.append(${quoteString(part.name)}, ${quoteString(part.value)});`);
+  });
+  return `${lines.join('\n')}\n\n`;
+}
+
+/**
+ * 从文件读取的请求体，用 file 变量占位，与 FormData 中的文件字段一致
+ * @param {Object} bodyFile
+ * @returns {string}
+ */
+function fileBodyComment(bodyFile) {
+  return `    // file: ${bodyFile.path} 的内容${bodyFile.binary ? '' : '（cURL -d 会去掉其中的换行）'}\n`;
+}
+
+/**
+ * 生成 fetch 代码
+ * @param {Object} request
+ * @returns {string}
+ */
+export function toFetch(request) {
+  const headers = allHeaders(request);
+  const options = [`    method: ${quoteString(request.method)}`];
+  if (headers.length > 0) {
+    options.push(`    headers: ${toJsObject(headers, '    ')}`);
+  }
+  const json = parseJsonBody(request.body);
+  if (request.multipart.length > 0) {
+    options.push('    body: formData');
+  } else if (json !== undefined) {
+    options.push(`    body: JSON.stringify(${JSON.stringify(json, null, 4).replace(/\n/g, '\n    ')})`);
+  } else if (request.bodyFile) {
+    options.push(`${fileBodyComment(request.bodyFile)}    body: file`);
+  } else if (request.body !== null) {
+    options.push(`    body: ${quoteString(request.body)}`);
+  }
+  const prefix = request.multipart.length > 0 ? buildFormData(request.multipart) : '';
+  return `${prefix}const response = await fetch(${quoteString(request.url)}, {\n${options.join(',\n')}\n});\n`;
+}
+
+/**
+ * 生成 axios 代码
+ * @param {Object} request
+ * @returns {string}
+ */
+export function toAxios(request) {
+  const headers = [...request.headers];
+  if (request.cookies.length > 0) {
+    headers.push({ name: 'Cookie', value: buildCookieHeader(request.cookies) });
+  }
+  const options = [`    method: ${quoteString(request.method.toLowerCase())}`, `    url: ${quoteString(request.url)}`];
+  if (headers.length > 0) {
+    options.push(`    headers: ${toJsObject(headers, '    ')}`);
+  }
+  const json = parseJsonBody(request.body);
+  if (request.multipart.length > 0) {
+    options.push('    data: formData');
+  } else if (json !== undefined) {
+    options.push(`    data: ${JSON.stringify(json, null, 4).replace(/\n/g, '\n    ')}`);
+  } else if (request.bodyFile) {
+    options.push(`${fileBodyComment(request.bodyFile)}    data: file`);
+  } else if (request.body !== null) {
+    options.push(`    data: ${quoteString(request.body)}`);
+  }
+  if (request.auth) {
+    options.push(`    auth: { username: ${quoteString(request.auth.username)}, password: ${quoteString(request.auth.password)} }`);
+  }
+  const prefix = request.multipart.length > 0 ? buildFormData(request.multipart) : '';
+  return `import axios from 'axios';\n\n${prefix}const response = await axios({\n${options.join(',\n')}\n});\n`;
+}
+
+/**
+ * 生成 Python requests 代码
+ * @param {Object} request
+ * @returns {string}
+ */
+export function toPythonRequests(request) {
+  const lines = ['import requests', ''];
+  const args = [quoteString(request.url)];
+
+  if (request.headers.length > 0) {
+    lines.push(`headers = ${toPythonLiteral(Object.fromEntries(request.headers.map(h => [h.name, h.value])))}`, '');
+    args.push('headers=headers');
+  }
+  if (request.cookies.length > 0) {
+    lines.push(`cookies = ${toPythonLiteral(Object.fromEntries(request.cookies.map(c => [c.name, c.value])))}`, '');
+    args.push('cookies=cookies');
+  }
+
+  if (request.multipart.length > 0) {
+    const files = request.multipart.map(part => {
+      const value = part.isFile
+        ? `(${quoteString(part.filename || part.value)}, open(${quoteString(part.value)}, 'rb')${part.contentType ? `, ${quoteString(part.contentType)}` : ''})`
+        : `(None, ${quoteString(part.value)})`;
+      return `    (${quoteString(part.name)}, ${value}),`;
+    });
+    lines.push(`files = [\n${files.join('\n')}\n]`, '');
+    args.push('files=files');
+  } else if (request.bodyFile) {
+    const file = `open(${quoteString(request.bodyFile.path)}, 'rb')`;
+    // 与 cURL -d 一致，去掉文件中的换行
+    lines.push(`data = ${request.bodyFile.binary ? file : `${file}.read().replace(b'\\r', b'').replace(b'\\n', b'')`}`, '');
+    args.push('data=data');
+  } else if (request.body !== null) {
+    // requests 的 json= 序列化时会加空格，原样发送请求体以保证签名一致
+    lines.push(`data = ${quoteString(request.body)}`, '');
+    args.push('data=data');
+  }
+
+  if (request.auth) {
+    args.push(`auth=(${quoteString(request.auth.username)}, ${quoteString(request.auth.password)})`);
+  }
+  if (request.options.insecure) {
+    args.push('verify=False');
+  }
+
+  const method = request.method.toLowerCase();
+  const call = ['get', 'post', 'put', 'delete', 'patch', 'head', 'options'].includes(method)
+    ? `requests.${method}(${args.join(', ')})`
+    : `requests.request(${quoteString(request.method)}, ${args.join(', ')})`;
+  lines.push(`response = ${call}`, '');
+  return lines.join('\n');
+}
+
+/**
+ * 生成 HTTPie 命令
+ * @param {Object} request
+ * @returns {string}
+ */
+export function toHttpie(request) {
+  const parts = [`http ${request.multipart.length > 0 ? '--multipart ' : ''}${request.method} ${shellQuote(request.url)}`];
+  request.headers.forEach(({ name, value }) => parts.push(shellQuote(`${name}:${value}`)));
+  if (request.cookies.length > 0) {
+    parts.push(shellQuote(`Cookie:${buildCookieHeader(request.cookies)}`));
+  }
+  if (request.auth) {
+    parts.push(`-a ${shellQuote(`${request.auth.username}:${request.auth.password}`)}`);
+  }
+  request.multipart.forEach(part => {
+    parts.push(shellQuote(part.isFile ? `${part.name}@${part.value}` : `${part.name}=${part.value}`));
+  });
+  if (request.body !== null) {
+    parts.push(`--raw ${shellQuote(request.body)}`);
+  }
+  if (request.bodyFile) {
+    // @file 请求项：请求体从文件读取
+    parts.push(shellQuote(`@${request.bodyFile.path}`));
+  }
+  if (request.options.insecure) parts.push('--verify=no');
+  if (request.options.followRedirects) parts.push('--follow');
+  return parts.join(' \\\n  ');
+}
+
+const GENERATORS = {
+  curl: toCurl,
+  fetch: toFetch,
+  axios: toAxios,
+  python: toPythonRequests,
+  httpie: toHttpie
+};
+
+/**
+ * 按格式生成代码片段
+ * @param {Object} request - 请求模型
+ * @param {string} format - SNIPPET_FORMATS 之一
+ * @returns {string}
+ */
+export function generateSnippet(request, format) {
+  const generator = GENERATORS[format];
+  if (!generator) {
+    throw new Error(`不支持的代码格式: ${format}`);
+  }
+  return generator(request);
+}
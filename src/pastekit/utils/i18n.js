@@ -376,7 +376,7 @@ async function getTranslations(language) {
       'urltool', 'cronetool', 'dnstool', 'proxydashboard', 'panel',
       'keyconfigmanager', 'ciphertest', 'about', 'cipherutils', 'qrcode',
       'autociphertool', 'signature', 'aiprompts', 'encodingtool', 'requestlist',
-      'devtoolsdecryptor', 'mockmanager'
+      'devtoolsdecryptor', 'mockmanager', 'segmentviewer', 'jwttool', 'pastehistory', 'recipe', 'magicdecode', 'imagetool', 'curltool', 'certificatetool', 'breakpoint', 'trafficsession', 'har'
     ];
     
     for (const file of componentFiles) {
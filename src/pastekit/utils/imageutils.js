@@ -0,0 +1,388 @@
+import CryptoJS from 'crypto-js';
+import { SignatureUtils } from './signatureutils.js';
+
+// data:image/png;base64,... 形式的图片 data URI
+const DATA_URI_PATTERN = /^data:(image\/[a-z0-9.+-]+);base64,([A-Za-z0-9+/\s]+={0,2})$/i;
+
+// 常见图片格式的文件头
+const IMAGE_SIGNATURES = [
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: 'image/bmp', bytes: [0x42, 0x4d] },
+  { mimeType: 'image/x-icon', bytes: [0x00, 0x00, 0x01, 0x00] }
+];
+
+// TIFF 数据类型对应的字节长度
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// 关心的 EXIF 标签，按所在 IFD 分组
+const EXIF_TAGS = {
+  ifd0: {
+    0x010f: 'Make',
+    0x0110: 'Model',
+    0x0112: 'Orientation',
+    0x0131: 'Software',
+    0x0132: 'DateTime',
+    0x013b: 'Artist',
+    0x8298: 'Copyright'
+  },
+  exif: {
+    0x829a: 'ExposureTime',
+    0x829d: 'FNumber',
+    0x8827: 'ISO',
+    0x9003: 'DateTimeOriginal',
+    0x920a: 'FocalLength',
+    0xa002: 'PixelXDimension',
+    0xa003: 'PixelYDimension',
+    0xa434: 'LensModel'
+  },
+  gps: {
+    0x0001: 'GPSLatitudeRef',
+    0x0002: 'GPSLatitude',
+    0x0003: 'GPSLongitudeRef',
+    0x0004: 'GPSLongitude',
+    0x0006: 'GPSAltitude'
+  }
+};
+
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+
+/**
+ * 读取 TIFF 结构中的一个 IFD
+ * @param {DataView} view - 指向 TIFF 头的视图
+ * @param {number} offset - IFD 偏移
+ * @param {boolean} little - 是否小端
+ * @param {Object} tags - 标签编号到名称的映射
+ * @returns {Object} { values, pointers }
+ */
+function readIfd(view, offset, little, tags) {
+  const values = {};
+  const pointers = {};
+  if (offset + 2 > view.byteLength) {
+    return { values, pointers };
+  }
+
+  const count = view.getUint16(offset, little);
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    if (entry + 12 > view.byteLength) {
+      break;
+    }
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const length = view.getUint32(entry + 4, little);
+
+    if (tag === EXIF_IFD_POINTER || tag === GPS_IFD_POINTER) {
+      pointers[tag] = view.getUint32(entry + 8, little);
+      continue;
+    }
+    if (!tags[tag] || !TIFF_TYPE_SIZES[type]) {
+      continue;
+    }
+
+    const size = TIFF_TYPE_SIZES[type] * length;
+    const valueOffset = size <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+    if (valueOffset + size > view.byteLength) {
+      continue;
+    }
+    values[tags[tag]] = readTiffValue(view, valueOffset, type, length, little);
+  }
+  return { values, pointers };
+}
+
+/**
+ * 按类型读取 TIFF 标签值
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} type
+ * @param {number} length
+ * @param {boolean} little
+ * @returns {string|number|Array<number>}
+ */
+function readTiffValue(view, offset, type, length, little) {
+  if (type === 2) {
+    let text = '';
+    for (let i = 0; i < length; i++) {
+      const code = view.getUint8(offset + i);
+      if (code === 0) break;
+      text += String.fromCharCode(code);
+    }
+    return text.trim();
+  }
+
+  const items = [];
+  for (let i = 0; i < length; i++) {
+    switch (type) {
+      case 3:
+        items.push(view.getUint16(offset + i * 2, little));
+        break;
+      case 4:
+        items.push(view.getUint32(offset + i * 4, little));
+        break;
+      case 9:
+        items.push(view.getInt32(offset + i * 4, little));
+        break;
+      case 5:
+      case 10: {
+        const read = type === 5 ? 'getUint32' : 'getInt32';
+        const denominator = view[read](offset + i * 8 + 4, little);
+        items.push(denominator ? view[read](offset + i * 8, little) / denominator : 0);
+        break;
+      }
+      default:
+        items.push(view.getUint8(offset + i));
+    }
+  }
+  return items.length === 1 ? items[0] : items;
+}
+
+/**
+ * 度分秒转十进制度数
+ * @param {Array<number>} dms
+ * @param {string} ref - N/S/E/W
+ * @returns {number}
+ */
+function toDecimalDegrees(dms, ref) {
+  const [degrees = 0, minutes = 0, seconds = 0] = Array.isArray(dms) ? dms : [dms];
+  const value = degrees + minutes / 60 + seconds / 3600;
+  return Number(((ref === 'S' || ref === 'W') ? -value : value).toFixed(6));
+}
+
+/**
+ * 在不同容器格式中定位 EXIF 的 TIFF 数据
+ * @param {Uint8Array} bytes
+ * @returns {DataView|null}
+ */
+function findTiffData(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // JPEG：APP1 段，以 "Exif\0\0" 开头
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+      const marker = bytes[offset + 1];
+      const length = view.getUint16(offset + 2);
+      if (marker === 0xe1 && String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)) === 'Exif') {
+        return new DataView(bytes.buffer, bytes.byteOffset + offset + 10, Math.max(0, length - 8));
+      }
+      // 到达图像数据后不会再有元数据段
+      if (marker === 0xda) break;
+      offset += 2 + length;
+    }
+    return null;
+  }
+
+  // PNG：eXIf 数据块
+  if (bytes[0] === 0x89 && bytes[1] === 0x50) {
+    let offset = 8;
+    while (offset + 8 <= bytes.length) {
+      const length = view.getUint32(offset);
+      const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+      if (type === 'eXIf') {
+        return new DataView(bytes.buffer, bytes.byteOffset + offset + 8, length);
+      }
+      if (type === 'IEND') break;
+      offset += 12 + length;
+    }
+    return null;
+  }
+
+  // WebP：RIFF 容器中的 EXIF 块
+  if (String.fromCharCode(...bytes.subarray(0, 4)) === 'RIFF' && String.fromCharCode(...bytes.subarray(8, 12)) === 'WEBP') {
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+      const type = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+      const length = view.getUint32(offset + 4, true);
+      if (type === 'EXIF') {
+        return new DataView(bytes.buffer, bytes.byteOffset + offset + 8, length);
+      }
+      offset += 8 + length + (length % 2);
+    }
+  }
+  return null;
+}
+
+/**
+ * 图片工具类
+ * 负责图片与 data URI / Base64 的互转、元数据和 EXIF 解析、哈希计算
+ */
+export class ImageUtils {
+  /**
+   * 是否为图片 data URI
+   * @param {string} text
+   * @returns {boolean}
+   */
+  static isImageDataUri(text) {
+    return typeof text === 'string' && DATA_URI_PATTERN.test(text.trim());
+  }
+
+  /**
+   * 解析图片 data URI
+   * @param {string} text
+   * @returns {Object|null} { mimeType, base64 }
+   */
+  static parseDataUri(text) {
+    const match = typeof text === 'string' && text.trim().match(DATA_URI_PATTERN);
+    if (!match) {
+      return null;
+    }
+    return { mimeType: match[1].toLowerCase(), base64: match[2].replace(/\s/g, '') };
+  }
+
+  /**
+   * Base64 解码为字节
+   * @param {string} base64
+   * @returns {Uint8Array}
+   */
+  static base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * 字节编码为 Base64（分块处理，避免大图片撑爆调用栈）
+   * @param {Uint8Array} bytes
+   * @returns {string}
+   */
+  static bytesToBase64(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * 根据文件头识别图片类型
+   * @param {Uint8Array} bytes
+   * @returns {string|null}
+   */
+  static sniffMimeType(bytes) {
+    for (const { mimeType, bytes: signature } of IMAGE_SIGNATURES) {
+      if (signature.every((byte, index) => bytes[index] === byte)) {
+        return mimeType;
+      }
+    }
+    if (String.fromCharCode(...bytes.subarray(0, 4)) === 'RIFF' && String.fromCharCode(...bytes.subarray(8, 12)) === 'WEBP') {
+      return 'image/webp';
+    }
+    const head = new TextDecoder().decode(bytes.subarray(0, 256)).trimStart();
+    if (head.startsWith('<svg') || (head.startsWith('<?xml') && head.includes('<svg'))) {
+      return 'image/svg+xml';
+    }
+    return null;
+  }
+
+  /**
+   * 解析 EXIF 元数据（支持 JPEG、PNG eXIf 和 WebP）
+   * @param {Uint8Array} bytes - 图片字节
+   * @returns {Object} 标签名到值的映射，没有 EXIF 时为空对象
+   */
+  static parseExif(bytes) {
+    try {
+      const view = findTiffData(bytes);
+      if (!view || view.byteLength < 8) {
+        return {};
+      }
+      const order = view.getUint16(0);
+      if (order !== 0x4949 && order !== 0x4d4d) {
+        return {};
+      }
+      const little = order === 0x4949;
+      const ifd0 = readIfd(view, view.getUint32(4, little), little, EXIF_TAGS.ifd0);
+      const exif = ifd0.pointers[EXIF_IFD_POINTER]
+        ? readIfd(view, ifd0.pointers[EXIF_IFD_POINTER], little, EXIF_TAGS.exif).values
+        : {};
+      const gps = ifd0.pointers[GPS_IFD_POINTER]
+        ? readIfd(view, ifd0.pointers[GPS_IFD_POINTER], little, EXIF_TAGS.gps).values
+        : {};
+
+      const result = { ...ifd0.values, ...exif };
+      if (gps.GPSLatitude !== undefined && gps.GPSLongitude !== undefined) {
+        result.GPSLatitude = toDecimalDegrees(gps.GPSLatitude, gps.GPSLatitudeRef);
+        result.GPSLongitude = toDecimalDegrees(gps.GPSLongitude, gps.GPSLongitudeRef);
+      }
+      if (gps.GPSAltitude !== undefined) {
+        result.GPSAltitude = gps.GPSAltitude;
+      }
+      return result;
+    } catch (error) {
+      console.warn('解析 EXIF 失败:', error);
+      return {};
+    }
+  }
+
+  /**
+   * 计算图片字节的 MD5 和 SHA-256
+   * @param {Uint8Array} bytes
+   * @returns {Object} { md5, sha256 }
+   */
+  static computeHashes(bytes) {
+    const wordArray = CryptoJS.lib.WordArray.create(bytes);
+    return {
+      md5: SignatureUtils.md5(wordArray),
+      sha256: SignatureUtils.sha256(wordArray)
+    };
+  }
+
+  /**
+   * 读取图片尺寸
+   * @param {string} dataUrl
+   * @returns {Promise<Object>} { width, height }，无法解码时为 null
+   */
+  static loadDimensions(dataUrl) {
+    return new Promise((resolve) => {
+      const img = new Image();
+      img.onload = () => resolve({ width: img.naturalWidth, height: img.naturalHeight });
+      img.onerror = () => resolve({ width: null, height: null });
+      img.src = dataUrl;
+    });
+  }
+
+  /**
+   * 汇总图片信息
+   * @param {Blob|string} source - 剪贴板图片或图片 data URI
+   * @returns {Promise<Object>} { mimeType, size, width, height, dataUrl, base64, exif, hashes }
+   */
+  static async inspect(source) {
+    let bytes;
+    let declaredType;
+    if (typeof source === 'string') {
+      const parsed = this.parseDataUri(source);
+      if (!parsed) {
+        throw new Error('不是有效的图片 data URI');
+      }
+      bytes = this.base64ToBytes(parsed.base64);
+      declaredType = parsed.mimeType;
+    } else {
+      bytes = new Uint8Array(await source.arrayBuffer());
+      declaredType = source.type;
+    }
+
+    const mimeType = this.sniffMimeType(bytes) || declaredType || 'application/octet-stream';
+    const base64 = this.bytesToBase64(bytes);
+    const dataUrl = `data:${mimeType};base64,${base64}`;
+    const { width, height } = await this.loadDimensions(dataUrl);
+
+    return {
+      mimeType,
+      declaredType,
+      size: bytes.length,
+      width,
+      height,
+      dataUrl,
+      base64,
+      exif: this.parseExif(bytes),
+      hashes: this.computeHashes(bytes)
+    };
+  }
+}
+
+export default ImageUtils;
@@ -0,0 +1,185 @@
+import CryptoJS from 'crypto-js';
+import { SignatureUtils } from './signatureutils.js';
+
+// JWT 结构：header.payload.signature，header 和 payload 都是 Base64URL 编码的 JSON
+const JWT_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*$/;
+
+// alg 与验签方式的映射
+const JWT_ALGORITHMS = {
+  HS256: { family: 'hmac', hash: 'sha256' },
+  HS384: { family: 'hmac', hash: 'sha384' },
+  HS512: { family: 'hmac', hash: 'sha512' },
+  RS256: { family: 'rsa', hash: 'sha256' },
+  RS384: { family: 'rsa', hash: 'sha384' },
+  RS512: { family: 'rsa', hash: 'sha512' },
+  ES256: { family: 'ecdsa', hash: 'sha256', curve: 'P-256' },
+  ES384: { family: 'ecdsa', hash: 'sha384', curve: 'P-384' },
+  ES512: { family: 'ecdsa', hash: 'sha512', curve: 'P-521' },
+  SM2: { family: 'sm2' },
+  SM3WITHSM2: { family: 'sm2' }
+};
+
+/**
+ * JWT 解析与验签工具类
+ */
+export class JwtUtils {
+  /**
+   * 判断字符串是否为 JWT
+   * @param {string} token - 待检测字符串
+   * @returns {boolean}
+   */
+  static isJwt(token) {
+    if (!token || !JWT_PATTERN.test(token.trim())) {
+      return false;
+    }
+    try {
+      const { header } = this.decode(token);
+      return !!header && typeof header.alg === 'string';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Base64URL 解码为 UTF-8 字符串
+   * @param {string} input - Base64URL 字符串
+   * @returns {string}
+   */
+  static base64UrlDecode(input) {
+    return CryptoJS.enc.Base64url.parse(input).toString(CryptoJS.enc.Utf8);
+  }
+
+  /**
+   * Base64URL 签名转十六进制
+   * @param {string} input - Base64URL 字符串
+   * @returns {string}
+   */
+  static base64UrlToHex(input) {
+    return CryptoJS.enc.Base64url.parse(input).toString(CryptoJS.enc.Hex);
+  }
+
+  /**
+   * 十六进制转 Base64URL（无填充）
+   * @param {string} hex - 十六进制字符串
+   * @returns {string}
+   */
+  static hexToBase64Url(hex) {
+    return CryptoJS.enc.Base64url.stringify(CryptoJS.enc.Hex.parse(hex));
+  }
+
+  /**
+   * 解析 JWT
+   * @param {string} token - JWT 字符串
+   * @returns {Object} { header, payload, signature, signingInput }
+   */
+  static decode(token) {
+    const parts = token.trim().split('.');
+    if (parts.length !== 3) {
+      throw new Error('JWT 必须由三段组成');
+    }
+
+    const header = JSON.parse(this.base64UrlDecode(parts[0]));
+
+    // payload 不一定是 JSON（RFC 7519 允许任意内容），解析失败时保留原文
+    const payloadText = this.base64UrlDecode(parts[1]);
+    let payload;
+    try {
+      payload = JSON.parse(payloadText);
+    } catch (e) {
+      payload = payloadText;
+    }
+
+    return {
+      header,
+      payload,
+      signature: parts[2],
+      signingInput: `${parts[0]}.${parts[1]}`
+    };
+  }
+
+  /**
+   * 解析 exp / iat / nbf 时间声明并判断有效期
+   * @param {Object} payload - JWT payload
+   * @param {number} now - 当前时间（秒）
+   * @returns {Object} { claims: [{ name, value, date }], status: 'valid'|'expired'|'not_yet_valid'|'unknown' }
+   */
+  static getTimeClaims(payload, now = Math.floor(Date.now() / 1000)) {
+    const claims = [];
+    if (!payload || typeof payload !== 'object') {
+      return { claims, status: 'unknown' };
+    }
+
+    ['exp', 'iat', 'nbf'].forEach(name => {
+      const value = payload[name];
+      if (typeof value === 'number' && isFinite(value)) {
+        claims.push({ name, value, date: new Date(value * 1000) });
+      }
+    });
+
+    let status = claims.length > 0 ? 'valid' : 'unknown';
+    if (typeof payload.nbf === 'number' && payload.nbf > now) {
+      status = 'not_yet_valid';
+    }
+    if (typeof payload.exp === 'number' && payload.exp <= now) {
+      status = 'expired';
+    }
+
+    return { claims, status };
+  }
+
+  /**
+   * 获取 alg 对应的验签信息
+   * @param {string} alg - JWT header 中的 alg
+   * @returns {Object|null} { family, hash, curve }
+   */
+  static getAlgorithmInfo(alg) {
+    return JWT_ALGORITHMS[(alg || '').toUpperCase()] || null;
+  }
+
+  /**
+   * 验证 JWT 签名
+   * @param {string} token - JWT 字符串
+   * @param {Object} options - { secret, secretEncoding, config }，HMAC 使用 secret，非对称算法使用 config.publicKey
+   * @returns {Promise<boolean>} 验签结果
+   */
+  static async verify(token, options = {}) {
+    const { header, signature, signingInput } = this.decode(token);
+    const info = this.getAlgorithmInfo(header.alg);
+
+    if (!info) {
+      throw new Error(`不支持的 JWT 算法: ${header.alg}`);
+    }
+    if (!signature) {
+      throw new Error('JWT 缺少签名');
+    }
+
+    switch (info.family) {
+      case 'hmac': {
+        if (!options.secret) {
+          throw new Error('HMAC 验签需要提供密钥');
+        }
+        const key = { value: options.secret, encoding: options.secretEncoding || 'UTF8' };
+        const computed = SignatureUtils.sign(signingInput, `hmac-${info.hash}`, null, key);
+        return this.hexToBase64Url(computed) === signature;
+      }
+      case 'rsa':
+        if (!options.config) throw new Error('RSA 验签需要提供公钥配置');
+        return SignatureUtils.rsaVerifyPkcs1(
+          signingInput,
+          CryptoJS.enc.Base64.stringify(CryptoJS.enc.Base64url.parse(signature)),
+          options.config,
+          info.hash
+        );
+      case 'ecdsa':
+        if (!options.config) throw new Error('ECDSA 验签需要提供公钥配置');
+        return SignatureUtils.ecdsaVerify(signingInput, this.base64UrlToHex(signature), options.config, info.hash, info.curve);
+      case 'sm2':
+        if (!options.config) throw new Error('SM2 验签需要提供公钥配置');
+        return SignatureUtils.verify(signingInput, this.base64UrlToHex(signature), 'sm2', options.config);
+      default:
+        throw new Error(`不支持的 JWT 算法: ${header.alg}`);
+    }
+  }
+}
+
+export default JwtUtils;
@@ -1,10 +1,24 @@
 /**
  * 秘钥配置相关的常量定义
  */
+import { DEFAULT_AEAD_OPTIONS } from './cipher/aeadmodes.js';
+import { DEFAULT_RSA_OPTIONS } from './cipher/rsacipher.js';
+import { DEFAULT_SM2_OPTIONS } from './cipher/sm2cipher.js';
+import { DEFAULT_ENVELOPE_OPTIONS } from './cipher/envelopecipher.js';
+import { DEFAULT_KDF_OPTIONS } from './cipher/keyderivation.js';
 
 // 需要填充的加密模式集合
 export const NEED_PADDING_MODES = new Set(['CBC', 'ECB']);
 
+// 带认证的加密模式（需要配置 nonce / tag / AAD）
+export const AEAD_MODES = new Set(['GCM', 'CCM']);
+
+// ChaCha 系列算法：没有模式与填充，nonce / tag 长度固定，同样使用 AEAD 配置
+export const CHACHA_ALGORITHMS = new Set(['CHACHA20-POLY1305', 'XCHACHA20-POLY1305']);
+
+// 只能用于签名 / 验签的非对称算法：没有加解密，只需要公钥或私钥
+export const SIGNING_ONLY_ALGORITHMS = new Set(['EC', 'ED25519']);
+
 // 每页显示的配置数量
 export const ITEMS_PER_PAGE = 5;
 
@@ -33,6 +47,11 @@ export const DEFAULT_CONFIG_TEMPLATE = {
   },
   plainEncoding: ['UTF8'],
   cipherEncoding: ['BASE64'],
+  aead: DEFAULT_AEAD_OPTIONS,
+  rsa: DEFAULT_RSA_OPTIONS,
+  sm2: DEFAULT_SM2_OPTIONS,
+  envelope: DEFAULT_ENVELOPE_OPTIONS,
+  kdf: DEFAULT_KDF_OPTIONS,
   createdAt: Date.now()
 };
 
@@ -50,6 +69,12 @@ export const PLAINTEXT_ENCODING_OPTIONS = [
   { value: 'GBK', label: 'GBK' }
 ];
 
+// AEAD tag 长度选项（字节）
+export const AEAD_TAG_LENGTH_OPTIONS = {
+  GCM: [16, 15, 14, 13, 12, 8, 4],
+  CCM: [16, 14, 12, 10, 8, 6, 4]
+};
+
 // 密文编码选项
 export const CIPHERTEXT_ENCODING_OPTIONS = [
   { value: 'BASE64', label: 'Base64' },
@@ -70,6 +95,30 @@ export const ERROR_MESSAGES = {
   MINIMUM_ONE_CONFIG: '至少需要保留一个配置',
   EMPTY_KEY_VALUE: '对称算法需要配置密钥',
   EMPTY_RSA_KEYS: 'RSA算法需要配置公钥和私钥',
+  EMPTY_SIGNING_KEYS: '签名算法需要配置私钥（签名）或公钥（验签）',
+  EMPTY_RSA_DECRYPT_KEY: 'RSA解密需要配置私钥；私钥加密、公钥解密时至少需要公钥',
+  INVALID_RSA_OAEP_DIRECTION: 'OAEP 填充只能用于公钥加密，私钥加密请选择 PKCS#1 v1.5',
+  INVALID_SM2_CIPHER_FORMAT: 'SM2 密文顺序应为 C1C3C2 或 C1C2C3，格式应为 raw 或 asn1',
+  INVALID_SM2_ASN1_PREFIX: 'SM2 ASN.1 格式的 C1 以 x、y 整数表示，不能同时勾选 04 前缀',
+  INVALID_GCM_NONCE_LENGTH: 'GCM 的 nonce 长度应为 8-16 字节',
+  INVALID_CCM_NONCE_LENGTH: 'CCM 的 nonce 长度应为 7-13 字节',
+  INVALID_TAG_LENGTH: 'tag 长度无效',
+  EMPTY_TAG_HEADER: '请填写 tag 所在的请求头',
+  EMPTY_AAD_HEADER: '请填写 AAD 所在的请求头',
+  EMPTY_NONCE_IV: 'nonce 取自 IV 时需要配置 IV',
+  EMPTY_ENVELOPE_KEY_CONFIG: '请选择包装会话密钥的 RSA/SM2 配置',
+  INVALID_ENVELOPE_LAYOUT: '会话密钥或 IV 放在 JSON 字段 / 字节偏移时，报文密文也需要使用相同的位置类型',
+  EMPTY_ENVELOPE_PATH: '请填写信封字段的 JSON 路径',
+  EMPTY_ENVELOPE_HEADER: '请填写信封字段所在的请求头',
+  INVALID_ENVELOPE_SESSION_KEY_LENGTH: '会话密钥长度与报文算法不匹配',
+  EMPTY_ENVELOPE_IV: '使用配置中的 IV 时需要填写 IV',
+  INVALID_KDF_KEY_LENGTH: '派生密钥长度与算法不匹配',
+  INVALID_KDF_ITERATIONS: '迭代次数必须是正整数',
+  INVALID_KDF_SCRYPT_PARAMS: 'scrypt 的 N 必须是大于 1 的 2 的幂，r、p 必须是正整数',
+  INVALID_KDF_SCRYPT_MEMORY: 'scrypt 的 N * r 过大，所需内存超过 128 MiB 上限（N * r 不能超过 1048576）',
+  EMPTY_KDF_SALT: '请填写固定的盐',
+  EMPTY_KDF_SALT_HEADER: '请填写盐所在的请求头',
+  INVALID_KDF_SALT_LENGTH: '密文前缀中盐的长度必须是正整数',
   INVALID_CONFIG: '配置无效',
   SAVE_FAILED: '保存配置失败',
   LOAD_FAILED: '加载配置失败'
@@ -80,11 +129,13 @@ export const SUCCESS_MESSAGES = {
   CONFIG_CREATED: '配置已创建并保存',
   CONFIG_SAVED: '配置已保存',
   CONFIG_DELETED: '配置已删除',
-  RSA_KEYS_GENERATED: 'RSA密钥对生成成功！请手动点击保存按钮保存配置'
+  RSA_KEYS_GENERATED: 'RSA密钥对生成成功！请手动点击保存按钮保存配置',
+  SIGNING_KEYS_GENERATED: '签名密钥对生成成功！请手动点击保存按钮保存配置'
 };
 
 // 加载状态消息
 export const LOADING_MESSAGES = {
   LOADING_CONFIGS: '加载配置中...',
-  GENERATING_RSA_KEYS: '正在生成RSA密钥对...'
+  GENERATING_RSA_KEYS: '正在生成RSA密钥对...',
+  GENERATING_SIGNING_KEYS: '正在生成签名密钥对...'
 };
\ No newline at end of file
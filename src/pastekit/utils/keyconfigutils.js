@@ -6,10 +6,19 @@ import { StorageUtils } from './storageutils';
 import { 
   DEFAULT_CONFIG_TEMPLATE, 
   NEED_PADDING_MODES, 
+  AEAD_MODES,
+  AEAD_TAG_LENGTH_OPTIONS,
+  CHACHA_ALGORITHMS,
+  SIGNING_ONLY_ALGORITHMS,
   ERROR_MESSAGES, 
   SUCCESS_MESSAGES,
   LOADING_MESSAGES
 } from './keyconfigconstants';
+import { EnvelopeCipher } from './cipher/envelopecipher.js';
+import { KeyDerivation, SCRYPT_MAX_MEMORY, scryptMemoryBytes } from './cipher/keyderivation.js';
+import { KeyMaterial, BLOCK_IV_LENGTH } from './cipher/keymaterial.js';
+import { SM2_CIPHER_ORDERS, SM2_CIPHER_FORMATS } from './cipher/sm2cipher.js';
+import { KeyFormats } from './cipher/keyformats.js';
 
 /**
  * 配置验证工具类
@@ -27,9 +36,15 @@ export class ConfigValidator {
     const isAsymmetric = config.algorithm?.startsWith('RSA') || config.algorithm?.startsWith('SM2') || 
                         config.algorithmType === 'RSA' || config.algorithmType === 'SM2';
     
-    if (isAsymmetric) {
+    if (EnvelopeCipher.supports(config)) {
+      return ConfigValidator.validateEnvelopeOptions(config).isValid;
+    } else if (ConfigValidator.isSigningOnly(config)) {
+      return !!(config.publicKey?.value || config.privateKey?.value);
+    } else if (ConfigValidator.isRsa(config)) {
+      return ConfigValidator.validateRsaOptions(config).isValid;
+    } else if (isAsymmetric) {
       // 非对称算法需要公钥和私钥都有值
-      return config.publicKey?.value && config.privateKey?.value;
+      return config.publicKey?.value && config.privateKey?.value && ConfigValidator.validateSm2Options(config).isValid;
     } else {
       // 对称算法需要密钥有值
       return config.key?.value;
@@ -70,18 +85,276 @@ export class ConfigValidator {
     const isAsymmetric = config.algorithm?.startsWith('RSA') || config.algorithm?.startsWith('SM2') || 
                         config.algorithmType === 'RSA' || config.algorithmType === 'SM2';
     
-    if (isAsymmetric) {
+    if (EnvelopeCipher.supports(config)) {
+      return ConfigValidator.validateEnvelopeOptions(config);
+    } else if (ConfigValidator.isSigningOnly(config)) {
+      return ConfigValidator.validateSigningKeys(config);
+    } else if (ConfigValidator.isRsa(config)) {
+      return ConfigValidator.validateRsaOptions(config);
+    } else if (isAsymmetric) {
       if (!config.publicKey?.value?.trim() || !config.privateKey?.value?.trim()) {
         return { isValid: false, message: ERROR_MESSAGES.EMPTY_RSA_KEYS };
       }
+      return ConfigValidator.validateSm2Options(config);
     } else {
       if (!config.key?.value?.trim()) {
         return { isValid: false, message: ERROR_MESSAGES.EMPTY_KEY_VALUE };
       }
+      const algorithm = (config.algorithmType || config.algorithm?.split('/')[0] || '').toUpperCase();
+      const mode = (config.mode || config.algorithm?.split('/')[1] || '').toUpperCase();
+      if (KeyDerivation.isEnabled(config)) {
+        const result = ConfigValidator.validateKdfOptions(config, algorithm);
+        if (!result.isValid) {
+          return result;
+        }
+      }
+      const keyResult = ConfigValidator.validateKeyMaterial(config, algorithm, mode);
+      if (!keyResult.isValid) {
+        return keyResult;
+      }
+      if (CHACHA_ALGORITHMS.has(algorithm)) {
+        return ConfigValidator.validateAeadOptions(config, algorithm);
+      }
+      if (AEAD_MODES.has(mode)) {
+        return ConfigValidator.validateAeadOptions(config, mode);
+      }
     }
     
     return { isValid: true, message: '' };
   }
+
+  /**
+   * 是否为 RSA 配置
+   * @param {Object} config - 配置对象
+   * @returns {boolean}
+   */
+  static isRsa(config) {
+    return config.algorithm?.startsWith('RSA') || config.algorithmType === 'RSA';
+  }
+
+  /**
+   * 是否为只用于签名的配置（EC / Ed25519）
+   * @param {Object} config - 配置对象
+   * @returns {boolean}
+   */
+  static isSigningOnly(config) {
+    return SIGNING_ONLY_ALGORITHMS.has((config.algorithmType || config.algorithm || '').toUpperCase());
+  }
+
+  /**
+   * 验证签名配置的密钥：至少有公钥或私钥，且能按配置的算法解析（曲线与密钥类型一致）
+   * @param {Object} config - 配置对象
+   * @returns {Object} 验证结果 { isValid: boolean, message: string }
+   */
+  static validateSigningKeys(config) {
+    if (!config.publicKey?.value?.trim() && !config.privateKey?.value?.trim()) {
+      return { isValid: false, message: ERROR_MESSAGES.EMPTY_SIGNING_KEYS };
+    }
+    try {
+      KeyFormats.fromConfig(config);
+    } catch (error) {
+      return { isValid: false, message: error.message };
+    }
+    return { isValid: true, message: '' };
+  }
+
+  /**
+   * 验证 RSA 的填充与密钥方向
+   * 只需要解密方向的密钥：公钥加密时需要私钥（公钥可从私钥推出），私钥加密时公钥或私钥均可
+   * @param {Object} config - 配置对象
+   * @returns {Object} 验证结果 { isValid: boolean, message: string }
+   */
+  static validateRsaOptions(config) {
+    const rsa = { ...DEFAULT_CONFIG_TEMPLATE.rsa, ...(config.rsa || {}) };
+    const hasPublicKey = !!config.publicKey?.value?.trim();
+    const hasPrivateKey = !!config.privateKey?.value?.trim();
+
+    if (rsa.encryptWith === 'private') {
+      if (rsa.padding === 'OAEP') {
+        return { isValid: false, message: ERROR_MESSAGES.INVALID_RSA_OAEP_DIRECTION };
+      }
+      if (!hasPublicKey && !hasPrivateKey) {
+        return { isValid: false, message: ERROR_MESSAGES.EMPTY_RSA_DECRYPT_KEY };
+      }
+    } else if (!hasPrivateKey) {
+      return { isValid: false, message: ERROR_MESSAGES.EMPTY_RSA_DECRYPT_KEY };
+    }
+
+    return { isValid: true, message: '' };
+  }
+
+  /**
+   * 验证 SM2 的密文顺序与格式，ASN.1 格式不能再带 04 前缀
+   * @param {Object} config - 配置对象
+   * @returns {Object} 验证结果 { isValid: boolean, message: string }
+   */
+  static validateSm2Options(config) {
+    const sm2 = { ...DEFAULT_CONFIG_TEMPLATE.sm2, ...(config.sm2 || {}) };
+
+    if (!SM2_CIPHER_ORDERS.includes(sm2.order) || !SM2_CIPHER_FORMATS.includes(sm2.format)) {
+      return { isValid: false, message: ERROR_MESSAGES.INVALID_SM2_CIPHER_FORMAT };
+    }
+    if (sm2.format === 'asn1' && sm2.pointPrefix) {
+      return { isValid: false, message: ERROR_MESSAGES.INVALID_SM2_ASN1_PREFIX };
+    }
+
+    return { isValid: true, message: '' };
+  }
+
+  /**
+   * 验证信封配置：引用的非对称配置、各部分的位置与报文算法
+   * 会话密钥由每次请求随机生成，这里只校验长度是否适用于报文算法
+   * @param {Object} config - 配置对象
+   * @returns {Object} 验证结果 { isValid: boolean, message: string }
+   */
+  static validateEnvelopeOptions(config) {
+    const envelope = EnvelopeCipher.getOptions(config);
+    const locations = [envelope.key, envelope.iv, envelope.data];
+
+    if (!envelope.keyConfig?.trim()) {
+      return { isValid: false, message: ERROR_MESSAGES.EMPTY_ENVELOPE_KEY_CONFIG };
+    }
+    // JSON 字段与字节偏移都需要报文本身是对应的格式
+    for (const source of ['json', 'bytes']) {
+      if (locations.some(location => location.source === source) && envelope.data.source !== source) {
+        return { isValid: false, message: ERROR_MESSAGES.INVALID_ENVELOPE_LAYOUT };
+      }
+    }
+    if (locations.some(location => location.source === 'json' && !location.path?.trim())) {
+      return { isValid: false, message: ERROR_MESSAGES.EMPTY_ENVELOPE_PATH };
+    }
+    if (locations.some(location => location.source === 'header' && !location.header?.trim())) {
+      return { isValid: false, message: ERROR_MESSAGES.EMPTY_ENVELOPE_HEADER };
+    }
+
+    const [algorithm, mode = ''] = envelope.bodyAlgorithm.split('/').map(part => part.toUpperCase());
+    if (!KeyMaterial.getKeyLengths(algorithm).includes(Number(envelope.sessionKeyLength))) {
+      return { isValid: false, message: ERROR_MESSAGES.INVALID_ENVELOPE_SESSION_KEY_LENGTH };
+    }
+
+    const isAead = CHACHA_ALGORITHMS.has(algorithm) || AEAD_MODES.has(mode);
+    if (isAead) {
+      // IV 来自报文时不需要配置中的 IV，但仍按 nonce 长度生成，需要校验长度
+      const aeadConfig = envelope.iv.source === 'config'
+        ? config
+        : { ...config, aead: { ...(config.aead || {}), noncePosition: 'prepend' } };
+      const result = ConfigValidator.validateAeadOptions(aeadConfig, CHACHA_ALGORITHMS.has(algorithm) ? algorithm : mode);
+      if (!result.isValid) {
+        return result;
+      }
+    }
+    // ECB 没有 IV；AEAD 的 nonce 可以前置在密文中
+    const needsIv = isAead
+      ? ({ ...DEFAULT_CONFIG_TEMPLATE.aead, ...(config.aead || {}) }).noncePosition === 'iv'
+      : mode !== 'ECB';
+    if (envelope.iv.source === 'config' && needsIv && !config.iv?.value?.trim()) {
+      return { isValid: false, message: ERROR_MESSAGES.EMPTY_ENVELOPE_IV };
+    }
+
+    return { isValid: true, message: '' };
+  }
+
+  /**
+   * 验证秘钥派生的参数与盐的来源
+   * @param {Object} config - 配置对象
+   * @param {string} algorithm - AES | SM4 | CHACHA20-POLY1305 | XCHACHA20-POLY1305
+   * @returns {Object} 验证结果 { isValid: boolean, message: string }
+   */
+  static validateKdfOptions(config, algorithm) {
+    const kdf = KeyDerivation.getOptions(config);
+    const isPositiveInteger = (value) => Number.isInteger(Number(value)) && Number(value) > 0;
+
+    if (!KeyMaterial.getKeyLengths(algorithm).includes(Number(kdf.keyLength))) {
+      return { isValid: false, message: ERROR_MESSAGES.INVALID_KDF_KEY_LENGTH };
+    }
+    if (['PBKDF2', 'EVP_BytesToKey'].includes(kdf.algorithm) && !isPositiveInteger(kdf.iterations)) {
+      return { isValid: false, message: ERROR_MESSAGES.INVALID_KDF_ITERATIONS };
+    }
+    if (kdf.algorithm === 'scrypt') {
+      const cost = Number(kdf.cost);
+      if (!(cost > 1 && (cost & (cost - 1)) === 0) || !isPositiveInteger(kdf.blockSize) || !isPositiveInteger(kdf.parallelization)) {
+        return { isValid: false, message: ERROR_MESSAGES.INVALID_KDF_SCRYPT_PARAMS };
+      }
+      if (scryptMemoryBytes(cost, Number(kdf.blockSize)) > SCRYPT_MAX_MEMORY) {
+        return { isValid: false, message: ERROR_MESSAGES.INVALID_KDF_SCRYPT_MEMORY };
+      }
+    }
+    if (kdf.salt.source === 'static' && !kdf.salt.value?.trim()) {
+      return { isValid: false, message: ERROR_MESSAGES.EMPTY_KDF_SALT };
+    }
+    if (kdf.salt.source === 'header' && !kdf.salt.header?.trim()) {
+      return { isValid: false, message: ERROR_MESSAGES.EMPTY_KDF_SALT_HEADER };
+    }
+    if (kdf.salt.source === 'prefix' && !isPositiveInteger(kdf.salt.length)) {
+      return { isValid: false, message: ERROR_MESSAGES.INVALID_KDF_SALT_LENGTH };
+    }
+
+    return { isValid: true, message: '' };
+  }
+
+  /**
+   * 验证密钥与 IV 能按所选编码解析，且字节长度符合算法要求
+   * 启用密钥派生时密钥是口令，只检查编码；GCM/CCM/ChaCha 的 IV 作为 nonce 由 validateAeadOptions 校验
+   * @param {Object} config - 配置对象
+   * @param {string} algorithm - AES | SM4 | CHACHA20-POLY1305 | XCHACHA20-POLY1305
+   * @param {string} mode - 分组模式
+   * @returns {Object} 验证结果 { isValid: boolean, message: string }
+   */
+  static validateKeyMaterial(config, algorithm, mode) {
+    const kdfEnabled = KeyDerivation.isEnabled(config);
+    if (kdfEnabled) {
+      try {
+        KeyMaterial.toBytes(config.key, '口令');
+      } catch (error) {
+        return { isValid: false, message: error.message };
+      }
+    } else {
+      const result = KeyMaterial.validate(config.key, KeyMaterial.getKeyLengths(algorithm), `${algorithm} 密钥`);
+      if (!result.isValid) {
+        return result;
+      }
+    }
+
+    const ivDerived = kdfEnabled && Number(KeyDerivation.getOptions(config).ivLength) > 0;
+    if (ivDerived || mode === 'ECB' || CHACHA_ALGORITHMS.has(algorithm) || AEAD_MODES.has(mode)) {
+      return { isValid: true, message: '' };
+    }
+    return KeyMaterial.validate(config.iv, [BLOCK_IV_LENGTH], `${algorithm} IV `);
+  }
+
+  /**
+   * 验证 GCM/CCM/ChaCha20-Poly1305 的 nonce、tag 与 AAD 配置
+   * @param {Object} config - 配置对象
+   * @param {string} mode - GCM | CCM | CHACHA20-POLY1305 | XCHACHA20-POLY1305
+   * @returns {Object} 验证结果 { isValid: boolean, message: string }
+   */
+  static validateAeadOptions(config, mode) {
+    const aead = { ...DEFAULT_CONFIG_TEMPLATE.aead, ...(config.aead || {}) };
+    const nonceLength = Number(aead.nonceLength);
+
+    if (aead.noncePosition === 'iv') {
+      if (!config.iv?.value?.trim()) {
+        return { isValid: false, message: ERROR_MESSAGES.EMPTY_NONCE_IV };
+      }
+    } else if (mode === 'CCM' && !(nonceLength >= 7 && nonceLength <= 13)) {
+      return { isValid: false, message: ERROR_MESSAGES.INVALID_CCM_NONCE_LENGTH };
+    } else if (mode === 'GCM' && !(nonceLength >= 8 && nonceLength <= 16)) {
+      return { isValid: false, message: ERROR_MESSAGES.INVALID_GCM_NONCE_LENGTH };
+    }
+
+    // ChaCha 系列的 nonce 与 tag 长度固定，无需校验
+    if (AEAD_TAG_LENGTH_OPTIONS[mode] && !AEAD_TAG_LENGTH_OPTIONS[mode].includes(Number(aead.tagLength))) {
+      return { isValid: false, message: ERROR_MESSAGES.INVALID_TAG_LENGTH };
+    }
+    if (aead.tagPosition === 'header' && !aead.tagHeader?.trim()) {
+      return { isValid: false, message: ERROR_MESSAGES.EMPTY_TAG_HEADER };
+    }
+    if (aead.aadSource === 'header' && !aead.aadHeader?.trim()) {
+      return { isValid: false, message: ERROR_MESSAGES.EMPTY_AAD_HEADER };
+    }
+
+    return { isValid: true, message: '' };
+  }
 }
 
 /**
@@ -102,7 +375,12 @@ export class ConfigProcessor {
       publicKey: config.publicKey || { value: '', encoding: ['UTF8'] },
       privateKey: config.privateKey || { value: '', encoding: ['UTF8'] },
       plainEncoding: config.plainEncoding || ['UTF8'],
-      cipherEncoding: config.cipherEncoding || ['BASE64']
+      cipherEncoding: config.cipherEncoding || ['BASE64'],
+      aead: { ...DEFAULT_CONFIG_TEMPLATE.aead, ...(config.aead || {}) },
+      rsa: { ...DEFAULT_CONFIG_TEMPLATE.rsa, ...(config.rsa || {}) },
+      sm2: { ...DEFAULT_CONFIG_TEMPLATE.sm2, ...(config.sm2 || {}) },
+      envelope: EnvelopeCipher.getOptions(config),
+      kdf: KeyDerivation.getOptions(config)
     };
   }
 
@@ -301,6 +579,38 @@ export class RSAKeyGenerator {
   }
 }
 
+/**
+ * EC / Ed25519 签名密钥生成工具类
+ */
+export class SigningKeyGenerator {
+  /**
+   * 生成签名密钥对，公钥为 SPKI、私钥为 PKCS#8（Base64，与 RSA 一致）
+   * @param {string} algorithmType - EC 或 Ed25519
+   * @param {Function} onUpdateCallback - 更新回调函数
+   * @param {string} curve - EC 曲线（P-256 / P-384 / P-521）
+   * @returns {Promise<void>}
+   */
+  static async generateKeys(algorithmType, onUpdateCallback, curve = 'P-256') {
+    try {
+      toast.info(LOADING_MESSAGES.GENERATING_SIGNING_KEYS);
+
+      const { publicKey, privateKey } = KeyFormats.generateKeyPair(algorithmType, curve);
+
+      if (onUpdateCallback && typeof onUpdateCallback === 'function') {
+        onUpdateCallback({
+          publicKey: { value: publicKey, encoding: ['UTF8'] },
+          privateKey: { value: privateKey, encoding: ['UTF8'] }
+        });
+      }
+
+      toast.success(SUCCESS_MESSAGES.SIGNING_KEYS_GENERATED);
+    } catch (error) {
+      console.error(`生成${algorithmType}密钥失败:`, error);
+      toast.error(`生成失败: ${error.message}`);
+    }
+  }
+}
+
 /**
  * 分页工具类
  */
@@ -505,6 +815,9 @@ export class SM2KeyGenerator {
 // SM2密钥生成便捷函数
 export const generateSM2Keys = SM2KeyGenerator.generateKeys;
 
+// EC / Ed25519 签名密钥生成便捷函数
+export const generateSigningKeys = SigningKeyGenerator.generateKeys;
+
 // 分页处理便捷函数
 export const calculatePagination = PaginationHelper.calculatePagination;
 export const generatePageNumbers = PaginationHelper.generatePageNumbers;
@@ -546,10 +859,39 @@ export class ConfigManager {
       },
       plainEncoding: ['UTF8'],
       cipherEncoding: ['BASE64'],
+      aead: { ...DEFAULT_CONFIG_TEMPLATE.aead },
+      rsa: { ...DEFAULT_CONFIG_TEMPLATE.rsa },
+      sm2: { ...DEFAULT_CONFIG_TEMPLATE.sm2 },
+      envelope: EnvelopeCipher.getOptions({}),
+      kdf: KeyDerivation.getOptions({}),
       createdAt: Date.now()
     };
   }
 
+  /**
+   * 由导入的密钥创建 RSA / SM2 / EC / Ed25519 配置，名称重复时追加序号
+   * @param {Array<Object>} keys - KeyFormats.importKeys 返回的 keys，可带自定义的 name
+   * @param {Array} existingConfigs - 已存在的配置列表
+   * @returns {Array<Object>} 新配置
+   */
+  static createImportedConfigs(keys, existingConfigs = []) {
+    const names = new Set(existingConfigs.map(config => config.name));
+    return keys.map(key => {
+      const baseName = key.name?.trim() || key.label || `${key.algorithmType}-${key.bits}`;
+      let name = baseName;
+      for (let i = 2; names.has(name); i++) {
+        name = `${baseName} (${i})`;
+      }
+      names.add(name);
+
+      return {
+        ...ConfigManager.updateAlgorithmConfig(ConfigManager.createNewConfig(name), { algorithm: key.algorithmType }),
+        publicKey: { value: key.publicKey, encoding: ['UTF8'] },
+        privateKey: { value: key.privateKey, encoding: ['UTF8'] }
+      };
+    });
+  }
+
   /**
    * 更新配置算法信息
    * @param {Object} config - 原配置
@@ -559,18 +901,19 @@ export class ConfigManager {
   static updateAlgorithmConfig(config, algorithmData) {
     const { algorithm, model, padding } = algorithmData;
     
-    // 对于非对称算法(RSA/SM2)，不需要mode和padding
-    const isAsymmetric = algorithm === 'RSA' || algorithm === 'SM2';
+    // 对于非对称算法(RSA/SM2/EC/Ed25519)、ChaCha 系列和信封，不需要mode和padding
+    const isAsymmetric = algorithm === 'RSA' || algorithm === 'SM2' || SIGNING_ONLY_ALGORITHMS.has(algorithm?.toUpperCase());
+    const withoutMode = isAsymmetric || CHACHA_ALGORITHMS.has(algorithm?.toUpperCase()) || algorithm?.toUpperCase() === 'ENVELOPE';
     
     return {
       ...config,
-      algorithm: isAsymmetric
+      algorithm: withoutMode
         ? algorithm
         : `${algorithm}${model ? '/' + model : ''}${padding ? '/' + padding : ''}`,
       algorithmType: algorithm || config.algorithmType,
-      mode: isAsymmetric ? '' : (model || config.mode),
-      model: isAsymmetric ? '' : (model || config.model),
-      padding: isAsymmetric ? '' : (padding !== undefined ? padding : config.padding)
+      mode: withoutMode ? '' : (model || config.mode),
+      model: withoutMode ? '' : (model || config.model),
+      padding: withoutMode ? '' : (padding !== undefined ? padding : config.padding)
     };
   }
 
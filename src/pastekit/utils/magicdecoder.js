@@ -0,0 +1,278 @@
+import { analyzePrintableCharacters } from './textutils.js';
+
+/**
+ * 多层编码自动拆解（Magic Decode）
+ * 从输入开始逐层尝试 URL、Base64、Base64URL、Hex、Unicode 转义、gzip/deflate 和 JSON 字符串转义，
+ * 用可打印字符比例给每个中间结果打分，找出最可信的解码链
+ */
+
+// 搜索上限，避免病态输入导致搜索爆炸
+const MAX_DEPTH = 8;
+const MAX_NODES = 200;
+const MAX_INPUT_LENGTH = 100000;
+
+// 中间文本至少要达到的可打印比例，低于它的分支直接剪掉
+const READABLE_THRESHOLD = 0.9;
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]+={0,2}$/;
+const HEX_PATTERN = /^(?:[0-9a-fA-F]{2})+$/;
+const URL_ENCODED_PATTERN = /%[0-9A-Fa-f]{2}/;
+const UNICODE_ESCAPE_PATTERN = /\\u[0-9a-fA-F]{4}|\\x[0-9a-fA-F]{2}/;
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * 字节按 UTF-8 解码，非法 UTF-8 返回 null（视为二进制）
+ * @param {Uint8Array} bytes
+ * @returns {string|null}
+ */
+function bytesToText(bytes) {
+  try {
+    return utf8Decoder.decode(bytes);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Base64（含 URL 安全变体）解码为字节
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(text) {
+  let base64 = text.replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+  while (base64.length % 4 !== 0) {
+    base64 += '=';
+  }
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * 十六进制解码为字节
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function hexToBytes(text) {
+  const bytes = new Uint8Array(text.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(text.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * 使用浏览器原生 DecompressionStream 解压
+ * @param {Uint8Array} bytes
+ * @param {string} format - 'gzip' | 'deflate' | 'deflate-raw'
+ * @returns {Promise<Uint8Array>}
+ */
+async function decompress(bytes, format) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * 计算文本的可读程度，换行和制表符视为可打印
+ * @param {string} text
+ * @returns {number} 0-1
+ */
+function readability(text) {
+  return analyzePrintableCharacters(text.replace(/[\r\n\t]/g, ' ')).printableRatio;
+}
+
+/**
+ * 是否为 JSON 对象或数组
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isStructuredJson(text) {
+  const trimmed = text.trim();
+  if (!/^[[{]/.test(trimmed)) {
+    return false;
+  }
+  try {
+    return typeof JSON.parse(trimmed) === 'object';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 解码层定义
+ * 节点形如 { text, bytes }：text 为 null 表示二进制内容，只能继续解压
+ * - test(node)：是否值得尝试
+ * - decode(node)：返回新节点，失败时抛出异常
+ */
+export const MAGIC_LAYERS = [
+  {
+    id: 'url',
+    test: ({ text }) => text !== null && URL_ENCODED_PATTERN.test(text),
+    decode: ({ text }) => ({ text: decodeURIComponent(text.replace(/\+/g, '%20')) })
+  },
+  {
+    id: 'unicode',
+    test: ({ text }) => text !== null && UNICODE_ESCAPE_PATTERN.test(text),
+    decode: ({ text }) => ({
+      text: text
+        .replace(/\\u([0-9a-fA-F]{4})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+        .replace(/\\x([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+    })
+  },
+  {
+    id: 'json_string',
+    // "..." 包裹的 JSON 字符串，或 {\"a\":1} 这类被转义过的 JSON
+    test: ({ text }) => text !== null && (/^\s*".*"\s*$/s.test(text) || /^\s*[[{].*\\"/s.test(text)),
+    decode: ({ text }) => {
+      const trimmed = text.trim();
+      const value = JSON.parse(trimmed.startsWith('"') ? trimmed : `"${trimmed}"`);
+      if (typeof value !== 'string') {
+        throw new Error('不是 JSON 字符串');
+      }
+      return { text: value };
+    }
+  },
+  {
+    id: 'hex',
+    test: ({ text }) => text !== null && text.length >= 4 && HEX_PATTERN.test(text.trim()),
+    decode: ({ text }) => {
+      const bytes = hexToBytes(text.trim());
+      return { text: bytesToText(bytes), bytes };
+    }
+  },
+  {
+    id: 'base64',
+    test: ({ text }) => text !== null && text.length >= 8 && text.trim().length % 4 === 0 && BASE64_PATTERN.test(text.trim()),
+    decode: ({ text }) => {
+      const bytes = base64ToBytes(text.trim());
+      return { text: bytesToText(bytes), bytes };
+    }
+  },
+  {
+    id: 'base64url',
+    // 只在出现 URL 安全字符或省略了填充时尝试，避免与标准 Base64 重复
+    test: ({ text }) => {
+      if (text === null || text.length < 8) return false;
+      const trimmed = text.trim();
+      return BASE64URL_PATTERN.test(trimmed) && (/[-_]/.test(trimmed) || trimmed.length % 4 !== 0);
+    },
+    decode: ({ text }) => {
+      const bytes = base64ToBytes(text.trim());
+      return { text: bytesToText(bytes), bytes };
+    }
+  },
+  {
+    id: 'gzip',
+    test: ({ bytes }) => !!bytes && bytes.length > 2 && bytes[0] === 0x1f && bytes[1] === 0x8b,
+    decode: async ({ bytes }) => {
+      const output = await decompress(bytes, 'gzip');
+      return { text: bytesToText(output), bytes: output };
+    }
+  },
+  {
+    id: 'deflate',
+    // zlib 头：0x78 开头且头部校验通过
+    test: ({ bytes }) => !!bytes && bytes.length > 2 && bytes[0] === 0x78 && ((bytes[0] << 8) | bytes[1]) % 31 === 0,
+    decode: async ({ bytes }) => {
+      const output = await decompress(bytes, 'deflate');
+      return { text: bytesToText(output), bytes: output };
+    }
+  },
+  {
+    id: 'deflate_raw',
+    // 无头部的原始 deflate 只能在二进制内容上盲试
+    test: ({ text, bytes }) => !!bytes && text === null,
+    decode: async ({ bytes }) => {
+      const output = await decompress(bytes, 'deflate-raw');
+      return { text: bytesToText(output), bytes: output };
+    }
+  }
+];
+
+/**
+ * 多层编码自动拆解
+ */
+export class MagicDecoder {
+  /**
+   * 给解码链打分：越可读、拆得越深、最终是结构化 JSON 的越可信
+   * @param {string} text - 最终文本
+   * @param {number} depth - 已拆解层数
+   * @returns {number}
+   */
+  static score(text, depth) {
+    return readability(text) + (isStructuredJson(text) ? 0.1 : 0) + 0.05 * Math.min(depth, MAX_DEPTH);
+  }
+
+  /**
+   * 搜索所有可行的解码链
+   * @param {string} content - 输入内容
+   * @param {Object} options - { maxResults }
+   * @returns {Promise<Array>} 按得分排序 [{ layers: [{ id, output }], output, score, readability }]，
+   *   只包含至少拆了一层且结果可读的链
+   */
+  static async decode(content, options = {}) {
+    const { maxResults = 5 } = options;
+    const input = content?.trim() || '';
+    if (!input || input.length > MAX_INPUT_LENGTH) {
+      return [];
+    }
+
+    const results = [];
+    const visited = new Set([input]);
+    const queue = [{ node: { text: input }, layers: [] }];
+    let explored = 0;
+
+    while (queue.length > 0 && explored < MAX_NODES) {
+      const { node, layers } = queue.shift();
+      explored++;
+
+      if (layers.length >= MAX_DEPTH) {
+        continue;
+      }
+
+      for (const layer of MAGIC_LAYERS) {
+        if (!layer.test(node)) {
+          continue;
+        }
+
+        let next;
+        try {
+          next = await layer.decode(node);
+        } catch (e) {
+          continue;
+        }
+
+        // 二进制内容不算结果，但可以继续尝试解压
+        if (next.text === null) {
+          if (next.bytes?.length) {
+            queue.push({ node: next, layers: [...layers, { id: layer.id, output: null, size: next.bytes.length }] });
+          }
+          continue;
+        }
+
+        if (!next.text || visited.has(next.text) || readability(next.text) < READABLE_THRESHOLD) {
+          continue;
+        }
+        visited.add(next.text);
+
+        const chain = [...layers, { id: layer.id, output: next.text }];
+        results.push({
+          layers: chain,
+          output: next.text,
+          score: this.score(next.text, chain.length),
+          readability: readability(next.text)
+        });
+        queue.push({ node: next, layers: chain });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, maxResults);
+  }
+}
+
+export default MagicDecoder;
@@ -0,0 +1,242 @@
+/**
+ * 粘贴历史相关的工具类
+ * 提供历史记录的存储、检索、置顶和保留策略
+ */
+
+import { StorageUtils } from './storageutils.js';
+
+// 存储键名
+export const PASTE_HISTORY_STORAGE_KEY = 'pasteHistory';
+const PASTE_HISTORY_SETTINGS_KEY = 'pasteHistorySettings';
+
+// 默认设置
+export const DEFAULT_HISTORY_SETTINGS = {
+  enabled: true,
+  retentionLimit: 100,
+  // 能被秘钥配置解密的内容通常是敏感数据，默认不记录
+  excludeDecrypted: true
+};
+
+// 单条记录保存的最大字符数，避免超大粘贴内容占满存储
+const MAX_CONTENT_LENGTH = 20000;
+
+export class PasteHistoryManager {
+  /**
+   * 加载历史设置
+   * @returns {Promise<Object>} 设置对象
+   */
+  static async loadSettings() {
+    try {
+      const result = await StorageUtils.getItem(PASTE_HISTORY_SETTINGS_KEY);
+      return { ...DEFAULT_HISTORY_SETTINGS, ...(result[PASTE_HISTORY_SETTINGS_KEY] || {}) };
+    } catch (error) {
+      console.error('加载粘贴历史设置失败:', error);
+      return { ...DEFAULT_HISTORY_SETTINGS };
+    }
+  }
+
+  /**
+   * 保存历史设置，保留上限变小时立即裁剪历史
+   * @param {Object} settings - 设置对象
+   * @returns {Promise<boolean>} 是否保存成功
+   */
+  static async saveSettings(settings) {
+    try {
+      const merged = { ...DEFAULT_HISTORY_SETTINGS, ...settings };
+      await StorageUtils.setItem(PASTE_HISTORY_SETTINGS_KEY, merged);
+      const entries = await this.loadHistory();
+      await this.saveHistory(this.applyRetention(entries, merged.retentionLimit));
+      return true;
+    } catch (error) {
+      console.error('保存粘贴历史设置失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 加载所有历史记录
+   * @returns {Promise<Array>} 历史记录数组（置顶在前，其余按时间倒序）
+   */
+  static async loadHistory() {
+    try {
+      const result = await StorageUtils.getItem(PASTE_HISTORY_STORAGE_KEY);
+      return this.sortEntries(result[PASTE_HISTORY_STORAGE_KEY] || []);
+    } catch (error) {
+      console.error('加载粘贴历史失败:', error);
+      return [];
+    }
+  }
+
+  /**
+   * 保存历史记录
+   * @param {Array} entries - 历史记录数组
+   * @returns {Promise<boolean>} 是否保存成功
+   */
+  static async saveHistory(entries) {
+    try {
+      await StorageUtils.setItem(PASTE_HISTORY_STORAGE_KEY, entries);
+      return true;
+    } catch (error) {
+      console.error('保存粘贴历史失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 添加历史记录；内容相同的记录会被移到最前并保留其标签和置顶状态
+   * @param {Object} entryData - { content, type, tool }
+   * @param {Object} options - { decrypted, uncertain }
+   *   decrypted：内容或其中一部分被秘钥配置成功解密；uncertain：解密检查没有完成（超时、出错或工具未报告），
+   *   开启“不记录可解密的内容”时两者都不记录
+   * @returns {Promise<Object|null>} 保存的记录，未记录时返回 null
+   */
+  static async addEntry(entryData, options = {}) {
+    try {
+      const content = entryData.content?.trim();
+      if (!content || content.length > MAX_CONTENT_LENGTH) {
+        return null;
+      }
+
+      const settings = await this.loadSettings();
+      if (!settings.enabled || (settings.excludeDecrypted && (options.decrypted || options.uncertain))) {
+        return null;
+      }
+
+      const entries = await this.loadHistory();
+      const existing = entries.find(entry => entry.content === content);
+      const entry = {
+        id: existing?.id || this.generateEntryId(),
+        content,
+        type: entryData.type || 'encode',
+        tool: entryData.tool || 'encode',
+        label: existing?.label || '',
+        pinned: existing?.pinned || false,
+        timestamp: Date.now()
+      };
+
+      const others = entries.filter(item => item.id !== entry.id);
+      const success = await this.saveHistory(this.applyRetention([entry, ...others], settings.retentionLimit));
+      return success ? entry : null;
+    } catch (error) {
+      console.error('添加粘贴历史失败:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 获取单条历史记录
+   * @param {string} entryId - 记录ID
+   * @returns {Promise<Object|null>}
+   */
+  static async getEntry(entryId) {
+    const entries = await this.loadHistory();
+    return entries.find(entry => entry.id === entryId) || null;
+  }
+
+  /**
+   * 更新历史记录（标签、置顶等）
+   * @param {string} entryId - 记录ID
+   * @param {Object} updates - 更新的数据
+   * @returns {Promise<boolean>} 是否更新成功
+   */
+  static async updateEntry(entryId, updates) {
+    try {
+      const entries = await this.loadHistory();
+      const index = entries.findIndex(entry => entry.id === entryId);
+      if (index === -1) return false;
+
+      entries[index] = { ...entries[index], ...updates };
+      return await this.saveHistory(this.sortEntries(entries));
+    } catch (error) {
+      console.error('更新粘贴历史失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 切换置顶状态
+   * @param {string} entryId - 记录ID
+   * @returns {Promise<boolean>} 是否更新成功
+   */
+  static async togglePin(entryId) {
+    const entry = await this.getEntry(entryId);
+    if (!entry) return false;
+    return this.updateEntry(entryId, { pinned: !entry.pinned });
+  }
+
+  /**
+   * 删除历史记录
+   * @param {string} entryId - 记录ID
+   * @returns {Promise<boolean>} 是否删除成功
+   */
+  static async deleteEntry(entryId) {
+    try {
+      const entries = await this.loadHistory();
+      return await this.saveHistory(entries.filter(entry => entry.id !== entryId));
+    } catch (error) {
+      console.error('删除粘贴历史失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 清空历史记录
+   * @param {boolean} keepPinned - 是否保留置顶记录
+   * @returns {Promise<boolean>} 是否清空成功
+   */
+  static async clearHistory(keepPinned = true) {
+    const entries = keepPinned ? (await this.loadHistory()).filter(entry => entry.pinned) : [];
+    return this.saveHistory(entries);
+  }
+
+  /**
+   * 按关键字搜索历史记录（匹配内容、标签和类型）
+   * @param {Array} entries - 历史记录数组
+   * @param {string} query - 关键字
+   * @returns {Array} 匹配的记录
+   */
+  static search(entries, query) {
+    const keyword = query?.trim().toLowerCase();
+    if (!keyword) return entries;
+
+    return entries.filter(entry =>
+      entry.content.toLowerCase().includes(keyword) ||
+      entry.label?.toLowerCase().includes(keyword) ||
+      entry.type?.toLowerCase().includes(keyword)
+    );
+  }
+
+  /**
+   * 应用保留上限：置顶记录不会被淘汰，其余按时间保留最新的
+   * @param {Array} entries - 历史记录数组
+   * @param {number} retentionLimit - 未置顶记录的保留数量
+   * @returns {Array} 裁剪后的记录
+   */
+  static applyRetention(entries, retentionLimit) {
+    const sorted = this.sortEntries(entries);
+    const pinned = sorted.filter(entry => entry.pinned);
+    const unpinned = sorted.filter(entry => !entry.pinned);
+    const limit = Math.max(0, Number(retentionLimit) || 0);
+    return [...pinned, ...unpinned.slice(0, limit)];
+  }
+
+  /**
+   * 排序：置顶在前，其余按时间倒序
+   * @param {Array} entries - 历史记录数组
+   * @returns {Array} 排序后的新数组
+   */
+  static sortEntries(entries) {
+    return [...entries].sort((a, b) => {
+      if (a.pinned !== b.pinned) return a.pinned ? -1 : 1;
+      return b.timestamp - a.timestamp;
+    });
+  }
+
+  /**
+   * 生成记录ID
+   * @returns {string} 唯一ID
+   */
+  static generateEntryId() {
+    return `paste_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+}
@@ -0,0 +1,146 @@
+import jsQR from 'jsqr';
+
+// 纠错等级：L 7%、M 15%、Q 25%、H 30%
+export const QR_ERROR_LEVELS = ['L', 'M', 'Q', 'H'];
+
+// 解码前把过大的图片缩小到这个边长以内，jsQR 在大图上很慢
+const MAX_DECODE_DIMENSION = 1600;
+
+/**
+ * 二维码工具类
+ * 生成由 qrcode.react 完成，这里负责载荷构造、本地解码和导出
+ */
+export class QRCodeUtils {
+  /**
+   * 转义 Wi-Fi 载荷中的特殊字符
+   * @private
+   * @param {string} value
+   * @returns {string}
+   */
+  static escapeWifiValue(value = '') {
+    return value.replace(/([\\;,:"])/g, '\\$1');
+  }
+
+  /**
+   * 构造 Wi-Fi 连接载荷（WIFI:T:WPA;S:ssid;P:password;H:true;;）
+   * @param {Object} options - { ssid, password, security: 'WPA'|'WEP'|'nopass', hidden }
+   * @returns {string}
+   */
+  static buildWifiPayload({ ssid = '', password = '', security = 'WPA', hidden = false } = {}) {
+    if (!ssid) {
+      throw new Error('Wi-Fi 名称不能为空');
+    }
+    const parts = [`T:${security}`, `S:${this.escapeWifiValue(ssid)}`];
+    if (security !== 'nopass') {
+      parts.push(`P:${this.escapeWifiValue(password)}`);
+    }
+    if (hidden) {
+      parts.push('H:true');
+    }
+    return `WIFI:${parts.join(';')};;`;
+  }
+
+  /**
+   * 转义 vCard 字段值
+   * @private
+   * @param {string} value
+   * @returns {string}
+   */
+  static escapeVCardValue(value = '') {
+    return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+  }
+
+  /**
+   * 构造 vCard 3.0 联系人载荷
+   * @param {Object} contact - { name, org, title, phone, email, url, address, note }
+   * @returns {string}
+   */
+  static buildVCardPayload(contact = {}) {
+    if (!contact.name) {
+      throw new Error('联系人姓名不能为空');
+    }
+    const escape = (value) => this.escapeVCardValue(value);
+    const lines = ['BEGIN:VCARD', 'VERSION:3.0', `N:${escape(contact.name)};;;;`, `FN:${escape(contact.name)}`];
+    if (contact.org) lines.push(`ORG:${escape(contact.org)}`);
+    if (contact.title) lines.push(`TITLE:${escape(contact.title)}`);
+    if (contact.phone) lines.push(`TEL;TYPE=CELL:${escape(contact.phone)}`);
+    if (contact.email) lines.push(`EMAIL:${escape(contact.email)}`);
+    if (contact.url) lines.push(`URL:${escape(contact.url)}`);
+    if (contact.address) lines.push(`ADR;TYPE=WORK:;;${escape(contact.address)};;;;`);
+    if (contact.note) lines.push(`NOTE:${escape(contact.note)}`);
+    lines.push('END:VCARD');
+    return lines.join('\n');
+  }
+
+  /**
+   * 从图片中解码二维码（本地解码，不联网）
+   * @param {Blob} image - 图片文件或剪贴板中的图片
+   * @returns {Promise<Object|null>} { text, location }，没有找到二维码时返回 null
+   */
+  static async decodeImage(image) {
+    const bitmap = await createImageBitmap(image);
+    try {
+      const scale = Math.min(1, MAX_DECODE_DIMENSION / Math.max(bitmap.width, bitmap.height));
+      const width = Math.max(1, Math.round(bitmap.width * scale));
+      const height = Math.max(1, Math.round(bitmap.height * scale));
+
+      const canvas = typeof OffscreenCanvas !== 'undefined'
+        ? new OffscreenCanvas(width, height)
+        : Object.assign(document.createElement('canvas'), { width, height });
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      // 透明背景的截图先铺白底，否则深色二维码会和透明像素混在一起
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, width, height);
+      ctx.drawImage(bitmap, 0, 0, width, height);
+
+      const { data } = ctx.getImageData(0, 0, width, height);
+      const result = jsQR(data, width, height, { inversionAttempts: 'attemptBoth' });
+      return result ? { text: result.data, location: result.location } : null;
+    } finally {
+      bitmap.close?.();
+    }
+  }
+
+  /**
+   * 从粘贴/拖放事件的 DataTransfer 中取出第一张图片
+   * @param {DataTransfer} dataTransfer - clipboardData 或 dataTransfer
+   * @returns {File|null}
+   */
+  static getImageFromDataTransfer(dataTransfer) {
+    if (!dataTransfer) {
+      return null;
+    }
+    for (const item of Array.from(dataTransfer.items || [])) {
+      if (item.kind === 'file' && item.type.startsWith('image/')) {
+        return item.getAsFile();
+      }
+    }
+    return Array.from(dataTransfer.files || []).find(file => file.type.startsWith('image/')) || null;
+  }
+
+  /**
+   * 把 SVG 元素序列化为 data URL
+   * @param {SVGSVGElement} svgElement
+   * @returns {string}
+   */
+  static svgToDataUrl(svgElement) {
+    const markup = new XMLSerializer().serializeToString(svgElement);
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+  }
+
+  /**
+   * 触发浏览器下载
+   * @param {string} url - data URL 或 blob URL
+   * @param {string} filename - 文件名
+   */
+  static download(url, filename) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  }
+}
+
+export default QRCodeUtils;
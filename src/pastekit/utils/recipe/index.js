@@ -0,0 +1,4 @@
+// 配方（多步骤转换流水线）相关导出
+export { OPERATIONS, OPERATION_CATEGORIES, getOperation, getDefaultParams, getByPath } from './operations.js';
+export { RecipeEngine } from './recipeengine.js';
+export { RecipeStorageManager, RECIPES_STORAGE_KEY } from './recipestorage.js';
@@ -0,0 +1,195 @@
+/**
+ * 配方（Recipe）可用的步骤操作
+ * 每个操作接收上一步的文本输出，返回新的文本；需要秘钥的操作通过 context.keyConfigs 按名称查找配置
+ */
+import { EncodingUtils, CipherUtils } from '../cipher/index.js';
+import { SignatureUtils } from '../signatureutils.js';
+
+// 操作分类，用于界面分组
+export const OPERATION_CATEGORIES = ['encoding', 'cipher', 'json', 'hash'];
+
+const HASH_ALGORITHMS = ['md5', 'sha1', 'sha256', 'sha512'];
+const HMAC_ALGORITHMS = ['hmac-md5', 'hmac-sha1', 'hmac-sha256', 'hmac-sha384', 'hmac-sha512'];
+const SIGN_METHODS = ['rsa', 'rsa-pss', 'ecdsa', 'ecdsa-raw', 'ed25519', 'sm2'];
+const KEY_ENCODINGS = ['utf8', 'hex', 'base64'];
+
+/**
+ * 按名称查找秘钥配置
+ * @param {Object} context - { keyConfigs }
+ * @param {string} configName - 配置名称
+ * @returns {Object} 秘钥配置
+ */
+function requireConfig(context, configName) {
+  if (!configName) {
+    throw new Error('请选择秘钥配置');
+  }
+  const config = (context.keyConfigs || []).find(c => c.name === configName);
+  if (!config) {
+    throw new Error(`找不到秘钥配置: ${configName}`);
+  }
+  return config;
+}
+
+/**
+ * 按路径取值，支持 data.token、items[0].id 以及 $. 前缀
+ * @param {*} value - 根对象
+ * @param {string} path - 路径
+ * @returns {*} 取到的值
+ */
+export function getByPath(value, path) {
+  const normalized = (path || '').trim().replace(/^\$\.?/, '');
+  if (!normalized) {
+    return value;
+  }
+
+  const keys = normalized.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+  return keys.reduce((current, key) => {
+    if (current === null || current === undefined || !(key in Object(current))) {
+      throw new Error(`路径不存在: ${path}`);
+    }
+    return current[key];
+  }, value);
+}
+
+/**
+ * 把任意值转为步骤输出文本
+ * @param {*} value
+ * @returns {string}
+ */
+function stringify(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+/**
+ * 内置操作
+ * params 描述界面上需要填写的参数：
+ * - text：文本输入
+ * - select：从 options 中选择
+ * - config：从秘钥配置中选择
+ */
+export const OPERATIONS = [
+  {
+    id: 'url_decode',
+    category: 'encoding',
+    run: (input) => decodeURIComponent(input.replace(/\+/g, '%20'))
+  },
+  {
+    id: 'url_encode',
+    category: 'encoding',
+    run: (input) => encodeURIComponent(input)
+  },
+  {
+    id: 'base64_decode',
+    category: 'encoding',
+    run: (input) => EncodingUtils.decode(input.trim(), 'BASE64')
+  },
+  {
+    id: 'base64_encode',
+    category: 'encoding',
+    run: (input) => EncodingUtils.encode(input, 'UTF8', ['BASE64'])
+  },
+  {
+    id: 'base64url_decode',
+    category: 'encoding',
+    run: (input) => EncodingUtils.decode(input.trim(), 'BASE64_URLSAFE')
+  },
+  {
+    id: 'base64url_encode',
+    category: 'encoding',
+    run: (input) => EncodingUtils.encode(input, 'UTF8', ['BASE64_URLSAFE'])
+  },
+  {
+    id: 'hex_decode',
+    category: 'encoding',
+    run: (input) => EncodingUtils.decode(input.trim().replace(/\s+/g, ''), 'HEX')
+  },
+  {
+    id: 'hex_encode',
+    category: 'encoding',
+    run: (input) => EncodingUtils.encode(input, 'UTF8', ['HEX'])
+  },
+  {
+    id: 'decrypt',
+    category: 'cipher',
+    params: [{ name: 'configName', type: 'config' }],
+    run: (input, params, context) => {
+      const result = CipherUtils.decrypt(input.trim(), requireConfig(context, params.configName), { keyConfigs: context.keyConfigs });
+      if (!result) {
+        throw new Error('解密结果为空');
+      }
+      return result;
+    }
+  },
+  {
+    id: 'encrypt',
+    category: 'cipher',
+    params: [{ name: 'configName', type: 'config' }],
+    run: (input, params, context) => CipherUtils.encrypt(input, requireConfig(context, params.configName), { keyConfigs: context.keyConfigs })
+  },
+  {
+    id: 'json_pretty',
+    category: 'json',
+    run: (input) => JSON.stringify(JSON.parse(input), null, 2)
+  },
+  {
+    id: 'json_minify',
+    category: 'json',
+    run: (input) => JSON.stringify(JSON.parse(input))
+  },
+  {
+    id: 'json_extract',
+    category: 'json',
+    params: [{ name: 'path', type: 'text', default: 'data' }],
+    run: (input, params) => stringify(getByPath(JSON.parse(input), params.path))
+  },
+  {
+    id: 'hash',
+    category: 'hash',
+    params: [{ name: 'algorithm', type: 'select', options: HASH_ALGORITHMS, default: 'sha256' }],
+    run: (input, params) => SignatureUtils.sign(input, params.algorithm || 'sha256')
+  },
+  {
+    id: 'hmac',
+    category: 'hash',
+    params: [
+      { name: 'algorithm', type: 'select', options: HMAC_ALGORITHMS, default: 'hmac-sha256' },
+      { name: 'key', type: 'text', default: '' },
+      { name: 'keyEncoding', type: 'select', options: KEY_ENCODINGS, default: 'utf8' }
+    ],
+    run: (input, params) => SignatureUtils.sign(input, params.algorithm || 'hmac-sha256', null, {
+      value: params.key,
+      encoding: params.keyEncoding || 'utf8'
+    })
+  },
+  {
+    id: 'sign',
+    category: 'hash',
+    params: [
+      { name: 'method', type: 'select', options: SIGN_METHODS, default: 'rsa' },
+      { name: 'configName', type: 'config' }
+    ],
+    run: (input, params, context) =>
+      SignatureUtils.sign(input, params.method || 'rsa', requireConfig(context, params.configName))
+  }
+];
+
+/**
+ * 根据 ID 获取操作
+ * @param {string} id - 操作 ID
+ * @returns {Object|undefined}
+ */
+export function getOperation(id) {
+  return OPERATIONS.find(operation => operation.id === id);
+}
+
+/**
+ * 生成操作参数的默认值
+ * @param {Object} operation - 操作定义
+ * @returns {Object} 参数默认值
+ */
+export function getDefaultParams(operation) {
+  return (operation?.params || []).reduce((params, param) => {
+    params[param.name] = param.default ?? (param.type === 'select' ? param.options[0] : '');
+    return params;
+  }, {});
+}
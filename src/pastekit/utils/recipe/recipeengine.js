@@ -0,0 +1,70 @@
+import { getOperation } from './operations.js';
+
+/**
+ * 配方执行引擎
+ * 按顺序执行步骤，记录每一步的输入、输出和耗时，遇到错误时停止
+ */
+export class RecipeEngine {
+  /**
+   * 执行配方
+   * @param {string} input - 初始输入
+   * @param {Array} steps - 步骤列表 [{ op, params }]
+   * @param {Object} context - { keyConfigs }
+   * @returns {Promise<Object>} { output, success, steps: [{ op, input, output, error, durationMs }] }
+   */
+  static async run(input, steps = [], context = {}) {
+    const trace = [];
+    let current = input ?? '';
+
+    for (const step of steps) {
+      const startedAt = Date.now();
+      const record = { op: step.op, input: current, output: null, error: null, durationMs: 0 };
+      trace.push(record);
+
+      try {
+        const operation = getOperation(step.op);
+        if (!operation) {
+          throw new Error(`未知的步骤操作: ${step.op}`);
+        }
+        const output = await operation.run(current, step.params || {}, context);
+        if (typeof output !== 'string') {
+          throw new Error('步骤输出必须是文本');
+        }
+        record.output = output;
+        current = output;
+      } catch (error) {
+        record.error = error.message || String(error);
+      } finally {
+        record.durationMs = Date.now() - startedAt;
+      }
+
+      if (record.error) {
+        return { output: null, success: false, steps: trace };
+      }
+    }
+
+    return { output: current, success: true, steps: trace };
+  }
+
+  /**
+   * 校验配方结构
+   * @param {Object} recipe - { name, steps }
+   * @returns {string[]} 错误信息，为空表示有效
+   */
+  static validate(recipe) {
+    const errors = [];
+    if (!recipe?.name?.trim()) {
+      errors.push('配方名称不能为空');
+    }
+    if (!Array.isArray(recipe?.steps) || recipe.steps.length === 0) {
+      errors.push('配方至少需要一个步骤');
+    } else {
+      recipe.steps.forEach((step, index) => {
+        if (!getOperation(step.op)) {
+          errors.push(`第 ${index + 1} 步操作无效: ${step.op}`);
+        }
+      });
+    }
+    return errors;
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * 配方存储
+ * 配方按名称保存，同名保存会覆盖原配方
+ */
+import { StorageUtils } from '../storageutils.js';
+
+export const RECIPES_STORAGE_KEY = 'recipes';
+
+export class RecipeStorageManager {
+  /**
+   * 加载所有配方
+   * @returns {Promise<Array>} 配方数组
+   */
+  static async loadRecipes() {
+    try {
+      const result = await StorageUtils.getItem(RECIPES_STORAGE_KEY);
+      return result[RECIPES_STORAGE_KEY] || [];
+    } catch (error) {
+      console.error('加载配方失败:', error);
+      return [];
+    }
+  }
+
+  /**
+   * 保存配方列表
+   * @param {Array} recipes - 配方数组
+   * @returns {Promise<boolean>} 是否保存成功
+   */
+  static async saveRecipes(recipes) {
+    try {
+      await StorageUtils.setItem(RECIPES_STORAGE_KEY, recipes);
+      return true;
+    } catch (error) {
+      console.error('保存配方失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 按名称保存配方（新增或覆盖）
+   * @param {Object} recipeData - { name, steps }
+   * @returns {Promise<Object|null>} 保存后的配方或 null
+   */
+  static async saveRecipe(recipeData) {
+    try {
+      const recipes = await this.loadRecipes();
+      const name = recipeData.name.trim();
+      const index = recipes.findIndex(recipe => recipe.name === name);
+      const now = Date.now();
+
+      const recipe = {
+        id: index > -1 ? recipes[index].id : this.generateRecipeId(),
+        name,
+        steps: recipeData.steps.map(step => ({ op: step.op, params: { ...(step.params || {}) } })),
+        createdAt: index > -1 ? recipes[index].createdAt : now,
+        updatedAt: now
+      };
+
+      if (index > -1) {
+        recipes[index] = recipe;
+      } else {
+        recipes.push(recipe);
+      }
+
+      const success = await this.saveRecipes(recipes);
+      return success ? recipe : null;
+    } catch (error) {
+      console.error('保存配方失败:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 删除配方
+   * @param {string} recipeId - 配方ID
+   * @returns {Promise<boolean>} 是否删除成功
+   */
+  static async deleteRecipe(recipeId) {
+    try {
+      const recipes = await this.loadRecipes();
+      return await this.saveRecipes(recipes.filter(recipe => recipe.id !== recipeId));
+    } catch (error) {
+      console.error('删除配方失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 生成配方ID
+   * @returns {string} 唯一ID
+   */
+  static generateRecipeId() {
+    return `recipe_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+}
@@ -1,7 +1,11 @@
 import CryptoJS from 'crypto-js';
 import JSEncrypt from 'jsencrypt';
+import forge from 'node-forge';
 import smCrypto from 'sm-crypto';
 import { EncodingUtils } from './cipher/encodingutils.js';
+import { KeyMaterial } from './cipher/keymaterial.js';
+import { KeyFormats } from './cipher/keyformats.js';
+import { Ecdsa } from './cipher/ecdsa.js';
 
 // 安全地解构sm2对象
 let sm2;
@@ -22,9 +26,32 @@ try {
   sm2 = null;
 }
 
+// 签名结果的编码
+export const SIGNATURE_ENCODINGS = ['HEX', 'BASE64', 'BASE64URL'];
+
+// sign() 支持的签名方法（界面可选项）
+export const SIGN_METHODS = [
+  'md5', 'sha1', 'sha256', 'sha512',
+  'hmac-md5', 'hmac-sha1', 'hmac-sha256', 'hmac-sha384', 'hmac-sha512',
+  'rsa', 'rsa-pss', 'ecdsa', 'ecdsa-raw', 'ed25519', 'sm2'
+];
+
+// 需要秘钥配置（而非 HMAC 密钥）的签名方法
+export const ASYMMETRIC_SIGN_METHODS = new Set(['rsa', 'rsa-pss', 'ecdsa', 'ecdsa-raw', 'ed25519', 'sm2']);
+
+// 各签名方法默认输出的编码：摘要 / HMAC / SM2 为 Hex，其余为 Base64
+const HEX_SIGNATURE_METHODS = new Set([
+  'md5', 'sha1', 'sha256', 'sha512',
+  'hmac-md5', 'hmac-sha1', 'hmac-sha256', 'hmac-sha384', 'hmac-sha512',
+  'sm2', 'sm2_sign'
+]);
+
+// ECDSA / RSA-PSS 可用的摘要算法
+const FORGE_DIGESTS = ['sha1', 'sha256', 'sha384', 'sha512'];
+
 /**
  * 签名工具类
- * 支持MD5、SHA、HMAC、RSA、SM2等多种签名方法
+ * 支持MD5、SHA、HMAC、RSA（PKCS#1 v1.5 / PSS）、ECDSA、Ed25519、SM2等多种签名方法
  */
 export class SignatureUtils {
   /**
@@ -63,47 +90,81 @@ export class SignatureUtils {
     return CryptoJS.SHA512(data).toString();
   }
 
+  /**
+   * HMAC 密钥转为 WordArray：字符串按 UTF-8 处理，{ value, encoding } 按编码解析为字节，WordArray 原样使用
+   * @private
+   * @param {string|Object} key
+   * @returns {CryptoJS.lib.WordArray}
+   */
+  static hmacKey(key) {
+    if (key?.words) {
+      return key;
+    }
+    return KeyMaterial.toWordArray(key, 'HMAC 密钥');
+  }
+
+  /**
+   * HMAC 密钥是否为空
+   * @private
+   * @param {string|Object} key
+   * @returns {boolean}
+   */
+  static isEmptyKey(key) {
+    return !key || (!key.words && !KeyMaterial.normalize(key).value);
+  }
+
   /**
    * HMAC-MD5签名
    * @param {string} data - 待签名数据
-   * @param {string} key - 密钥
+   * @param {string|Object} key - 密钥，见 hmacKey
    * @returns {string} HMAC-MD5签名结果
    */
   static hmacMd5(data, key) {
-    const hmac = CryptoJS.HmacMD5(data, key);
+    const hmac = CryptoJS.HmacMD5(data, this.hmacKey(key));
     return hmac.toString(CryptoJS.enc.Hex);
   }
 
   /**
    * HMAC-SHA1签名
    * @param {string} data - 待签名数据
-   * @param {string} key - 密钥
+   * @param {string|Object} key - 密钥，见 hmacKey
    * @returns {string} HMAC-SHA1签名结果
    */
   static hmacSha1(data, key) {
-    const hmac = CryptoJS.HmacSHA1(data, key);
+    const hmac = CryptoJS.HmacSHA1(data, this.hmacKey(key));
     return hmac.toString(CryptoJS.enc.Hex);
   }
 
   /**
    * HMAC-SHA256签名
    * @param {string} data - 待签名数据
-   * @param {string} key - 密钥
+   * @param {string|Object} key - 密钥，见 hmacKey
    * @returns {string} HMAC-SHA256签名结果
    */
   static hmacSha256(data, key) {
-    const hmac = CryptoJS.HmacSHA256(data, key);
+    const hmac = CryptoJS.HmacSHA256(data, this.hmacKey(key));
+    return hmac.toString(CryptoJS.enc.Hex);
+  }
+
+  /**
+   * HMAC-SHA384签名
+   * @param {string} data - 待签名数据
+   * @param {string|Object} key - 密钥，见 hmacKey
+   * @returns {string} HMAC-SHA384签名结果
+   */
+  static hmacSha384(data, key) {
+    const hmac = CryptoJS.HmacSHA384(data, this.hmacKey(key));
     return hmac.toString(CryptoJS.enc.Hex);
   }
 
   /**
    * HMAC-SHA512签名
    * @param {string} data - 待签名数据
-   * @param {string} key - 密钥
+   * @param {string|Object} key - 密钥，见 hmacKey
    * @returns {string} HMAC-SHA512签名结果
    */
   static hmacSha512(data, key) {
-    const hmac = CryptoJS.HmacSHA512(data, key);
+    const hmac = CryptoJS.HmacSHA512(data, this.hmacKey(key));
     return hmac.toString(CryptoJS.enc.Hex);
   }
 
@@ -228,6 +289,302 @@ export class SignatureUtils {
     }
   }
 
+  /**
+   * 标准 RSA PKCS#1 v1.5 验签（直接对原始数据做摘要，用于 JWT 等标准协议）
+   * @param {string} data - 原始数据
+   * @param {string} signature - 签名(Base64格式)
+   * @param {Object} config - 配置对象，包含公钥
+   * @param {string} hashAlgorithm - 哈希算法 (sha1/sha256/sha384/sha512)
+   * @returns {boolean} 验签结果
+   */
+  static rsaVerifyPkcs1(data, signature, config, hashAlgorithm = 'sha256') {
+    const { publicKey } = config;
+
+    if (!publicKey || !publicKey.value) {
+      throw new Error('RSA验签需要提供公钥');
+    }
+
+    let parsedPublicKey = publicKey.value;
+    if (publicKey.encoding && publicKey.encoding.length > 0) {
+      parsedPublicKey = EncodingUtils.decode(publicKey.value, 'UTF8', publicKey.encoding);
+    }
+
+    const digestMethods = {
+      sha1: CryptoJS.SHA1,
+      sha256: CryptoJS.SHA256,
+      sha384: CryptoJS.SHA384,
+      sha512: CryptoJS.SHA512
+    };
+    const digestMethod = digestMethods[hashAlgorithm.toLowerCase()];
+    if (!digestMethod) {
+      throw new Error(`不支持的RSA验签哈希算法: ${hashAlgorithm}`);
+    }
+
+    try {
+      const encrypt = new JSEncrypt();
+      encrypt.setPublicKey(parsedPublicKey);
+      return encrypt.verify(data, signature, (text) => digestMethod(text).toString());
+    } catch (error) {
+      throw new Error(`RSA-${hashAlgorithm.toUpperCase()}验签失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 读取配置中的密钥对，密钥为 SPKI / PKCS#8（PEM 或按配置编码保存的 DER）
+   * @private
+   * @param {Object} config - 配置对象
+   * @param {string} algorithmType - 期望的密钥类型（RSA / EC / Ed25519）
+   * @param {string} label - 错误信息中的算法名
+   * @param {boolean} needsPrivateKey - 是否需要私钥
+   * @returns {Object} KeyFormats 密钥对
+   */
+  static readKeyPair(config, algorithmType, label, needsPrivateKey) {
+    const { privateKey, publicKey } = config;
+    if (needsPrivateKey ? !privateKey?.value : !publicKey?.value && !privateKey?.value) {
+      throw new Error(`${label}${needsPrivateKey ? '签名需要提供私钥' : '验签需要提供公钥'}`);
+    }
+    return KeyFormats.fromConfig({ ...config, algorithmType });
+  }
+
+  /**
+   * 创建 forge 摘要并写入 UTF-8 数据
+   * @private
+   * @param {string} data - 原始数据
+   * @param {string} hashAlgorithm - sha1 / sha256 / sha384 / sha512
+   * @param {string} label - 错误信息中的算法名
+   * @returns {Object} forge 摘要对象
+   */
+  static createDigest(data, hashAlgorithm, label) {
+    const name = (hashAlgorithm || '').toLowerCase();
+    if (!FORGE_DIGESTS.includes(name)) {
+      throw new Error(`不支持的${label}哈希算法: ${hashAlgorithm}`);
+    }
+    const md = forge.md[name].create();
+    md.update(data, 'utf8');
+    return md;
+  }
+
+  /**
+   * ECDSA签名（P-256 / P-384 / P-521，曲线由密钥决定，k 按 RFC 6979 确定性生成）
+   * @param {string} data - 待签名数据
+   * @param {Object} config - EC 配置，包含私钥
+   * @param {string} hashAlgorithm - 哈希算法 (sha1/sha256/sha384/sha512)
+   * @param {string} format - DER（ASN.1 SEQUENCE）或 RAW（r||s，JWS / WebCrypto 使用）
+   * @returns {string} ECDSA签名结果(Base64格式)
+   */
+  static ecdsaSign(data, config, hashAlgorithm = 'sha256', format = 'DER') {
+    const md = this.createDigest(data, hashAlgorithm, 'ECDSA');
+    const pair = this.readKeyPair(config, 'EC', 'ECDSA', true);
+    try {
+      const signature = Ecdsa.sign(pair.curve, pair.privateKey, md.digest().getBytes(), md.algorithm);
+      return forge.util.encode64(Ecdsa.encodeSignature(signature, pair.curve, format));
+    } catch (error) {
+      throw new Error(`ECDSA-${hashAlgorithm.toUpperCase()}签名失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * ECDSA验签
+   * @param {string} data - 原始数据
+   * @param {string} signature - 签名(Base64格式)
+   * @param {Object} config - EC 配置，包含公钥或私钥
+   * @param {string} hashAlgorithm - 哈希算法 (sha1/sha256/sha384/sha512)
+   * @param {string} format - DER 或 RAW
+   * @returns {boolean} 验签结果
+   */
+  static ecdsaVerifySignature(data, signature, config, hashAlgorithm = 'sha256', format = 'DER') {
+    const md = this.createDigest(data, hashAlgorithm, 'ECDSA');
+    const pair = this.readKeyPair(config, 'EC', 'ECDSA', false);
+    try {
+      const decoded = Ecdsa.decodeSignature(forge.util.decode64(signature.replace(/\s+/g, '')), pair.curve, format);
+      return Ecdsa.verify(pair.curve, pair.publicKey, md.digest().getBytes(), decoded);
+    } catch (error) {
+      throw new Error(`ECDSA-${hashAlgorithm.toUpperCase()}验签失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * ECDSA验签（JWS 使用的 r||s 签名）
+   * @param {string} data - 原始数据
+   * @param {string} signature - 签名(Hex格式，r||s 拼接)
+   * @param {Object} config - 配置对象，包含 PEM(SPKI) 格式公钥
+   * @param {string} hashAlgorithm - 哈希算法 (sha256/sha384/sha512)
+   * @param {string} namedCurve - 曲线名称 (P-256/P-384/P-521)，必须与公钥的曲线一致
+   * @returns {Promise<boolean>} 验签结果
+   */
+  static async ecdsaVerify(data, signature, config, hashAlgorithm = 'sha256', namedCurve = 'P-256') {
+    const { curve } = this.readKeyPair(config, 'EC', 'ECDSA', false);
+    if (curve !== namedCurve) {
+      throw new Error(`ECDSA-${hashAlgorithm.toUpperCase()}验签失败: 公钥曲线为 ${curve}，应为 ${namedCurve}`);
+    }
+    return this.ecdsaVerifySignature(data, forge.util.encode64(forge.util.hexToBytes(signature)), config, hashAlgorithm, 'RAW');
+  }
+
+  /**
+   * Ed25519签名（对原始数据签名，不需要额外指定哈希算法）
+   * @param {string} data - 待签名数据
+   * @param {Object} config - Ed25519 配置，包含私钥
+   * @returns {string} Ed25519签名结果(Base64格式)
+   */
+  static ed25519Sign(data, config) {
+    const pair = this.readKeyPair(config, 'Ed25519', 'Ed25519', true);
+    try {
+      const signature = forge.pki.ed25519.sign({
+        message: data,
+        encoding: 'utf8',
+        privateKey: forge.util.hexToBytes(pair.privateKey)
+      });
+      return forge.util.encode64(forge.util.binary.raw.encode(signature));
+    } catch (error) {
+      throw new Error(`Ed25519签名失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ed25519验签
+   * @param {string} data - 原始数据
+   * @param {string} signature - 签名(Base64格式，64 字节)
+   * @param {Object} config - Ed25519 配置，包含公钥或私钥
+   * @returns {boolean} 验签结果
+   */
+  static ed25519Verify(data, signature, config) {
+    const pair = this.readKeyPair(config, 'Ed25519', 'Ed25519', false);
+    try {
+      return forge.pki.ed25519.verify({
+        message: data,
+        encoding: 'utf8',
+        signature: forge.util.decode64(signature.replace(/\s+/g, '')),
+        publicKey: forge.util.hexToBytes(pair.publicKey)
+      });
+    } catch (error) {
+      throw new Error(`Ed25519验签失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * RSA-PSS 填充参数：MGF1 与消息摘要使用同一哈希算法
+   * @private
+   * @param {string} hashAlgorithm
+   * @param {number} saltLength - 盐长度（字节），默认与摘要长度相同
+   * @returns {Object} forge pss 对象
+   */
+  static createPss(hashAlgorithm, saltLength) {
+    const name = hashAlgorithm.toLowerCase();
+    const md = forge.md[name].create();
+    return forge.pss.create({
+      md,
+      mgf: forge.mgf.mgf1.create(forge.md[name].create()),
+      saltLength: saltLength ?? md.digestLength
+    });
+  }
+
+  /**
+   * RSA-PSS签名
+   * @param {string} data - 待签名数据
+   * @param {Object} config - RSA 配置，包含私钥
+   * @param {string} hashAlgorithm - 哈希算法 (sha1/sha256/sha384/sha512)
+   * @param {number} saltLength - 盐长度（字节），默认与摘要长度相同
+   * @returns {string} RSA-PSS签名结果(Base64格式)
+   */
+  static rsaPssSign(data, config, hashAlgorithm = 'sha256', saltLength = undefined) {
+    const md = this.createDigest(data, hashAlgorithm, 'RSA-PSS');
+    const pair = this.readKeyPair(config, 'RSA', 'RSA-PSS', true);
+    try {
+      return forge.util.encode64(pair.privateKey.sign(md, this.createPss(hashAlgorithm, saltLength)));
+    } catch (error) {
+      throw new Error(`RSA-PSS-${hashAlgorithm.toUpperCase()}签名失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * RSA-PSS验签
+   * @param {string} data - 原始数据
+   * @param {string} signature - 签名(Base64格式)
+   * @param {Object} config - RSA 配置，包含公钥或私钥
+   * @param {string} hashAlgorithm - 哈希算法 (sha1/sha256/sha384/sha512)
+   * @param {number} saltLength - 盐长度（字节），默认与摘要长度相同
+   * @returns {boolean} 验签结果
+   */
+  static rsaPssVerify(data, signature, config, hashAlgorithm = 'sha256', saltLength = undefined) {
+    const md = this.createDigest(data, hashAlgorithm, 'RSA-PSS');
+    const pair = this.readKeyPair(config, 'RSA', 'RSA-PSS', false);
+    try {
+      return pair.publicKey.verify(
+        md.digest().getBytes(),
+        forge.util.decode64(signature.replace(/\s+/g, '')),
+        this.createPss(hashAlgorithm, saltLength)
+      );
+    } catch (error) {
+      // 填充不符合 PSS 格式时 forge 抛出异常，视为签名不匹配
+      if (/Inconsistent|0xBC|Bits beyond|Leftmost/.test(error.message)) {
+        return false;
+      }
+      throw new Error(`RSA-PSS-${hashAlgorithm.toUpperCase()}验签失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 签名方法默认输出的编码
+   * @param {string} method - 签名方法
+   * @returns {string} HEX 或 BASE64
+   */
+  static getDefaultEncoding(method) {
+    return HEX_SIGNATURE_METHODS.has(method.toLowerCase()) ? 'HEX' : 'BASE64';
+  }
+
+  /**
+   * 转换签名的编码（Hex / Base64 / Base64url）
+   * @param {string} signature - 签名
+   * @param {string} from - 原编码
+   * @param {string} to - 目标编码
+   * @returns {string}
+   */
+  static convertEncoding(signature, from, to) {
+    const source = (from || '').toUpperCase();
+    const target = (to || '').toUpperCase();
+    if (!SIGNATURE_ENCODINGS.includes(source) || !SIGNATURE_ENCODINGS.includes(target)) {
+      throw new Error(`不支持的签名编码: ${SIGNATURE_ENCODINGS.includes(source) ? to : from}`);
+    }
+    if (source === target) {
+      return signature;
+    }
+
+    const compact = signature.replace(/\s+/g, '');
+    let binary;
+    if (source === 'HEX') {
+      if (!/^([0-9a-fA-F]{2})*$/.test(compact)) {
+        throw new Error('签名不是有效的十六进制字符串');
+      }
+      binary = forge.util.hexToBytes(compact);
+    } else {
+      if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(compact)) {
+        throw new Error('签名不是有效的 Base64 / Base64url 字符串');
+      }
+      const base64 = compact.replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+      binary = forge.util.decode64(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    }
+
+    if (target === 'HEX') {
+      return forge.util.bytesToHex(binary);
+    }
+    const base64 = forge.util.encode64(binary);
+    return target === 'BASE64URL' ? base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '') : base64;
+  }
+
+  /**
+   * 十六进制字符串转字节数组
+   * @private
+   * @param {string} hex - 十六进制字符串
+   * @returns {Uint8Array} 字节数组
+   */
+  static hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  }
+
   /**
    * SM2签名
    * @param {string} data - 待签名数据
@@ -400,11 +757,22 @@ export class SignatureUtils {
    * @param {string} data - 待签名数据
    * @param {string} method - 签名方法
    * @param {Object} config - 配置对象（对于需要密钥的方法）
-   * @param {string} key - HMAC密钥（对于HMAC方法）
-   * @param {string} hashAlgorithm - 哈希算法（对于RSA方法）
+   * @param {string|Object} key - HMAC密钥（对于HMAC方法），字符串或 { value, encoding }
+   * @param {string} hashAlgorithm - 哈希算法（对于RSA / RSA-PSS / ECDSA方法）
+   * @param {Object} options - { encoding, saltLength }：encoding 为输出编码（HEX / BASE64 / BASE64URL），
+   *                           不指定时使用方法默认的编码；saltLength 为 RSA-PSS 盐长度
    * @returns {string} 签名结果
    */
-  static sign(data, method, config = null, key = null, hashAlgorithm = 'sha256') {
+  static sign(data, method, config = null, key = null, hashAlgorithm = 'sha256', options = {}) {
+    const signature = this.signWithDefaultEncoding(data, method, config, key, hashAlgorithm, options);
+    return options.encoding ? this.convertEncoding(signature, this.getDefaultEncoding(method), options.encoding) : signature;
+  }
+
+  /**
+   * 按方法默认编码输出的签名
+   * @private
+   */
+  static signWithDefaultEncoding(data, method, config, key, hashAlgorithm, options) {
     switch (method.toLowerCase()) {
       case 'md5':
         return this.md5(data);
@@ -415,16 +783,19 @@ export class SignatureUtils {
       case 'sha512':
         return this.sha512(data);
       case 'hmac-md5':
-        if (!key) throw new Error('HMAC-MD5需要提供密钥');
+        if (this.isEmptyKey(key)) throw new Error('HMAC-MD5需要提供密钥');
         return this.hmacMd5(data, key);
       case 'hmac-sha1':
-        if (!key) throw new Error('HMAC-SHA1需要提供密钥');
+        if (this.isEmptyKey(key)) throw new Error('HMAC-SHA1需要提供密钥');
         return this.hmacSha1(data, key);
       case 'hmac-sha256':
-        if (!key) throw new Error('HMAC-SHA256需要提供密钥');
+        if (this.isEmptyKey(key)) throw new Error('HMAC-SHA256需要提供密钥');
         return this.hmacSha256(data, key);
+      case 'hmac-sha384':
+        if (this.isEmptyKey(key)) throw new Error('HMAC-SHA384需要提供密钥');
+        return this.hmacSha384(data, key);
       case 'hmac-sha512':
-        if (!key) throw new Error('HMAC-SHA512需要提供密钥');
+        if (this.isEmptyKey(key)) throw new Error('HMAC-SHA512需要提供密钥');
         return this.hmacSha512(data, key);
       case 'rsa':
       case 'rsa_sign':
@@ -434,6 +805,16 @@ export class SignatureUtils {
       case 'sm2_sign':
         if (!config) throw new Error('SM2签名需要提供配置');
         return this.sm2Sign(data, config);
+      case 'rsa-pss':
+        if (!config) throw new Error('RSA-PSS签名需要提供配置');
+        return this.rsaPssSign(data, config, hashAlgorithm, options.saltLength);
+      case 'ecdsa':
+      case 'ecdsa-raw':
+        if (!config) throw new Error('ECDSA签名需要提供配置');
+        return this.ecdsaSign(data, config, hashAlgorithm, method.toLowerCase() === 'ecdsa-raw' ? 'RAW' : 'DER');
+      case 'ed25519':
+        if (!config) throw new Error('Ed25519签名需要提供配置');
+        return this.ed25519Sign(data, config);
       default:
         throw new Error(`不支持的签名方法: ${method}`);
     }
@@ -445,11 +826,16 @@ export class SignatureUtils {
    * @param {string} signature - 签名
    * @param {string} method - 签名方法
    * @param {Object} config - 配置对象
-   * @param {string} key - HMAC密钥
-   * @param {string} hashAlgorithm - 哈希算法（对于RSA方法）
+   * @param {string|Object} key - HMAC密钥，字符串或 { value, encoding }
+   * @param {string} hashAlgorithm - 哈希算法（对于RSA / RSA-PSS / ECDSA方法）
+   * @param {Object} options - { encoding, saltLength }：encoding 为签名的编码，不指定时为方法默认的编码
    * @returns {boolean|string} 验签结果
    */
-  static verify(data, signature, method, config = null, key = null, hashAlgorithm = 'sha256') {
+  static verify(data, signature, method, config = null, key = null, hashAlgorithm = 'sha256', options = {}) {
+    if (options.encoding) {
+      signature = this.convertEncoding(signature, options.encoding, this.getDefaultEncoding(method));
+    }
+
     // 对于哈希算法，直接比较结果
     const hashMethods = ['md5', 'sha1', 'sha256', 'sha512'];
     if (hashMethods.includes(method.toLowerCase())) {
@@ -458,9 +844,9 @@ export class SignatureUtils {
     }
     
     // 对于HMAC算法
-    const hmacMethods = ['hmac-md5', 'hmac-sha1', 'hmac-sha256', 'hmac-sha512'];
+    const hmacMethods = ['hmac-md5', 'hmac-sha1', 'hmac-sha256', 'hmac-sha384', 'hmac-sha512'];
     if (hmacMethods.includes(method.toLowerCase())) {
-      if (!key) throw new Error(`${method}验签需要提供密钥`);
+      if (this.isEmptyKey(key)) throw new Error(`${method}验签需要提供密钥`);
       const computedSignature = this.sign(data, method, null, key);
       return computedSignature === signature;
     }
@@ -475,6 +861,16 @@ export class SignatureUtils {
       case 'sm2_sign':
         if (!config) throw new Error('SM2验签需要提供配置');
         return this.sm2Verify(data, signature, config);
+      case 'rsa-pss':
+        if (!config) throw new Error('RSA-PSS验签需要提供配置');
+        return this.rsaPssVerify(data, signature, config, hashAlgorithm, options.saltLength);
+      case 'ecdsa':
+      case 'ecdsa-raw':
+        if (!config) throw new Error('ECDSA验签需要提供配置');
+        return this.ecdsaVerifySignature(data, signature, config, hashAlgorithm, method.toLowerCase() === 'ecdsa-raw' ? 'RAW' : 'DER');
+      case 'ed25519':
+        if (!config) throw new Error('Ed25519验签需要提供配置');
+        return this.ed25519Verify(data, signature, config);
       default:
         throw new Error(`不支持的验签方法: ${method}`);
     }
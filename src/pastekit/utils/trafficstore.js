@@ -0,0 +1,536 @@
+/**
+ * 抓包流量的持久化存储
+ * 请求列表、DevTools 面板、代理看板捕获的请求保存在 IndexedDB 中（chrome.storage 配额太小），
+ * 按捕获会话（session）分组，支持保留策略与按主机 / 路径 / 状态码 / 时间的分页查询
+ */
+
+import { StorageUtils } from './storageutils.js';
+
+const DB_NAME = 'PasteKitTraffic';
+const DB_VERSION = 1;
+const SESSION_STORE = 'sessions';
+const EXCHANGE_STORE = 'exchanges';
+
+// 存储键名
+export const TRAFFIC_SETTINGS_STORAGE_KEY = 'trafficStoreSettings';
+const CURRENT_SESSIONS_STORAGE_KEY = 'trafficCurrentSessions';
+
+// 每页加载的记录数
+export const TRAFFIC_PAGE_SIZE = 200;
+
+// 默认保留策略：maxAgeDays 为 0 表示不按时间清理
+export const DEFAULT_TRAFFIC_SETTINGS = {
+  maxExchangesPerSession: 50000,
+  maxSessions: 20,
+  maxAgeDays: 30
+};
+
+// 每保存多少条记录检查一次单个会话的条数上限
+const RETENTION_CHECK_INTERVAL = 100;
+
+// 索引：时间戳后附加主键，保证分页游标在时间相同时也能唯一定位
+const INDEXES = {
+  time: ['sessionId', 'timestamp', 'id'],
+  host: ['sessionId', 'host', 'timestamp', 'id'],
+  path: ['sessionId', 'path', 'timestamp', 'id'],
+  status: ['sessionId', 'statusCode', 'timestamp', 'id']
+};
+
+let dbPromise = null;
+const savesSinceRetention = new Map();
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB 事务已中止'));
+  });
+}
+
+/**
+ * 配置对象只保存名称等摘要，避免把密钥写入抓包记录
+ */
+function summarizeConfig(config) {
+  if (!config || typeof config !== 'object') {
+    return config ?? null;
+  }
+  const { name, algorithm, mode, domain, requestKeyConfigName, responseKeyConfigName } = config;
+  return Object.fromEntries(
+    Object.entries({ name, algorithm, mode, domain, requestKeyConfigName, responseKeyConfigName })
+      .filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * 从 URL 中提取主机与路径（用于索引）
+ */
+function splitUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return { host: parsed.host.toLowerCase(), path: parsed.pathname };
+  } catch {
+    return { host: '', path: '' };
+  }
+}
+
+/**
+ * 解析搜索框输入：支持 host:、status:、path: 前缀（path 以 * 结尾时按前缀匹配），其余为全文搜索
+ * @param {string} text - 搜索框内容
+ * @returns {Object} 查询条件 { host, statusCode, path, pathPrefix, search }
+ */
+export function parseTrafficQuery(text = '') {
+  const filter = {};
+  const words = [];
+  text.trim().split(/\s+/).filter(Boolean).forEach(token => {
+    const [, key, value] = token.match(/^(host|status|path):(.+)$/i) || [];
+    if (!key) {
+      words.push(token);
+    } else if (key.toLowerCase() === 'host') {
+      filter.host = value.toLowerCase();
+    } else if (key.toLowerCase() === 'status' && /^\d+$/.test(value)) {
+      filter.statusCode = parseInt(value, 10);
+    } else if (key.toLowerCase() === 'path') {
+      if (value.endsWith('*')) {
+        filter.pathPrefix = value.slice(0, -1);
+      } else {
+        filter.path = value;
+      }
+    } else {
+      words.push(token);
+    }
+  });
+  if (words.length > 0) {
+    filter.search = words.join(' ').toLowerCase();
+  }
+  return filter;
+}
+
+/**
+ * 记录是否满足查询条件
+ * @param {Object} record - 抓包记录
+ * @param {Object} filter - parseTrafficQuery 返回的查询条件
+ * @returns {boolean}
+ */
+export function matchesTrafficFilter(record, filter = {}) {
+  const { host, path } = record.host !== undefined ? record : splitUrl(record.url);
+  if (filter.host && host !== filter.host) return false;
+  if (filter.path && path !== filter.path) return false;
+  if (filter.pathPrefix && !path.startsWith(filter.pathPrefix)) return false;
+  if (filter.statusCode !== undefined && Number(record.statusCode) !== filter.statusCode) return false;
+  if (filter.search) {
+    const term = filter.search;
+    return Boolean(
+      record.url?.toLowerCase().includes(term) ||
+      record.requestId?.toLowerCase().includes(term) ||
+      record.method?.toLowerCase().includes(term) ||
+      record.statusCode?.toString().includes(term)
+    );
+  }
+  return true;
+}
+
+export class TrafficStore {
+  /**
+   * 当前环境是否支持 IndexedDB
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * 打开数据库（同一页面内复用连接）
+   * @returns {Promise<IDBDatabase>}
+   */
+  static open() {
+    if (!this.isSupported()) {
+      return Promise.reject(new Error('当前环境不支持 IndexedDB'));
+    }
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          const sessions = db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+          sessions.createIndex('scope', ['scope', 'updatedAt']);
+          const exchanges = db.createObjectStore(EXCHANGE_STORE, { keyPath: 'id' });
+          Object.entries(INDEXES).forEach(([name, keyPath]) => exchanges.createIndex(name, keyPath));
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * 加载保留策略
+   * @returns {Promise<Object>}
+   */
+  static async loadSettings() {
+    try {
+      const result = await StorageUtils.getItem(TRAFFIC_SETTINGS_STORAGE_KEY);
+      return { ...DEFAULT_TRAFFIC_SETTINGS, ...(result[TRAFFIC_SETTINGS_STORAGE_KEY] || {}) };
+    } catch (error) {
+      console.error('加载抓包保留策略失败:', error);
+      return { ...DEFAULT_TRAFFIC_SETTINGS };
+    }
+  }
+
+  /**
+   * 保存保留策略，并立即按新策略清理（过期会话、每个界面的会话数、每个会话的条数）
+   * @param {Object} settings
+   * @returns {Promise<Object>} 合并后的设置
+   */
+  static async saveSettings(settings) {
+    const merged = { ...DEFAULT_TRAFFIC_SETTINGS, ...settings };
+    await StorageUtils.setItem(TRAFFIC_SETTINGS_STORAGE_KEY, merged);
+    await this.pruneExpiredSessions(merged);
+    const db = await this.open();
+    const allSessions = await promisifyRequest(db.transaction(SESSION_STORE).objectStore(SESSION_STORE).getAll());
+    for (const scope of new Set(allSessions.map(session => session.scope))) {
+      await this.pruneExcessSessions(scope, merged);
+    }
+    const sessions = await promisifyRequest(db.transaction(SESSION_STORE).objectStore(SESSION_STORE).getAll());
+    for (const session of sessions) {
+      await this.applyRetention(session.id, merged);
+    }
+    return merged;
+  }
+
+  /**
+   * 列出某个界面的会话（最近使用的在前），附带记录数
+   * @param {string} scope - 'requestlist' | 'devtools' | 'proxydashboard'
+   * @returns {Promise<Array>}
+   */
+  static async listSessions(scope) {
+    const db = await this.open();
+    const transaction = db.transaction([SESSION_STORE, EXCHANGE_STORE]);
+    const range = IDBKeyRange.bound([scope, -Infinity], [scope, Infinity]);
+    const sessions = await promisifyRequest(transaction.objectStore(SESSION_STORE).index('scope').getAll(range));
+    const timeIndex = transaction.objectStore(EXCHANGE_STORE).index('time');
+    const counts = await Promise.all(sessions.map(session => promisifyRequest(timeIndex.count(this.sessionRange('time', session.id)))));
+    return sessions
+      .map((session, index) => ({ ...session, count: counts[index] }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * 新建会话并设为当前会话，超出会话数上限时删除最久未使用的会话
+   * @param {string} scope
+   * @param {string} name
+   * @returns {Promise<Object>} 新会话
+   */
+  static async createSession(scope, name) {
+    const now = Date.now();
+    const session = {
+      id: `session_${now}_${Math.random().toString(36).slice(2, 8)}`,
+      scope,
+      name: name?.trim() || new Date(now).toLocaleString(),
+      createdAt: now,
+      updatedAt: now
+    };
+    const db = await this.open();
+    const transaction = db.transaction(SESSION_STORE, 'readwrite');
+    transaction.objectStore(SESSION_STORE).put(session);
+    await transactionDone(transaction);
+
+    await this.setCurrentSession(scope, session.id);
+    await this.pruneExcessSessions(scope, await this.loadSettings());
+    return { ...session, count: 0 };
+  }
+
+  /**
+   * 重命名会话
+   * @param {string} sessionId
+   * @param {string} name
+   */
+  static async renameSession(sessionId, name) {
+    const db = await this.open();
+    const transaction = db.transaction(SESSION_STORE, 'readwrite');
+    const store = transaction.objectStore(SESSION_STORE);
+    const session = await promisifyRequest(store.get(sessionId));
+    if (!session) {
+      throw new Error(`会话不存在: ${sessionId}`);
+    }
+    store.put({ ...session, name: name.trim() || session.name });
+    await transactionDone(transaction);
+  }
+
+  /**
+   * 删除会话及其全部记录
+   * @param {string} sessionId
+   */
+  static async deleteSession(sessionId) {
+    const db = await this.open();
+    const transaction = db.transaction([SESSION_STORE, EXCHANGE_STORE], 'readwrite');
+    transaction.objectStore(SESSION_STORE).delete(sessionId);
+    this.deleteByCursor(transaction.objectStore(EXCHANGE_STORE).index('time'), this.sessionRange('time', sessionId));
+    await transactionDone(transaction);
+    savesSinceRetention.delete(sessionId);
+  }
+
+  /**
+   * 清空会话中的记录（保留会话本身）
+   * @param {string} sessionId
+   */
+  static async clearSession(sessionId) {
+    const db = await this.open();
+    const transaction = db.transaction(EXCHANGE_STORE, 'readwrite');
+    this.deleteByCursor(transaction.objectStore(EXCHANGE_STORE).index('time'), this.sessionRange('time', sessionId));
+    await transactionDone(transaction);
+  }
+
+  /**
+   * 获取界面的当前会话：优先使用上次选择的会话，否则使用最近的会话，都没有时新建
+   * 同时清理超过保存天数的会话
+   * @param {string} scope
+   * @returns {Promise<Object>}
+   */
+  static async getCurrentSession(scope) {
+    await this.pruneExpiredSessions(await this.loadSettings());
+    const result = await StorageUtils.getItem(CURRENT_SESSIONS_STORAGE_KEY);
+    const currentId = (result[CURRENT_SESSIONS_STORAGE_KEY] || {})[scope];
+    const sessions = await this.listSessions(scope);
+    return sessions.find(session => session.id === currentId) || sessions[0] || this.createSession(scope);
+  }
+
+  /**
+   * 记住界面选择的会话
+   * @param {string} scope
+   * @param {string} sessionId
+   */
+  static async setCurrentSession(scope, sessionId) {
+    const result = await StorageUtils.getItem(CURRENT_SESSIONS_STORAGE_KEY);
+    await StorageUtils.setItem(CURRENT_SESSIONS_STORAGE_KEY, { ...(result[CURRENT_SESSIONS_STORAGE_KEY] || {}), [scope]: sessionId });
+  }
+
+  /**
+   * 保存一条抓包记录；同一会话中 requestId 相同的记录会合并（请求与响应分别到达）
+   * @param {string} sessionId
+   * @param {Object} exchange - 请求记录，必须包含 requestId 与 url
+   * @returns {Promise<{record: Object, created: boolean}>} 合并后的记录，以及是否为新记录
+   */
+  static async saveExchange(sessionId, exchange) {
+    if (!exchange?.requestId || !exchange.url) {
+      throw new Error('抓包记录缺少 requestId 或 url');
+    }
+    const db = await this.open();
+    const transaction = db.transaction([SESSION_STORE, EXCHANGE_STORE], 'readwrite');
+    const exchanges = transaction.objectStore(EXCHANGE_STORE);
+    const id = `${sessionId}|${exchange.requestId}`;
+    const existing = await promisifyRequest(exchanges.get(id));
+
+    const record = { ...existing, ...this.toRecord(exchange), id, sessionId };
+    record.timestamp = existing?.timestamp ?? record.timestamp ?? Date.now();
+    exchanges.put(record);
+
+    const sessions = transaction.objectStore(SESSION_STORE);
+    const session = await promisifyRequest(sessions.get(sessionId));
+    if (session) {
+      sessions.put({ ...session, updatedAt: Date.now() });
+    }
+    await transactionDone(transaction);
+
+    const saves = (savesSinceRetention.get(sessionId) || 0) + 1;
+    savesSinceRetention.set(sessionId, saves % RETENTION_CHECK_INTERVAL);
+    if (saves >= RETENTION_CHECK_INTERVAL) {
+      this.applyRetention(sessionId).catch(error => console.error('清理抓包记录失败:', error));
+    }
+    return { record, created: !existing };
+  }
+
+  /**
+   * 分页查询会话中的记录（按时间倒序）
+   * host / path / statusCode 使用对应索引，search 与 pathPrefix 在遍历时过滤
+   * @param {string} sessionId
+   * @param {Object} options
+   * @param {Object} options.filter - parseTrafficQuery 返回的查询条件
+   * @param {Object|null} options.cursor - 上一页返回的 cursor，为空时从最新的记录开始
+   * @param {number} options.limit - 每页条数
+   * @returns {Promise<{items: Array, cursor: Object|null, hasMore: boolean}>}
+   */
+  static async queryExchanges(sessionId, { filter = {}, cursor = null, limit = TRAFFIC_PAGE_SIZE } = {}) {
+    const db = await this.open();
+    const store = db.transaction(EXCHANGE_STORE).objectStore(EXCHANGE_STORE);
+
+    let indexName = 'time';
+    let prefix = [sessionId];
+    if (filter.host) {
+      indexName = 'host';
+      prefix = [sessionId, filter.host];
+    } else if (filter.path) {
+      indexName = 'path';
+      prefix = [sessionId, filter.path];
+    } else if (filter.statusCode !== undefined) {
+      indexName = 'status';
+      prefix = [sessionId, filter.statusCode];
+    }
+    const upper = cursor ? [...prefix, cursor.timestamp, cursor.id] : [...prefix, Infinity];
+    const range = IDBKeyRange.bound([...prefix, -Infinity], upper, false, Boolean(cursor));
+
+    const items = [];
+    let hasMore = false;
+    await new Promise((resolve, reject) => {
+      const request = store.index(indexName).openCursor(range, 'prev');
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const current = request.result;
+        if (!current) {
+          resolve();
+          return;
+        }
+        if (matchesTrafficFilter(current.value, filter)) {
+          if (items.length === limit) {
+            hasMore = true;
+            resolve();
+            return;
+          }
+          items.push(current.value);
+        }
+        current.continue();
+      };
+    });
+
+    const last = items[items.length - 1];
+    return { items, cursor: last ? { timestamp: last.timestamp, id: last.id } : cursor, hasMore };
+  }
+
+  /**
+   * 读取会话中的全部记录（按时间正序），用于导出
+   * @param {string} sessionId
+   * @returns {Promise<Array>}
+   */
+  static async getAllExchanges(sessionId) {
+    const db = await this.open();
+    const index = db.transaction(EXCHANGE_STORE).objectStore(EXCHANGE_STORE).index('time');
+    return promisifyRequest(index.getAll(this.sessionRange('time', sessionId)));
+  }
+
+  /**
+   * 会话中的记录总数
+   * @param {string} sessionId
+   * @returns {Promise<number>}
+   */
+  static async countExchanges(sessionId) {
+    const db = await this.open();
+    const index = db.transaction(EXCHANGE_STORE).objectStore(EXCHANGE_STORE).index('time');
+    return promisifyRequest(index.count(this.sessionRange('time', sessionId)));
+  }
+
+  /**
+   * 按条数上限删除会话中最早的记录
+   * @param {string} sessionId
+   * @param {Object} settings - 不传时读取保存的设置
+   */
+  static async applyRetention(sessionId, settings = null) {
+    const { maxExchangesPerSession } = settings || await this.loadSettings();
+    const overflow = (await this.countExchanges(sessionId)) - maxExchangesPerSession;
+    if (overflow <= 0) {
+      return;
+    }
+    const db = await this.open();
+    const transaction = db.transaction(EXCHANGE_STORE, 'readwrite');
+    this.deleteByCursor(transaction.objectStore(EXCHANGE_STORE).index('time'), this.sessionRange('time', sessionId), overflow);
+    await transactionDone(transaction);
+  }
+
+  /**
+   * 界面的会话数超过上限时删除最久未使用的会话，当前会话始终保留
+   * @param {string} scope
+   * @param {Object} settings
+   */
+  static async pruneExcessSessions(scope, { maxSessions }) {
+    const result = await StorageUtils.getItem(CURRENT_SESSIONS_STORAGE_KEY);
+    const currentId = (result[CURRENT_SESSIONS_STORAGE_KEY] || {})[scope];
+    const sessions = await this.listSessions(scope);
+    const others = sessions.filter(session => session.id !== currentId);
+    const keep = Math.max(1, maxSessions) - (others.length < sessions.length ? 1 : 0);
+    for (const stale of others.slice(Math.max(0, keep))) {
+      await this.deleteSession(stale.id);
+    }
+  }
+
+  /**
+   * 删除超过保存天数未更新的会话
+   * @param {Object} settings
+   */
+  static async pruneExpiredSessions({ maxAgeDays }) {
+    if (!maxAgeDays || maxAgeDays <= 0) {
+      return;
+    }
+    const db = await this.open();
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    const sessions = await promisifyRequest(db.transaction(SESSION_STORE).objectStore(SESSION_STORE).getAll());
+    for (const session of sessions.filter(item => item.updatedAt < cutoff)) {
+      await this.deleteSession(session.id);
+    }
+  }
+
+  /**
+   * 把界面中的请求对象转换为存储记录
+   * @private
+   */
+  static toRecord(exchange) {
+    const { requestConfig, responseConfig, domainConfig, decryptionInfo, ...rest } = exchange;
+    // 未定义的字段不覆盖已保存的值（例如响应阶段没有 method）
+    const record = {
+      ...Object.fromEntries(Object.entries(rest).filter(([, value]) => value !== undefined)),
+      ...splitUrl(exchange.url)
+    };
+    if (requestConfig !== undefined) record.requestConfig = summarizeConfig(requestConfig);
+    if (responseConfig !== undefined) record.responseConfig = summarizeConfig(responseConfig);
+    if (domainConfig !== undefined) record.domainConfig = summarizeConfig(domainConfig);
+    if (decryptionInfo !== undefined) {
+      record.decryptionInfo = decryptionInfo && {
+        config: summarizeConfig(decryptionInfo.config),
+        domainConfig: summarizeConfig(decryptionInfo.domainConfig)
+      };
+    }
+    if (record.statusCode !== undefined && record.statusCode !== null) {
+      record.statusCode = Number(record.statusCode);
+    } else {
+      delete record.statusCode;
+    }
+    return record;
+  }
+
+  /**
+   * 索引中属于某个会话的范围
+   * @private
+   */
+  static sessionRange(indexName, sessionId) {
+    const padding = INDEXES[indexName].length - 1;
+    return IDBKeyRange.bound(
+      [sessionId, ...Array(padding).fill(-Infinity)],
+      [sessionId, ...Array(padding).fill([])]
+    );
+  }
+
+  /**
+   * 在事务中按游标删除记录（最多 limit 条）
+   * @private
+   */
+  static deleteByCursor(index, range, limit = Infinity) {
+    let deleted = 0;
+    const request = index.openCursor(range);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor && deleted < limit) {
+        cursor.delete();
+        deleted++;
+        cursor.continue();
+      }
+    };
+  }
+}
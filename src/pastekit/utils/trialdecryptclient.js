@@ -0,0 +1,182 @@
+import { TrialDecryptor } from './cipher/index.js';
+import { StorageUtils } from './storageutils.js';
+
+// Popup 与 Background 之间试探解密所用的端口名称
+export const TRIAL_DECRYPT_PORT = 'trial-decrypt';
+
+/**
+ * 生成试探解密的结果
+ * @param {Array} candidates - 按得分排序的候选
+ * @param {Object} extra - { timedOut, slow, error, cancelled }
+ * @returns {Object} { candidates, timedOut, slow, error, cancelled }
+ */
+function toSummary(candidates, extra = {}) {
+  return {
+    candidates: candidates || [],
+    timedOut: extra.timedOut || [],
+    slow: extra.slow || [],
+    error: extra.error || null,
+    cancelled: !!extra.cancelled
+  };
+}
+
+/**
+ * 试探解密客户端
+ * 把解密尝试交给 Background Service Worker，候选结果逐条回调；
+ * 非扩展环境（如本地开发页面）下退回到当前页面内执行
+ */
+export class TrialDecryptClient {
+  constructor() {
+    this.port = null;
+    this.requestId = 0;
+    this.pending = null;
+  }
+
+  /**
+   * 试探解密结果是否不确定：有配置未尝试、尝试被放弃或出错时，没有候选也不能说明内容无法解密
+   * @param {Object} summary - decrypt 的结果
+   * @returns {boolean}
+   */
+  static isUncertain(summary) {
+    return !!summary.error || summary.timedOut.length > 0 || summary.slow.length > 0;
+  }
+
+  /**
+   * 是否可以连接 Background
+   * @returns {boolean}
+   */
+  static isExtensionEnvironment() {
+    return typeof chrome !== 'undefined' && !!chrome.runtime?.connect && !!chrome.runtime?.id;
+  }
+
+  /**
+   * 获取（必要时建立）与 Background 的连接
+   * @private
+   * @returns {chrome.runtime.Port}
+   */
+  getPort() {
+    if (this.port) {
+      return this.port;
+    }
+
+    this.port = chrome.runtime.connect({ name: TRIAL_DECRYPT_PORT });
+    this.port.onMessage.addListener((message) => this.handleMessage(message));
+    this.port.onDisconnect.addListener(() => {
+      this.port = null;
+      // Background 重启或端口断开，结果未知
+      this.settle(toSummary([], { error: 'Background 连接已断开' }));
+    });
+    return this.port;
+  }
+
+  /**
+   * 处理 Background 推送的消息，忽略过期请求的结果
+   * @private
+   * @param {Object} message
+   */
+  handleMessage(message) {
+    if (!this.pending || message.requestId !== this.pending.requestId) {
+      return;
+    }
+
+    if (message.type === 'TRIAL_DECRYPT_CANDIDATE') {
+      this.pending.onCandidate?.(message.candidate, message.candidates);
+    } else if (message.type === 'TRIAL_DECRYPT_DONE') {
+      this.settle(toSummary(message.candidates, message));
+    }
+  }
+
+  /**
+   * 结束当前请求
+   * @private
+   * @param {Object} summary - toSummary 的结果
+   */
+  settle(summary) {
+    const pending = this.pending;
+    this.pending = null;
+    pending?.resolve(summary);
+  }
+
+  /**
+   * 试探解密，新请求会取消尚未完成的旧请求（旧请求以 cancelled 结束）
+   * @param {string} content - 密文
+   * @param {Function} onCandidate - (candidate, rankedCandidates) => void
+   * @returns {Promise<Object>} { candidates, timedOut, slow, error, cancelled }，
+   *   candidates 为按得分排序的候选 [{ configName, algorithm, plaintext, score }]
+   */
+  decrypt(content, onCandidate) {
+    this.cancel();
+
+    const requestId = ++this.requestId;
+    const promise = new Promise(resolve => {
+      this.pending = { requestId, onCandidate, resolve };
+    });
+
+    if (TrialDecryptClient.isExtensionEnvironment()) {
+      try {
+        this.getPort().postMessage({ type: 'TRIAL_DECRYPT', requestId, content });
+      } catch (error) {
+        console.error('[TrialDecryptClient] 发送解密请求失败:', error);
+        this.port = null;
+        this.settle(toSummary([], { error: error.message }));
+      }
+    } else {
+      this.decryptLocally(requestId, content);
+    }
+
+    return promise;
+  }
+
+  /**
+   * 在当前页面内试探解密
+   * @private
+   * @param {number} requestId
+   * @param {string} content
+   */
+  async decryptLocally(requestId, content) {
+    const isCurrent = () => this.pending?.requestId === requestId;
+    try {
+      const result = await StorageUtils.getItem('keyConfigs');
+      const summary = await new TrialDecryptor().run(content, result.keyConfigs || [], {
+        isCancelled: () => !isCurrent(),
+        onCandidate: (candidate, candidates) => this.pending?.onCandidate?.(candidate, candidates)
+      });
+      if (isCurrent()) {
+        this.settle(toSummary(summary.candidates, summary));
+      }
+    } catch (error) {
+      console.error('[TrialDecryptClient] 试探解密失败:', error);
+      if (isCurrent()) {
+        this.settle(toSummary([], { error: error.message }));
+      }
+    }
+  }
+
+  /**
+   * 取消当前请求
+   */
+  cancel() {
+    if (!this.pending) {
+      return;
+    }
+    if (this.port) {
+      try {
+        this.port.postMessage({ type: 'TRIAL_DECRYPT_CANCEL', requestId: this.pending.requestId });
+      } catch (error) {
+        // 端口已断开
+      }
+    }
+    this.settle(toSummary([], { cancelled: true }));
+  }
+
+  /**
+   * 断开与 Background 的连接
+   */
+  disconnect() {
+    this.cancel();
+    if (this.port) {
+      this.port.disconnect();
+      this.port = null;
+    }
+  }
+}
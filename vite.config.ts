@@ -52,7 +52,9 @@ export default defineConfig({
                 background: resolve(__dirname, "src/pastekit/background/background.js"),
                 // ciphertuils: resolve(__dirname, "src/pastekit/utils/cipher/cipherutils.js"),
 
-                panel: resolve(__dirname, "src/pastekit/panel/panel.html")
+                panel: resolve(__dirname, "src/pastekit/panel/panel.html"),
+                // 试探解密 Worker 池所在的 Offscreen 文档
+                offscreen: resolve(__dirname, "src/pastekit/offscreen/offscreen.html")
             },
             // 为 background script 禁用预加载
             preserveEntrySignatures: false,
@@ -99,5 +101,9 @@ export default defineConfig({
         target: ['es2020'],
         outDir: 'dist',
         emptyOutDir: true
+    },
+    // 试探解密 Worker 会引入共享的加密模块，需要支持代码分割的 ES 格式
+    worker: {
+        format: 'es'
     }
 });
\ No newline at end of file